@@ -0,0 +1,332 @@
+// ------------------------------------------------------------
+// Servidor de sincronización del gestor de libros (Node, sin dependencias).
+// - Guarda el registro ordenado de acciones de todos los dispositivos de un centro.
+// - El registro se escribe añadiendo líneas al final; cuando un dispositivo envía una instantánea
+//   (el estado tras la acción N) se olvida todo lo anterior a N y el registro vuelve a ser corto.
+// - REST para enviar y recibir acciones; WebSocket solo para avisar de que hay cambios.
+// - Pensado para la red del centro: se arranca con `npm run servidor`.
+//
+// Variables de entorno:
+//   PUERTO        puerto de escucha (8787 por defecto)
+//   CODIGO_CENTRO código con el que se emparejan los dispositivos; si no se indica
+//                 se genera uno la primera vez y se guarda con los datos
+//   DATOS         fichero JSON con el código y los dispositivos (datos-centro.json por defecto);
+//                 a su lado van el registro (<DATOS>.log, una acción por línea) y la
+//                 última instantánea (<DATOS>.instantanea)
+// ------------------------------------------------------------
+
+import { createServer } from "node:http";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { appendFileSync, existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { appendFile, rename, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+const PUERTO = Number(process.env.PUERTO) || 8787;
+const FICHERO = resolve(process.env.DATOS || "datos-centro.json");
+const FICHERO_REGISTRO = `${FICHERO}.log`;
+const FICHERO_INSTANTANEA = `${FICHERO}.instantanea`;
+const MAX_CUERPO = 20 * 1024 * 1024;
+// Ids de acciones ya incluidas en la instantánea que se recuerdan para no duplicar un reenvío.
+const MAX_IDS_INSTANTANEA = 10000;
+const GUID_WEBSOCKET = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * @typedef {{ seq: number, id: string, dispositivo: string, ts: string, accion: object }} Operacion
+ * @typedef {{ seq: number, estado: object, ids: string[] }} Instantanea
+ * @typedef {{ codigo: string, dispositivos: Record<string, { nombre: string, vistoEn: string }> }} DatosCentro
+ */
+
+const linea = (op) => JSON.stringify(op) + "\n";
+
+function leerJSON(fichero, porDefecto) {
+  return existsSync(fichero) ? JSON.parse(readFileSync(fichero, "utf8")) : porDefecto;
+}
+
+// Se escribe en un temporal y se renombra: un corte a mitad no deja el fichero a medias.
+function escribirSeguro(fichero, contenido) {
+  writeFileSync(`${fichero}.tmp`, contenido);
+  renameSync(`${fichero}.tmp`, fichero);
+}
+
+/** @returns {DatosCentro} */
+function cargar() {
+  const { operaciones: antiguas, ...datos } = leerJSON(FICHERO, { codigo: "", dispositivos: {} });
+  datos.codigo = process.env.CODIGO_CENTRO || datos.codigo || randomBytes(4).toString("hex").toUpperCase();
+  // Las versiones anteriores guardaban las acciones dentro de este fichero: pasan al registro.
+  if (antiguas?.length) appendFileSync(FICHERO_REGISTRO, antiguas.map(linea).join(""));
+  escribirSeguro(FICHERO, JSON.stringify(datos));
+  return datos;
+}
+
+/**
+ * Lee el registro desde la instantánea. Un corte a mitad de escritura deja la última línea
+ * incompleta: se descarta y se reescribe el fichero para que lo siguiente no se pegue a ella.
+ * @returns {Operacion[]}
+ */
+function leerRegistro(desde) {
+  if (!existsSync(FICHERO_REGISTRO)) return [];
+  const operaciones = [];
+  let cortado = false;
+  for (const texto of readFileSync(FICHERO_REGISTRO, "utf8").split("\n")) {
+    if (!texto) continue;
+    let op;
+    try {
+      op = JSON.parse(texto);
+    } catch {
+      cortado = true;
+      continue;
+    }
+    // Lo ya incluido en la instantánea, o repetido por un corte durante una compactación, se salta.
+    if (op.seq > (operaciones.at(-1)?.seq ?? desde)) operaciones.push(op);
+  }
+  if (cortado) escribirSeguro(FICHERO_REGISTRO, operaciones.map(linea).join(""));
+  return operaciones;
+}
+
+const datos = cargar();
+/** @type {Instantanea | null} */
+let instantanea = leerJSON(FICHERO_INSTANTANEA, null);
+let operaciones = leerRegistro(instantanea?.seq ?? 0);
+let ids = new Set([...(instantanea?.ids ?? []), ...operaciones.map((o) => o.id)]);
+const avisos = new Set();
+
+// Las escrituras van en fila: no se solapan entre sí y no paran al resto de peticiones.
+let escrituras = Promise.resolve();
+function enFila(tarea) {
+  const hecha = escrituras.then(tarea);
+  escrituras = hecha.catch((e) => console.error("Error guardando los datos", e));
+  return hecha;
+}
+
+async function escribirSeguroEnFila(fichero, contenido) {
+  await writeFile(`${fichero}.tmp`, contenido);
+  await rename(`${fichero}.tmp`, fichero);
+}
+
+function guardarDatos() {
+  const contenido = JSON.stringify(datos);
+  return enFila(() => escribirSeguroEnFila(FICHERO, contenido));
+}
+
+function anotar(nuevas) {
+  const contenido = nuevas.map(linea).join("");
+  return enFila(() => appendFile(FICHERO_REGISTRO, contenido));
+}
+
+function ultimoSeq() {
+  return operaciones.at(-1)?.seq ?? instantanea?.seq ?? 0;
+}
+
+function codigoValido(codigo) {
+  const a = Buffer.from(String(codigo || ""));
+  const b = Buffer.from(datos.codigo);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Añade al registro las operaciones de un dispositivo, en orden. Reenviar una ya guardada no
+ * la duplica. Las marcadas como `exclusiva` (sustituyen todos los datos) se rechazan si otro
+ * dispositivo ha escrito después de `trasSeq`: aplicarlas borraría su trabajo.
+ * @returns {{ aceptadas: string[], rechazadas: { id: string, motivo: string }[], nuevas: Operacion[] }}
+ */
+function registrar(dispositivo, recibidas) {
+  const aceptadas = [];
+  const rechazadas = [];
+  const nuevas = [];
+  for (const op of recibidas) {
+    if (!op?.id || !op.accion?.type) {
+      rechazadas.push({ id: op?.id, motivo: "Operación incompleta." });
+      continue;
+    }
+    if (ids.has(op.id)) {
+      aceptadas.push(op.id);
+      continue;
+    }
+    const desde = Number(op.trasSeq) || 0;
+    // Lo compactado en la instantánea ya no se puede revisar: se da por escrito por otros.
+    const otrosHanEscrito = desde < (instantanea?.seq ?? 0) || operaciones.some((o) => o.seq > desde && o.dispositivo !== dispositivo);
+    if (op.exclusiva && otrosHanEscrito) {
+      rechazadas.push({ id: op.id, motivo: "Otro dispositivo ha hecho cambios mientras tanto." });
+      continue;
+    }
+    const nueva = { seq: ultimoSeq() + 1, id: op.id, dispositivo, ts: op.ts, accion: op.accion };
+    operaciones.push(nueva);
+    nuevas.push(nueva);
+    ids.add(op.id);
+    aceptadas.push(op.id);
+  }
+  return { aceptadas, rechazadas, nuevas };
+}
+
+/**
+ * Sustituye las acciones hasta `seq` por el estado que dejan. El registro se reescribe con lo
+ * que queda; lo que llegue mientras tanto se añade detrás, porque la fila respeta el orden.
+ */
+function compactar(seq, estado) {
+  const incluidas = operaciones.filter((o) => o.seq <= seq).map((o) => o.id);
+  instantanea = { seq, estado, ids: [...(instantanea?.ids ?? []), ...incluidas].slice(-MAX_IDS_INSTANTANEA) };
+  operaciones = operaciones.filter((o) => o.seq > seq);
+  ids = new Set([...instantanea.ids, ...operaciones.map((o) => o.id)]);
+  const contenidoInstantanea = JSON.stringify(instantanea);
+  const contenidoRegistro = operaciones.map(linea).join("");
+  return enFila(async () => {
+    await escribirSeguroEnFila(FICHERO_INSTANTANEA, contenidoInstantanea);
+    await escribirSeguroEnFila(FICHERO_REGISTRO, contenidoRegistro);
+  });
+}
+
+// --- HTTP ---
+function responder(res, estado, cuerpo) {
+  res.writeHead(estado, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(cuerpo));
+}
+
+function leerCuerpo(req) {
+  return new Promise((resolver, rechazar) => {
+    let tam = 0;
+    const trozos = [];
+    req.on("data", (trozo) => {
+      tam += trozo.length;
+      if (tam > MAX_CUERPO) {
+        rechazar(Object.assign(new Error("Petición demasiado grande."), { estado: 413 }));
+        req.destroy();
+        return;
+      }
+      trozos.push(trozo);
+    });
+    req.on("end", () => {
+      try {
+        resolver(trozos.length ? JSON.parse(Buffer.concat(trozos).toString("utf8")) : {});
+      } catch {
+        rechazar(Object.assign(new Error("El cuerpo no es JSON."), { estado: 400 }));
+      }
+    });
+    req.on("error", rechazar);
+  });
+}
+
+function verDispositivo(dispositivo) {
+  if (!dispositivo?.id) return null;
+  datos.dispositivos[dispositivo.id] = {
+    nombre: String(dispositivo.nombre || datos.dispositivos[dispositivo.id]?.nombre || "Sin nombre"),
+    vistoEn: new Date().toISOString(),
+  };
+  return dispositivo.id;
+}
+
+async function atender(req, res) {
+  // La app se sirve desde otro origen (o como fichero local): se permite CORS.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  const url = new URL(req.url, "http://localhost");
+  const codigo = req.headers.authorization?.replace(/^Bearer\s+/i, "");
+  if (!codigoValido(codigo)) {
+    responder(res, 401, { error: "Código de centro incorrecto." });
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/emparejar") {
+    const { dispositivo } = await leerCuerpo(req);
+    if (!verDispositivo(dispositivo)) {
+      responder(res, 400, { error: "Falta el dispositivo." });
+      return;
+    }
+    await guardarDatos();
+    responder(res, 200, { ultimoSeq: ultimoSeq(), dispositivos: Object.keys(datos.dispositivos).length });
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/api/operaciones") {
+    const desde = Number(url.searchParams.get("desde")) || 0;
+    const instantaneaSeq = instantanea?.seq ?? 0;
+    // Quien está por detrás de la instantánea la recibe entera, con lo que ha llegado después.
+    responder(res, 200, {
+      ...(desde < instantaneaSeq && { instantanea }),
+      operaciones: operaciones.filter((o) => o.seq > desde),
+      ultimoSeq: ultimoSeq(),
+      instantaneaSeq,
+    });
+    return;
+  }
+  if (req.method === "POST" && url.pathname === "/api/instantanea") {
+    const { seq, estado } = await leerCuerpo(req);
+    // Solo sirve una posterior a la actual y de acciones que ya están en el registro.
+    if (!Number.isInteger(seq) || seq <= (instantanea?.seq ?? 0) || seq > ultimoSeq() || !estado || typeof estado !== "object") {
+      responder(res, 409, { error: "Instantánea no válida." });
+      return;
+    }
+    await compactar(seq, estado);
+    responder(res, 200, { instantaneaSeq: seq });
+    return;
+  }
+  if (req.method === "POST" && url.pathname === "/api/operaciones") {
+    const { dispositivo, operaciones: recibidas } = await leerCuerpo(req);
+    const id = verDispositivo(dispositivo);
+    if (!id || !Array.isArray(recibidas)) {
+      responder(res, 400, { error: "Faltan el dispositivo o las operaciones." });
+      return;
+    }
+    const { nuevas, ...resultado } = registrar(id, recibidas);
+    await Promise.all([anotar(nuevas), guardarDatos()]);
+    responder(res, 200, { ...resultado, ultimoSeq: ultimoSeq() });
+    if (nuevas.length) avisar({ tipo: "cambios", ultimoSeq: ultimoSeq() });
+    return;
+  }
+  responder(res, 404, { error: "No encontrado." });
+}
+
+// --- WebSocket de avisos ---
+// Solo se envían mensajes de texto cortos del servidor al cliente; del cliente solo interesa el cierre.
+function tramaTexto(texto) {
+  const carga = Buffer.from(texto);
+  const cabecera = carga.length < 126
+    ? Buffer.from([0x81, carga.length])
+    : Buffer.from([0x81, 126, carga.length >> 8, carga.length & 0xff]);
+  return Buffer.concat([cabecera, carga]);
+}
+
+function avisar(mensaje) {
+  const trama = tramaTexto(JSON.stringify(mensaje));
+  for (const socket of avisos) socket.write(trama);
+}
+
+function abrirAvisos(req, socket) {
+  const url = new URL(req.url, "http://localhost");
+  const clave = req.headers["sec-websocket-key"];
+  if (url.pathname !== "/api/avisos" || !clave || !codigoValido(url.searchParams.get("codigo"))) {
+    socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+    return;
+  }
+  const aceptacion = createHash("sha1").update(clave + GUID_WEBSOCKET).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${aceptacion}\r\n\r\n`);
+  avisos.add(socket);
+  socket.write(tramaTexto(JSON.stringify({ tipo: "hola", ultimoSeq: ultimoSeq() })));
+  socket.on("data", (trama) => {
+    if ((trama[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+  });
+  socket.on("close", () => avisos.delete(socket));
+  socket.on("error", () => avisos.delete(socket));
+}
+
+// Un ping cada 30 s evita que routers y proxies cierren las conexiones inactivas.
+setInterval(() => {
+  for (const socket of avisos) socket.write(Buffer.from([0x89, 0]));
+}, 30000).unref();
+
+const servidor = createServer((req, res) => {
+  atender(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) responder(res, e.estado || 500, { error: e.estado ? e.message : "Error interno." });
+  });
+});
+servidor.on("upgrade", abrirAvisos);
+servidor.listen(PUERTO, () => {
+  console.log(`Servidor de sincronización escuchando en el puerto ${PUERTO}`);
+  console.log(`Código de centro: ${datos.codigo}`);
+  console.log(`Datos en ${FICHERO}`);
+});
@@ -1,6 +1,13 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import JsBarcode from "jsbarcode";
+import { abrirAlmacen, borrarFotosSueltas, esReferenciaFoto, estimarEspacio, guardarFoto, guardarInstantaneaDiaria, leerFoto, leerInstantanea, listarInstantaneas } from "./almacenamiento.js";
+import { codigoLibro, esISBNValido, normalizarISBN } from "./isbn.js";
+import { IDIOMAS, IDIOMA_POR_DEFECTO, establecerIdioma, idiomaActual, localeActual, t } from "./i18n.js";
+import { BLOQUEO_MINUTOS, ESPERA_TRAS_FALLOS, MAX_INTENTOS, ROLES, comprobarPin, crearPerfil, esPinValido, guardarAcceso, leerAcceso, puedeAbrir, sha256 } from "./acceso.js";
+import { borrarCatalogoLocal, buscarMetadatos, catalogoLocal, contarCatalogoLocal, guardarCatalogoLocal } from "./metadatos.js";
+import { emparejar, enviarInstantanea, enviarOperaciones, escucharAvisos, guardarBase, guardarCola, guardarConfigSync, leerSincronizacion, normalizarServidor, recibirOperaciones } from "./sincronizacion.js";
 // Se carga la librería de escaneo dinámicamente para evitar errores de compilación.
-import { X, AlertTriangle, CheckCircle, Plus, BookOpen, Users, Upload, Download, Trash2, Edit, Camera, Zap, ZapOff, Check, Circle, Settings, ChevronsRight, ArrowUp, ArrowDown, Loader } from 'lucide-react';
+import { X, AlertTriangle, CheckCircle, Plus, BookOpen, Users, Upload, Download, Trash2, Edit, Camera, Zap, ZapOff, Check, Circle, Settings, ChevronsRight, ArrowUp, ArrowDown, Loader, Undo2, Flag, Tag, Printer, Contact, ListPlus, Redo2, History, Merge, ArchiveRestore, RefreshCw, Keyboard, ImagePlus, Archive, Search, PenTool, Cloud, CloudOff, Lock, UserRound, ClipboardCheck, Euro, ImageOff } from 'lucide-react';
 
 // ------------------------------------------------------------
 // App de aula v2.2.1: Búsqueda automática de títulos por ISBN + Fix ZXing URL
@@ -13,514 +20,4409 @@ import { X, AlertTriangle, CheckCircle, Plus, BookOpen, Users, Upload, Download,
 // - Añade Alumnos a cada Clase.
 // - En Control, selecciona Clase y Alumno para ver su progreso.
 // - Diseño optimizado para móviles.
-// - Persistencia local (localStorage).
+// - Persistencia local (IndexedDB, con localStorage de reserva).
 // - NUEVO: Pequeño "Test Runner" embebido para validar utilidades/reducer y la sanitización de la URL.
+// - Préstamos con fecha de entrega/devolución y estado (entregado, devuelto, perdido, dañado).
+// - Ejemplares con etiqueta propia del centro (Code128): se asigna cada copia física a un alumno.
+// - Vista de clase en Control: matriz alumnos × libros con porcentajes de entrega.
+// - Carnés de alumno: escanear uno durante la sesión de cámara cambia el alumno activo.
+// - Importación masiva de alumnos desde CSV o texto pegado de una hoja de cálculo.
+// - Importación de la lista de libros de un curso a partir de un listado de ISBN.
+// - Deshacer/rehacer y registro de actividad persistente y exportable.
+// - Esquema versionado con migraciones y validación estricta de las importaciones.
+// - Importación combinada: fusiona los datos de varios dispositivos con revisión de conflictos.
+// - Aviso si no se puede guardar (p. ej. sin espacio) y copias automáticas diarias restaurables.
+// - Funciona sin conexión: instalable como PWA y con el lector de códigos incluido en el build.
+// - Datos de libro (autores, editorial, año y portada) desde varios proveedores, con caché local.
+// - ISBN normalizados a ISBN-13 (ISBN-10, guiones, suplementos de precio) y lecturas erróneas rechazadas.
+// - Lector de códigos externo (USB/Bluetooth, modo teclado) y entrada manual de códigos.
+// - Escáner: elección de cámara, zoom, formatos admitidos y lectura solo dentro del rectángulo guía.
+// - Lectura de códigos desde fotos (varias por foto y varias fotos a la vez) si no hay cámara.
+// - Año escolar: cierre con archivo de solo lectura, paso de alumnos a su clase del año siguiente.
+// - Edición: renombrar cursos, clases y libros; ficha del alumno (tutor, contacto, notas) y cambio de clase.
+// - Búsqueda global de alumnos, clases, cursos y libros; por ISBN, quién lo tiene y a quién le falta.
+// - Albaranes de entrega para firmar, informe de pendientes por clase y resumen de entregas por curso.
+// - Firma en pantalla al recoger los libros (quién firma y su relación), guardada con la entrega.
+// - Sincronización opcional entre dispositivos con un servidor propio del centro (servidor/servidor.js).
+// - Perfiles del personal con PIN y rol (control o administración), bloqueo por inactividad y PIN
+//   de nuevo para las acciones destructivas de Gestión.
+// - Interfaz, avisos, CSV e informes impresos en castellano, catalán, gallego, euskera o inglés.
+// - Estado de conservación del libro al entregarlo y al devolverlo (con notas y fotos), precio de
+//   reposición por libro e importes que debe cada alumno por libros perdidos o dañados.
 // ------------------------------------------------------------
 
 // Tipos
-/** @typedef {{ id: string, nombre: string, libros: {isbn: string, title: string}[] }} Curso */
+/** @typedef {{ codigo: string, altaEn: string, impreso: boolean, antes?: string }} Ejemplar */
+/** @typedef {{ isbn: string, title: string, autores?: string, editorial?: string, anio?: string, portada?: string, precio?: number, ejemplares?: Ejemplar[] }} Libro */
+/** @typedef {{ id: string, nombre: string, libros: Libro[] }} Curso */
 /** @typedef {{ id: string, nombre: string, cursoId: string }} Clase */
-/** @typedef {{ id: string, nombre: string, claseId: string, librosEntregados: string[] }} Alumno */
+/** @typedef {'entregado' | 'devuelto' | 'perdido' | 'dañado'} EstadoPrestamo */
+/** @typedef {'nuevo' | 'bueno' | 'aceptable' | 'deteriorado' | 'perdido'} Condicion */
+/** @typedef {{ condicion: Condicion, notas?: string, fotos?: string[], revisadoEn: string }} Revision */
+/** @typedef {{ id: string, isbn: string, ejemplar?: string | null, estado: EstadoPrestamo, entregadoEn: string, devueltoEn: string | null, firmaId?: string, revisionEntrega?: Revision, revisionDevolucion?: Revision, pagadoEn?: string | null }} Prestamo */
+// imagen: referencia al almacén (ver guardarFoto) o, en datos antiguos, la data URL.
+/** @typedef {{ id: string, nombre: string, relacion: string, imagen: string, firmadoEn: string }} Firma */
+/** @typedef {{ id: string, nombre: string, apellidos?: string, numeroLista?: number | null, tutor?: string, contactoTutor?: string, notas?: string, claseId: string, prestamos: Prestamo[], firmas?: Firma[] }} Alumno */
+/** @typedef {{ id: string, anioEscolar: string, archivadoEn: string, cursos: Curso[], clases: Clase[], alumnos: Alumno[] }} AnioArchivado */
 
 const STORAGE_KEY = "aula_libros_clases_v2";
+// Versión del formato de los datos. Al cambiarla, añade la migración correspondiente en MIGRACIONES.
+const VERSION_ESQUEMA = 4;
+const AUDITORIA_KEY = "aula_libros_auditoria_v1";
+const MAX_HISTORIAL = 50;
+const MAX_AUDITORIA = 5000;
 
 // --- Utilidades ---
+// Mientras el reducer aplica una acción, los ids y las fechas salen de su `meta`: así la misma
+// acción reproducida en otro dispositivo (sincronización) deja exactamente el mismo estado.
+let contextoAccion = null;
+
 function uid() {
+  if (contextoAccion) return `${contextoAccion.id}.${contextoAccion.n++}`;
   return Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
 
-function loadState() {
+/** Fecha actual en ISO, o la de la acción que se está aplicando. */
+function ahora() {
+  return contextoAccion?.ts ?? new Date().toISOString();
+}
+
+function aplicarAccion(state, action) {
+  const previo = contextoAccion;
+  contextoAccion = action.meta ? { id: action.meta.id, ts: action.meta.ts, n: 0 } : null;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { cursos: [], clases: [], alumnos: [], seleccion: { cursoId: null, claseId: null, alumnoId: null } };
-    const parsed = JSON.parse(raw);
-    if (!parsed.cursos || !parsed.clases || !parsed.alumnos) {
-        return { cursos: [], clases: [], alumnos: [], seleccion: { cursoId: null, claseId: null, alumnoId: null } };
-    }
-    return parsed;
-  } catch (e) {
-    console.error("Error cargando estado", e);
-    return { cursos: [], clases: [], alumnos: [], seleccion: { cursoId: null, claseId: null, alumnoId: null } };
+    return reducer(state, action);
+  } finally {
+    contextoAccion = previo;
   }
 }
 
-function saveState(state) {
+/** Año escolar (de septiembre a agosto) al que pertenece una fecha, p. ej. "2025-2026". */
+function anioEscolarDe(fecha = new Date(ahora())) {
+  const y = fecha.getFullYear();
+  return fecha.getMonth() >= 8 ? `${y}-${y + 1}` : `${y - 1}-${y}`;
+}
+
+function siguienteAnioEscolar(anio) {
+  const m = /^(\d{4})-(\d{4})$/.exec(anio);
+  return m ? `${Number(m[1]) + 1}-${Number(m[2]) + 1}` : anioEscolarDe();
+}
+
+function estadoVacio() {
+  return {
+    version: VERSION_ESQUEMA,
+    anioEscolar: anioEscolarDe(),
+    cursos: [], clases: [], alumnos: [],
+    archivo: [],
+    ajustes: { prefijoEjemplar: 'LIB', contadorEjemplares: 0, idioma: IDIOMA_POR_DEFECTO },
+    seleccion: { cursoId: null, claseId: null, alumnoId: null },
+  };
+}
+
+// Los errores de lectura se propagan: si no se ha podido leer, no se debe empezar a guardar encima.
+// Unos datos ilegibles o no válidos llegan como error con `errores` (y `datos` si se pudieron leer)
+// para que el usuario vea qué falla y elija con qué seguir.
+async function loadState(almacen) {
+  let datos;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    datos = await almacen.get(STORAGE_KEY);
   } catch (e) {
-    console.error("Error guardando estado", e);
+    if (!(e instanceof SyntaxError)) throw e;
+    throw Object.assign(new Error(t('Los datos guardados están dañados.')), { errores: [e.message], cause: e });
   }
+  if (datos === undefined) return estadoVacio();
+  const { estado, errores } = cargarDatos(datos);
+  if (errores.length) {
+      // No se pisa lo guardado sin dejar copia: se aparta para poder recuperarlo a mano.
+      await almacen.set(`${STORAGE_KEY}_respaldo`, datos);
+      throw Object.assign(new Error(t('Los datos guardados no son válidos.')), { errores, datos });
+  }
+  return estado;
 }
 
-let audioCtx;
-function playBeep() {
-  try {
-    if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+async function saveState(almacen, state) {
+  await almacen.set(STORAGE_KEY, state);
+  await guardarInstantaneaDiaria(almacen, state);
+}
+
+/** Minúsculas, sin tildes y con espacios colapsados: para comparar nombres escritos a mano. */
+function normalizarTexto(texto) {
+  return String(texto ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Campos del alumno que se editan desde su ficha (claseId incluido: editarla lo cambia de clase).
+const CAMPOS_FICHA_ALUMNO = ['nombre', 'apellidos', 'numeroLista', 'tutor', 'contactoTutor', 'notas', 'claseId'];
+
+function nombreCompleto(alumno) {
+  return [alumno.nombre, alumno.apellidos].filter(Boolean).join(' ');
+}
+
+// --- Importación de alumnos ---
+// Al pegar desde una hoja de cálculo llegan tabuladores; los CSV de Excel en español usan ";".
+function detectarSeparador(texto) {
+  const primera = texto.split(/\r?\n/).find(l => l.trim()) || '';
+  const candidatos = ['\t', ';', ','];
+  return candidatos.reduce((mejor, sep) => primera.split(sep).length > primera.split(mejor).length ? sep : mejor, '\t');
+}
+
+/** Convierte texto CSV/TSV en filas de celdas, respetando campos entre comillas. */
+function parsearTabla(texto, separador = detectarSeparador(texto)) {
+  const filas = [];
+  let fila = [], celda = '', comillas = false;
+  for (let i = 0; i < texto.length; i++) {
+    const ch = texto[i];
+    if (comillas) {
+      if (ch === '"' && texto[i + 1] === '"') { celda += '"'; i++; }
+      else if (ch === '"') comillas = false;
+      else celda += ch;
+    } else if (ch === '"' && celda === '') {
+      comillas = true;
+    } else if (ch === separador) {
+      fila.push(celda.trim()); celda = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && texto[i + 1] === '\n') i++;
+      fila.push(celda.trim()); celda = '';
+      if (fila.some(c => c)) filas.push(fila);
+      fila = [];
+    } else {
+      celda += ch;
     }
-    const oscillator = audioCtx.createOscillator();
-    const gainNode = audioCtx.createGain();
-    oscillator.connect(gainNode);
-    gainNode.connect(audioCtx.destination);
-    oscillator.type = 'sine';
-    oscillator.frequency.setValueAtTime(880, audioCtx.currentTime);
-    gainNode.gain.setValueAtTime(0.3, audioCtx.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.0001, audioCtx.currentTime + 0.15);
-    oscillator.start(audioCtx.currentTime);
-    oscillator.stop(audioCtx.currentTime + 0.15);
-  } catch(e) {
-    console.error("Error al reproducir sonido", e);
   }
+  fila.push(celda.trim());
+  if (fila.some(c => c)) filas.push(fila);
+  return filas;
 }
 
-// --- Utilidades ZXing ---
-// URL ESM recomendada (correcta):
-const ZXING_ESM_URL = "https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/esm/index.js";
-// Fallbacks razonables (algunos bundlers agregan "+esm"): 
-const ZXING_FALLBACK_URLS = [
-  ZXING_ESM_URL,
-  "https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/+esm",
-  "https://esm.sh/@zxing/browser@0.1.5"
+// Los patrones reconocen las cabeceras habituales en los idiomas de la app; la etiqueta se traduce al mostrarla.
+const CAMPOS_ALUMNO = [
+  { id: 'nombre', etiqueta: 'Nombre', patron: /^(nombre|alumn|nom\b|name|first|izen|ikasle)/ },
+  { id: 'apellidos', etiqueta: 'Apellidos', patron: /^(apellido|apelido|cognom|surname|last|abizen)/ },
+  { id: 'numeroLista', etiqueta: 'Nº de lista', patron: /^(n(u|ú)m|n\.?º|no\.|orden|ordre|zenb)/ },
 ];
 
-// El error reportado se debió a que la URL quedó así:
-//   https://cdn.jsdelivr.net/npm/https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/esm/index.js/+esm
-// Esta función la sanea y además elimina "+esm" al final si aparece en esa combinación concreta.
-function sanitizeCdnUrl(url) {
-  if (!url) return ZXING_ESM_URL;
-  let out = String(url);
-  out = out.replace(
-    /https:\/\/cdn\.jsdelivr\.net\/npm\/https:\/\/cdn\.jsdelivr\.net\/npm\//,
-    "https://cdn.jsdelivr.net/npm/"
-  );
-  // Si quedó "/+esm" después del index, lo quitamos (usaremos la variante limpia como primaria)
-  out = out.replace(/\/+esm$/, "");
-  return out;
+/** Propone qué columna corresponde a cada campo a partir de la fila de cabecera. */
+function sugerirMapeo(cabecera) {
+  const mapeo = { nombre: 0, apellidos: null, numeroLista: null };
+  CAMPOS_ALUMNO.forEach(campo => {
+    const i = cabecera.findIndex(c => campo.patron.test(normalizarTexto(c)));
+    if (i !== -1) mapeo[campo.id] = i;
+  });
+  return mapeo;
 }
 
-async function loadZXing() {
-  let lastErr = null;
-  for (const candidate of ZXING_FALLBACK_URLS) {
-    const url = sanitizeCdnUrl(candidate);
-    try {
-      // Nota: algunos bundlers necesitan la pista para no preprocesar la URL dinámica
-      const mod = await import(/* @vite-ignore */ url);
-      if (mod?.BrowserMultiFormatReader) return mod;
-    } catch (e) {
-      lastErr = e;
-      // Continúa con el siguiente candidato
+/**
+ * Aplica el mapeo de columnas y separa las filas que se pueden añadir de las que se omiten
+ * (sin nombre o repetidas en la clase o en el propio fichero).
+ */
+function prepararImportacionAlumnos(filas, mapeo, existentes) {
+  const vistos = new Set(existentes.map(a => normalizarTexto(nombreCompleto(a))));
+  const nuevos = [], omitidos = [];
+  filas.forEach((fila, i) => {
+    const celda = (campo) => mapeo[campo] == null ? '' : (fila[mapeo[campo]] || '').trim();
+    const alumno = {
+      nombre: celda('nombre'),
+      apellidos: celda('apellidos'),
+      numeroLista: parseInt(celda('numeroLista'), 10) || null,
+    };
+    const clave = normalizarTexto(nombreCompleto(alumno));
+    if (!alumno.nombre) {
+      omitidos.push({ fila: i + 1, alumno, motivo: t('Sin nombre') });
+    } else if (vistos.has(clave)) {
+      omitidos.push({ fila: i + 1, alumno, motivo: t('Ya existe en la clase') });
+    } else {
+      vistos.add(clave);
+      nuevos.push(alumno);
+    }
+  });
+  return { nuevos, omitidos };
+}
+
+// --- Importación de libros ---
+/**
+ * Interpreta un listado con un ISBN por línea, opcionalmente seguido del título
+ * ("9788467...;Matemáticas 1"). Las líneas sin ningún dígito (cabeceras, vacías) se ignoran.
+ */
+function parsearListaISBN(texto, librosExistentes = []) {
+  const enCurso = new Set(librosExistentes.map(l => l.isbn));
+  const vistos = new Set();
+  const validos = [], invalidos = [], duplicados = [];
+  texto.split(/\r?\n/).forEach((linea, i) => {
+    if (!/\d/.test(linea)) return;
+    const m = linea.match(/^\s*"?([0-9Xx-]{10,24})"?\s*[;,\t|]?\s*(.*)$/);
+    const { isbn, error } = m ? normalizarISBN(m[1]) : { error: t('No empieza por un ISBN.') };
+    if (!isbn) {
+      invalidos.push({ linea: i + 1, texto: linea.trim(), motivo: error });
+      return;
     }
+    const title = m[2].replace(/^"|"$/g, '').trim();
+    if (enCurso.has(isbn)) {
+      duplicados.push({ linea: i + 1, isbn, motivo: t('Ya está en el curso') });
+    } else if (vistos.has(isbn)) {
+      duplicados.push({ linea: i + 1, isbn, motivo: t('Repetido en la lista') });
+    } else {
+      vistos.add(isbn);
+      validos.push({ isbn, title });
+    }
+  });
+  return { validos, invalidos, duplicados };
+}
+
+// --- Esquema y migraciones ---
+// Cada migración recibe los datos en la versión N y los devuelve en la N + 1.
+const MIGRACIONES = {
+  // v1 (sin campo version): libros como texto, entregas como `librosEntregados: string[]` y sin ajustes.
+  1: (datos) => ({
+    ...datos,
+    cursos: datos.cursos.map(c => ({
+      ...c,
+      libros: (c.libros || []).map(l => typeof l === 'string' ? { isbn: l, title: `Libro ${l}` } : l),
+    })),
+    alumnos: datos.alumnos.map(a => {
+      if (Array.isArray(a.prestamos)) return a;
+      const { librosEntregados = [], ...resto } = a;
+      return {
+        ...resto,
+        prestamos: librosEntregados.map(isbn => ({ id: uid(), isbn, ejemplar: null, estado: 'entregado', entregadoEn: null, devueltoEn: null })),
+      };
+    }),
+    ajustes: { ...estadoVacio().ajustes, ...datos.ajustes },
+  }),
+  // v2: ISBN tal como se leyeron. Pasan a ISBN-13; si un curso tenía el mismo libro
+  // como ISBN-10 y como ISBN-13, se queda uno solo con los ejemplares de ambos.
+  2: (datos) => {
+    const codigo = (isbn) => typeof isbn === 'string' ? codigoLibro(isbn) : isbn;
+    return {
+      ...datos,
+      cursos: datos.cursos.map(c => {
+        if (!Array.isArray(c.libros)) return c;
+        const libros = [];
+        c.libros.forEach(l => {
+          const isbn = codigo(l?.isbn);
+          const previo = libros.find(x => x.isbn === isbn);
+          if (!previo) libros.push({ ...l, isbn });
+          else if (l.ejemplares?.length) previo.ejemplares = [...(previo.ejemplares || []), ...l.ejemplares];
+        });
+        return { ...c, libros };
+      }),
+      alumnos: datos.alumnos.map(a => !Array.isArray(a.prestamos) ? a : {
+        ...a,
+        prestamos: a.prestamos.map(p => ({ ...p, isbn: codigo(p?.isbn) })),
+      }),
+    };
+  },
+  // v3: sin años escolares. Todo lo que hay pasa a ser el año en curso, sin nada archivado.
+  3: (datos) => ({ ...datos, anioEscolar: anioEscolarDe(), archivo: [] }),
+};
+
+function migrarEstado(datos) {
+  let actual = { ...datos, version: datos.version ?? 1 };
+  if (typeof actual.version !== 'number' || actual.version > VERSION_ESQUEMA) {
+    throw new Error(t('Versión de datos {version} no compatible con esta aplicación (v{esquema}).', { version: actual.version, esquema: VERSION_ESQUEMA }));
   }
-  throw lastErr || new Error("No se pudo cargar @zxing/browser desde CDN.");
+  while (actual.version < VERSION_ESQUEMA) {
+    const migrar = MIGRACIONES[actual.version];
+    if (!migrar) throw new Error(t('No hay migración desde la versión {version}.', { version: actual.version }));
+    actual = { ...migrar(actual), version: actual.version + 1 };
+  }
+  return actual;
 }
 
-// --- Componente Principal ---
-export default function App() {
-  const [state, setState] = useState(loadState);
-  const [modo, setModo] = useState("control");
-  const [msg, setMsg] = useState({ text: "", type: "success" });
+/** Lista de problemas concretos de unos datos ya migrados. Vacía si son válidos. */
+function validarEstado(datos) {
+  const errores = [];
+  const error = (texto, valores) => errores.push(t(texto, valores));
+  const texto = (v) => typeof v === 'string' && v.trim() !== '';
+  if (datos.anioEscolar != null && !texto(datos.anioEscolar)) error('El año escolar no es texto.');
+  if (datos.archivo != null) {
+    if (!Array.isArray(datos.archivo)) error('"archivo" no es una lista.');
+    else datos.archivo.forEach((anio, i) => {
+      if (!texto(anio?.anioEscolar)) error('Año archivado {n}: falta el año escolar.', { n: i + 1 });
+      else if (!['cursos', 'clases', 'alumnos'].every(k => Array.isArray(anio[k]))) error('Año archivado {anio}: faltan cursos, clases o alumnos.', { anio: anio.anioEscolar });
+    });
+  }
+  const idsUnicos = (lista, entidad) => {
+    const vistos = new Set();
+    lista.forEach((x, i) => {
+      if (!texto(x?.id)) error('{entidad} {n}: falta el id.', { entidad, n: i + 1 });
+      else if (vistos.has(x.id)) error('{entidad} {n}: id duplicado "{id}".', { entidad, n: i + 1, id: x.id });
+      else vistos.add(x.id);
+    });
+    return vistos;
+  };
 
-  useEffect(() => {
-    saveState(state);
-    document.body.style.touchAction = 'manipulation';
-  }, [state]);
+  const cursoIds = idsUnicos(datos.cursos, t('Curso'));
+  const claseIds = idsUnicos(datos.clases, t('Clase'));
+  idsUnicos(datos.alumnos, t('Alumno'));
 
-  useEffect(() => {
-    if (msg.text) {
-      const timer = setTimeout(() => setMsg({ text: "", type: "success" }), 3000);
-      return () => clearTimeout(timer);
-    }
-  }, [msg]);
+  const codigos = new Set();
+  datos.cursos.forEach((c, i) => {
+    const nombre = t('Curso "{nombre}"', { nombre: c.nombre ?? i + 1 });
+    if (!texto(c.nombre)) error('Curso {n}: falta el nombre.', { n: i + 1 });
+    if (!Array.isArray(c.libros)) { error('{entidad}: "libros" no es una lista.', { entidad: nombre }); return; }
+    const isbns = new Set();
+    c.libros.forEach((l, j) => {
+      if (!texto(l?.isbn)) { error('{entidad}, libro {n}: el ISBN no es texto.', { entidad: nombre, n: j + 1 }); return; }
+      if (isbns.has(l.isbn)) error('{entidad}: ISBN {isbn} repetido.', { entidad: nombre, isbn: l.isbn });
+      isbns.add(l.isbn);
+      if (typeof l.title !== 'string') error('{entidad}, libro {isbn}: el título no es texto.', { entidad: nombre, isbn: l.isbn });
+      CAMPOS_METADATOS.forEach(campo => {
+        if (l[campo] != null && typeof l[campo] !== 'string') error('{entidad}, libro {isbn}: "{campo}" no es texto.', { entidad: nombre, isbn: l.isbn, campo });
+      });
+      if (l.precio != null && !(Number.isFinite(l.precio) && l.precio >= 0)) error('{entidad}, libro {isbn}: el precio no es un importe válido.', { entidad: nombre, isbn: l.isbn });
+      (l.ejemplares || []).forEach(e => {
+        if (!texto(e?.codigo)) error('{entidad}, libro {isbn}: ejemplar sin código.', { entidad: nombre, isbn: l.isbn });
+        else if (codigos.has(e.codigo)) error('Ejemplar {codigo} repetido.', { codigo: e.codigo });
+        else codigos.add(e.codigo);
+      });
+    });
+  });
 
-  function dispatch(action) {
-    const newState = reducer(state, action);
-    setState(newState);
+  datos.clases.forEach((c, i) => {
+    if (!texto(c.nombre)) error('Clase {n}: falta el nombre.', { n: i + 1 });
+    if (!cursoIds.has(c.cursoId)) error('Clase "{nombre}": el curso {curso} no existe.', { nombre: c.nombre ?? i + 1, curso: c.cursoId });
+  });
+
+  datos.alumnos.forEach((a, i) => {
+    const nombre = t('Alumno "{nombre}"', { nombre: a.nombre ?? i + 1 });
+    if (!texto(a.nombre)) error('Alumno {n}: falta el nombre.', { n: i + 1 });
+    if (!claseIds.has(a.claseId)) error('{entidad}: la clase {clase} no existe.', { entidad: nombre, clase: a.claseId });
+    ['apellidos', 'tutor', 'contactoTutor', 'notas'].forEach(campo => {
+      if (a[campo] != null && typeof a[campo] !== 'string') error('{entidad}: "{campo}" no es texto.', { entidad: nombre, campo });
+    });
+    if (a.firmas != null && !Array.isArray(a.firmas)) error('{entidad}: "firmas" no es una lista.', { entidad: nombre });
+    const firmaIds = new Set();
+    (Array.isArray(a.firmas) ? a.firmas : []).forEach((f, j) => {
+      if (!texto(f?.id) || !(esReferenciaFoto(f?.imagen) || /^data:image\//.test(f?.imagen ?? ''))) error('{entidad}, firma {n}: falta el id o la imagen.', { entidad: nombre, n: j + 1 });
+      else firmaIds.add(f.id);
+    });
+    if (!Array.isArray(a.prestamos)) { error('{entidad}: "prestamos" no es una lista.', { entidad: nombre }); return; }
+    a.prestamos.forEach((p, j) => {
+      if (!texto(p?.isbn)) error('{entidad}, préstamo {n}: el ISBN no es texto.', { entidad: nombre, n: j + 1 });
+      if (!ESTADOS_PRESTAMO[p?.estado]) error('{entidad}, préstamo {n}: estado "{estado}" desconocido.', { entidad: nombre, n: j + 1, estado: p?.estado });
+      if (p?.firmaId != null && !firmaIds.has(p.firmaId)) error('{entidad}, préstamo {n}: la firma {firma} no existe.', { entidad: nombre, n: j + 1, firma: p.firmaId });
+      [p?.revisionEntrega, p?.revisionDevolucion].filter(r => r != null).forEach(r => {
+        if (!CONDICIONES[r.condicion]) error('{entidad}, préstamo {n}: estado de conservación "{condicion}" desconocido.', { entidad: nombre, n: j + 1, condicion: r.condicion });
+        if (r.fotos != null && !(Array.isArray(r.fotos) && r.fotos.every(x => esReferenciaFoto(x) || /^data:image\//.test(x)))) error('{entidad}, préstamo {n}: las fotos no son imágenes.', { entidad: nombre, n: j + 1 });
+      });
+    });
+  });
+  return errores;
+}
+
+/**
+ * Punto único de entrada de datos externos (localStorage o fichero importado):
+ * migra a la versión actual, valida y descarta cualquier clave desconocida.
+ * @returns {{ estado?: object, errores: string[] }}
+ */
+function cargarDatos(datos) {
+  if (!datos || typeof datos !== 'object' || Array.isArray(datos)) {
+    return { errores: [t('El fichero no contiene un objeto de datos.')] };
   }
+  const faltan = ['cursos', 'clases', 'alumnos'].filter(k => !Array.isArray(datos[k]));
+  if (faltan.length) return { errores: faltan.map(k => t('Falta la lista "{lista}".', { lista: k })) };
 
-  return (
-    <div className="min-h-screen bg-slate-100 text-slate-900 font-sans flex flex-col">
-      <header className="bg-white/80 backdrop-blur-lg border-b border-slate-200 w-full">
-        <div className="max-w-2xl mx-auto p-4 flex items-center gap-3">
-          <BookOpen className="w-7 h-7 text-indigo-600" />
-          <span className="text-lg font-bold text-slate-800">Gestor de Libros</span>
-        </div>
-      </header>
+  let migrado;
+  try {
+    migrado = migrarEstado(datos);
+  } catch (e) {
+    return { errores: [e.message] };
+  }
+  const errores = validarEstado(migrado);
+  if (errores.length) return { errores };
 
-      <main className="max-w-2xl mx-auto p-4 w-full flex-grow">
-        {modo === "control" && <SeccionControl state={state} dispatch={dispatch} setMsg={setMsg} />}
-        {modo === "alumnos" && <SeccionAlumnos state={state} dispatch={dispatch} />}
-        {modo === "gestion" && <SeccionGestion state={state} dispatch={dispatch} setMsg={setMsg} />}
-      </main>
+  const { version, anioEscolar, cursos, clases, alumnos, archivo, ajustes, seleccion } = migrado;
+  const existe = (lista, id) => lista.some(x => x.id === id) ? id : null;
+  return {
+    estado: {
+      version, cursos, clases, alumnos,
+      anioEscolar: anioEscolar || anioEscolarDe(),
+      archivo: archivo || [],
+      ajustes: { ...estadoVacio().ajustes, ...ajustes },
+      seleccion: {
+        cursoId: existe(cursos, seleccion?.cursoId),
+        claseId: existe(clases, seleccion?.claseId),
+        alumnoId: existe(alumnos, seleccion?.alumnoId),
+      },
+    },
+    errores: [],
+  };
+}
 
-      <nav className="sticky bottom-0 z-20 bg-white/80 backdrop-blur-lg border-t border-slate-200 w-full">
-        <div className="max-w-2xl mx-auto p-2 flex items-center justify-around">
-            <TabButton icon={<Camera />} active={modo === "control"} onClick={() => setModo("control")}>Control</TabButton>
-            <TabButton icon={<Users />} active={modo === "alumnos"} onClick={() => setModo("alumnos")}>Alumnos</TabButton>
-            <TabButton icon={<Settings />} active={modo === "gestion"} onClick={() => setModo("gestion")}>Gestión</TabButton>
-        </div>
-      </nav>
+// --- Cambio de año escolar ---
+/**
+ * Cierra el año escolar: archiva cursos, clases y alumnos (con su historial) y prepara el nuevo.
+ * - plan.cursos[cursoId] = { clonar, nombre }: cursos del año nuevo, con la misma lista de libros y ejemplares.
+ *   Las clases de cada curso clonado se copian con el mismo nombre.
+ * - plan.destinos[claseId]: clase del año que acaba cuya copia recibe a sus alumnos; null si salen del centro.
+ * - plan.excepciones[alumnoId]: 'repite' (a la copia de su propia clase) o 'baja'.
+ * Los préstamos del año nuevo empiezan de cero; los anteriores quedan en el archivo.
+ */
+function cambiarAnioEscolar(state, plan) {
+  const archivado = {
+    id: uid(), anioEscolar: state.anioEscolar, archivadoEn: ahora(),
+    cursos: state.cursos, clases: state.clases, alumnos: state.alumnos,
+  };
+  const idCurso = {}, idClase = {};
+  const cursos = state.cursos.filter(c => plan.cursos[c.id]?.clonar).map(c => {
+    idCurso[c.id] = uid();
+    return { ...c, id: idCurso[c.id], nombre: plan.cursos[c.id].nombre?.trim() || c.nombre };
+  });
+  const clases = state.clases.filter(c => idCurso[c.cursoId]).map(c => {
+    idClase[c.id] = uid();
+    return { ...c, id: idClase[c.id], cursoId: idCurso[c.cursoId] };
+  });
+  const alumnos = state.alumnos.flatMap(a => {
+    const excepcion = plan.excepciones?.[a.id];
+    const claseId = excepcion === 'baja' ? null : idClase[excepcion === 'repite' ? a.claseId : plan.destinos[a.claseId]];
+    return claseId ? [{ ...a, claseId, prestamos: [], firmas: [] }] : [];
+  });
+  return {
+    ...state,
+    anioEscolar: plan.anioNuevo,
+    archivo: [...state.archivo, archivado],
+    cursos, clases, alumnos,
+    seleccion: { cursoId: null, claseId: null, alumnoId: null },
+  };
+}
 
-      {msg.text && (
-        <div className={`fixed bottom-20 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg shadow-lg text-white ${msg.type === 'success' ? 'bg-green-600' : 'bg-red-600'}`}>
-          <div className="flex items-center gap-2">
-            {msg.type === 'success' ? <CheckCircle size={20}/> : <AlertTriangle size={20}/>}
-            <span>{msg.text}</span>
-          </div>
-        </div>
-      )}
-    </div>
-  );
+/**
+ * Cuántos alumnos pasan, repiten o salen con un plan, y cuántos libros siguen sin devolver o sin pagar.
+ * `sinClase` son los que deberían seguir pero cuya clase de destino no se copia (su curso no se clona):
+ * el plan los dejaría fuera sin que nadie lo haya decidido.
+ */
+function resumirCambioAnio(state, plan) {
+  const nuevo = cambiarAnioEscolar(state, plan);
+  const repiten = state.alumnos.filter(a => plan.excepciones?.[a.id] === 'repite' && nuevo.alumnos.some(x => x.id === a.id)).length;
+  const clonada = (claseId) => plan.cursos[state.clases.find(c => c.id === claseId)?.cursoId]?.clonar;
+  const sinClase = state.alumnos.filter(a => {
+    const excepcion = plan.excepciones?.[a.id];
+    const destino = excepcion === 'repite' ? a.claseId : plan.destinos[a.claseId];
+    return excepcion !== 'baja' && destino != null && !clonada(destino);
+  });
+  return {
+    pasan: nuevo.alumnos.length - repiten,
+    repiten,
+    salen: state.alumnos.length - nuevo.alumnos.length - sinClase.length,
+    sinClase,
+    sinDevolver: state.alumnos.reduce((n, a) => n + a.prestamos.filter(p => p.estado === 'entregado').length, 0),
+    sinPagar: Object.values(deudasArchivadas(state)).reduce((n, d) => n + d.sinPagar, 0),
+  };
 }
 
-// --- Reducer ---
-function reducer(state, action) {
-  switch (action.type) {
-    // CURSOS
-    case 'ADD_CURSO': {
-        const nuevo = { id: uid(), nombre: action.payload.trim(), libros: [] };
-        return { ...state, cursos: [...state.cursos, nuevo], seleccion: {...state.seleccion, cursoId: nuevo.id} };
-    }
-    case 'DEL_CURSO': {
-        const cursoId = action.payload;
-        return {
-            ...state,
-            cursos: state.cursos.filter(c => c.id !== cursoId),
-            seleccion: {...state.seleccion, cursoId: state.seleccion.cursoId === cursoId ? null : state.seleccion.cursoId}
-        };
+// --- Búsqueda global ---
+const MAX_RESULTADOS = 8;
+
+/**
+ * Busca en alumnos, clases, cursos y libros sin distinguir mayúsculas ni tildes; todas las
+ * palabras de la consulta deben aparecer. Si la consulta es un ISBN de algún curso, devuelve
+ * además qué alumnos lo tienen entregado y a cuáles les falta.
+ */
+function buscarEnEstado(state, consulta) {
+  const palabras = normalizarTexto(consulta).split(' ').filter(Boolean);
+  if (!palabras.length) return null;
+  const coincide = (...textos) => {
+    const texto = normalizarTexto(textos.filter(Boolean).join(' '));
+    return palabras.every(p => texto.includes(p));
+  };
+  const clase = (id) => state.clases.find(c => c.id === id);
+
+  const isbn = codigoLibro(consulta);
+  const cursosConLibro = state.cursos.filter(c => c.libros.some(l => l.isbn === isbn));
+  let porISBN = null;
+  if (cursosConLibro.length) {
+    const alumnos = state.alumnos.filter(a => cursosConLibro.some(c => c.id === clase(a.claseId)?.cursoId));
+    porISBN = {
+      isbn,
+      libro: cursosConLibro[0].libros.find(l => l.isbn === isbn),
+      entregados: alumnos.filter(a => libroEntregado(a, isbn)),
+      pendientes: alumnos.filter(a => libroPorRecibir(a, isbn)),
+    };
+  }
+
+  return {
+    alumnos: state.alumnos.filter(a => coincide(a.nombre, a.apellidos, a.tutor)).slice(0, MAX_RESULTADOS),
+    clases: state.clases.filter(c => coincide(c.nombre)).slice(0, MAX_RESULTADOS),
+    cursos: state.cursos.filter(c => coincide(c.nombre)).slice(0, MAX_RESULTADOS),
+    libros: state.cursos.flatMap(c => c.libros.filter(l => coincide(l.title, l.autores, l.isbn)).map(libro => ({ libro, curso: c })))
+      .slice(0, MAX_RESULTADOS),
+    porISBN,
+  };
+}
+
+// --- Fusión de datos de varios dispositivos ---
+const CAMPOS_CONFLICTO = {
+  curso: ['nombre'],
+  libro: ['title', 'precio'],
+  clase: ['nombre', 'cursoId'],
+  alumno: ['nombre', 'apellidos', 'numeroLista', 'claseId', 'tutor', 'contactoTutor', 'notas'],
+};
+
+// Lo que se anota sobre un préstamo ya registrado (firma, revisiones, pago): si solo lo tiene un
+// lado, se conserva.
+const CAMPOS_ANOTADOS = ['firmaId', 'revisionEntrega', 'revisionDevolucion', 'pagadoEn'];
+
+function completarPrestamo(base, otro) {
+  const faltan = CAMPOS_ANOTADOS.filter(campo => base[campo] == null && otro[campo] != null);
+  if (!faltan.length) return base;
+  return { ...base, ...Object.fromEntries(faltan.map(campo => [campo, otro[campo]])) };
+}
+
+/**
+ * Une los préstamos de ambos lados. Un mismo préstamo (mismo id) se queda con la versión
+ * más avanzada (la que ya registra devolución), completada con lo que solo anotó el otro, y,
+ * si cada dispositivo registró su propia entrega activa del mismo ISBN, se conserva la más antigua.
+ */
+function fusionarPrestamos(locales, importados) {
+  const porId = new Map(locales.map(p => [p.id, p]));
+  importados.forEach(p => {
+    const actual = porId.get(p.id);
+    if (!actual) porId.set(p.id, p);
+    else if (!actual.devueltoEn && p.devueltoEn) porId.set(p.id, completarPrestamo(p, actual));
+    else porId.set(p.id, completarPrestamo(actual, p));
+  });
+  const activos = new Set();
+  return [...porId.values()]
+    .sort((a, b) => (a.entregadoEn || '').localeCompare(b.entregadoEn || ''))
+    .filter(p => {
+      if (p.estado !== 'entregado') return true;
+      if (activos.has(p.isbn)) return false;
+      activos.add(p.isbn);
+      return true;
+    });
+}
+
+/**
+ * Combina unos datos importados con los locales. Las entidades se emparejan por id y, si no,
+ * por nombre (dentro del mismo curso/clase). Ante valores distintos se mantiene el local y se
+ * anota un conflicto para que el usuario elija.
+ * @returns {{ estado: object, conflictos: object[], resumen: object }}
+ */
+function fusionarEstados(local, importadoOriginal) {
+  // Los alumnos y préstamos de otro año no son los de este: mezclarlos los dejaría en clases equivocadas.
+  if (importadoOriginal.anioEscolar !== local.anioEscolar) {
+    throw new Error(t('El archivo es del año escolar {importado} y estos datos son del {local}: no se pueden combinar.', { importado: importadoOriginal.anioEscolar, local: local.anioEscolar }));
+  }
+  const { importado, renumerados, contadorEjemplares } = renumerarEjemplaresRepetidos(local, importadoOriginal);
+  const clave = normalizarTexto;
+  const conflictos = [];
+  const resumen = { cursos: 0, libros: 0, clases: 0, alumnos: 0, prestamos: 0, renumerados };
+  const idCurso = {}, idClase = {};
+  const comparar = (tipo, etiqueta, a, b, extra = {}) => {
+    CAMPOS_CONFLICTO[tipo].forEach(campo => {
+      // Diferencias solo de mayúsculas, tildes o espacios no cuentan como conflicto.
+      if (clave(String(a[campo] ?? '')) === clave(String(b[campo] ?? ''))) return;
+      conflictos.push({
+        id: [tipo, a.id || extra.cursoId, a.isbn, campo].filter(Boolean).join(':'),
+        tipo, entidadId: a.id || a.isbn, ...extra, etiqueta, campo, local: a[campo], importado: b[campo],
+      });
+    });
+  };
+
+  const cursos = local.cursos.map(c => ({ ...c }));
+  importado.cursos.forEach(ci => {
+    const c = cursos.find(x => x.id === ci.id) || cursos.find(x => clave(x.nombre) === clave(ci.nombre));
+    if (!c) {
+      cursos.push(ci);
+      idCurso[ci.id] = ci.id;
+      resumen.cursos++;
+      return;
     }
-    case 'ADD_LIBRO_A_CURSO': {
-        const { cursoId, isbn, title } = action.payload;
-        return {
-            ...state,
-            cursos: state.cursos.map(c => {
-                if (c.id !== cursoId) return c;
-                if (c.libros.some(l => l.isbn === isbn)) return c; // Evitar duplicados
-                return {...c, libros: [...c.libros, { isbn, title: title || `Libro ${isbn}` }]} ;
-            })
-        };
+    idCurso[ci.id] = c.id;
+    comparar('curso', c.nombre, c, ci);
+    const libros = [...c.libros];
+    ci.libros.forEach(li => {
+      const i = libros.findIndex(l => l.isbn === li.isbn);
+      if (i === -1) {
+        libros.push(li);
+        resumen.libros++;
+        return;
+      }
+      const l = libros[i];
+      comparar('libro', `${l.title} (${c.nombre})`, l, li, { cursoId: c.id });
+      const codigos = new Set((l.ejemplares || []).map(e => e.codigo));
+      const nuevos = (li.ejemplares || []).filter(e => !codigos.has(e.codigo));
+      if (nuevos.length) libros[i] = { ...l, ejemplares: [...(l.ejemplares || []), ...nuevos] };
+    });
+    c.libros = libros;
+  });
+
+  const clases = local.clases.map(c => ({ ...c }));
+  importado.clases.forEach(original => {
+    const ci = { ...original, cursoId: idCurso[original.cursoId] ?? original.cursoId };
+    const c = clases.find(x => x.id === ci.id) || clases.find(x => x.cursoId === ci.cursoId && clave(x.nombre) === clave(ci.nombre));
+    if (!c) {
+      clases.push(ci);
+      idClase[ci.id] = ci.id;
+      resumen.clases++;
+      return;
     }
-    case 'DEL_LIBRO_DE_CURSO': {
-        const { cursoId, isbn } = action.payload;
-        return {
-            ...state,
-            cursos: state.cursos.map(c => {
-                if (c.id !== cursoId) return c;
-                return { ...c, libros: c.libros.filter(l => l.isbn !== isbn) };
-            })
-        };
+    idClase[ci.id] = c.id;
+    comparar('clase', c.nombre, c, ci);
+  });
+
+  const alumnos = local.alumnos.map(a => ({ ...a }));
+  importado.alumnos.forEach(original => {
+    const ai = { ...original, claseId: idClase[original.claseId] ?? original.claseId };
+    const a = alumnos.find(x => x.id === ai.id)
+      || alumnos.find(x => x.claseId === ai.claseId && clave(nombreCompleto(x)) === clave(nombreCompleto(ai)));
+    if (!a) {
+      alumnos.push(ai);
+      resumen.alumnos++;
+      return;
     }
-    case 'REORDER_LIBROS': {
-        const { cursoId, isbn, direction } = action.payload;
-        return {
-            ...state,
-            cursos: state.cursos.map(c => {
-                if (c.id !== cursoId) return c;
+    comparar('alumno', nombreCompleto(a), a, ai);
+    const antes = a.prestamos.length;
+    a.prestamos = fusionarPrestamos(a.prestamos, ai.prestamos);
+    const firmas = (ai.firmas || []).filter(f => !(a.firmas || []).some(x => x.id === f.id));
+    if (firmas.length) a.firmas = [...(a.firmas || []), ...firmas];
+    resumen.prestamos += Math.max(0, a.prestamos.length - antes);
+  });
 
-                const index = c.libros.findIndex(l => l.isbn === isbn);
-                if (index === -1) return c;
+  return {
+    estado: {
+      ...local, cursos, clases, alumnos,
+      // Los años archivados no se combinan entre sí: se añaden los que no haya aquí.
+      archivo: [...local.archivo, ...importado.archivo.filter(a => !local.archivo.some(x => x.id === a.id))],
+      ajustes: { ...local.ajustes, contadorEjemplares },
+    },
+    conflictos,
+    resumen,
+  };
+}
 
-                const newLibros = [...c.libros];
+/**
+ * Cada dispositivo numera sus ejemplares con su propio contador, así que dos copias físicas
+ * distintas pueden llegar con el mismo código. Es la misma copia solo si coinciden código, ISBN y
+ * fecha de alta; si no, la importada recibe un código nuevo (sin imprimir, para reetiquetarla) y los
+ * préstamos del fichero que la citaban pasan al código nuevo. `antes` guarda el código sustituido:
+ * si se vuelve a combinar el mismo fichero, la copia se reconoce en vez de duplicarse.
+ * @returns {{ importado: object, renumerados: number, contadorEjemplares: number }}
+ */
+function renumerarEjemplaresRepetidos(local, importado) {
+  const locales = new Map(), renumerados = new Map();
+  local.cursos.forEach(c => c.libros.forEach(l => (l.ejemplares || []).forEach(e => {
+    locales.set(e.codigo, `${l.isbn}|${e.altaEn}`);
+    if (e.antes) renumerados.set(`${e.antes}|${l.isbn}|${e.altaEn}`, e.codigo);
+  })));
+  const usados = new Set(locales.keys());
+  importado.cursos.forEach(c => c.libros.forEach(l => (l.ejemplares || []).forEach(e => usados.add(e.codigo))));
+  let contador = Math.max(local.ajustes.contadorEjemplares, importado.ajustes.contadorEjemplares);
+  const cambios = new Map();
+  const nuevoCodigo = () => {
+    let codigo;
+    do {
+      [codigo] = generarCodigosEjemplar({ ...local.ajustes, contadorEjemplares: contador }, 1);
+      contador++;
+    } while (usados.has(codigo));
+    usados.add(codigo);
+    return codigo;
+  };
+  const cursos = importado.cursos.map(c => ({
+    ...c,
+    libros: c.libros.map(l => !l.ejemplares ? l : {
+      ...l,
+      ejemplares: l.ejemplares.map(e => {
+        if (!locales.has(e.codigo) || locales.get(e.codigo) === `${l.isbn}|${e.altaEn}`) return e;
+        const yaRenumerado = renumerados.get(`${e.codigo}|${l.isbn}|${e.altaEn}`);
+        const codigo = yaRenumerado || nuevoCodigo();
+        cambios.set(e.codigo, codigo);
+        return { ...e, codigo, impreso: false, antes: e.codigo };
+      }),
+    }),
+  }));
+  if (!cambios.size) return { importado, renumerados: 0, contadorEjemplares: contador };
+  const alumnos = importado.alumnos.map(a => ({
+    ...a,
+    prestamos: a.prestamos.map(p => cambios.has(p.ejemplar) ? { ...p, ejemplar: cambios.get(p.ejemplar) } : p),
+  }));
+  const nuevos = [...cambios.values()].filter(codigo => !locales.has(codigo)).length;
+  return { importado: { ...importado, cursos, alumnos }, renumerados: nuevos, contadorEjemplares: contador };
+}
 
-                if (direction === 'up' && index > 0) {
-                    [newLibros[index - 1], newLibros[index]] = [newLibros[index], newLibros[index - 1]];
-                } else if (direction === 'down' && index < newLibros.length - 1) {
-                    [newLibros[index + 1], newLibros[index]] = [newLibros[index], newLibros[index + 1]];
-                }
+/** Aplica los valores importados en los conflictos donde el usuario los ha elegido. */
+function resolverConflictos(estado, conflictos, elecciones) {
+  const elegidos = conflictos.filter(c => elecciones[c.id] === 'importado');
+  if (!elegidos.length) return estado;
+  const aplicar = (entidad, filtro) => elegidos.filter(filtro).reduce((e, c) => ({ ...e, [c.campo]: c.importado }), entidad);
+  return {
+    ...estado,
+    cursos: estado.cursos.map(c => ({
+      ...aplicar(c, x => x.tipo === 'curso' && x.entidadId === c.id),
+      libros: c.libros.map(l => aplicar(l, x => x.tipo === 'libro' && x.cursoId === c.id && x.entidadId === l.isbn)),
+    })),
+    clases: estado.clases.map(c => aplicar(c, x => x.tipo === 'clase' && x.entidadId === c.id)),
+    alumnos: estado.alumnos.map(a => aplicar(a, x => x.tipo === 'alumno' && x.entidadId === a.id)),
+  };
+}
 
-                return { ...c, libros: newLibros };
-            })
-        };
-    }
-    // CLASES
-    case 'ADD_CLASE': {
-        const { cursoId, nombre } = action.payload;
-        const nueva = { id: uid(), nombre: nombre.trim(), cursoId };
-        return { ...state, clases: [...state.clases, nueva] };
-    }
-    case 'DEL_CLASE': {
-        const claseId = action.payload;
-        return {
-            ...state,
-            clases: state.clases.filter(c => c.id !== claseId),
-            seleccion: {...state.seleccion, claseId: state.seleccion.claseId === claseId ? null : state.seleccion.claseId}
-        };
+// --- Utilidades de préstamos ---
+// Las etiquetas son claves de traducción: se pasan por t() al mostrarlas.
+const ESTADOS_PRESTAMO = {
+  entregado: { etiqueta: 'Entregado', clase: 'bg-green-50 border-green-200', icono: 'bg-green-500 text-white' },
+  devuelto: { etiqueta: 'Devuelto', clase: 'bg-sky-50 border-sky-200', icono: 'bg-sky-500 text-white' },
+  perdido: { etiqueta: 'Perdido', clase: 'bg-red-50 border-red-200', icono: 'bg-red-500 text-white' },
+  dañado: { etiqueta: 'Dañado', clase: 'bg-amber-50 border-amber-200', icono: 'bg-amber-500 text-white' },
+};
+
+// Estado de conservación del libro, de mejor a peor. `prestamo` es como queda el préstamo si
+// se devuelve así: deteriorado cuenta como dañado y perdido no llega a devolverse.
+const CONDICIONES = {
+  nuevo: { etiqueta: 'Nuevo', clase: 'bg-emerald-100 text-emerald-800 border-emerald-300', prestamo: 'devuelto' },
+  bueno: { etiqueta: 'Bueno', clase: 'bg-green-100 text-green-800 border-green-300', prestamo: 'devuelto' },
+  aceptable: { etiqueta: 'Aceptable', clase: 'bg-yellow-100 text-yellow-800 border-yellow-300', prestamo: 'devuelto' },
+  deteriorado: { etiqueta: 'Deteriorado', clase: 'bg-amber-100 text-amber-800 border-amber-300', prestamo: 'dañado' },
+  perdido: { etiqueta: 'Perdido', clase: 'bg-red-100 text-red-800 border-red-300', prestamo: 'perdido' },
+};
+const MAX_FOTOS_REVISION = 3;
+
+/** Importe en euros con el formato del idioma actual. */
+function formatearImporte(importe) {
+  return (importe || 0).toLocaleString(localeActual(), { style: 'currency', currency: 'EUR' });
+}
+
+/** Lee un precio escrito a mano ("12,50", "12.5 €"). Vacío es null; lo que no es un importe, NaN. */
+function leerPrecio(texto) {
+  const limpio = String(texto ?? '').replace(/€/g, '').trim().replace(',', '.');
+  if (!limpio) return null;
+  return /^\d+(\.\d{1,2})?$/.test(limpio) ? Number(limpio) : NaN;
+}
+
+/**
+ * Libros que un alumno tiene que reponer: los préstamos perdidos o dañados, con el precio de
+ * reposición del libro en el curso (0 si no se ha fijado). El de un libro ya quitado del curso
+ * se sigue cobrando, aunque sin precio.
+ * @returns {{ prestamo: Prestamo, libro: Libro | null, titulo: string, importe: number, pagado: boolean }[]}
+ */
+function cargosAlumno(alumno, curso) {
+  return (alumno?.prestamos || [])
+    .filter(p => p.estado === 'perdido' || p.estado === 'dañado')
+    .map(p => {
+      const libro = curso?.libros.find(l => l.isbn === p.isbn) || null;
+      return { prestamo: p, libro, titulo: libro?.title || p.isbn, importe: libro?.precio || 0, pagado: !!p.pagadoEn };
+    });
+}
+
+/** Lo que falta por pagar de unos cargos, redondeado a céntimos. */
+function totalPendiente(cargos) {
+  return Math.round(cargos.filter(c => !c.pagado).reduce((suma, c) => suma + c.importe, 0) * 100) / 100;
+}
+
+/**
+ * Reposiciones que quedaron sin pagar en un año archivado, por alumno, con los precios de los
+ * cursos de ese año: el año nuevo empieza sin préstamos y solo aquí constan.
+ * @returns {Record<string, { sinPagar: number, importe: number }>} Por id de alumno, solo los que deben algo.
+ */
+function deudasArchivadas(anio) {
+  const deudas = {};
+  anio.alumnos.forEach(alumno => {
+    const cursoId = anio.clases.find(c => c.id === alumno.claseId)?.cursoId;
+    const cargos = cargosAlumno(alumno, anio.cursos.find(c => c.id === cursoId)).filter(c => !c.pagado);
+    if (cargos.length) deudas[alumno.id] = { sinPagar: cargos.length, importe: totalPendiente(cargos) };
+  });
+  return deudas;
+}
+
+/** Último préstamo registrado de un ISBN para un alumno (el que define su estado actual). */
+function ultimoPrestamo(alumno, isbn) {
+  for (let i = alumno.prestamos.length - 1; i >= 0; i--) {
+    if (alumno.prestamos[i].isbn === isbn) return alumno.prestamos[i];
+  }
+  return null;
+}
+
+function libroEntregado(alumno, isbn) {
+  return ultimoPrestamo(alumno, isbn)?.estado === 'entregado';
+}
+
+/**
+ * El alumno no ha recibido nunca el libro: es lo único que cuenta como pendiente de entregar.
+ * Un libro devuelto o con incidencia ya se le dio y no es un ejemplar por repartir.
+ */
+function libroPorRecibir(alumno, isbn) {
+  return !ultimoPrestamo(alumno, isbn);
+}
+
+/** Firma con la que se recogió un préstamo, si la hay. */
+function firmaDePrestamo(alumno, prestamo) {
+  return prestamo?.firmaId ? alumno.firmas?.find(f => f.id === prestamo.firmaId) : undefined;
+}
+
+function porcentaje(parte, total) {
+  return total ? Math.round((parte / total) * 100) : 0;
+}
+
+/** Porcentajes de entrega de una clase, por alumno y por libro. */
+function resumenEntregas(alumnos, libros) {
+  const porAlumno = {};
+  const porLibro = {};
+  libros.forEach(l => { porLibro[l.isbn] = { entregados: 0, pct: 0 }; });
+  alumnos.forEach(a => {
+    let entregados = 0;
+    libros.forEach(l => {
+      if (libroEntregado(a, l.isbn)) {
+        entregados++;
+        porLibro[l.isbn].entregados++;
+      }
+    });
+    porAlumno[a.id] = { entregados, pendientes: libros.length - entregados, pct: porcentaje(entregados, libros.length) };
+  });
+  libros.forEach(l => { porLibro[l.isbn].pct = porcentaje(porLibro[l.isbn].entregados, alumnos.length); });
+  return { porAlumno, porLibro };
+}
+
+// Datos opcionales de un libro que llegan de los proveedores de búsqueda por ISBN.
+const CAMPOS_METADATOS = ['autores', 'editorial', 'anio', 'portada'];
+
+function metadatosLibro(datos) {
+  return Object.fromEntries(CAMPOS_METADATOS.filter(c => datos?.[c]).map(c => [c, datos[c]]));
+}
+
+/** "Autores · Editorial · Año", con lo que se conozca del libro. */
+function detallesLibro(libro) {
+  return [libro.autores, libro.editorial, libro.anio].filter(Boolean).join(' · ');
+}
+
+function formatearFecha(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString(localeActual());
+}
+
+// Actualiza el último préstamo de un ISBN; si no existe, devuelve el alumno tal cual.
+function actualizarUltimoPrestamo(alumno, isbn, cambios) {
+  const ultimo = ultimoPrestamo(alumno, isbn);
+  if (!ultimo) return alumno;
+  return { ...alumno, prestamos: alumno.prestamos.map(p => p === ultimo ? { ...p, ...cambios } : p) };
+}
+
+/** @returns {Revision} Sin notas ni fotos vacías. */
+function crearRevision({ condicion, notas, fotos }, fecha) {
+  const revision = { condicion, revisadoEn: fecha || ahora() };
+  if (notas?.trim()) revision.notas = notas.trim();
+  if (fotos?.length) revision.fotos = fotos.slice(0, MAX_FOTOS_REVISION);
+  return revision;
+}
+
+// --- Utilidades de ejemplares ---
+function generarCodigosEjemplar(ajustes, cantidad) {
+  const prefijo = (ajustes.prefijoEjemplar || 'LIB').trim().toUpperCase();
+  return Array.from({ length: cantidad }, (_, i) => `${prefijo}-${String(ajustes.contadorEjemplares + i + 1).padStart(5, '0')}`);
+}
+
+/** Localiza un ejemplar por su código de etiqueta en todos los cursos. */
+function buscarEjemplar(cursos, codigo) {
+  for (const curso of cursos) {
+    for (const libro of curso.libros) {
+      const ejemplar = libro.ejemplares?.find(e => e.codigo === codigo);
+      if (ejemplar) return { curso, libro, ejemplar };
     }
-    // ALUMNOS
-    case 'ADD_ALUMNO': {
-      const { claseId, nombre } = action.payload;
-      const nuevo = { id: uid(), nombre: nombre.trim(), claseId, librosEntregados: [] };
-      return { ...state, alumnos: [...state.alumnos, nuevo], seleccion: {...state.seleccion, alumnoId: nuevo.id} };
+  }
+  return null;
+}
+
+/** Alumno que tiene ahora mismo el ejemplar (préstamo activo), o undefined. */
+function titularEjemplar(alumnos, codigo) {
+  return alumnos.find(a => a.prestamos.some(p => p.ejemplar === codigo && p.estado === 'entregado'));
+}
+
+// --- Carnés de alumno ---
+// El prefijo evita confundir el código del carné con un ISBN o con la etiqueta de un ejemplar.
+const PREFIJO_CARNET = "ALU:";
+
+function codigoCarnet(alumno) {
+  return PREFIJO_CARNET + alumno.id;
+}
+
+function alumnoIdDeCarnet(codigo) {
+  return codigo.startsWith(PREFIJO_CARNET) ? codigo.slice(PREFIJO_CARNET.length) : null;
+}
+
+// --- Exportación ---
+function filasACSV(filas) {
+  return filas.map(f => f.map(s => `"${String(s).replace(/"/g, '""')}"`).join(",")).join("\n");
+}
+
+function descargarArchivo(contenido, tipo, filename) {
+  const blob = new Blob([contenido], { type: tipo });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// --- Impresión ---
+function codigoBarrasSVG(texto) {
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  JsBarcode(svg, texto, { format: "CODE128", height: 40, width: 1.6, fontSize: 12, margin: 0 });
+  return svg.outerHTML;
+}
+
+function escaparHTML(texto) {
+  return String(texto ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Abre una ventana independiente con el documento y lanza el diálogo de impresión del navegador.
+// El cuerpo puede llegar como promesa (p. ej. con las firmas leídas del almacén): la ventana se abre
+// en el momento, mientras el navegador aún la asocia al clic, y se rellena después.
+function imprimirDocumento(titulo, cuerpo, estilos = "") {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  Promise.resolve(cuerpo).then((html) => {
+    w.document.write(`<!DOCTYPE html><html lang="${idiomaActual()}"><head><meta charset="UTF-8"><title>${escaparHTML(titulo)}</title>
+<style>body{font-family:system-ui,sans-serif;margin:0;padding:12mm;color:#0f172a}@page{margin:10mm}${estilos}</style></head>
+<body>${html}</body></html>`);
+    w.document.close();
+    w.focus();
+    w.print();
+  }, (e) => {
+    console.error(e);
+    w.close();
+  });
+  return true;
+}
+
+function imprimirEtiquetas(curso, etiquetas) {
+  const cuerpo = `<div class="hoja">${etiquetas.map(({ codigo, libro }) => `
+    <div class="etiqueta">
+      <div class="titulo">${escaparHTML(libro.title)}</div>
+      ${codigoBarrasSVG(codigo)}
+      <div class="curso">${escaparHTML(curso.nombre)}</div>
+    </div>`).join("")}</div>`;
+  const estilos = `.hoja{display:grid;grid-template-columns:repeat(3,1fr);gap:4mm}
+.etiqueta{border:1px dashed #94a3b8;padding:3mm;text-align:center;break-inside:avoid}
+.etiqueta svg{max-width:100%;height:auto}
+.titulo{font-size:10px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.curso{font-size:9px;color:#475569}`;
+  return imprimirDocumento(t('Etiquetas {curso}', { curso: curso.nombre }), cuerpo, estilos);
+}
+
+function imprimirCarnets(clase, alumnos) {
+  const cuerpo = `<div class="hoja">${alumnos.map(a => `
+    <div class="carnet">
+      <div class="nombre">${escaparHTML(nombreCompleto(a))}</div>
+      <div class="clase">${escaparHTML(clase.nombre)}</div>
+      ${codigoBarrasSVG(codigoCarnet(a))}
+    </div>`).join("")}</div>`;
+  const estilos = `.hoja{display:grid;grid-template-columns:repeat(2,1fr);gap:6mm}
+.carnet{border:1px solid #334155;border-radius:3mm;padding:4mm;text-align:center;break-inside:avoid}
+.carnet svg{max-width:100%;height:auto}
+.nombre{font-size:14px;font-weight:700}
+.clase{font-size:11px;color:#475569;margin-bottom:2mm}`;
+  return imprimirDocumento(t('Carnés {clase}', { clase: clase.nombre }), cuerpo, estilos);
+}
+
+// --- Albaranes e informes de entrega ---
+const ESTILOS_INFORME = `h1{font-size:18px;margin:0 0 1mm}
+.subtitulo{font-size:12px;color:#475569;margin-bottom:5mm}
+table{width:100%;border-collapse:collapse;font-size:12px}
+th,td{border:1px solid #cbd5e1;padding:1.5mm 2mm;text-align:left;vertical-align:top}
+th{background:#f1f5f9}
+tr{break-inside:avoid}
+.num{text-align:right;white-space:nowrap}
+.mono{font-family:ui-monospace,monospace}
+.vacio{color:#64748b;font-style:italic}
+.pagina{break-after:page}
+.pagina:last-child{break-after:auto}
+.firmas{display:grid;grid-template-columns:repeat(3,1fr);gap:8mm;margin-top:18mm;font-size:11px;text-align:center}
+.firmas div{border-top:1px solid #0f172a;padding-top:1.5mm}
+.firmadas{display:flex;flex-wrap:wrap;gap:6mm;margin-top:6mm;font-size:11px}
+.firmadas figure{margin:0;text-align:center}
+.firmadas img{height:22mm;border-bottom:1px solid #0f172a}`;
+
+function tablaInforme(cabeceras, filas) {
+  return `<table><thead><tr>${cabeceras.map(c => `<th>${c}</th>`).join('')}</tr></thead>
+<tbody>${filas.map(f => `<tr>${f.join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/** Libros del curso que el alumno tiene ahora mismo, con su préstamo activo. */
+function librosRecibidos(alumno, curso) {
+  return curso.libros
+    .map(libro => ({ libro, prestamo: ultimoPrestamo(alumno, libro.isbn) }))
+    .filter(r => r.prestamo?.estado === 'entregado');
+}
+
+/** Libros del curso que el alumno aún no ha recibido. */
+function librosPendientes(alumno, curso) {
+  return curso.libros.filter(l => libroPorRecibir(alumno, l.isbn));
+}
+
+function cursoDeAlumno(state, alumno) {
+  const clase = state.clases.find(c => c.id === alumno.claseId);
+  return state.cursos.find(c => c.id === clase?.cursoId);
+}
+
+/** Libros que el alumno tiene entregados y aún sin firmar, de su propio curso. */
+function librosPorFirmar(state, alumno) {
+  const curso = cursoDeAlumno(state, alumno);
+  return curso ? librosRecibidos(alumno, curso).filter(r => !r.prestamo.firmaId).map(r => r.libro) : [];
+}
+
+// --- Entregas de una sesión ---
+// En una sesión con lector o cámara se pasa de un alumno a otro sin parar: lo que falta de cada
+// uno (el estado de cada libro entregado y la firma) no se pierde al escanear el carné del
+// siguiente, sino que se pide entre alumnos (o al cerrar la cámara) con el alumno al que corresponde.
+/** @typedef {{ alumnoId: string, revisar: string[], firmar: boolean }} PendienteEntrega */
+
+/** @returns {PendienteEntrega[]} con el estado del libro y la firma del alumno pendientes. */
+function anotarEntregaPendiente(pendientes, alumnoId, isbn) {
+  const previo = pendientes.find(p => p.alumnoId === alumnoId);
+  return [...pendientes.filter(p => p !== previo), { alumnoId, revisar: [...(previo?.revisar || []), isbn], firmar: true }];
+}
+
+/** El estado del libro ya está anotado o se ha preferido no anotarlo. */
+function quitarRevisionPendiente(pendientes, alumnoId, isbn) {
+  return pendientes.map(p => p.alumnoId === alumnoId ? { ...p, revisar: p.revisar.filter(i => i !== isbn) } : p);
+}
+
+function olvidarEntregaPendiente(pendientes, alumnoId) {
+  return pendientes.filter(p => p.alumnoId !== alumnoId);
+}
+
+/**
+ * Lo siguiente que pedir: primero lo de los alumnos que ya no están activos (el estado de sus
+ * libros y luego la firma) y después el estado de lo entregado al activo, que firma al acabar.
+ * @returns {{ alumno: Alumno, libro?: Libro } | null} con `libro` si toca anotar su estado; sin él, la firma.
+ */
+function siguientePendiente(state, pendientes, alumnoActivoId) {
+  const orden = [...pendientes.filter(p => p.alumnoId !== alumnoActivoId), ...pendientes.filter(p => p.alumnoId === alumnoActivoId)];
+  for (const p of orden) {
+    const alumno = state.alumnos.find(a => a.id === p.alumnoId);
+    const curso = alumno && cursoDeAlumno(state, alumno);
+    if (!curso) continue;
+    const libro = curso.libros.find(l => p.revisar.includes(l.isbn) && libroEntregado(alumno, l.isbn) && !ultimoPrestamo(alumno, l.isbn).revisionEntrega);
+    if (libro) return { alumno, libro };
+    if (p.firmar && p.alumnoId !== alumnoActivoId && librosPorFirmar(state, alumno).length) return { alumno };
+  }
+  return null;
+}
+
+/** Albarán de un alumno: libros recibidos con fecha y ejemplar, y espacio para las firmas. */
+function htmlAlbaran(alumno, clase, curso, anioEscolar) {
+  const recibidos = librosRecibidos(alumno, curso);
+  const filas = recibidos.map(({ libro, prestamo }) => [
+    `<td>${escaparHTML(libro.title)}</td>`,
+    `<td class="mono">${escaparHTML(libro.isbn)}</td>`,
+    `<td class="mono">${escaparHTML(prestamo.ejemplar || '')}</td>`,
+    `<td class="num">${formatearFecha(prestamo.entregadoEn)}</td>`,
+  ]);
+  const tutor = alumno.tutor ? ` (${escaparHTML(alumno.tutor)})` : '';
+  const firmadas = [...new Set(recibidos.map(r => firmaDePrestamo(alumno, r.prestamo)).filter(Boolean))];
+  // Si todo se firmó en pantalla solo queda por firmar el centro.
+  const lineas = recibidos.length && recibidos.every(r => r.prestamo.firmaId)
+    ? [t('Centro')]
+    : [t('Alumno/a'), t('Familia o tutor legal') + tutor, t('Centro')];
+  return `<section class="pagina">
+  <h1>${t('Albarán de entrega de libros')}</h1>
+  <div class="subtitulo">${escaparHTML(nombreCompleto(alumno))} · ${escaparHTML(clase.nombre)} · ${escaparHTML(curso.nombre)} · ${t('Curso {anio}', { anio: escaparHTML(anioEscolar) })}</div>
+  ${filas.length ? tablaInforme([t('Libro'), 'ISBN', t('Ejemplar'), t('Entregado')], filas) : `<p class="vacio">${t('No tiene libros entregados.')}</p>`}
+  <p>${t('El alumno o alumna recibe los libros anteriores en préstamo y se compromete a cuidarlos y devolverlos al final del curso.')}</p>
+  ${firmadas.length ? `<div class="firmadas">${firmadas.map(f => `<figure>${esReferenciaFoto(f.imagen) ? '' : `<img src="${escaparHTML(f.imagen)}" alt="${t('Firma')}">`}<figcaption>${escaparHTML(f.nombre)} (${escaparHTML(t(f.relacion))}) · ${formatearFecha(f.firmadoEn)}</figcaption></figure>`).join('')}</div>` : ''}
+  <div class="firmas">${lineas.map(l => `<div>${l}</div>`).join('')}</div>
+</section>`;
+}
+
+/** Imprime un albarán por alumno, cada uno en su página, con las firmas que tenga este dispositivo. */
+function imprimirAlbaranes(almacen, alumnos, clase, curso, anioEscolar) {
+  const titulo = alumnos.length === 1 ? t('Albarán {alumno}', { alumno: nombreCompleto(alumnos[0]) }) : t('Albaranes {clase}', { clase: clase.nombre });
+  const conFirmas = Promise.all(alumnos.map(a => cambiarFotosAlumno(a, async (foto) => (await leerFoto(almacen, foto)) ?? foto)));
+  return imprimirDocumento(titulo, conFirmas.then(lista => lista.map(a => htmlAlbaran(a, clase, curso, anioEscolar)).join('')), ESTILOS_INFORME);
+}
+
+/** Informe de una clase con los libros que le faltan a cada alumno. */
+function htmlPendientesClase(clase, curso, alumnos, anioEscolar) {
+  const conPendientes = alumnos
+    .map(alumno => ({ alumno, pendientes: librosPendientes(alumno, curso) }))
+    .filter(f => f.pendientes.length);
+  const filas = conPendientes.map(({ alumno, pendientes }) => [
+    `<td class="num">${alumno.numeroLista ?? ''}</td>`,
+    `<td>${escaparHTML(nombreCompleto(alumno))}</td>`,
+    `<td>${pendientes.map(l => escaparHTML(l.title)).join('<br>')}</td>`,
+    `<td class="num">${pendientes.length}</td>`,
+  ]);
+  const total = conPendientes.reduce((n, f) => n + f.pendientes.length, 0);
+  return `<h1>${t('Libros pendientes')} · ${escaparHTML(clase.nombre)}</h1>
+<div class="subtitulo">${escaparHTML(curso.nombre)} · ${t('Curso {anio}', { anio: escaparHTML(anioEscolar) })} · ${formatearFecha(new Date().toISOString())} · ${t('{con} de {n} alumnos con libros pendientes', { con: conPendientes.length, n: alumnos.length })}, ${t('{n} libros en total', { n: total })}</div>
+${filas.length ? tablaInforme([t('Nº'), t('Alumno'), t('Libros pendientes'), t('Total')], filas) : `<p class="vacio">${t('Todos los alumnos tienen sus libros.')}</p>`}`;
+}
+
+function imprimirPendientesClase(clase, curso, alumnos, anioEscolar) {
+  return imprimirDocumento(t('Pendientes {clase}', { clase: clase.nombre }), htmlPendientesClase(clase, curso, alumnos, anioEscolar), ESTILOS_INFORME);
+}
+
+/**
+ * Por cada libro de un curso: cuántos faltan por entregar en cada una de sus clases y en total,
+ * y cuántos ejemplares etiquetados siguen sin asignar a ningún alumno.
+ */
+function resumenCurso(curso, clases, alumnos) {
+  const clasesCurso = clases.filter(c => c.cursoId === curso.id);
+  const alumnosPorClase = Object.fromEntries(clasesCurso.map(c => [c.id, alumnos.filter(a => a.claseId === c.id)]));
+  const libros = curso.libros.map(libro => {
+    const porClase = Object.fromEntries(clasesCurso.map(c => [c.id, alumnosPorClase[c.id].filter(a => libroPorRecibir(a, libro.isbn)).length]));
+    const ejemplares = libro.ejemplares || [];
+    return {
+      libro,
+      porClase,
+      porEntregar: Object.values(porClase).reduce((n, x) => n + x, 0),
+      ejemplares: ejemplares.length,
+      ejemplaresLibres: ejemplares.filter(e => !titularEjemplar(alumnos, e.codigo)).length,
+    };
+  });
+  return { clases: clasesCurso, alumnos: Object.values(alumnosPorClase).reduce((n, l) => n + l.length, 0), libros };
+}
+
+function htmlResumenCurso(curso, clases, alumnos, anioEscolar) {
+  const resumen = resumenCurso(curso, clases, alumnos);
+  const filas = resumen.libros.map(r => [
+    `<td>${escaparHTML(r.libro.title)}<br><span class="mono">${escaparHTML(r.libro.isbn)}</span></td>`,
+    ...resumen.clases.map(c => `<td class="num">${r.porClase[c.id]}</td>`),
+    `<td class="num"><b>${r.porEntregar}</b></td>`,
+    `<td class="num">${r.ejemplares ? t('{libres} de {total}', { libres: r.ejemplaresLibres, total: r.ejemplares }) : '—'}</td>`,
+  ]);
+  const cabeceras = [t('Libro'), ...resumen.clases.map(c => escaparHTML(c.nombre)), t('Por entregar'), t('Ejemplares libres')];
+  return `<h1>${t('Resumen de entregas')} · ${escaparHTML(curso.nombre)}</h1>
+<div class="subtitulo">${t('Curso {anio}', { anio: escaparHTML(anioEscolar) })} · ${formatearFecha(new Date().toISOString())} · ${t('{n} clases', { n: resumen.clases.length })}, ${t('{n} alumnos', { n: resumen.alumnos })}</div>
+${filas.length ? tablaInforme(cabeceras, filas) : `<p class="vacio">${t('El curso no tiene libros.')}</p>`}`;
+}
+
+function imprimirResumenCurso(curso, clases, alumnos, anioEscolar) {
+  return imprimirDocumento(t('Resumen {curso}', { curso: curso.nombre }), htmlResumenCurso(curso, clases, alumnos, anioEscolar), ESTILOS_INFORME);
+}
+
+/** Estado de conservación de una revisión, con sus notas, para informes y CSV. */
+function textoRevision(revision) {
+  if (!revision) return '';
+  const condicion = t(CONDICIONES[revision.condicion]?.etiqueta ?? revision.condicion);
+  return revision.notas ? `${condicion}: ${revision.notas}` : condicion;
+}
+
+/** Aviso a la familia de un alumno con los libros perdidos o dañados que tiene que reponer. */
+function htmlCargos(alumno, clase, curso, anioEscolar) {
+  const cargos = cargosAlumno(alumno, curso);
+  const filas = cargos.map(({ prestamo, titulo, importe, pagado }) => [
+    `<td>${escaparHTML(titulo)}<br><span class="mono">${escaparHTML(prestamo.isbn)}${prestamo.ejemplar ? ` · ${escaparHTML(prestamo.ejemplar)}` : ''}</span></td>`,
+    `<td>${t(ESTADOS_PRESTAMO[prestamo.estado].etiqueta)}${prestamo.revisionDevolucion?.notas ? `<br><i>${escaparHTML(prestamo.revisionDevolucion.notas)}</i>` : ''}</td>`,
+    `<td class="num">${formatearImporte(importe)}</td>`,
+    `<td class="num">${pagado ? t('Pagado el {fecha}', { fecha: formatearFecha(prestamo.pagadoEn) }) : t('Pendiente')}</td>`,
+  ]);
+  const tutor = alumno.tutor ? ` · ${escaparHTML(alumno.tutor)}` : '';
+  return `<section class="pagina">
+  <h1>${t('Libros por reponer')}</h1>
+  <div class="subtitulo">${escaparHTML(nombreCompleto(alumno))} · ${escaparHTML(clase.nombre)} · ${escaparHTML(curso.nombre)} · ${t('Curso {anio}', { anio: escaparHTML(anioEscolar) })}${tutor}</div>
+  ${filas.length ? tablaInforme([t('Libro'), t('Estado'), t('Importe'), t('Pago')], filas) : `<p class="vacio">${t('No tiene libros por reponer.')}</p>`}
+  <p><b>${t('Total pendiente: {importe}', { importe: formatearImporte(totalPendiente(cargos)) })}</b></p>
+  <p>${t('Los libros anteriores se han perdido o se han devuelto en mal estado. Para reponerlos, la familia debe abonar el importe indicado en el centro.')}</p>
+  <div class="firmas"><div>${t('Centro')}</div></div>
+</section>`;
+}
+
+/** Imprime el aviso de cada alumno que tiene algo pendiente de pagar, cada uno en su página. */
+function imprimirCargos(alumnos, clase, curso, anioEscolar) {
+  const titulo = alumnos.length === 1 ? t('Reposición {alumno}', { alumno: nombreCompleto(alumnos[0]) }) : t('Reposiciones {clase}', { clase: clase.nombre });
+  return imprimirDocumento(titulo, alumnos.map(a => htmlCargos(a, clase, curso, anioEscolar)).join(''), ESTILOS_INFORME);
+}
+
+/** Filas CSV con los cargos de unos alumnos, para pasarlas a secretaría o escribir a las familias. */
+function filasCargos(alumnos, clase, curso) {
+  const filas = [["alumno_nombre", "clase_nombre", "tutor", "contacto_tutor", "libro_isbn", "libro_titulo", "ejemplar", "estado", "conservacion_devolucion", "importe", "fecha_pago"].map(c => t(c))];
+  alumnos.forEach(a => {
+    cargosAlumno(a, curso).forEach(({ prestamo, titulo, importe }) => {
+      filas.push([
+        nombreCompleto(a), clase.nombre, a.tutor || '', a.contactoTutor || '', prestamo.isbn, titulo, prestamo.ejemplar || '',
+        t(prestamo.estado), textoRevision(prestamo.revisionDevolucion), importe.toFixed(2), prestamo.pagadoEn || ''
+      ]);
+    });
+  });
+  return filas;
+}
+
+// --- Historial y registro de actividad ---
+// La selección es navegación y el idioma es de cada dispositivo: no se registran ni se pueden deshacer por separado.
+const ACCIONES_SIN_HISTORIAL = new Set(['SELECT_CURSO', 'SELECT_CLASE', 'SELECT_ALUMNO', 'SET_IDIOMA']);
+// Tras estas acciones el aviso ofrece "Deshacer".
+const ACCIONES_DESTRUCTIVAS = new Set(['DESMARCAR_LIBRO', 'DEL_ALUMNO', 'DEL_CLASE', 'DEL_CURSO', 'DEL_LIBRO_DE_CURSO', 'MARCAR_INCIDENCIA', 'IMPORT_STATE', 'FUSIONAR_ESTADO', 'RESTAURAR_INSTANTANEA', 'CAMBIAR_ANIO_ESCOLAR', 'RESET_STATE']);
+
+async function loadAuditoria(almacen) {
+  try {
+    return (await almacen.get(AUDITORIA_KEY)) || [];
+  } catch (e) {
+    console.error("Error cargando registro de actividad", e);
+    return [];
+  }
+}
+
+async function saveAuditoria(almacen, auditoria) {
+  await almacen.set(AUDITORIA_KEY, auditoria);
+}
+
+/** Texto legible de una acción, resuelto contra el estado previo a aplicarla. */
+function describirAccion(action, state) {
+  const p = action.payload;
+  const curso = (id) => state.cursos.find(c => c.id === id)?.nombre || '?';
+  const clase = (id) => state.clases.find(c => c.id === id)?.nombre || '?';
+  const alumno = (id) => { const a = state.alumnos.find(x => x.id === id); return a ? nombreCompleto(a) : '?'; };
+  const libro = (isbn) => {
+    for (const c of state.cursos) {
+      const l = c.libros.find(x => x.isbn === isbn);
+      if (l) return `«${l.title}»`;
     }
-    case 'DEL_ALUMNO': {
+    return isbn;
+  };
+  switch (action.type) {
+    case 'ADD_CURSO': return t('Curso creado: {curso}', { curso: p });
+    case 'DEL_CURSO': return t('Curso eliminado: {curso}', { curso: curso(p) });
+    case 'ADD_LIBRO_A_CURSO': return t('Libro añadido a {curso}: {libro}', { curso: curso(p.cursoId), libro: p.title || p.isbn });
+    case 'ADD_LIBROS_A_CURSO': return t('{n} libros añadidos a {curso}', { n: p.libros.length, curso: curso(p.cursoId) });
+    case 'DEL_LIBRO_DE_CURSO': return t('Libro quitado de {curso}: {libro}', { curso: curso(p.cursoId), libro: libro(p.isbn) });
+    case 'ACTUALIZAR_DATOS_LIBRO': return t('Datos actualizados de {libro}', { libro: libro(p.isbn) });
+    case 'REORDER_LIBROS': return t('Orden de libros cambiado en {curso}', { curso: curso(p.cursoId) });
+    case 'REGISTRAR_EJEMPLARES': return t('{n} ejemplares registrados de {libro}', { n: p.cantidad, libro: libro(p.isbn) });
+    case 'MARCAR_ETIQUETAS_IMPRESAS': return t('{n} etiquetas impresas', { n: p.length });
+    case 'SET_PREFIJO_EJEMPLAR': return t('Prefijo de etiquetas: {prefijo}', { prefijo: p });
+    case 'ADD_CLASE': return t('Clase creada: {clase} ({curso})', { clase: p.nombre, curso: curso(p.cursoId) });
+    case 'DEL_CLASE': return t('Clase eliminada: {clase}', { clase: clase(p) });
+    case 'ADD_ALUMNO': return t('Alumno añadido a {clase}: {alumno}', { clase: clase(p.claseId), alumno: p.nombre });
+    case 'IMPORTAR_ALUMNOS': return t('{n} alumnos importados a {clase}', { n: p.alumnos.length, clase: clase(p.claseId) });
+    case 'DEL_ALUMNO': return t('Alumno eliminado: {alumno}', { alumno: alumno(p) });
+    case 'RENOMBRAR_CURSO': return t('Curso {curso} renombrado a {nombre}', { curso: curso(p.cursoId), nombre: p.nombre });
+    case 'RENOMBRAR_CLASE': return t('Clase {clase} renombrada a {nombre}', { clase: clase(p.claseId), nombre: p.nombre });
+    case 'EDITAR_TITULO_LIBRO': return t('Título de {libro} cambiado a «{titulo}»', { libro: libro(p.isbn), titulo: p.title });
+    case 'SET_PRECIO_LIBRO': return p.precio == null
+      ? t('Precio de reposición de {libro} quitado', { libro: libro(p.isbn) })
+      : t('Precio de reposición de {libro}: {importe}', { libro: libro(p.isbn), importe: formatearImporte(p.precio) });
+    case 'EDITAR_ALUMNO': {
+      const a = state.alumnos.find(x => x.id === p.alumnoId);
+      return p.datos.claseId && a && p.datos.claseId !== a.claseId
+        ? t('{alumno} editado y movido a {clase}', { alumno: alumno(p.alumnoId), clase: clase(p.datos.claseId) })
+        : t('Ficha de {alumno} editada', { alumno: alumno(p.alumnoId) });
+    }
+    case 'MOVER_ALUMNOS': return t('{n} alumnos movidos a {clase}', { n: p.alumnoIds.length, clase: clase(p.claseId) });
+    case 'MARCAR_LIBRO': return p.ejemplar
+      ? t('Entregado {libro} ({ejemplar}) a {alumno}', { libro: libro(p.barcode), ejemplar: p.ejemplar, alumno: alumno(p.alumnoId) })
+      : t('Entregado {libro} a {alumno}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId) });
+    case 'FIRMAR_ENTREGA': return t('Entrega a {alumno} firmada por {nombre} ({relacion})', { alumno: alumno(p.alumnoId), nombre: p.nombre.trim(), relacion: t(p.relacion) });
+    case 'DESMARCAR_LIBRO': return t('Entrega anulada: {libro} de {alumno}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId) });
+    case 'REVISAR_ENTREGA': return t('{libro} entregado a {alumno} en estado {condicion}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId), condicion: t(CONDICIONES[p.condicion]?.etiqueta ?? p.condicion).toLowerCase() });
+    case 'DEVOLVER_LIBRO': return p.revision
+      ? t('Devuelto {libro} por {alumno} en estado {condicion}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId), condicion: t(CONDICIONES[p.revision.condicion]?.etiqueta ?? p.revision.condicion).toLowerCase() })
+      : t('Devuelto {libro} por {alumno}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId) });
+    case 'MARCAR_PAGADO': return p.pagado
+      ? t('Reposición pagada por {alumno}', { alumno: alumno(p.alumnoId) })
+      : t('Pago de reposición anulado: {alumno}', { alumno: alumno(p.alumnoId) });
+    case 'MARCAR_INCIDENCIA': return t('{libro} de {alumno} marcado como {estado}', { libro: libro(p.barcode), alumno: alumno(p.alumnoId), estado: t(ESTADOS_PRESTAMO[p.estado]?.etiqueta ?? p.estado).toLowerCase() });
+    case 'IMPORT_STATE': return t('Datos importados desde fichero');
+    case 'FUSIONAR_ESTADO': return t('Datos combinados desde fichero');
+    case 'RESTAURAR_INSTANTANEA': return t('Copia automática del {fecha} restaurada', { fecha: formatearFecha(p.ts) });
+    case 'CAMBIAR_ANIO_ESCOLAR': return t('Año {anio} archivado; empieza el {nuevo}', { anio: state.anioEscolar, nuevo: p.anioNuevo });
+    case 'RESET_STATE': return t('Todos los datos borrados');
+    case 'REEMPLAZAR_DATOS': return p.descripcion;
+    default: return action.type;
+  }
+}
+
+/** Entrada del registro de actividad; `perfil` es quien la hizo, si la app tiene perfiles. */
+function entradaAuditoria(tipo, descripcion, perfil, ts = new Date().toISOString()) {
+  return { id: uid(), ts, tipo, descripcion, ...(perfil && { perfil: { id: perfil.id, nombre: perfil.nombre } }) };
+}
+
+/**
+ * Envuelve al reducer con el historial de deshacer/rehacer y el registro de actividad.
+ * `app` es { pasado, presente, futuro, auditoria }; cada entrada del historial guarda el
+ * estado completo, la descripción y el tipo de la acción que lo dejó atrás.
+ * Si la acción trae `perfil` ({ id, nombre } de quien la hace), queda anotado en el registro.
+ * Con la sincronización activada no hay historial: volver a un estado anterior obligaría a enviar
+ * todos los datos y pisaría lo que hayan hecho entretanto los demás dispositivos.
+ */
+function reducerApp(app, action) {
+  const registrar = (descripcion) => [...app.auditoria, entradaAuditoria(action.type, descripcion, action.perfil)].slice(-MAX_AUDITORIA);
+  // Identifica la acción en la sincronización; quien despacha normalmente no la trae.
+  const meta = action.meta || { id: uid(), ts: new Date().toISOString() };
+  switch (action.type) {
+    case 'UNDO': {
+      const anterior = app.pasado[app.pasado.length - 1];
+      if (!anterior || app.replica) return app;
       return {
-        ...state,
-        alumnos: state.alumnos.filter((a) => a.id !== action.payload),
-        seleccion: {...state.seleccion, alumnoId: state.seleccion.alumnoId === action.payload ? null : state.seleccion.alumnoId},
+        ...app,
+        pasado: app.pasado.slice(0, -1),
+        presente: conIdiomaLocal(anterior.estado, app.presente),
+        futuro: [{ estado: app.presente, descripcion: anterior.descripcion, tipo: anterior.tipo }, ...app.futuro],
+        auditoria: registrar(t('Deshecho: {accion}', { accion: anterior.descripcion })),
       };
     }
-    // SELECCION
-    case 'SELECT_CURSO': return {...state, seleccion: { ...state.seleccion, cursoId: action.payload, claseId: null, alumnoId: null }};
-    case 'SELECT_CLASE': return {...state, seleccion: { ...state.seleccion, claseId: action.payload, alumnoId: null }};
-    case 'SELECT_ALUMNO': return {...state, seleccion: { ...state.seleccion, alumnoId: action.payload }};
-    // LIBROS ENTREGADOS
-    case 'MARCAR_LIBRO': {
-      const { alumnoId, barcode } = action.payload;
+    case 'REDO': {
+      const siguiente = app.futuro[0];
+      if (!siguiente || app.replica) return app;
       return {
-        ...state,
-        alumnos: state.alumnos.map((a) => {
-          if (a.id !== alumnoId) return a;
-          if (a.librosEntregados.includes(barcode)) return a;
-          return { ...a, librosEntregados: [...a.librosEntregados, barcode] };
-        }),
+        ...app,
+        pasado: [...app.pasado, { estado: app.presente, descripcion: siguiente.descripcion, tipo: siguiente.tipo }],
+        presente: conIdiomaLocal(siguiente.estado, app.presente),
+        futuro: app.futuro.slice(1),
+        auditoria: registrar(t('Rehecho: {accion}', { accion: siguiente.descripcion })),
       };
     }
-    case 'DESMARCAR_LIBRO': {
-      const { alumnoId, barcode } = action.payload;
-      return {
-        ...state,
-        alumnos: state.alumnos.map((a) =>
-          a.id === alumnoId ? { ...a, librosEntregados: a.librosEntregados.filter((b) => b !== barcode) } : a
-        ),
+    case 'SYNC_ACTIVAR': {
+      // Con el servidor vacío este dispositivo aporta sus datos; si no, se sustituyen por los que lleguen.
+      // Lo hecho antes de emparejar ya no se puede deshacer.
+      const activada = { ...app, pasado: [], futuro: [], replica: { base: estadoVacio(), ultimoSeq: 0, cola: [], conflictos: [] } };
+      if (!action.payload.aportarDatos) return activada;
+      const descripcion = t('Datos iniciales de {dispositivo}', { dispositivo: action.payload.dispositivo });
+      return anotarOperacion(activada, activada, { type: 'REEMPLAZAR_DATOS', payload: { estado: datosCompartidos(app.presente), descripcion }, meta });
+    }
+    case 'SYNC_RECIBIR': return integrarRemotas(app, action.payload);
+    case 'SYNC_OLVIDAR_CONFLICTOS': return app.replica ? { ...app, replica: { ...app.replica, conflictos: [] } } : app;
+    case 'SYNC_DESACTIVAR': return { ...app, replica: null };
+    // Al cambiar de perfil: nadie deshace lo que hizo otra persona.
+    case 'OLVIDAR_HISTORIAL': return { ...app, pasado: [], futuro: [] };
+    default: {
+      const accion = action.meta ? action : { ...action, meta };
+      const presente = aplicarAccion(app.presente, accion);
+      if (presente === app.presente) return app;
+      if (ACCIONES_SIN_HISTORIAL.has(action.type)) return { ...app, presente };
+      const descripcion = describirAccion(action, app.presente);
+      const siguiente = {
+        ...app,
+        pasado: app.replica ? [] : [...app.pasado, { estado: app.presente, descripcion, tipo: action.type }].slice(-MAX_HISTORIAL),
+        presente,
+        futuro: [],
+        auditoria: registrar(descripcion),
       };
+      return mismosDatos(presente, app.presente) ? siguiente : anotarOperacion(app, siguiente, accion);
+    }
+  }
+}
+
+// --- Sincronización entre dispositivos ---
+// Cada dispositivo emparejado guarda una réplica: `base` es el estado tras todo lo confirmado por
+// el servidor (hasta `ultimoSeq`) y `cola` las acciones propias aún sin confirmar, que se
+// vuelven a aplicar encima de la base cada vez que llegan cambios. Así todos acaban aplicando
+// las mismas acciones en el mismo orden, el del servidor.
+
+// Sustituyen todos los datos: el servidor las rechaza si otro dispositivo ha escrito entretanto.
+const ACCIONES_EXCLUSIVAS = new Set(['IMPORT_STATE', 'FUSIONAR_ESTADO', 'RESTAURAR_INSTANTANEA', 'RESET_STATE', 'REEMPLAZAR_DATOS']);
+
+/** El estado sin lo que es de cada dispositivo: la selección y el idioma. */
+function datosCompartidos(estado) {
+  const { seleccion, ...datos } = estado;
+  const { idioma, ...ajustes } = datos.ajustes;
+  return { ...datos, ajustes };
+}
+
+/** Datos que sustituyen a los actuales (fichero, copia, historial) con el idioma de este dispositivo. */
+function conIdiomaLocal(datos, local) {
+  return { ...datos, ajustes: { ...datos.ajustes, idioma: local.ajustes.idioma } };
+}
+
+/** Datos recibidos de otro dispositivo con la selección y el idioma de este. */
+function conLoDelDispositivo(datos, local) {
+  return { ...conIdiomaLocal(datos, local), seleccion: local.seleccion };
+}
+
+// Comparación superficial: el reducer conserva los objetos que no cambia. El idioma no cuenta:
+// cambiarlo no se envía a los demás dispositivos.
+function mismosDatos(a, b) {
+  const mismosAjustes = Object.keys({ ...a.ajustes, ...b.ajustes }).every(k => k === 'idioma' || a.ajustes[k] === b.ajustes[k]);
+  return a.anioEscolar === b.anioEscolar && mismosAjustes
+    && ['cursos', 'clases', 'alumnos', 'archivo'].every(k => a[k].length === b[k].length && a[k].every((x, i) => x === b[k][i]));
+}
+
+/** Si el dispositivo está emparejado, pone la acción en la cola de envío de `siguiente`. */
+function anotarOperacion(app, siguiente, accion) {
+  if (!app.replica) return siguiente;
+  const op = { id: accion.meta.id, ts: accion.meta.ts, trasSeq: app.replica.ultimoSeq, accion };
+  if (ACCIONES_EXCLUSIVAS.has(accion.type)) op.exclusiva = true;
+  return { ...siguiente, replica: { ...app.replica, cola: [...app.replica.cola, op] } };
+}
+
+/**
+ * Integra lo recibido del servidor: la base avanza con las operaciones nuevas y encima se
+ * vuelven a aplicar las propias sin confirmar. Las que el servidor rechaza, o las que tras los
+ * cambios de otro dispositivo ya no hacen nada (p. ej. editar un alumno que otro ha borrado),
+ * se descartan y quedan anotadas como conflicto.
+ */
+function integrarRemotas(app, { operaciones, instantanea, rechazadas = [], dispositivoId }) {
+  const replica = app.replica;
+  if (!replica) return app;
+  // Quien se ha quedado por detrás de lo que el servidor ya ha compactado parte de su instantánea.
+  const saltar = instantanea?.seq > replica.ultimoSeq ? instantanea : null;
+  const desde = saltar?.seq ?? replica.ultimoSeq;
+  const nuevas = operaciones.filter(o => o.seq > desde);
+  const ultimoSeq = nuevas.length ? nuevas[nuevas.length - 1].seq : desde;
+  let base = saltar ? conLoDelDispositivo(saltar.estado, replica.base) : replica.base;
+  let auditoria = saltar
+    ? [...app.auditoria, entradaAuditoria('SYNC_RECIBIR', t('Datos puestos al día con el servidor'))]
+    : app.auditoria;
+  nuevas.forEach(op => {
+    if (op.dispositivo !== dispositivoId) {
+      auditoria = [...auditoria, entradaAuditoria(op.accion.type, t('Otro dispositivo: {accion}', { accion: describirAccion(op.accion, base) }), op.accion.perfil, op.ts)];
+    }
+    base = aplicarAccion(base, op.accion);
+  });
+  const confirmadas = new Set([...nuevas.map(o => o.id), ...(saltar?.ids ?? [])]);
+  const motivos = new Map(rechazadas.map(r => [r.id, r.motivo]));
+
+  // Solo han vuelto confirmadas las acciones propias: lo que se ve ya es el resultado.
+  if (!saltar && !motivos.size && nuevas.every(o => o.dispositivo === dispositivoId)) {
+    return { ...app, replica: { ...replica, base, ultimoSeq, cola: replica.cola.filter(op => !confirmadas.has(op.id)) } };
+  }
+
+  let estado = base;
+  const cola = [];
+  const conflictos = [...replica.conflictos];
+  replica.cola.forEach(op => {
+    if (confirmadas.has(op.id)) return;
+    const siguiente = motivos.has(op.id) ? estado : aplicarAccion(estado, op.accion);
+    if (mismosDatos(siguiente, estado)) {
+      conflictos.push({
+        id: op.id, ts: op.ts, descripcion: describirAccion(op.accion, estado),
+        // Los motivos del servidor vienen en castellano: también están en los catálogos.
+        motivo: t(motivos.get(op.id) || 'Otro dispositivo lo había cambiado antes y ya no tenía efecto.'),
+      });
+      return;
+    }
+    estado = siguiente;
+    cola.push(op);
+  });
+  return {
+    ...app,
+    // Deshacer no debe revertir el trabajo de otros dispositivos: el historial empieza de nuevo.
+    pasado: [],
+    futuro: [],
+    presente: conLoDelDispositivo(estado, app.presente),
+    auditoria: auditoria.slice(-MAX_AUDITORIA),
+    replica: { base, ultimoSeq, cola, conflictos },
+  };
+}
+
+const ESPERA_ENVIO = 1000;
+const INTERVALO_SYNC = 60000;
+// Cada cuántas acciones desde la última instantánea se envía una nueva para que el servidor compacte.
+const ACCIONES_POR_INSTANTANEA = 500;
+
+/**
+ * Mantiene la réplica al día: envía la cola poco después de cada cambio (agrupando los escaneos
+ * seguidos), recibe cuando el servidor avisa y, por si se pierde algún aviso, cada minuto.
+ */
+function useSincronizacion(config, replica, dispatch) {
+  const [estado, setEstado] = useState({ conectado: false, sincronizando: false, error: null, sinConexion: false, ultimaVez: null });
+  const replicaRef = useRef(replica);
+  const dispatchRef = useRef(dispatch);
+  const enCursoRef = useRef(false);
+  const repetirRef = useRef(false);
+  replicaRef.current = replica;
+  dispatchRef.current = dispatch;
+  const pendientes = replica?.cola.length ?? 0;
+
+  async function sincronizar() {
+    if (!config || !replicaRef.current) return;
+    if (enCursoRef.current) {
+      repetirRef.current = true;
+      return;
+    }
+    enCursoRef.current = true;
+    setEstado(e => ({ ...e, sincronizando: true }));
+    try {
+      const { cola, ultimoSeq, base } = replicaRef.current;
+      const { rechazadas } = cola.length ? await enviarOperaciones(config, cola) : { rechazadas: [] };
+      const { operaciones, instantanea, instantaneaSeq } = await recibirOperaciones(config, ultimoSeq);
+      if (instantanea) {
+        const { estado, errores } = cargarDatos(instantanea.estado);
+        if (errores.length) throw new Error(t('Los datos recibidos del servidor no son válidos.'));
+        instantanea.estado = datosCompartidos(estado);
+      } else if (!cola.length && ultimoSeq - instantaneaSeq >= ACCIONES_POR_INSTANTANEA) {
+        // La base es el estado tras `ultimoSeq`: con ella el servidor puede olvidar lo anterior.
+        // Si otro dispositivo se ha adelantado, el servidor la rechaza y no hace falta.
+        await enviarInstantanea(config, ultimoSeq, datosCompartidos(base)).catch(e => console.error("Instantánea no aceptada", e));
+      }
+      dispatchRef.current({ type: 'SYNC_RECIBIR', payload: { operaciones, instantanea, rechazadas, dispositivoId: config.dispositivo.id } });
+      setEstado(e => ({ ...e, sincronizando: false, error: null, sinConexion: false, ultimaVez: new Date().toISOString() }));
+    } catch (e) {
+      console.error("Error sincronizando", e);
+      setEstado(x => ({ ...x, sincronizando: false, error: e.message, sinConexion: !!e.sinConexion }));
+    } finally {
+      enCursoRef.current = false;
+      if (repetirRef.current) {
+        repetirRef.current = false;
+        sincronizar();
+      }
+    }
+  }
+
+  useEffect(() => {
+    if (!config || !pendientes) return;
+    const temporizador = setTimeout(sincronizar, ESPERA_ENVIO);
+    return () => clearTimeout(temporizador);
+  }, [config, pendientes]);
+
+  useEffect(() => {
+    if (!config) return;
+    sincronizar();
+    const intervalo = setInterval(sincronizar, INTERVALO_SYNC);
+    window.addEventListener('online', sincronizar);
+    const cerrarAvisos = escucharAvisos(config, {
+      onCambios: (seq) => { if (seq > (replicaRef.current?.ultimoSeq ?? 0)) sincronizar(); },
+      onEstado: (conectado) => setEstado(e => ({ ...e, conectado })),
+    });
+    return () => {
+      clearInterval(intervalo);
+      window.removeEventListener('online', sincronizar);
+      cerrarAvisos();
+    };
+  }, [config]);
+
+  return { ...estado, pendientes, conflictos: replica?.conflictos.length ?? 0, sincronizar };
+}
+
+let audioCtx;
+function playBeep() {
+  try {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    const oscillator = audioCtx.createOscillator();
+    const gainNode = audioCtx.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(audioCtx.destination);
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(880, audioCtx.currentTime);
+    gainNode.gain.setValueAtTime(0.3, audioCtx.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, audioCtx.currentTime + 0.15);
+    oscillator.start(audioCtx.currentTime);
+    oscillator.stop(audioCtx.currentTime + 0.15);
+  } catch(e) {
+    console.error("Error al reproducir sonido", e);
+  }
+}
+
+function anunciar(texto) {
+  try {
+    if (!window.speechSynthesis) return;
+    window.speechSynthesis.cancel();
+    const frase = new SpeechSynthesisUtterance(texto);
+    frase.lang = localeActual();
+    window.speechSynthesis.speak(frase);
+  } catch(e) {
+    console.error("Error al anunciar", e);
+  }
+}
+
+// --- Utilidades ZXing ---
+// El lector va incluido en el build (y precacheado por el service worker). Los CDN solo
+// se usan como alternativa si el chunk no se pudiera cargar, p. ej. tras un despliegue a medias.
+// URL ESM recomendada (correcta):
+const ZXING_ESM_URL = "https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/esm/index.js";
+// Fallbacks razonables (algunos bundlers agregan "+esm"): 
+const ZXING_FALLBACK_URLS = [
+  ZXING_ESM_URL,
+  "https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/+esm",
+  "https://esm.sh/@zxing/browser@0.1.5"
+];
+
+// El error reportado se debió a que la URL quedó así:
+//   https://cdn.jsdelivr.net/npm/https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/esm/index.js/+esm
+// Esta función la sanea y además elimina "+esm" al final si aparece en esa combinación concreta.
+function sanitizeCdnUrl(url) {
+  if (!url) return ZXING_ESM_URL;
+  let out = String(url);
+  out = out.replace(
+    /https:\/\/cdn\.jsdelivr\.net\/npm\/https:\/\/cdn\.jsdelivr\.net\/npm\//,
+    "https://cdn.jsdelivr.net/npm/"
+  );
+  // Si quedó "/+esm" después del index, lo quitamos (usaremos la variante limpia como primaria)
+  out = out.replace(/\/\+esm$/, "");
+  return out;
+}
+
+async function loadZXing() {
+  let lastErr = null;
+  try {
+    return await import("@zxing/browser");
+  } catch (e) {
+    console.error("No se pudo cargar el lector incluido, se prueba desde CDN", e);
+    lastErr = e;
+  }
+  for (const candidate of ZXING_FALLBACK_URLS) {
+    const url = sanitizeCdnUrl(candidate);
+    try {
+      // Nota: algunos bundlers necesitan la pista para no preprocesar la URL dinámica
+      const mod = await import(/* @vite-ignore */ url);
+      if (mod?.BrowserMultiFormatReader) return mod;
+    } catch (e) {
+      lastErr = e;
+      // Continúa con el siguiente candidato
+    }
+  }
+  throw lastErr || new Error(t("No se pudo cargar @zxing/browser desde CDN."));
+}
+
+// --- Bloqueo por inactividad ---
+/**
+ * Llama a `bloquear` tras `minutos` sin tocar la pantalla ni el teclado. Devuelve una función
+ * para contar como actividad lo que no pasa por esos eventos (p. ej. lecturas de la cámara).
+ */
+function useBloqueoInactividad(activo, minutos, bloquear) {
+  const reiniciarRef = useRef(() => {});
+  useEffect(() => {
+    if (!activo) return;
+    let temporizador;
+    const reiniciar = () => {
+      clearTimeout(temporizador);
+      temporizador = setTimeout(bloquear, minutos * 60000);
+    };
+    const eventos = ['pointerdown', 'keydown', 'wheel'];
+    eventos.forEach(ev => window.addEventListener(ev, reiniciar, true));
+    reiniciarRef.current = reiniciar;
+    reiniciar();
+    return () => {
+      clearTimeout(temporizador);
+      eventos.forEach(ev => window.removeEventListener(ev, reiniciar, true));
+      reiniciarRef.current = () => {};
+    };
+  }, [activo, minutos]);
+  return () => reiniciarRef.current();
+}
+
+// --- Lector externo (modo teclado) ---
+// Los lectores USB/Bluetooth se comportan como un teclado: escriben el código de golpe y
+// terminan con Enter. Nadie teclea a ese ritmo, así que una ráfaga rápida se toma por lectura.
+const LECTOR_PAUSA_MAX_MS = 50;
+const LECTOR_LONGITUD_MIN = 4;
+const PREFERENCIA_LECTOR_KEY = "aula_libros_lector_externo";
+
+// La ráfaga también se lee dentro de un campo (p. ej. con el <select> del alumno enfocado): lo que
+// el lector ha escrito en él, o la opción a la que ha saltado el <select>, se deshace al reconocerla.
+function valorDeCampo(el) {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(el?.tagName) ? el.value : undefined;
+}
+
+function restaurarCampo(el, valor) {
+  if (valor === undefined || el.value === valor) return;
+  // Con el setter nativo React ve el cambio y actualiza su estado, como si lo hubiera hecho el usuario.
+  Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value').set.call(el, valor);
+  el.dispatchEvent(new Event(el.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+}
+
+function useLectorExterno(activo, onDetect) {
+  const onDetectRef = useRef(onDetect);
+  onDetectRef.current = onDetect;
+
+  useEffect(() => {
+    if (!activo) return;
+    let buffer = '';
+    let ultimaTecla = 0;
+    let campo = null;
+    let valorAntes;
+    function alPulsar(e) {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+      // Tecleo normal: cada pausa larga empieza de cero y no se toca nada.
+      if (e.timeStamp - ultimaTecla > LECTOR_PAUSA_MAX_MS || e.target !== campo) {
+        buffer = '';
+        campo = e.target;
+        valorAntes = valorDeCampo(e.target);
+      }
+      ultimaTecla = e.timeStamp;
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        if (buffer.length >= LECTOR_LONGITUD_MIN) {
+          // En captura y sin propagar: el Enter de la lectura no envía formularios ni elige resultados.
+          e.preventDefault();
+          e.stopPropagation();
+          restaurarCampo(campo, valorAntes);
+          playBeep();
+          const codigo = buffer;
+          // Tras restaurar el campo, para que la lectura vea el estado ya corregido.
+          setTimeout(() => onDetectRef.current(codigo));
+        }
+        buffer = '';
+      } else if (e.key.length === 1) {
+        buffer += e.key;
+      }
+    }
+    window.addEventListener('keydown', alPulsar, true);
+    return () => window.removeEventListener('keydown', alPulsar, true);
+  }, [activo]);
+}
+
+function EntradaCodigo({ onDetect, lectorExterno, setLectorExterno, placeholder }) {
+  const [codigo, setCodigo] = useState('');
+  useLectorExterno(lectorExterno, onDetect);
+
+  function enviar(e) {
+    e.preventDefault();
+    if (!codigo.trim()) return;
+    onDetect(codigo.trim());
+    setCodigo('');
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <form onSubmit={enviar} className="flex flex-1 gap-2 min-w-[14rem]">
+        <input
+          value={codigo}
+          onChange={e => setCodigo(e.target.value)}
+          placeholder={placeholder}
+          className="flex-1 min-w-0 rounded-lg border border-slate-300 px-3 py-2 text-sm font-mono"
+        />
+        <button type="submit" disabled={!codigo.trim()} className="px-3 py-2 rounded-lg border border-slate-300 hover:bg-slate-100 text-sm font-semibold disabled:opacity-50">
+          {t('Aceptar')}
+        </button>
+      </form>
+      <button
+        onClick={() => setLectorExterno(!lectorExterno)}
+        title={t('Lectores USB o Bluetooth que escriben el código como un teclado')}
+        className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-semibold border ${lectorExterno ? 'bg-green-50 border-green-400 text-green-700' : 'border-slate-300 text-slate-600 hover:bg-slate-100'}`}
+      >
+        <Keyboard size={16}/> {lectorExterno ? t('Lector externo: activo') : t('Lector externo')}
+      </button>
+    </div>
+  );
+}
+
+// --- Componente Principal ---
+export default function App() {
+  const [app, setApp] = useState(() => ({ pasado: [], presente: estadoVacio(), futuro: [], auditoria: [], replica: null }));
+  const [almacen, setAlmacen] = useState(null);
+  const [errorCarga, setErrorCarga] = useState(null);
+  const [modo, setModo] = useState("control");
+  const [msg, setMsg] = useState({ text: "", type: "success" });
+  // Preferencia del dispositivo, no de los datos: no entra en el historial ni en las copias.
+  const [lectorExterno, setLectorExterno] = useState(() => localStorage.getItem(PREFERENCIA_LECTOR_KEY) === '1');
+  const [configSync, setConfigSync] = useState(null);
+  const [acceso, setAcceso] = useState({ perfiles: [], bloqueoMinutos: BLOQUEO_MINUTOS });
+  const [sesionId, setSesionId] = useState(null);
+  // Confirmación con PIN en curso: { descripcion, resolver }.
+  const [pinPedido, setPinPedido] = useState(null);
+  const state = app.presente;
+  const sync = useSincronizacion(configSync, app.replica, dispatch);
+  const perfilActivo = acceso.perfiles.find(p => p.id === sesionId) || null;
+  const bloqueada = acceso.perfiles.length > 0 && !perfilActivo;
+  const rol = perfilActivo?.rol ?? null;
+  const modoVisible = puedeAbrir(rol, modo) ? modo : 'control';
+  const pinPedidoRef = useRef(null);
+  pinPedidoRef.current = pinPedido;
+  const registrarActividad = useBloqueoInactividad(!!perfilActivo, acceso.bloqueoMinutos, bloquear);
+
+  useEffect(() => {
+    localStorage.setItem(PREFERENCIA_LECTOR_KEY, lectorExterno ? '1' : '0');
+  }, [lectorExterno]);
+
+  // El idioma se fija antes de que se vea nada: el nuevo pintado sale ya entero en ese idioma.
+  const [, setIdiomaPintado] = useState(idiomaActual);
+  useLayoutEffect(() => {
+    establecerIdioma(state.ajustes.idioma);
+    document.documentElement.lang = idiomaActual();
+    setIdiomaPintado(idiomaActual());
+  }, [state.ajustes.idioma]);
+
+  useEffect(() => {
+    document.body.style.touchAction = 'manipulation';
+    let activo = true;
+    abrirAlmacen([STORAGE_KEY, AUDITORIA_KEY])
+      .then(async (a) => {
+        let presente;
+        try {
+          presente = await loadState(a);
+        } catch (e) {
+          if (!e.errores) throw e;
+          if (activo) setErrorCarga({ mensaje: e.message, errores: e.errores, datos: e.datos, almacen: a });
+          return;
+        }
+        const resto = await leerResto(a);
+        if (activo) iniciar(a, presente, resto);
+      })
+      .catch((e) => {
+        console.error("Error cargando estado", e);
+        if (activo) setErrorCarga({ mensaje: e.message });
+      });
+    return () => { activo = false; };
+  }, []);
+
+  // Lo que se guarda aparte de los datos: registro, sincronización y perfiles.
+  function leerResto(a) {
+    return Promise.all([loadAuditoria(a), leerSincronizacion(a), leerAcceso(a)]);
+  }
+
+  function iniciar(a, presente, [auditoria, sincronizacion, accesoGuardado]) {
+    const replica = sincronizacion && {
+      ...sincronizacion.replica,
+      base: (sincronizacion.replica.base && cargarDatos(sincronizacion.replica.base).estado) || presente,
+      conflictos: [],
+    };
+    setApp({ pasado: [], presente, futuro: [], auditoria, replica });
+    // Al arrancar no hay historial: lo único que puede nombrar fotos son los datos, la réplica y las instantáneas.
+    borrarFotosSueltas(a, [presente, replica]).catch(e => console.error("Error borrando fotos sueltas", e));
+    setConfigSync(sincronizacion?.config ?? null);
+    setAcceso(accesoGuardado);
+    setErrorCarga(null);
+    setAlmacen(a);
+  }
+
+  // Hasta que no hay almacén no se guarda nada: así no se pisa lo guardado con el estado vacío inicial.
+  useEffect(() => {
+    if (!almacen) return;
+    saveState(almacen, state).catch(avisarErrorGuardado);
+  }, [almacen, state]);
+
+  useEffect(() => {
+    if (!almacen) return;
+    saveAuditoria(almacen, app.auditoria).catch(avisarErrorGuardado);
+  }, [almacen, app.auditoria]);
+
+  useEffect(() => {
+    if (!almacen) return;
+    guardarCola(almacen, app.replica?.cola).catch(avisarErrorGuardado);
+  }, [almacen, app.replica?.cola]);
+
+  useEffect(() => {
+    if (!almacen) return;
+    guardarBase(almacen, app.replica?.base, app.replica?.ultimoSeq).catch(avisarErrorGuardado);
+  }, [almacen, app.replica?.base]);
+
+  function avisarErrorGuardado(e) {
+    console.error("Error guardando estado", e);
+    setMsg({
+      text: e.cuota
+        ? t("Sin espacio de almacenamiento: los últimos cambios no se han guardado. Exporta una copia y libera espacio.")
+        : t("No se pudieron guardar los cambios."),
+      type: 'error',
+    });
+  }
+
+  useEffect(() => {
+    if (msg.text) {
+      const timer = setTimeout(() => setMsg({ text: "", type: "success" }), msg.deshacer ? 6000 : 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [msg]);
+
+  // Actualización funcional: el escáner despacha varias acciones seguidas desde callbacks.
+  function dispatch(action) {
+    const conPerfil = perfilActivo ? { ...action, perfil: { id: perfilActivo.id, nombre: perfilActivo.nombre } } : action;
+    setApp(prev => reducerApp(prev, conPerfil));
+    registrarActividad();
+    if (ACCIONES_DESTRUCTIVAS.has(action.type)) {
+      setMsg({ text: describirAccion(action, state), type: 'info', deshacer: !app.replica });
+    }
+  }
+
+  /** Pide el PIN del perfil activo antes de algo delicado. Sin perfiles no hay nada que pedir. */
+  function pedirPin(descripcion) {
+    if (!perfilActivo) return Promise.resolve(true);
+    return new Promise(resolver => setPinPedido({ descripcion, resolver }));
+  }
+
+  // Gestión recibe este dispatch: las acciones destructivas solo se aplican si se confirma el PIN.
+  // `preparar` completa la acción ya confirmada (p. ej. guarda las fotos de un fichero importado),
+  // para no escribir nada en el almacén si se cancela.
+  async function dispatchProtegido(action, preparar) {
+    if (ACCIONES_DESTRUCTIVAS.has(action.type) && !(await pedirPin(describirAccion(action, state)))) return false;
+    dispatch(preparar ? await preparar(action) : action);
+    return true;
+  }
+
+  // El bloqueo por inactividad guarda esta función del primer render: el PIN pedido se lee de la ref.
+  function bloquear() {
+    setSesionId(null);
+    // Lo que esperaba el PIN se cancela: al volver a entrar no debe seguir pendiente ni aplicarse.
+    pinPedidoRef.current?.resolver(false);
+    setPinPedido(null);
+  }
+
+  function entrar(perfil) {
+    if (perfil.id !== sesionId) dispatch({ type: 'OLVIDAR_HISTORIAL' });
+    setSesionId(perfil.id);
+  }
+
+  async function cambiarAcceso(nuevo) {
+    try {
+      await guardarAcceso(almacen, nuevo);
+      setAcceso(nuevo);
+      return true;
+    } catch (e) {
+      avisarErrorGuardado(e);
+      return false;
+    }
+  }
+
+  function cambiarModo(nuevo) {
+    if (puedeAbrir(rol, nuevo)) setModo(nuevo);
+  }
+
+  // Deshacer o rehacer algo delicado (importar, cambiar de año, borrarlo todo…) cambia tanto como
+  // hacerlo: también pide el PIN.
+  async function moverHistorial(type) {
+    const entrada = type === 'UNDO' ? app.pasado[app.pasado.length - 1] : app.futuro[0];
+    if (!entrada) return;
+    const descripcion = type === 'UNDO' ? t('Deshacer: {accion}', { accion: entrada.descripcion }) : t('Rehacer: {accion}', { accion: entrada.descripcion });
+    if (ACCIONES_DESTRUCTIVAS.has(entrada.tipo) && !(await pedirPin(descripcion))) return;
+    dispatch({ type });
+  }
+
+  function deshacer() {
+    setMsg({ text: "", type: "success" });
+    moverHistorial('UNDO');
+  }
+
+  if (!almacen) {
+    return (
+      <div className="min-h-screen bg-slate-100 text-slate-600 font-sans flex items-center justify-center p-6 text-center">
+        {errorCarga?.errores ? (
+          <PantallaErrorCarga
+            error={errorCarga}
+            onContinuar={(presente) => leerResto(errorCarga.almacen).then(resto => iniciar(errorCarga.almacen, presente, resto))}
+          />
+        ) : errorCarga ? (
+          <div className="flex flex-col items-center gap-2 text-red-700">
+            <AlertTriangle size={28}/>
+            <p>{t('No se pudieron cargar los datos guardados: {error}', { error: errorCarga.mensaje })}</p>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2"><Loader className="animate-spin"/> {t('Cargando datos…')}</div>
+        )}
+      </div>
+    );
+  }
+
+  if (bloqueada) {
+    return <PantallaBloqueo perfiles={acceso.perfiles} onEntrar={entrar} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-100 text-slate-900 font-sans flex flex-col">
+      <header className="bg-white/80 backdrop-blur-lg border-b border-slate-200 w-full">
+        <div className="max-w-2xl mx-auto p-4 flex items-center gap-3">
+          <BookOpen className="w-7 h-7 text-indigo-600" />
+          <span className="text-lg font-bold text-slate-800 hidden sm:inline">{t('Gestor de Libros')}</span>
+          <BuscadorGlobal state={state} dispatch={dispatch} setModo={cambiarModo} />
+          <div className="ml-auto flex items-center gap-1">
+            {configSync && <IndicadorSync sync={sync} onClick={() => cambiarModo("gestion")} />}
+            {perfilActivo && (
+              <button
+                title={t('Bloquear ({nombre})', { nombre: perfilActivo.nombre })}
+                onClick={bloquear}
+                className="p-2 rounded-md text-slate-600 hover:bg-slate-100"
+              >
+                <Lock size={20}/>
+              </button>
+            )}
+            {puedeAbrir(rol, "gestion") && (
+              <>
+                <button
+                  title={app.replica ? t('Con la sincronización activada no se puede deshacer') : app.pasado.length ? t('Deshacer: {accion}', { accion: app.pasado[app.pasado.length - 1].descripcion }) : t('Nada que deshacer')}
+                  disabled={!app.pasado.length}
+                  onClick={() => moverHistorial('UNDO')}
+                  className="p-2 rounded-md text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                >
+                  <Undo2 size={20}/>
+                </button>
+                <button
+                  title={app.futuro.length ? t('Rehacer: {accion}', { accion: app.futuro[0].descripcion }) : t('Nada que rehacer')}
+                  disabled={!app.futuro.length}
+                  onClick={() => moverHistorial('REDO')}
+                  className="p-2 rounded-md text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                >
+                  <Redo2 size={20}/>
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-2xl mx-auto p-4 w-full flex-grow">
+        {modoVisible === "control" && <SeccionControl state={state} dispatch={dispatch} setMsg={setMsg} almacen={almacen} lectorExterno={lectorExterno} setLectorExterno={setLectorExterno} />}
+        {modoVisible === "alumnos" && <SeccionAlumnos state={state} dispatch={dispatch} setMsg={setMsg} />}
+        {modoVisible === "gestion" && <SeccionGestion
+          state={state}
+          dispatch={dispatchProtegido}
+          setMsg={setMsg}
+          auditoria={app.auditoria}
+          almacen={almacen}
+          lectorExterno={lectorExterno}
+          setLectorExterno={setLectorExterno}
+          sincronizacion={{ config: configSync, setConfig: setConfigSync, replica: app.replica, sync }}
+          personal={{ acceso, cambiarAcceso, perfilActivo, entrar, pedirPin }}
+        />}
+      </main>
+
+      <nav className="sticky bottom-0 z-20 bg-white/80 backdrop-blur-lg border-t border-slate-200 w-full">
+        <div className="max-w-2xl mx-auto p-2 flex items-center justify-around">
+            <TabButton icon={<Camera />} active={modoVisible === "control"} onClick={() => setModo("control")}>{t('Control')}</TabButton>
+            {puedeAbrir(rol, "alumnos") && <TabButton icon={<Users />} active={modoVisible === "alumnos"} onClick={() => setModo("alumnos")}>{t('Alumnos')}</TabButton>}
+            {puedeAbrir(rol, "gestion") && <TabButton icon={<Settings />} active={modoVisible === "gestion"} onClick={() => setModo("gestion")}>{t('Gestión')}</TabButton>}
+        </div>
+      </nav>
+
+      {msg.text && (
+        <div className={`fixed bottom-20 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-lg shadow-lg text-white ${{ success: 'bg-green-600', info: 'bg-slate-800' }[msg.type] || 'bg-red-600'}`}>
+          <div className="flex items-center gap-2">
+            {msg.type === 'error' ? <AlertTriangle size={20}/> : <CheckCircle size={20}/>}
+            <span>{msg.text}</span>
+            {msg.deshacer && puedeAbrir(rol, "gestion") && (
+              <button onClick={deshacer} className="ml-2 px-2 py-1 rounded-md bg-white/20 hover:bg-white/30 font-semibold text-sm">
+                {t('Deshacer')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {pinPedido && perfilActivo && (
+        <ModalPin
+          perfil={perfilActivo}
+          descripcion={pinPedido.descripcion}
+          onResultado={(ok) => {
+            pinPedido.resolver(ok);
+            setPinPedido(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- Reducer ---
+function reducer(state, action) {
+  switch (action.type) {
+    // CURSOS
+    case 'ADD_CURSO': {
+        const nuevo = { id: uid(), nombre: action.payload.trim(), libros: [] };
+        return { ...state, cursos: [...state.cursos, nuevo], seleccion: {...state.seleccion, cursoId: nuevo.id} };
+    }
+    case 'DEL_CURSO': {
+        const cursoId = action.payload;
+        return {
+            ...state,
+            cursos: state.cursos.filter(c => c.id !== cursoId),
+            seleccion: {...state.seleccion, cursoId: state.seleccion.cursoId === cursoId ? null : state.seleccion.cursoId}
+        };
+    }
+    case 'ADD_LIBRO_A_CURSO': {
+        const { cursoId, title } = action.payload;
+        const isbn = codigoLibro(action.payload.isbn);
+        return {
+            ...state,
+            cursos: state.cursos.map(c => {
+                if (c.id !== cursoId) return c;
+                if (c.libros.some(l => l.isbn === isbn)) return c; // Evitar duplicados
+                return {...c, libros: [...c.libros, { isbn, title: title || `Libro ${isbn}`, ...metadatosLibro(action.payload) }]} ;
+            })
+        };
+    }
+    case 'ACTUALIZAR_DATOS_LIBRO': {
+        // El título solo se sustituye si el libro aún tiene el provisional "Libro <isbn>".
+        const { cursoId, isbn, datos } = action.payload;
+        return {
+            ...state,
+            cursos: state.cursos.map(c => {
+                if (c.id !== cursoId) return c;
+                return { ...c, libros: c.libros.map(l => l.isbn !== isbn ? l : {
+                    ...l,
+                    ...metadatosLibro(datos),
+                    title: l.title === `Libro ${isbn}` && datos.title ? datos.title : l.title,
+                }) };
+            })
+        };
+    }
+    case 'ADD_LIBROS_A_CURSO': {
+        const { cursoId, libros } = action.payload;
+        return libros.reduce((s, libro) => reducer(s, { type: 'ADD_LIBRO_A_CURSO', payload: { cursoId, ...libro } }), state);
+    }
+    case 'RENOMBRAR_CURSO': {
+        const { cursoId, nombre } = action.payload;
+        if (!nombre?.trim()) return state;
+        return { ...state, cursos: state.cursos.map(c => c.id === cursoId ? { ...c, nombre: nombre.trim() } : c) };
+    }
+    case 'EDITAR_TITULO_LIBRO': {
+        const { cursoId, isbn, title } = action.payload;
+        if (!title?.trim()) return state;
+        return {
+            ...state,
+            cursos: state.cursos.map(c => c.id !== cursoId ? c : {
+                ...c, libros: c.libros.map(l => l.isbn === isbn ? { ...l, title: title.trim() } : l)
+            })
+        };
+    }
+    case 'SET_PRECIO_LIBRO': {
+        // precio: importe de reposición en euros; null lo quita.
+        const { cursoId, isbn, precio } = action.payload;
+        if (precio != null && !(Number.isFinite(precio) && precio >= 0)) return state;
+        return {
+            ...state,
+            cursos: state.cursos.map(c => c.id !== cursoId ? c : {
+                ...c, libros: c.libros.map(l => {
+                    if (l.isbn !== isbn) return l;
+                    const { precio: _anterior, ...resto } = l;
+                    return precio == null ? resto : { ...resto, precio };
+                })
+            })
+        };
+    }
+    case 'DEL_LIBRO_DE_CURSO': {
+        const { cursoId, isbn } = action.payload;
+        return {
+            ...state,
+            cursos: state.cursos.map(c => {
+                if (c.id !== cursoId) return c;
+                return { ...c, libros: c.libros.filter(l => l.isbn !== isbn) };
+            })
+        };
+    }
+    case 'REGISTRAR_EJEMPLARES': {
+        const { cursoId, isbn, cantidad, fecha } = action.payload;
+        const n = Math.max(0, Math.floor(Number(cantidad) || 0));
+        if (!n) return state;
+        const codigos = generarCodigosEjemplar(state.ajustes, n);
+        const altaEn = fecha || ahora();
+        return {
+            ...state,
+            ajustes: { ...state.ajustes, contadorEjemplares: state.ajustes.contadorEjemplares + n },
+            cursos: state.cursos.map(c => {
+                if (c.id !== cursoId) return c;
+                return {
+                    ...c,
+                    libros: c.libros.map(l => l.isbn !== isbn ? l : {
+                        ...l,
+                        ejemplares: [...(l.ejemplares || []), ...codigos.map(codigo => ({ codigo, altaEn, impreso: false }))]
+                    })
+                };
+            })
+        };
+    }
+    case 'MARCAR_ETIQUETAS_IMPRESAS': {
+        const codigos = new Set(action.payload);
+        return {
+            ...state,
+            cursos: state.cursos.map(c => ({
+                ...c,
+                libros: c.libros.map(l => !l.ejemplares ? l : {
+                    ...l,
+                    ejemplares: l.ejemplares.map(e => codigos.has(e.codigo) ? { ...e, impreso: true } : e)
+                })
+            }))
+        };
+    }
+    case 'SET_PREFIJO_EJEMPLAR': {
+        // Un prefijo en blanco haría que las etiquetas nuevas salieran con el de por defecto.
+        const prefijo = action.payload.trim().toUpperCase();
+        if (!prefijo) return state;
+        return { ...state, ajustes: { ...state.ajustes, prefijoEjemplar: prefijo } };
+    }
+    case 'SET_IDIOMA': return state.ajustes.idioma === action.payload ? state : { ...state, ajustes: { ...state.ajustes, idioma: action.payload } };
+    case 'REORDER_LIBROS': {
+        const { cursoId, isbn, direction } = action.payload;
+        return {
+            ...state,
+            cursos: state.cursos.map(c => {
+                if (c.id !== cursoId) return c;
+
+                const index = c.libros.findIndex(l => l.isbn === isbn);
+                if (index === -1) return c;
+
+                const newLibros = [...c.libros];
+
+                if (direction === 'up' && index > 0) {
+                    [newLibros[index - 1], newLibros[index]] = [newLibros[index], newLibros[index - 1]];
+                } else if (direction === 'down' && index < newLibros.length - 1) {
+                    [newLibros[index + 1], newLibros[index]] = [newLibros[index], newLibros[index + 1]];
+                }
+
+                return { ...c, libros: newLibros };
+            })
+        };
+    }
+    // CLASES
+    case 'ADD_CLASE': {
+        const { cursoId, nombre } = action.payload;
+        const nueva = { id: uid(), nombre: nombre.trim(), cursoId };
+        return { ...state, clases: [...state.clases, nueva] };
+    }
+    case 'RENOMBRAR_CLASE': {
+        const { claseId, nombre } = action.payload;
+        if (!nombre?.trim()) return state;
+        return { ...state, clases: state.clases.map(c => c.id === claseId ? { ...c, nombre: nombre.trim() } : c) };
+    }
+    case 'DEL_CLASE': {
+        const claseId = action.payload;
+        return {
+            ...state,
+            clases: state.clases.filter(c => c.id !== claseId),
+            seleccion: {...state.seleccion, claseId: state.seleccion.claseId === claseId ? null : state.seleccion.claseId}
+        };
+    }
+    // ALUMNOS
+    case 'ADD_ALUMNO': {
+      const { claseId, nombre } = action.payload;
+      const nuevo = { id: uid(), nombre: nombre.trim(), claseId, prestamos: [] };
+      return { ...state, alumnos: [...state.alumnos, nuevo], seleccion: {...state.seleccion, alumnoId: nuevo.id} };
+    }
+    case 'IMPORTAR_ALUMNOS': {
+      const { claseId, alumnos } = action.payload;
+      const nuevos = alumnos.map(({ nombre, apellidos, numeroLista }) => ({
+        id: uid(), nombre: nombre.trim(), apellidos: (apellidos || '').trim(), numeroLista: numeroLista ?? null, claseId, prestamos: []
+      }));
+      return { ...state, alumnos: [...state.alumnos, ...nuevos] };
+    }
+    case 'EDITAR_ALUMNO': {
+      const { alumnoId, datos } = action.payload;
+      const cambios = Object.fromEntries(Object.entries(datos).filter(([campo]) => CAMPOS_FICHA_ALUMNO.includes(campo)));
+      if (cambios.nombre !== undefined && !cambios.nombre.trim()) delete cambios.nombre;
+      if (cambios.claseId !== undefined && !state.clases.some(c => c.id === cambios.claseId)) delete cambios.claseId;
+      return { ...state, alumnos: state.alumnos.map(a => a.id === alumnoId ? { ...a, ...cambios } : a) };
+    }
+    case 'MOVER_ALUMNOS': {
+      const { alumnoIds, claseId } = action.payload;
+      if (!state.clases.some(c => c.id === claseId)) return state;
+      return { ...state, alumnos: state.alumnos.map(a => alumnoIds.includes(a.id) ? { ...a, claseId } : a) };
+    }
+    case 'DEL_ALUMNO': {
+      return {
+        ...state,
+        alumnos: state.alumnos.filter((a) => a.id !== action.payload),
+        seleccion: {...state.seleccion, alumnoId: state.seleccion.alumnoId === action.payload ? null : state.seleccion.alumnoId},
+      };
+    }
+    // SELECCION
+    case 'SELECT_CURSO': return {...state, seleccion: { ...state.seleccion, cursoId: action.payload, claseId: null, alumnoId: null }};
+    case 'SELECT_CLASE': return {...state, seleccion: { ...state.seleccion, claseId: action.payload, alumnoId: null }};
+    case 'SELECT_ALUMNO': return {...state, seleccion: { ...state.seleccion, alumnoId: action.payload }};
+    // LIBROS ENTREGADOS
+    case 'MARCAR_LIBRO': {
+      // ejemplar (opcional): código de la etiqueta de la copia física entregada.
+      const { alumnoId, ejemplar = null, fecha } = action.payload;
+      const barcode = codigoLibro(action.payload.barcode);
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId) return a;
+          if (libroEntregado(a, barcode)) return a;
+          const prestamo = { id: uid(), isbn: barcode, ejemplar, estado: 'entregado', entregadoEn: fecha || ahora(), devueltoEn: null };
+          return { ...a, prestamos: [...a.prestamos, prestamo] };
+        }),
+      };
+    }
+    case 'FIRMAR_ENTREGA': {
+      // Una sola firma cubre todos los libros que el alumno tiene entregados y sin firmar.
+      const { alumnoId, nombre, relacion, imagen, fecha } = action.payload;
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId) return a;
+          const sinFirmar = a.prestamos.filter((p) => p.estado === 'entregado' && !p.firmaId);
+          if (!sinFirmar.length) return a;
+          const firma = { id: uid(), nombre: nombre.trim(), relacion, imagen, firmadoEn: fecha || ahora() };
+          return {
+            ...a,
+            firmas: [...(a.firmas || []), firma],
+            prestamos: a.prestamos.map((p) => sinFirmar.includes(p) ? { ...p, firmaId: firma.id } : p),
+          };
+        }),
+      };
+    }
+    case 'DESMARCAR_LIBRO': {
+      // Anula una entrega registrada por error: elimina el préstamo activo, sin dejar rastro.
+      const { alumnoId } = action.payload;
+      const barcode = codigoLibro(action.payload.barcode);
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId || !libroEntregado(a, barcode)) return a;
+          const ultimo = ultimoPrestamo(a, barcode);
+          return { ...a, prestamos: a.prestamos.filter((p) => p !== ultimo) };
+        }),
+      };
+    }
+    case 'REVISAR_ENTREGA': {
+      // Estado del libro al entregarlo; perdido no tiene sentido aquí.
+      const { alumnoId, fecha } = action.payload;
+      const barcode = codigoLibro(action.payload.barcode);
+      if (!CONDICIONES[action.payload.condicion] || action.payload.condicion === 'perdido') return state;
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId || !libroEntregado(a, barcode)) return a;
+          return actualizarUltimoPrestamo(a, barcode, { revisionEntrega: crearRevision(action.payload, fecha) });
+        }),
+      };
+    }
+    case 'DEVOLVER_LIBRO': {
+      // Con revisión, el estado del libro decide cómo queda el préstamo (ver CONDICIONES).
+      const { alumnoId, fecha, revision } = action.payload;
+      const barcode = codigoLibro(action.payload.barcode);
+      if (revision && !CONDICIONES[revision.condicion]) return state;
+      const estado = revision ? CONDICIONES[revision.condicion].prestamo : 'devuelto';
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId || !libroEntregado(a, barcode)) return a;
+          const cambios = { estado, devueltoEn: estado === 'perdido' ? null : fecha || ahora() };
+          if (revision) cambios.revisionDevolucion = crearRevision(revision, fecha);
+          return actualizarUltimoPrestamo(a, barcode, cambios);
+        }),
+      };
+    }
+    case 'MARCAR_PAGADO': {
+      // Reposición de un libro perdido o dañado pagada por la familia (o anulado el pago).
+      const { alumnoId, prestamoId, pagado, fecha } = action.payload;
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => a.id !== alumnoId ? a : {
+          ...a,
+          prestamos: a.prestamos.map((p) => {
+            if (p.id !== prestamoId || (p.estado !== 'perdido' && p.estado !== 'dañado')) return p;
+            return { ...p, pagadoEn: pagado ? (fecha || ahora()) : null };
+          }),
+        }),
+      };
+    }
+    case 'MARCAR_INCIDENCIA': {
+      // estado: 'perdido' | 'dañado'. Un libro dañado se considera devuelto en ese momento.
+      const { alumnoId, estado, fecha } = action.payload;
+      const barcode = codigoLibro(action.payload.barcode);
+      if (estado !== 'perdido' && estado !== 'dañado') return state;
+      return {
+        ...state,
+        alumnos: state.alumnos.map((a) => {
+          if (a.id !== alumnoId) return a;
+          const ultimo = ultimoPrestamo(a, barcode);
+          if (!ultimo) return a;
+          const devueltoEn = estado === 'dañado' ? (ultimo.devueltoEn || fecha || ahora()) : ultimo.devueltoEn;
+          return actualizarUltimoPrestamo(a, barcode, { estado, devueltoEn });
+        }),
+      };
+    }
+    // DATOS
+    case 'IMPORT_STATE': return conIdiomaLocal(action.payload, state);
+    case 'REEMPLAZAR_DATOS': return conLoDelDispositivo(action.payload.estado, state);
+    case 'FUSIONAR_ESTADO': return conIdiomaLocal(action.payload, state);
+    case 'RESTAURAR_INSTANTANEA': return conIdiomaLocal(action.payload.estado, state);
+    case 'CAMBIAR_ANIO_ESCOLAR': return cambiarAnioEscolar(state, action.payload);
+    case 'RESET_STATE': return conIdiomaLocal(estadoVacio(), state);
+    default: return state;
+  }
+}
+
+
+// --- Componentes de Secciones ---
+
+function BuscadorGlobal({ state, dispatch, setModo }) {
+  const [consulta, setConsulta] = useState("");
+  const [abierto, setAbierto] = useState(false);
+  const resultados = useMemo(() => buscarEnEstado(state, consulta), [state, consulta]);
+  const clase = (id) => state.clases.find(c => c.id === id);
+  const hayResultados = resultados && (resultados.porISBN || ['alumnos', 'clases', 'cursos', 'libros'].some(k => resultados[k].length));
+
+  function ir(modo, acciones) {
+    acciones.forEach(dispatch);
+    setModo(modo);
+    setConsulta("");
+    setAbierto(false);
+  }
+
+  const irAlumno = (a) => ir('control', [{ type: 'SELECT_CLASE', payload: a.claseId }, { type: 'SELECT_ALUMNO', payload: a.id }]);
+  const irClase = (c) => ir('control', [{ type: 'SELECT_CLASE', payload: c.id }]);
+  const irCurso = (c) => ir('gestion', [{ type: 'SELECT_CURSO', payload: c.id }]);
+
+  const fila = "w-full text-left px-3 py-2 hover:bg-slate-100 flex items-center gap-2";
+  const grupo = (titulo, elementos) => elementos.length > 0 && (
+    <div className="py-1">
+      <p className="px-3 pt-1 text-xs font-semibold text-slate-400 uppercase">{titulo}</p>
+      {elementos}
+    </div>
+  );
+  const botonAlumno = (a) => (
+    <button key={a.id} onClick={() => irAlumno(a)} className={fila}>
+      <Users size={14} className="text-slate-400"/> <span className="flex-1">{nombreCompleto(a)}</span>
+      <span className="text-xs text-slate-500">{clase(a.claseId)?.nombre}</span>
+    </button>
+  );
+
+  return (
+    <div className="relative flex-1 min-w-0">
+      <div className="flex items-center gap-2 rounded-lg border border-slate-300 bg-white px-2">
+        <Search size={16} className="text-slate-400 flex-shrink-0"/>
+        <input
+          value={consulta}
+          onChange={e => { setConsulta(e.target.value); setAbierto(true); }}
+          onFocus={() => setAbierto(true)}
+          // Con retraso, para que el clic en un resultado llegue antes de cerrar la lista.
+          onBlur={() => setTimeout(() => setAbierto(false), 200)}
+          onKeyDown={e => e.key === 'Escape' && setAbierto(false)}
+          placeholder={t('Buscar alumno, clase, libro o ISBN')}
+          className="flex-1 min-w-0 py-1.5 text-sm outline-none bg-transparent"
+        />
+        {consulta && <button onClick={() => setConsulta("")} className="text-slate-400"><X size={16}/></button>}
+      </div>
+      {abierto && resultados && (
+        <div className="absolute left-0 right-0 mt-1 z-30 bg-white rounded-lg shadow-lg border border-slate-200 max-h-[70vh] overflow-y-auto text-sm">
+          {!hayResultados && <p className="px-3 py-4 text-center text-slate-500">{t('Sin resultados.')}</p>}
+          {resultados.porISBN && (
+            <div className="py-1 border-b border-slate-100">
+              <p className="px-3 pt-1 font-semibold">{resultados.porISBN.libro.title}</p>
+              {grupo(t('Lo tienen ({n})', { n: resultados.porISBN.entregados.length }), resultados.porISBN.entregados.map(botonAlumno))}
+              {grupo(t('Pendiente de entregar ({n})', { n: resultados.porISBN.pendientes.length }), resultados.porISBN.pendientes.map(botonAlumno))}
+            </div>
+          )}
+          {grupo(t('Alumnos'), resultados.alumnos.map(botonAlumno))}
+          {grupo(t('Clases'), resultados.clases.map(c => (
+            <button key={c.id} onClick={() => irClase(c)} className={fila}><ChevronsRight size={14} className="text-slate-400"/> {c.nombre}</button>
+          )))}
+          {grupo(t('Cursos'), resultados.cursos.map(c => (
+            <button key={c.id} onClick={() => irCurso(c)} className={fila}><ChevronsRight size={14} className="text-slate-400"/> {c.nombre}</button>
+          )))}
+          {grupo(t('Libros'), resultados.libros.map(({ libro, curso }) => (
+            <button key={`${curso.id}:${libro.isbn}`} onClick={() => irCurso(curso)} className={fila}>
+              <BookOpen size={14} className="text-slate-400"/> <span className="flex-1 truncate">{libro.title}</span>
+              <span className="text-xs text-slate-500">{curso.nombre}</span>
+            </button>
+          )))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sin la cámara abierta no hay un momento claro en que acaba la tanda de entregas a un alumno:
+// se da por acabada tras esta pausa sin entregarle más libros.
+const PAUSA_ANTES_DE_FIRMAR = 4000;
+
+function SeccionControl({ state, dispatch, setMsg, almacen, lectorExterno, setLectorExterno }) {
+  const [scanActivo, setScanActivo] = useState(false);
+  const [vista, setVista] = useState("alumno");
+
+  const claseSel = useMemo(() => state.clases.find(c => c.id === state.seleccion.claseId), [state.clases, state.seleccion.claseId]);
+  const alumnosEnClase = useMemo(() => state.alumnos.filter(a => a.claseId === state.seleccion.claseId), [state.alumnos, state.seleccion.claseId]);
+  const alumnoSel = useMemo(() => alumnosEnClase.find(a => a.id === state.seleccion.alumnoId), [alumnosEnClase, state.seleccion.alumnoId]);
+  const cursoDeClase = useMemo(() => state.cursos.find(c => c.id === claseSel?.cursoId), [state.cursos, claseSel]);
+  const librosSinFirmar = useMemo(
+    () => alumnoSel && cursoDeClase ? librosRecibidos(alumnoSel, cursoDeClase).filter(r => !r.prestamo.firmaId) : [],
+    [alumnoSel, cursoDeClase]
+  );
+  const [firmando, setFirmando] = useState(false);
+  const cargosSel = useMemo(() => alumnoSel && cursoDeClase ? cargosAlumno(alumnoSel, cursoDeClase) : [], [alumnoSel, cursoDeClase]);
+  // { isbn, modo: 'entrega' | 'devolucion' } del libro cuyo estado se está revisando.
+  const [revisando, setRevisando] = useState(null);
+  const libroRevisado = revisando && cursoDeClase?.libros.find(l => l.isbn === revisando.isbn);
+  const revisionAbierta = !!libroRevisado && !!alumnoSel && libroEntregado(alumnoSel, libroRevisado.isbn);
+  // Lo que falta de las entregas de la sesión, por alumno: el estado de cada libro entregado (como
+  // al devolverlo), de uno en uno, y la firma de quien ya no está activo. Con la cámara abierta, al cerrarla.
+  const [pendientes, setPendientes] = useState([]);
+  const pendiente = scanActivo || revisionAbierta ? null : siguientePendiente(state, pendientes, alumnoSel?.id);
+
+  function entregar(isbn, ejemplar) {
+    if (libroEntregado(alumnoSel, isbn)) return;
+    dispatch({ type: 'MARCAR_LIBRO', payload: { alumnoId: alumnoSel.id, barcode: isbn, ...(ejemplar && { ejemplar }) } });
+    setPendientes(prev => anotarEntregaPendiente(prev, alumnoSel.id, isbn));
+  }
+
+  function cerrarFirma(alumnoId) {
+    if (alumnoId === alumnoSel?.id) setFirmando(false);
+    setPendientes(prev => olvidarEntregaPendiente(prev, alumnoId));
+  }
+
+  // Al cerrar el escáner, si el alumno se lleva libros sin firmar, se pide la firma.
+  const escaneabaRef = useRef(false);
+  useEffect(() => {
+    if (escaneabaRef.current && !scanActivo && librosSinFirmar.length) setFirmando(true);
+    escaneabaRef.current = scanActivo;
+  }, [scanActivo]);
+
+  // Entregas por lector, a mano o desde una foto: se pide la firma cuando el alumno deja de recibir libros
+  // y, si hay que anotar el estado de lo entregado, después de hacerlo. Si antes se pasa a otro alumno,
+  // la firma del anterior queda en `pendientes`.
+  const sinFirmarAntesRef = useRef({ alumnoId: null, n: 0 });
+  useEffect(() => {
+    const antes = sinFirmarAntesRef.current;
+    sinFirmarAntesRef.current = { alumnoId: alumnoSel?.id, n: librosSinFirmar.length };
+    if (antes.alumnoId !== alumnoSel?.id) setFirmando(false);
+    if (scanActivo || antes.alumnoId !== alumnoSel?.id || librosSinFirmar.length <= antes.n) return;
+    const espera = setTimeout(() => setFirmando(true), PAUSA_ANTES_DE_FIRMAR);
+    return () => clearTimeout(espera);
+  }, [alumnoSel?.id, librosSinFirmar.length, scanActivo]);
+
+  function handleScan(barcode) {
+    const carnetId = alumnoIdDeCarnet(barcode);
+    if (carnetId) {
+        cambiarAlumno(carnetId);
+        return;
+    }
+    if (!alumnoSel || !cursoDeClase) {
+        setMsg({ text: t('Escanea primero el carné de un alumno.'), type: 'error' });
+        return;
+    }
+
+    const copia = buscarEjemplar(state.cursos, barcode);
+    if (copia) {
+        asignarEjemplar(copia);
+        return;
+    }
+
+    const isbn = codigoLibro(barcode);
+    const libroRequerido = cursoDeClase.libros.find(l => l.isbn === isbn);
+
+    if (libroRequerido) {
+        entregar(isbn);
+        setMsg({ text: t('"{libro}" marcado.', { libro: libroRequerido.title }), type: 'success' });
+    } else {
+        // Un código que no es ISBN puede ser una lectura errónea o el EAN de otro producto: se explica cuál.
+        setMsg({ text: normalizarISBN(barcode).error || t('Libro no encontrado en la lista del curso.'), type: 'error' });
+    }
+  }
+
+  function imprimir(ok) {
+    if (!ok) setMsg({ text: t('Permite las ventanas emergentes para imprimir.'), type: 'error' });
+  }
+
+  function imprimirAlbaranesClase() {
+    const conLibros = alumnosEnClase.filter(a => librosRecibidos(a, cursoDeClase).length);
+    if (!conLibros.length) {
+      setMsg({ text: t('Ningún alumno de la clase tiene libros entregados.'), type: 'error' });
+      return;
+    }
+    imprimir(imprimirAlbaranes(almacen, conLibros, claseSel, cursoDeClase, state.anioEscolar));
+  }
+
+  function imprimirCargosClase() {
+    const deben = alumnosEnClase.filter(a => totalPendiente(cargosAlumno(a, cursoDeClase)) > 0);
+    if (!deben.length) {
+      setMsg({ text: t('Nadie en la clase tiene reposiciones pendientes de pago.'), type: 'error' });
+      return;
+    }
+    imprimir(imprimirCargos(deben, claseSel, cursoDeClase, state.anioEscolar));
+  }
+
+  function exportarCargosClase() {
+    const filas = filasCargos(alumnosEnClase, claseSel, cursoDeClase);
+    if (filas.length === 1) {
+      setMsg({ text: t('Nadie en la clase tiene libros perdidos o dañados.'), type: 'error' });
+      return;
+    }
+    const hoy = new Date().toISOString().slice(0, 10);
+    descargarArchivo(filasACSV(filas), "text/csv;charset=utf-8;", `reposiciones_${claseSel.nombre}_${hoy}.csv`);
+  }
+
+  function cambiarAlumno(alumnoId) {
+    const alumno = state.alumnos.find(a => a.id === alumnoId);
+    if (!alumno) {
+        setMsg({ text: t('Carné no reconocido.'), type: 'error' });
+        return;
+    }
+    if (alumno.claseId !== state.seleccion.claseId) {
+        dispatch({ type: 'SELECT_CLASE', payload: alumno.claseId });
+    }
+    dispatch({ type: 'SELECT_ALUMNO', payload: alumno.id });
+    setVista('alumno');
+    setMsg({ text: t('Alumno activo: {alumno}', { alumno: alumno.nombre }), type: 'success' });
+    anunciar(nombreCompleto(alumno));
+  }
+
+  function asignarEjemplar({ curso, libro, ejemplar }) {
+    if (curso.id !== cursoDeClase.id) {
+        setMsg({ text: t('El ejemplar {ejemplar} es del curso "{curso}".', { ejemplar: ejemplar.codigo, curso: curso.nombre }), type: 'error' });
+        return;
+    }
+    const titular = titularEjemplar(state.alumnos, ejemplar.codigo);
+    if (titular && titular.id !== alumnoSel.id) {
+        setMsg({ text: t('El ejemplar {ejemplar} ya está asignado a {alumno}.', { ejemplar: ejemplar.codigo, alumno: titular.nombre }), type: 'error' });
+        return;
+    }
+    if (titular) {
+        setMsg({ text: t('{alumno} ya tiene el ejemplar {ejemplar}.', { alumno: alumnoSel.nombre, ejemplar: ejemplar.codigo }), type: 'success' });
+        return;
+    }
+    if (libroEntregado(alumnoSel, libro.isbn)) {
+        const actual = ultimoPrestamo(alumnoSel, libro.isbn).ejemplar;
+        const texto = actual ? '{alumno} ya tiene "{libro}" (ejemplar {ejemplar}).' : '{alumno} ya tiene "{libro}".';
+        setMsg({ text: t(texto, { alumno: alumnoSel.nombre, libro: libro.title, ejemplar: actual }), type: 'error' });
+        return;
+    }
+    entregar(libro.isbn, ejemplar.codigo);
+    setMsg({ text: t('"{libro}" ({ejemplar}) asignado.', { libro: libro.title, ejemplar: ejemplar.codigo }), type: 'success' });
+  }
+
+  return (
+    <div className="grid gap-6">
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200 grid gap-4">
+            <div>
+                <label className="text-sm font-medium text-slate-600">{t('1. Selecciona una clase')}</label>
+                <select
+                    className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base mt-1"
+                    value={state.seleccion.claseId || ""}
+                    onChange={(e) => dispatch({ type: 'SELECT_CLASE', payload: e.target.value || null })}
+                >
+                    <option value="">{t('— Elige una clase —')}</option>
+                    {state.clases.map((c) => (
+                    <option key={c.id} value={c.id}>{c.nombre}</option>
+                    ))}
+                </select>
+            </div>
+            {claseSel && (
+                <div>
+                    <label className="text-sm font-medium text-slate-600">{t('2. Selecciona un alumno')}</label>
+                    <select
+                        className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base mt-1"
+                        value={state.seleccion.alumnoId || ""}
+                        onChange={(e) => dispatch({ type: 'SELECT_ALUMNO', payload: e.target.value || null })}
+                    >
+                        <option value="">{t('— Elige un alumno —')}</option>
+                        {alumnosEnClase.map((a) => (
+                        <option key={a.id} value={a.id}>{nombreCompleto(a)}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+        </div>
+
+      {claseSel && cursoDeClase && (
+        <div className="flex rounded-lg bg-slate-200 p-1 text-sm font-semibold">
+          {[['alumno', t('Por alumno')], ['clase', t('Toda la clase')]].map(([id, etiqueta]) => (
+            <button
+              key={id}
+              onClick={() => setVista(id)}
+              className={`flex-1 rounded-md py-2 ${vista === id ? 'bg-white text-indigo-600 shadow-sm' : 'text-slate-600'}`}
+            >
+              {etiqueta}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {vista === 'clase' && claseSel && cursoDeClase && (
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button onClick={imprimirAlbaranesClase} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 font-semibold">
+            <Printer size={16}/> {t('Albaranes de la clase')}
+          </button>
+          <button
+            onClick={() => imprimir(imprimirPendientesClase(claseSel, cursoDeClase, alumnosEnClase, state.anioEscolar))}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 font-semibold"
+          >
+            <Printer size={16}/> {t('Informe de pendientes')}
+          </button>
+          <button onClick={imprimirCargosClase} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 font-semibold">
+            <Printer size={16}/> {t('Libros por reponer')}
+          </button>
+          <button onClick={exportarCargosClase} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 font-semibold">
+            <Download size={16}/> {t('Reposiciones (CSV)')}
+          </button>
+        </div>
+      )}
+
+      {claseSel && cursoDeClase && (
+        <EntradaCodigo
+          onDetect={handleScan}
+          lectorExterno={lectorExterno}
+          setLectorExterno={setLectorExterno}
+          placeholder={t('ISBN, ejemplar o carné')}
+        />
+      )}
+
+      {vista === 'clase' && claseSel && cursoDeClase ? (
+        <MatrizClase
+          alumnos={alumnosEnClase}
+          curso={cursoDeClase}
+          dispatch={dispatch}
+          onSelectAlumno={(alumnoId) => {
+            dispatch({ type: 'SELECT_ALUMNO', payload: alumnoId });
+            setVista('alumno');
+          }}
+        />
+      ) : alumnoSel && cursoDeClase ? (
+        <>
+          <button
+              className="w-full justify-center text-base font-semibold flex items-center gap-2 rounded-lg px-4 py-3 bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800"
+              onClick={() => setScanActivo(true)}
+            >
+              <Camera size={20}/> {t('Escanear libros de {alumno}', { alumno: nombreCompleto(alumnoSel) })}
+            </button>
+
+          <div className="mt-2">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <h3 className="font-semibold text-lg">{t('Lista de libros ({curso})', { curso: cursoDeClase.nombre })}</h3>
+              <div className="flex gap-2">
+                {librosSinFirmar.length > 0 && (
+                  <button
+                    title={t('Firmar la recogida de los libros')}
+                    onClick={() => setFirmando(true)}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-indigo-300 bg-white text-indigo-700 hover:bg-indigo-50 text-sm font-semibold"
+                  >
+                    <PenTool size={16}/> {t('Firmar ({n})', { n: librosSinFirmar.length })}
+                  </button>
+                )}
+                <button
+                  title={t('Imprimir albarán de entrega')}
+                  onClick={() => imprimir(imprimirAlbaranes(almacen, [alumnoSel], claseSel, cursoDeClase, state.anioEscolar))}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 text-sm font-semibold"
+                >
+                  <Printer size={16}/> {t('Albarán')}
+                </button>
+              </div>
+            </div>
+            <ListaControlLibros
+              alumnoSel={alumnoSel}
+              curso={cursoDeClase}
+              almacen={almacen}
+              dispatch={dispatch}
+              onRevisar={(isbn, modo) => setRevisando({ isbn, modo })}
+            />
+          </div>
+          {cargosSel.length > 0 && (
+            <ResumenCargos
+              alumno={alumnoSel}
+              cargos={cargosSel}
+              dispatch={dispatch}
+              onImprimir={() => imprimir(imprimirCargos([alumnoSel], claseSel, cursoDeClase, state.anioEscolar))}
+            />
+          )}
+        </>
+      ) : (
+        <div className="p-6 text-center text-slate-500 bg-white rounded-xl border border-dashed border-slate-300 grid gap-4">
+          {claseSel ? t('Selecciona un alumno para ver su progreso.') : t('Selecciona una clase para empezar.')}
+          {claseSel && cursoDeClase && (
+            <button
+              className="justify-center text-base font-semibold flex items-center gap-2 rounded-lg px-4 py-3 border border-indigo-300 text-indigo-700 hover:bg-indigo-50"
+              onClick={() => setScanActivo(true)}
+            >
+              <Contact size={20}/> {t('Escanear carné de alumno')}
+            </button>
+          )}
+        </div>
+      )}
+      {scanActivo && <Escaner
+        onDetect={handleScan}
+        setMsg={setMsg}
+        setActivo={setScanActivo}
+        titulo={alumnoSel ? t('Alumno: {alumno}', { alumno: alumnoSel.nombre }) : t('Escanea un carné de alumno')}
+      />}
+      {pendiente?.libro ? (
+        <ModalRevision
+          key={`${pendiente.alumno.id}:${pendiente.libro.isbn}`}
+          alumno={pendiente.alumno}
+          libro={pendiente.libro}
+          modo="entrega"
+          almacen={almacen}
+          dispatch={dispatch}
+          setMsg={setMsg}
+          onClose={() => setPendientes(prev => quitarRevisionPendiente(prev, pendiente.alumno.id, pendiente.libro.isbn))}
+        />
+      ) : pendiente ? (
+        <ModalFirma
+          key={pendiente.alumno.id}
+          alumno={pendiente.alumno}
+          libros={librosPorFirmar(state, pendiente.alumno)}
+          almacen={almacen}
+          dispatch={dispatch}
+          setMsg={setMsg}
+          onClose={() => cerrarFirma(pendiente.alumno.id)}
+        />
+      ) : firmando && alumnoSel && librosSinFirmar.length > 0 && !revisionAbierta && (
+        <ModalFirma
+          alumno={alumnoSel}
+          libros={librosSinFirmar.map(r => r.libro)}
+          almacen={almacen}
+          dispatch={dispatch}
+          setMsg={setMsg}
+          onClose={() => cerrarFirma(alumnoSel.id)}
+        />
+      )}
+      {revisionAbierta && (
+        <ModalRevision
+          alumno={alumnoSel}
+          libro={libroRevisado}
+          modo={revisando.modo}
+          almacen={almacen}
+          dispatch={dispatch}
+          setMsg={setMsg}
+          onClose={() => setRevisando(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function ListaControlLibros({ alumnoSel, curso, almacen, dispatch, onRevisar }) {
+  if (!alumnoSel || !curso) return null;
+
+  return (
+    <div className="grid gap-3">
+      {curso.libros.map((libro) => {
+        const prestamo = ultimoPrestamo(alumnoSel, libro.isbn);
+        const estado = prestamo ? ESTADOS_PRESTAMO[prestamo.estado] : null;
+        const entregado = prestamo?.estado === 'entregado';
+        const firma = firmaDePrestamo(alumnoSel, prestamo);
+        const payload = { alumnoId: alumnoSel.id, barcode: libro.isbn };
+        return (
+            <div key={libro.isbn} className={`flex items-center gap-3 rounded-lg border p-3 transition-all ${estado ? estado.clase : 'bg-white border-slate-200'}`}>
+                <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${estado ? estado.icono : 'bg-slate-200 text-slate-500'}`}>
+                    {estado ? <Check size={20}/> : <Circle size={20}/>}
+                </div>
+                <PortadaLibro libro={libro}/>
+                <div className="flex-1 min-w-0">
+                    <p className="font-medium text-slate-800">{libro.title}</p>
+                    {detallesLibro(libro) && <p className="text-xs text-slate-600 truncate">{detallesLibro(libro)}</p>}
+                    <p className="text-xs text-slate-500 font-mono">{libro.isbn}</p>
+                    {prestamo && (
+                        <p className="text-xs text-slate-600 mt-1">
+                            <span className="font-semibold">{t(estado.etiqueta)}</span>
+                            {prestamo.entregadoEn && ` · ${t('entregado {fecha}', { fecha: formatearFecha(prestamo.entregadoEn) })}`}
+                            {prestamo.devueltoEn && ` · ${t('devuelto {fecha}', { fecha: formatearFecha(prestamo.devueltoEn) })}`}
+                            {prestamo.ejemplar && <> · {t('ejemplar')} <span className="font-mono">{prestamo.ejemplar}</span></>}
+                        </p>
+                    )}
+                    {firma && (
+                        <p className="flex items-center gap-2 text-xs text-slate-600 mt-1">
+                            <FotoGuardada almacen={almacen} foto={firma.imagen} alt={t('Firma')} className="h-8 rounded border border-slate-200 bg-white"/>
+                            <span>{t('Firmado por {nombre} ({relacion}) el {fecha}', { nombre: firma.nombre, relacion: t(firma.relacion), fecha: formatearFecha(firma.firmadoEn) })}</span>
+                        </p>
+                    )}
+                    <LineaRevision titulo={t('Al entregarlo')} revision={prestamo?.revisionEntrega} almacen={almacen}/>
+                    <LineaRevision titulo={t('Al devolverlo')} revision={prestamo?.revisionDevolucion} almacen={almacen}/>
+                    {(prestamo?.estado === 'perdido' || prestamo?.estado === 'dañado') && (
+                        <p className="text-xs text-slate-600 mt-1">
+                            {t('Reposición: {importe}', { importe: libro.precio != null ? formatearImporte(libro.precio) : t('sin precio') })}
+                            {prestamo.pagadoEn && ` · ${t('pagada {fecha}', { fecha: formatearFecha(prestamo.pagadoEn) })}`}
+                        </p>
+                    )}
+                </div>
+                {entregado && (
+                    <div className="flex items-center gap-1">
+                        <button
+                            title={t('Estado al entregarlo')}
+                            onClick={() => onRevisar(libro.isbn, 'entrega')}
+                            className="p-2 rounded-md hover:bg-green-100 text-green-700"
+                        >
+                            <ClipboardCheck size={16}/>
+                        </button>
+                        <button
+                            title={t('Registrar devolución')}
+                            onClick={() => onRevisar(libro.isbn, 'devolucion')}
+                            className="p-2 rounded-md hover:bg-sky-100 text-sky-600"
+                        >
+                            <Undo2 size={16}/>
+                        </button>
+                        <button
+                            title={t('Marcar como dañado')}
+                            onClick={() => dispatch({type: 'MARCAR_INCIDENCIA', payload: {...payload, estado: 'dañado'}})}
+                            className="p-2 rounded-md hover:bg-amber-100 text-amber-600"
+                        >
+                            <AlertTriangle size={16}/>
+                        </button>
+                        <button
+                            title={t('Marcar como perdido')}
+                            onClick={() => dispatch({type: 'MARCAR_INCIDENCIA', payload: {...payload, estado: 'perdido'}})}
+                            className="p-2 rounded-md hover:bg-red-100 text-red-600"
+                        >
+                            <Flag size={16}/>
+                        </button>
+                        <button
+                            title={t('Anular entrega')}
+                            onClick={() => dispatch({type: 'DESMARCAR_LIBRO', payload})}
+                            className="p-2 rounded-md hover:bg-red-100 text-red-500"
+                        >
+                            <X size={16}/>
+                        </button>
+                    </div>
+                )}
+            </div>
+        )
+      })}
+    </div>
+  );
+}
+
+// Se guarda el texto en castellano y se traduce al mostrarlo.
+const RELACIONES_FIRMANTE = ['Alumno/a', 'Madre', 'Padre', 'Tutor/a legal', 'Otra persona autorizada'];
+
+// Firma en pantalla de quien recoge los libros; se guarda como PNG junto a la entrega.
+function ModalFirma({ alumno, libros, almacen, dispatch, setMsg, onClose }) {
+  const canvasRef = useRef(null);
+  const trazandoRef = useRef(false);
+  const [hayTrazo, setHayTrazo] = useState(false);
+  const [nombre, setNombre] = useState(alumno.tutor || '');
+  const [relacion, setRelacion] = useState(alumno.tutor ? 'Tutor/a legal' : '');
+
+  // El lienzo tiene resolución fija y se muestra escalado: se traducen las coordenadas.
+  function punto(e) {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return [(e.clientX - rect.left) * canvas.width / rect.width, (e.clientY - rect.top) * canvas.height / rect.height];
+  }
+
+  function empezar(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const ctx = canvasRef.current.getContext('2d');
+    Object.assign(ctx, { lineWidth: 3, lineCap: 'round', lineJoin: 'round', strokeStyle: '#0f172a' });
+    ctx.beginPath();
+    ctx.moveTo(...punto(e));
+    trazandoRef.current = true;
+  }
+
+  function trazar(e) {
+    if (!trazandoRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.lineTo(...punto(e));
+    ctx.stroke();
+    setHayTrazo(true);
+  }
+
+  function borrar() {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHayTrazo(false);
+  }
+
+  function elegirRelacion(valor) {
+    setRelacion(valor);
+    if (valor === 'Alumno/a') setNombre(nombreCompleto(alumno));
+  }
+
+  async function guardar() {
+    // Como las fotos: la firma se guarda aparte y la entrega solo lleva la referencia.
+    let imagen;
+    try {
+      imagen = await guardarFoto(almacen, canvasRef.current.toDataURL('image/png'));
+    } catch (err) {
+      setMsg({ text: err.message, type: 'error' });
+      return;
+    }
+    dispatch({ type: 'FIRMAR_ENTREGA', payload: { alumnoId: alumno.id, nombre, relacion, imagen } });
+    setMsg({ text: t('Entrega firmada por {nombre}.', { nombre: nombre.trim() }), type: 'success' });
+    onClose();
+  }
+
+  const etiqueta = "grid gap-1 text-sm font-semibold text-slate-700";
+  const entrada = "rounded-lg border border-slate-300 px-3 py-2 font-normal";
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Recogida de libros de {alumno}', { alumno: nombreCompleto(alumno) })}</h3>
+        <ul className="mt-2 text-sm text-slate-600 list-disc pl-5">
+          {libros.map(l => <li key={l.isbn}>{l.title}</li>)}
+        </ul>
+        <div className="grid grid-cols-2 gap-3 mt-4">
+          <label className={etiqueta}>{t('Nombre de quien firma')}<input value={nombre} onChange={(e) => setNombre(e.target.value)} className={entrada} /></label>
+          <label className={etiqueta}>
+            {t('Relación')}
+            <select value={relacion} onChange={(e) => elegirRelacion(e.target.value)} className={entrada}>
+              <option value="" disabled>{t('Elige…')}</option>
+              {RELACIONES_FIRMANTE.map(r => <option key={r} value={r}>{t(r)}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="mt-4">
+          <div className="flex items-center justify-between text-sm font-semibold text-slate-700 mb-1">
+            {t('Firma')}
+            <button onClick={borrar} className="text-slate-500 hover:text-slate-800 font-normal">{t('Borrar')}</button>
+          </div>
+          <canvas
+            ref={canvasRef}
+            width={600}
+            height={200}
+            onPointerDown={empezar}
+            onPointerMove={trazar}
+            onPointerUp={() => { trazandoRef.current = false; }}
+            onPointerCancel={() => { trazandoRef.current = false; }}
+            className="w-full h-40 rounded-lg border border-dashed border-slate-400 bg-slate-50 touch-none cursor-crosshair"
+          />
+        </div>
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Firmar más tarde')}</button>
+          <button
+            disabled={!hayTrazo || !nombre.trim() || !relacion}
+            onClick={guardar}
+            className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {t('Guardar firma')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Las fotos se guardan aparte en el almacén (guardarFoto), pero se copian en los ficheros
+// exportados y ocupan cuota del navegador: se reducen antes de guardarlas.
+const LADO_FOTO = 640;
+
+function reducirFoto(archivo) {
+  return new Promise((resolver, rechazar) => {
+    const url = URL.createObjectURL(archivo);
+    const img = new Image();
+    img.onload = () => {
+      const escala = Math.min(1, LADO_FOTO / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * escala);
+      canvas.height = Math.round(img.height * escala);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolver(canvas.toDataURL('image/jpeg', 0.6));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      rechazar(new Error(t('No se pudo leer la imagen {archivo}.', { archivo: archivo.name })));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Cambia cada imagen del alumno guardada aparte: las fotos de las revisiones y las firmas.
+ * @param {(foto: string) => Promise<string>} cambiar
+ */
+async function cambiarFotosAlumno(alumno, cambiar) {
+  async function prestamo(p) {
+    const cambios = {};
+    for (const campo of ['revisionEntrega', 'revisionDevolucion']) {
+      if (p[campo]?.fotos) cambios[campo] = { ...p[campo], fotos: await Promise.all(p[campo].fotos.map(cambiar)) };
+    }
+    return { ...p, ...cambios };
+  }
+  const cambiado = { ...alumno, prestamos: await Promise.all(alumno.prestamos.map(prestamo)) };
+  if (alumno.firmas) cambiado.firmas = await Promise.all(alumno.firmas.map(async f => ({ ...f, imagen: await cambiar(f.imagen) })));
+  return cambiado;
+}
+
+/**
+ * Cambia cada imagen guardada aparte, también las de años archivados.
+ * Al exportar se sustituyen las referencias por la imagen para que el fichero no dependa del
+ * dispositivo; al importarlo, las imágenes vuelven al almacén y los datos se quedan con la referencia.
+ * @param {(foto: string) => Promise<string>} cambiar
+ */
+async function cambiarFotos(estado, cambiar) {
+  const alumnos = (lista) => Promise.all(lista.map(a => cambiarFotosAlumno(a, cambiar)));
+  return {
+    ...estado,
+    alumnos: await alumnos(estado.alumnos),
+    archivo: await Promise.all(estado.archivo.map(async anio => ({ ...anio, alumnos: await alumnos(anio.alumnos) }))),
+  };
+}
+
+/** Las fotos de este dispositivo van dentro; las que no tiene se quedan como referencia. */
+function incluirFotos(almacen, estado) {
+  return cambiarFotos(estado, async (foto) => (await leerFoto(almacen, foto)) ?? foto);
+}
+
+function guardarFotosIncluidas(almacen, estado) {
+  return cambiarFotos(estado, (foto) => esReferenciaFoto(foto) ? foto : guardarFoto(almacen, foto));
+}
+
+/** Foto del almacén; las hechas en otro dispositivo no se sincronizan y se indica en su lugar. */
+function FotoGuardada({ almacen, foto, alt, className }) {
+  const [imagen, setImagen] = useState(null);
+  useEffect(() => {
+    let activo = true;
+    setImagen(null);
+    leerFoto(almacen, foto)
+      .then(img => { if (activo) setImagen(img ?? false); })
+      .catch(() => { if (activo) setImagen(false); });
+    return () => { activo = false; };
+  }, [almacen, foto]);
+  if (imagen === false) {
+    return (
+      <span title={t('Foto hecha en otro dispositivo')} className={`${className} inline-flex items-center justify-center bg-slate-100 text-slate-400`}>
+        <ImageOff size={14}/>
+      </span>
+    );
+  }
+  return <img src={imagen || undefined} alt={alt} className={className}/>;
+}
+
+/** Estado de conservación anotado en un préstamo, con sus notas y las fotos en miniatura. */
+function LineaRevision({ titulo, revision, almacen }) {
+  const [ampliada, setAmpliada] = useState(null);
+  if (!revision) return null;
+  const condicion = CONDICIONES[revision.condicion];
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600 mt-1">
+      <span>{titulo}:</span>
+      <span className={`px-1.5 py-0.5 rounded border font-semibold ${condicion?.clase || ''}`}>{t(condicion?.etiqueta ?? revision.condicion)}</span>
+      {revision.notas && <span className="italic">{revision.notas}</span>}
+      {revision.fotos?.map((foto, i) => (
+        <button key={i} onClick={() => setAmpliada(foto)}>
+          <FotoGuardada almacen={almacen} foto={foto} alt={t('Foto {numero}', { numero: i + 1 })} className="h-8 w-8 object-cover rounded border border-slate-200"/>
+        </button>
+      ))}
+      {ampliada && (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={() => setAmpliada(null)}>
+          <FotoGuardada almacen={almacen} foto={ampliada} alt="" className="max-h-full max-w-full rounded-lg"/>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Estado del libro al entregarlo (se puede corregir) o al devolverlo, con notas y fotos opcionales.
+function ModalRevision({ alumno, libro, modo, almacen, dispatch, setMsg, onClose }) {
+  const prestamo = ultimoPrestamo(alumno, libro.isbn);
+  const devolucion = modo === 'devolucion';
+  const inicial = devolucion ? null : prestamo.revisionEntrega;
+  // Al devolverlo se parte de cómo se entregó: si no ha cambiado basta con confirmar.
+  const [condicion, setCondicion] = useState(inicial?.condicion || prestamo.revisionEntrega?.condicion || 'bueno');
+  const [notas, setNotas] = useState(inicial?.notas || '');
+  const [fotos, setFotos] = useState(inicial?.fotos || []);
+  const [cargando, setCargando] = useState(false);
+  const condiciones = Object.entries(CONDICIONES).filter(([id]) => devolucion || id !== 'perdido');
+  const estadoFinal = devolucion ? CONDICIONES[condicion].prestamo : 'entregado';
+
+  async function anadirFotos(e) {
+    const archivos = [...(e.target.files || [])].slice(0, MAX_FOTOS_REVISION - fotos.length);
+    e.target.value = '';
+    if (!archivos.length) return;
+    setCargando(true);
+    try {
+      const nuevas = await Promise.all(archivos.map(reducirFoto));
+      setFotos(prev => [...prev, ...nuevas].slice(0, MAX_FOTOS_REVISION));
+    } catch (err) {
+      setMsg({ text: err.message, type: 'error' });
+    } finally {
+      setCargando(false);
+    }
+  }
+
+  async function guardar() {
+    // Las fotos nuevas (data URL) se guardan al confirmar: si se cancela no queda nada suelto.
+    let guardadas;
+    setCargando(true);
+    try {
+      guardadas = condicion === 'perdido' ? [] : await Promise.all(fotos.map(foto => esReferenciaFoto(foto) ? foto : guardarFoto(almacen, foto)));
+    } catch (err) {
+      setMsg({ text: err.message, type: 'error' });
+      return;
+    } finally {
+      setCargando(false);
+    }
+    const revision = { condicion, notas, fotos: guardadas };
+    const payload = { alumnoId: alumno.id, barcode: libro.isbn };
+    if (devolucion) {
+      dispatch({ type: 'DEVOLVER_LIBRO', payload: { ...payload, revision } });
+      const texto = estadoFinal === 'perdido'
+        ? t('"{libro}" marcado como perdido.', { libro: libro.title })
+        : estadoFinal === 'dañado' ? t('"{libro}" devuelto con daños.', { libro: libro.title }) : t('"{libro}" devuelto.', { libro: libro.title });
+      setMsg({ text: texto, type: 'success' });
+    } else {
+      dispatch({ type: 'REVISAR_ENTREGA', payload: { ...payload, ...revision } });
+      setMsg({ text: t('Estado de "{libro}" anotado.', { libro: libro.title }), type: 'success' });
+    }
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">
+          {devolucion ? t('Devolución de "{libro}"', { libro: libro.title }) : t('Estado de "{libro}" al entregarlo', { libro: libro.title })}
+        </h3>
+        <p className="text-sm text-slate-600">
+          {nombreCompleto(alumno)}
+          {prestamo.ejemplar && <> · {t('ejemplar')} <span className="font-mono">{prestamo.ejemplar}</span></>}
+        </p>
+        {devolucion && <LineaRevision titulo={t('Al entregarlo')} revision={prestamo.revisionEntrega} almacen={almacen}/>}
+        <div className="mt-4 text-sm font-semibold text-slate-700">{t('Estado del libro')}</div>
+        <div className="flex flex-wrap gap-2 mt-1">
+          {condiciones.map(([id, c]) => (
+            <button
+              key={id}
+              onClick={() => setCondicion(id)}
+              className={`px-3 py-1.5 rounded-lg border text-sm font-semibold ${condicion === id ? `${c.clase} ring-2 ring-indigo-500` : 'bg-white border-slate-300 text-slate-600 hover:bg-slate-100'}`}
+            >
+              {t(c.etiqueta)}
+            </button>
+          ))}
+        </div>
+        {(estadoFinal === 'perdido' || estadoFinal === 'dañado') && (
+          <p className="mt-2 text-sm text-amber-700">
+            {libro.precio != null
+              ? t('La familia tendrá que pagar la reposición: {importe}.', { importe: formatearImporte(libro.precio) })
+              : t('El libro no tiene precio de reposición; se fija en Gestión.')}
+          </p>
+        )}
+        <label className="grid gap-1 text-sm font-semibold text-slate-700 mt-4">
+          {t('Notas')}
+          <textarea
+            value={notas}
+            onChange={(e) => setNotas(e.target.value)}
+            rows={2}
+            placeholder={t('Páginas rotas, subrayado, sin forro…')}
+            className="rounded-lg border border-slate-300 px-3 py-2 font-normal"
+          />
+        </label>
+        {condicion !== 'perdido' && (
+          <div className="mt-4">
+            <div className="flex items-center justify-between text-sm font-semibold text-slate-700 mb-1">
+              {t('Fotos')}
+              {fotos.length < MAX_FOTOS_REVISION && (
+                <label className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 cursor-pointer font-normal">
+                  {cargando ? <Loader size={16} className="animate-spin"/> : <ImagePlus size={16}/>} {t('Añadir foto')}
+                  <input type="file" accept="image/*" capture="environment" multiple onChange={anadirFotos} className="hidden" />
+                </label>
+              )}
+            </div>
+            {fotos.length > 0 ? (
+              <div className="flex gap-2">
+                {fotos.map((foto, i) => (
+                  <div key={i} className="relative">
+                    <FotoGuardada almacen={almacen} foto={foto} alt={t('Foto {numero}', { numero: i + 1 })} className="h-20 w-20 object-cover rounded-lg border border-slate-200"/>
+                    <button
+                      title={t('Quitar foto')}
+                      onClick={() => setFotos(fotos.filter((_, j) => j !== i))}
+                      className="absolute -top-2 -right-2 rounded-full bg-white border border-slate-300 p-0.5 text-slate-600 hover:text-red-600"
+                    >
+                      <X size={14}/>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-slate-500">{t('Hasta {n} fotos de los daños o del estado del libro.', { n: MAX_FOTOS_REVISION })}</p>
+            )}
+          </div>
+        )}
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+          <button
+            disabled={cargando}
+            onClick={guardar}
+            className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {devolucion ? t('Registrar devolución') : t('Guardar')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Lo que debe un alumno por libros perdidos o dañados, marcando lo que la familia ya ha pagado. */
+function ResumenCargos({ alumno, cargos, dispatch, onImprimir }) {
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h3 className="font-semibold text-lg flex items-center gap-2"><Euro size={18}/> {t('Libros por reponer')}</h3>
+        <button
+          title={t('Imprimir aviso para la familia')}
+          onClick={onImprimir}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 text-sm font-semibold"
+        >
+          <Printer size={16}/> {t('Aviso')}
+        </button>
+      </div>
+      <ul className="divide-y divide-slate-100 text-sm">
+        {cargos.map(({ prestamo, libro, titulo, importe, pagado }) => (
+          <li key={prestamo.id} className="flex items-center gap-3 py-2">
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-slate-800 truncate">{titulo}</p>
+              <p className="text-xs text-slate-500">
+                {t(ESTADOS_PRESTAMO[prestamo.estado].etiqueta)}
+                {libro?.precio == null && ` · ${t('sin precio')}`}
+              </p>
+            </div>
+            <span className={`font-mono ${pagado ? 'text-slate-400 line-through' : ''}`}>{formatearImporte(importe)}</span>
+            <label className="flex items-center gap-1 text-xs text-slate-600">
+              <input
+                type="checkbox"
+                checked={pagado}
+                onChange={(e) => dispatch({ type: 'MARCAR_PAGADO', payload: { alumnoId: alumno.id, prestamoId: prestamo.id, pagado: e.target.checked } })}
+              />
+              {t('Pagado')}
+            </label>
+          </li>
+        ))}
+      </ul>
+      <p className="flex justify-between border-t border-slate-200 pt-2 mt-1 font-semibold">
+        <span>{t('Total pendiente')}</span>
+        <span className="font-mono">{formatearImporte(totalPendiente(cargos))}</span>
+      </p>
+    </div>
+  );
+}
+
+function MatrizClase({ alumnos, curso, dispatch, onSelectAlumno }) {
+  const [orden, setOrden] = useState("lista");
+  const resumen = useMemo(() => resumenEntregas(alumnos, curso.libros), [alumnos, curso.libros]);
+  const filas = useMemo(() => {
+    if (orden !== 'pendientes') return alumnos;
+    return [...alumnos].sort((a, b) => resumen.porAlumno[b.id].pendientes - resumen.porAlumno[a.id].pendientes);
+  }, [alumnos, orden, resumen]);
+
+  if (alumnos.length === 0) {
+    return <p className="p-6 text-center text-slate-500 bg-white rounded-xl border border-dashed border-slate-300">{t('Esta clase no tiene alumnos.')}</p>;
+  }
+  if (curso.libros.length === 0) {
+    return <p className="p-6 text-center text-slate-500 bg-white rounded-xl border border-dashed border-slate-300">{t('El curso "{curso}" no tiene libros.', { curso: curso.nombre })}</p>;
+  }
+
+  function toggle(alumno, isbn) {
+    const type = libroEntregado(alumno, isbn) ? 'DESMARCAR_LIBRO' : 'MARCAR_LIBRO';
+    dispatch({ type, payload: { alumnoId: alumno.id, barcode: isbn } });
+  }
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold text-lg">{t('Entregas de la clase')}</h3>
+        <select
+          className="rounded-lg border border-slate-300 p-2 bg-white text-sm"
+          value={orden}
+          onChange={(e) => setOrden(e.target.value)}
+        >
+          <option value="lista">{t('Orden de lista')}</option>
+          <option value="pendientes">{t('Más pendientes primero')}</option>
+        </select>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="text-sm border-separate border-spacing-1">
+          <thead>
+            <tr>
+              <th className="text-left font-medium text-slate-500 sticky left-0 bg-white">{t('Alumno')}</th>
+              {curso.libros.map((l, i) => (
+                <th key={l.isbn} title={l.title} className="font-medium text-slate-500 w-10">
+                  <div>{i + 1}</div>
+                  <div className="text-xs text-slate-400">{resumen.porLibro[l.isbn].pct}%</div>
+                </th>
+              ))}
+              <th className="font-medium text-slate-500 text-right">%</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filas.map(a => (
+              <tr key={a.id}>
+                <td className="sticky left-0 bg-white pr-2 whitespace-nowrap">
+                  <button onClick={() => onSelectAlumno(a.id)} className="font-medium hover:text-indigo-600">{nombreCompleto(a)}</button>
+                </td>
+                {curso.libros.map(l => {
+                  const prestamo = ultimoPrestamo(a, l.isbn);
+                  const estado = prestamo ? ESTADOS_PRESTAMO[prestamo.estado] : null;
+                  return (
+                    <td key={l.isbn}>
+                      <button
+                        title={`${l.title}: ${t(estado ? estado.etiqueta : 'Pendiente')}`}
+                        onClick={() => toggle(a, l.isbn)}
+                        className={`w-9 h-9 rounded-md flex items-center justify-center ${estado ? estado.icono : 'bg-slate-100 text-slate-400 hover:bg-slate-200'}`}
+                      >
+                        {prestamo?.estado === 'entregado' ? <Check size={16}/> : <Circle size={12}/>}
+                      </button>
+                    </td>
+                  );
+                })}
+                <td className="text-right font-semibold text-slate-600 pl-2">{resumen.porAlumno[a.id].pct}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <ol className="mt-3 text-xs text-slate-500 list-decimal list-inside">
+        {curso.libros.map(l => <li key={l.isbn}>{l.title}</li>)}
+      </ol>
+    </div>
+  );
+}
+
+function SeccionAlumnos({ state, dispatch, setMsg }) {
+  const [nuevo, setNuevo] = useState("");
+  const [claseSeleccionada, setClaseSeleccionada] = useState(state.clases[0]?.id || null);
+  const [importando, setImportando] = useState(false);
+  const [editando, setEditando] = useState(null);
+  const [moviendo, setMoviendo] = useState(false);
+
+  const alumnosEnClase = useMemo(() => 
+    state.alumnos.filter(a => a.claseId === claseSeleccionada),
+  [state.alumnos, claseSeleccionada]);
+
+  return (
+    <div className="grid gap-4">
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
+            <h3 className="font-semibold mb-2">{t('Selecciona una clase')}</h3>
+            <select
+                className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base"
+                value={claseSeleccionada || ""}
+                onChange={(e) => setClaseSeleccionada(e.target.value)}
+            >
+                <option value="">{t('— Elige una clase —')}</option>
+                {state.clases.map((c) => (
+                <option key={c.id} value={c.id}>{c.nombre}</option>
+                ))}
+            </select>
+        </div>
+
+      {claseSeleccionada && (
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
+            <h3 className="font-semibold mb-2">{t('Añadir alumno a {clase}', { clase: state.clases.find(c => c.id === claseSeleccionada)?.nombre })}</h3>
+            <div className="flex gap-2">
+                <input
+                    className="flex-1 rounded-lg border border-slate-300 p-3 text-base"
+                    placeholder={t('Nombre del alumno')}
+                    value={nuevo}
+                    onChange={(e) => setNuevo(e.target.value)}
+                    onKeyDown={(e) => {
+                    if (e.key === "Enter" && nuevo.trim()) {
+                        dispatch({type: 'ADD_ALUMNO', payload: {nombre: nuevo, claseId: claseSeleccionada}});
+                        setNuevo("");
+                    }
+                    }}
+                />
+                <button
+                    className="flex items-center gap-2 px-4 py-3 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700"
+                    onClick={() => {
+                    if (!nuevo.trim()) return;
+                    dispatch({type: 'ADD_ALUMNO', payload: {nombre: nuevo, claseId: claseSeleccionada}});
+                    setNuevo("");
+                    }}
+                >
+                    <Plus size={20}/>
+                </button>
+            </div>
+        </div>
+      )}
+
+      {claseSeleccionada && (
+        <button
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 text-sm font-semibold"
+          onClick={() => setImportando(true)}
+        >
+          <Upload size={16}/> {t('Importar lista de alumnos')}
+        </button>
+      )}
+
+      {claseSeleccionada && alumnosEnClase.length > 0 && (
+        <button
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 text-sm font-semibold"
+          onClick={() => imprimirCarnets(state.clases.find(c => c.id === claseSeleccionada), alumnosEnClase)}
+        >
+          <Printer size={16}/> {t('Imprimir carnés de la clase')}
+        </button>
+      )}
+
+      {claseSeleccionada && alumnosEnClase.length > 0 && state.clases.length > 1 && (
+        <button
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-300 bg-white hover:bg-slate-100 text-sm font-semibold"
+          onClick={() => setMoviendo(true)}
+        >
+          <ChevronsRight size={16}/> {t('Mover alumnos a otra clase')}
+        </button>
+      )}
+
+      <div className="grid gap-2">
+        {alumnosEnClase.map((a) => (
+          <div key={a.id} className="flex items-center gap-3 bg-white rounded-lg border p-3 border-slate-200">
+            {a.numeroLista != null && <span className="w-6 text-right text-sm text-slate-400 font-mono">{a.numeroLista}</span>}
+            <div className="flex-1 min-w-0">
+              <div className="font-medium">{nombreCompleto(a)}</div>
+              {(a.tutor || a.contactoTutor) && (
+                <div className="text-xs text-slate-500 truncate">{[a.tutor, a.contactoTutor].filter(Boolean).join(' · ')}</div>
+              )}
+              {a.notas && <div className="text-xs text-slate-500 italic truncate">{a.notas}</div>}
+            </div>
+            <button title={t('Editar ficha')} onClick={() => setEditando(a)} className="p-2 rounded-md hover:bg-slate-100 text-slate-500"><Edit size={18}/></button>
+            <button title={t('Eliminar alumno')} onClick={() => dispatch({type: 'DEL_ALUMNO', payload: a.id})} className="p-2 rounded-md hover:bg-red-100 text-red-600"><Trash2 size={18}/></button>
+          </div>
+        ))}
+      </div>
+
+      {editando && <ModalEditarAlumno
+        alumno={editando}
+        clases={state.clases}
+        dispatch={dispatch}
+        onClose={() => setEditando(null)}
+      />}
+      {moviendo && <ModalMoverAlumnos
+        alumnos={alumnosEnClase}
+        clases={state.clases.filter(c => c.id !== claseSeleccionada)}
+        dispatch={dispatch}
+        setMsg={setMsg}
+        onClose={() => setMoviendo(false)}
+      />}
+      {importando && <ModalImportarAlumnos
+        clase={state.clases.find(c => c.id === claseSeleccionada)}
+        alumnosEnClase={alumnosEnClase}
+        dispatch={dispatch}
+        setMsg={setMsg}
+        onClose={() => setImportando(false)}
+      />}
+    </div>
+  );
+}
+
+function ModalEditarAlumno({ alumno, clases, dispatch, onClose }) {
+  const [ficha, setFicha] = useState(() => ({
+    nombre: alumno.nombre,
+    apellidos: alumno.apellidos || '',
+    numeroLista: alumno.numeroLista ?? '',
+    claseId: alumno.claseId,
+    tutor: alumno.tutor || '',
+    contactoTutor: alumno.contactoTutor || '',
+    notas: alumno.notas || '',
+  }));
+  const campo = (id) => ({ value: ficha[id], onChange: (e) => setFicha(f => ({ ...f, [id]: e.target.value })) });
+
+  function guardar() {
+    const numero = parseInt(ficha.numeroLista, 10);
+    const datos = {
+      ...ficha,
+      nombre: ficha.nombre.trim(),
+      apellidos: ficha.apellidos.trim(),
+      numeroLista: Number.isNaN(numero) ? null : numero,
+      tutor: ficha.tutor.trim(),
+      contactoTutor: ficha.contactoTutor.trim(),
+      notas: ficha.notas.trim(),
+    };
+    // Solo se envía lo que cambia, para que el registro de actividad sea fiel.
+    const cambios = Object.fromEntries(Object.entries(datos).filter(([k, v]) => v !== (alumno[k] ?? (k === 'numeroLista' ? null : ''))));
+    if (Object.keys(cambios).length) dispatch({ type: 'EDITAR_ALUMNO', payload: { alumnoId: alumno.id, datos: cambios } });
+    onClose();
+  }
+
+  const etiqueta = "grid gap-1 text-sm font-semibold text-slate-700";
+  const entrada = "rounded-lg border border-slate-300 px-3 py-2 font-normal";
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Ficha de {alumno}', { alumno: nombreCompleto(alumno) })}</h3>
+        <div className="grid grid-cols-2 gap-3 mt-4">
+          <label className={etiqueta}>{t('Nombre')}<input {...campo('nombre')} className={entrada} /></label>
+          <label className={etiqueta}>{t('Apellidos')}<input {...campo('apellidos')} className={entrada} /></label>
+          <label className={etiqueta}>{t('Nº de lista')}<input type="number" min="1" {...campo('numeroLista')} className={entrada} /></label>
+          <label className={etiqueta}>
+            {t('Clase')}
+            <select {...campo('claseId')} className={entrada}>
+              {clases.map(c => <option key={c.id} value={c.id}>{c.nombre}</option>)}
+            </select>
+          </label>
+          <label className={etiqueta}>{t('Tutor legal')}<input {...campo('tutor')} className={entrada} /></label>
+          <label className={etiqueta}>{t('Teléfono o correo')}<input {...campo('contactoTutor')} className={entrada} /></label>
+          <label className={`${etiqueta} col-span-2`}>{t('Notas')}<textarea rows={3} {...campo('notas')} className={entrada} /></label>
+        </div>
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+          <button disabled={!ficha.nombre.trim()} onClick={guardar} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">{t('Guardar')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ModalMoverAlumnos({ alumnos, clases, dispatch, setMsg, onClose }) {
+  const [destino, setDestino] = useState(clases[0]?.id || '');
+  const [elegidos, setElegidos] = useState(() => new Set(alumnos.map(a => a.id)));
+
+  function alternar(id) {
+    setElegidos(prev => {
+      const siguiente = new Set(prev);
+      if (siguiente.has(id)) siguiente.delete(id); else siguiente.add(id);
+      return siguiente;
+    });
+  }
+
+  function mover() {
+    const clase = clases.find(c => c.id === destino);
+    dispatch({ type: 'MOVER_ALUMNOS', payload: { alumnoIds: [...elegidos], claseId: destino } });
+    setMsg({ text: t('{n} alumnos movidos a {clase}.', { n: elegidos.size, clase: clase.nombre }), type: 'success' });
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-sm w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Mover alumnos')}</h3>
+        <select value={destino} onChange={e => setDestino(e.target.value)} className="w-full rounded-lg border border-slate-300 p-2 mt-4">
+          {clases.map(c => <option key={c.id} value={c.id}>{c.nombre}</option>)}
+        </select>
+        <div className="grid gap-1 mt-3 text-sm">
+          {alumnos.map(a => (
+            <label key={a.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={elegidos.has(a.id)} onChange={() => alternar(a.id)} />
+              {nombreCompleto(a)}
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+          <button disabled={!destino || !elegidos.size} onClick={mover} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">{t('Mover')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ModalImportarAlumnos({ clase, alumnosEnClase, dispatch, setMsg, onClose }) {
+  const [texto, setTexto] = useState("");
+  const [conCabecera, setConCabecera] = useState(true);
+  const [mapeo, setMapeo] = useState(null);
+  const [resultado, setResultado] = useState(null);
+
+  const filas = useMemo(() => parsearTabla(texto), [texto]);
+  const columnas = useMemo(() => filas.length ? Math.max(...filas.map(f => f.length)) : 0, [filas]);
+  const cabecera = conCabecera && filas.length ? filas[0] : Array.from({ length: columnas }, (_, i) => t('Columna {n}', { n: i + 1 }));
+  const datos = conCabecera ? filas.slice(1) : filas;
+  const mapeoActual = mapeo || sugerirMapeo(conCabecera ? cabecera : []);
+  const preparacion = prepararImportacionAlumnos(datos, mapeoActual, alumnosEnClase);
+
+  function cargarFichero(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setTexto(event.target.result);
+      setMapeo(null);
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  function importar() {
+    const nuevos = [...preparacion.nuevos].sort((a, b) => (a.numeroLista ?? Infinity) - (b.numeroLista ?? Infinity));
+    dispatch({ type: 'IMPORTAR_ALUMNOS', payload: { claseId: clase.id, alumnos: nuevos } });
+    setResultado(preparacion);
+    setMsg({ text: t('{n} alumnos añadidos a {clase}.', { n: nuevos.length, clase: clase.nombre }), type: 'success' });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Importar alumnos a {clase}', { clase: clase.nombre })}</h3>
+        {resultado ? (
+          <div className="text-sm mt-4 grid gap-3">
+            <p className="text-green-700 font-semibold">{t('{n} alumnos añadidos.', { n: resultado.nuevos.length })}</p>
+            {resultado.omitidos.length > 0 && (
+              <div>
+                <p className="text-amber-700 font-semibold">{t('{n} filas omitidas:', { n: resultado.omitidos.length })}</p>
+                <ul className="mt-1 space-y-1 text-slate-600">
+                  {resultado.omitidos.map(o => (
+                    <li key={o.fila}>{t('Fila {n}', { n: o.fila })}: {nombreCompleto(o.alumno) || t('(vacía)')} · {o.motivo}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-slate-600 mt-2 mb-4">{t('Pega las filas de una hoja de cálculo o elige un fichero CSV.')}</p>
+            <textarea
+              value={texto}
+              onChange={e => { setTexto(e.target.value); setMapeo(null); }}
+              rows={5}
+              placeholder={t("Nombre\tApellidos\tNº\nAna\tGarcía López\t1")}
+              className="w-full rounded-lg border border-slate-300 p-3 text-sm font-mono"
+            />
+            <div className="flex items-center justify-between mt-2 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={conCabecera} onChange={e => { setConCabecera(e.target.checked); setMapeo(null); }} />
+                {t('La primera fila es la cabecera')}
+              </label>
+              <label className="text-indigo-600 font-semibold cursor-pointer">
+                {t('Elegir fichero')}
+                <input type="file" accept=".csv,.tsv,.txt" onChange={cargarFichero} className="hidden" />
+              </label>
+            </div>
+
+            {columnas > 0 && (
+              <>
+                <div className="grid grid-cols-3 gap-2 mt-4">
+                  {CAMPOS_ALUMNO.map(campo => (
+                    <label key={campo.id} className="text-xs font-medium text-slate-600">
+                      {t(campo.etiqueta)}
+                      <select
+                        className="w-full rounded-lg border border-slate-300 p-2 bg-white text-sm mt-1"
+                        value={mapeoActual[campo.id] ?? ""}
+                        onChange={e => setMapeo({ ...mapeoActual, [campo.id]: e.target.value === "" ? null : Number(e.target.value) })}
+                      >
+                        {campo.id !== 'nombre' && <option value="">{t('— Ninguna —')}</option>}
+                        {cabecera.map((c, i) => <option key={i} value={i}>{c || t('Columna {n}', { n: i + 1 })}</option>)}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+                <div className="overflow-x-auto mt-4">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-slate-500">
+                        {CAMPOS_ALUMNO.map(campo => <th key={campo.id} className="p-1">{t(campo.etiqueta)}</th>)}
+                        <th className="p-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...preparacion.nuevos.map(a => ({ alumno: a })), ...preparacion.omitidos].slice(0, 10).map((f, i) => (
+                        <tr key={i} className={f.motivo ? 'text-slate-400' : ''}>
+                          <td className="p-1">{f.alumno.nombre}</td>
+                          <td className="p-1">{f.alumno.apellidos}</td>
+                          <td className="p-1">{f.alumno.numeroLista}</td>
+                          <td className="p-1 text-amber-700">{f.motivo}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-sm mt-3">
+                  <span className="font-semibold text-green-700">{t('{n} nuevos', { n: preparacion.nuevos.length })}</span>
+                  {preparacion.omitidos.length > 0 && <span className="text-amber-700"> · {t('{n} se omitirán', { n: preparacion.omitidos.length })}</span>}
+                </p>
+              </>
+            )}
+          </>
+        )}
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{resultado ? t('Cerrar') : t('Cancelar')}</button>
+          {!resultado && (
+            <button
+              disabled={preparacion.nuevos.length === 0}
+              onClick={importar}
+              className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {t('Importar')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PortadaLibro({ libro }) {
+  const [rota, setRota] = useState(false);
+  if (!libro.portada || rota) {
+    return <div className="flex-shrink-0 w-8 h-11 rounded bg-slate-100 text-slate-400 flex items-center justify-center"><BookOpen size={16}/></div>;
+  }
+  return <img src={libro.portada} alt="" loading="lazy" onError={() => setRota(true)} className="flex-shrink-0 w-8 h-11 rounded object-cover bg-slate-100" />;
+}
+
+function SeccionAnioEscolar({ state, dispatch }) {
+  const [cambiando, setCambiando] = useState(false);
+  const [anioId, setAnioId] = useState(null);
+  const [claseId, setClaseId] = useState(null);
+  const archivados = [...state.archivo].reverse();
+  const anio = archivados.find(a => a.id === anioId) || archivados[0];
+  const clase = anio?.clases.find(c => c.id === claseId) || anio?.clases[0];
+  const cuenta = (alumno, estado) => alumno.prestamos.filter(p => p.estado === estado).length;
+  const deudas = useMemo(() => anio ? deudasArchivadas(anio) : {}, [anio]);
+  const deudores = Object.values(deudas);
+
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <div className="flex justify-between items-center gap-2 mb-2">
+        <h3 className="font-semibold text-lg">{t('Año escolar {anio}', { anio: state.anioEscolar })}</h3>
+        <button onClick={() => setCambiando(true)} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 text-sm font-semibold">
+          <Archive size={16}/> {t('Cerrar el año')}
+        </button>
+      </div>
+      {anio ? (
+        <div className="grid gap-2 text-sm">
+          <div className="flex flex-wrap gap-2">
+            <select value={anio.id} onChange={e => { setAnioId(e.target.value); setClaseId(null); }} className="rounded-lg border border-slate-300 px-2 py-1.5">
+              {archivados.map(a => <option key={a.id} value={a.id}>{t('Archivo {anio}', { anio: a.anioEscolar })}</option>)}
+            </select>
+            {clase && (
+              <select value={clase.id} onChange={e => setClaseId(e.target.value)} className="rounded-lg border border-slate-300 px-2 py-1.5">
+                {anio.clases.map(c => <option key={c.id} value={c.id}>{c.nombre}</option>)}
+              </select>
+            )}
+          </div>
+          {deudores.length > 0 && (
+            <p className="text-amber-700 flex items-center gap-2">
+              <Euro size={16}/> {t('{n} alumnos quedaron debiendo reposiciones: {importe} en total.', {
+                n: deudores.length, importe: formatearImporte(deudores.reduce((suma, d) => suma + d.importe, 0)),
+              })}
+            </p>
+          )}
+          {clase && (
+            <table className="w-full text-left">
+              <thead className="text-xs text-slate-500">
+                <tr>
+                  <th className="py-1 font-medium">{t('Alumno')}</th>
+                  {['entregado', 'devuelto', 'perdido', 'dañado'].map(e => <th key={e} className="py-1 font-medium text-center">{t(ESTADOS_PRESTAMO[e].etiqueta)}</th>)}
+                  <th className="py-1 font-medium text-right">{t('Sin pagar')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {anio.alumnos.filter(a => a.claseId === clase.id).map(a => (
+                  <tr key={a.id}>
+                    <td className="py-1">{nombreCompleto(a)}</td>
+                    {['entregado', 'devuelto', 'perdido', 'dañado'].map(e => <td key={e} className="py-1 text-center">{cuenta(a, e) || ''}</td>)}
+                    <td className="py-1 text-right text-amber-700">{deudas[a.id] ? formatearImporte(deudas[a.id].importe) : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">{t('Todavía no hay años archivados.')}</p>
+      )}
+      {cambiando && <ModalCambioAnio state={state} dispatch={dispatch} onClose={() => setCambiando(false)} />}
+    </div>
+  );
+}
+
+function ModalCambioAnio({ state, dispatch, onClose }) {
+  const [anioNuevo, setAnioNuevo] = useState(() => siguienteAnioEscolar(state.anioEscolar));
+  const [cursos, setCursos] = useState(() => Object.fromEntries(state.cursos.map(c => [c.id, { clonar: true, nombre: c.nombre }])));
+  // Por defecto cada clase sigue en su propia copia; lo normal es cambiarla por la del nivel siguiente.
+  const [destinos, setDestinos] = useState(() => Object.fromEntries(state.clases.map(c => [c.id, c.id])));
+  const [excepciones, setExcepciones] = useState({});
+
+  const plan = { anioNuevo: anioNuevo.trim(), cursos, destinos, excepciones };
+  const resumen = useMemo(() => resumirCambioAnio(state, plan), [state, cursos, destinos, excepciones]);
+  const clasesDestino = state.clases.filter(c => cursos[c.cursoId]?.clonar);
+  const nombreCurso = (id) => cursos[id]?.nombre || '';
+
+  function confirmar() {
+    dispatch({ type: 'CAMBIAR_ANIO_ESCOLAR', payload: plan });
+    onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Cerrar el año {anio}', { anio: state.anioEscolar })}</h3>
+        <p className="text-sm text-slate-600 mt-2">
+          {t('Los cursos, clases, alumnos y préstamos de este año se guardarán en el archivo, donde se podrán consultar pero no modificar.')}
+        </p>
+
+        <label className="grid gap-1 text-sm font-semibold mt-4">
+          {t('Nuevo año escolar')}
+          <input value={anioNuevo} onChange={e => setAnioNuevo(e.target.value)} className="rounded-lg border border-slate-300 px-3 py-2 font-normal" />
+        </label>
+
+        <h4 className="font-semibold text-sm mt-4 mb-1">{t('Cursos del año nuevo (con la misma lista de libros)')}</h4>
+        <div className="grid gap-1">
+          {state.cursos.map(c => (
+            <div key={c.id} className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={cursos[c.id].clonar} onChange={e => setCursos(x => ({ ...x, [c.id]: { ...x[c.id], clonar: e.target.checked } }))} />
+              <input
+                value={cursos[c.id].nombre}
+                disabled={!cursos[c.id].clonar}
+                onChange={e => setCursos(x => ({ ...x, [c.id]: { ...x[c.id], nombre: e.target.value } }))}
+                className="flex-1 rounded-lg border border-slate-300 px-2 py-1 disabled:opacity-50"
+              />
+            </div>
+          ))}
+        </div>
+
+        <h4 className="font-semibold text-sm mt-4 mb-1">{t('¿A qué clase pasan los alumnos?')}</h4>
+        <div className="grid gap-2">
+          {state.clases.map(c => {
+            const alumnos = state.alumnos.filter(a => a.claseId === c.id);
+            return (
+              <div key={c.id} className="text-sm border border-slate-200 rounded-lg p-2">
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 font-medium">{c.nombre}</span>
+                  <select
+                    value={destinos[c.id] ?? ''}
+                    onChange={e => setDestinos(x => ({ ...x, [c.id]: e.target.value || null }))}
+                    className="rounded-lg border border-slate-300 px-2 py-1"
+                  >
+                    <option value="">{t('Salen del centro')}</option>
+                    {clasesDestino.map(d => <option key={d.id} value={d.id}>{d.nombre} ({nombreCurso(d.cursoId)})</option>)}
+                  </select>
+                </div>
+                {alumnos.length > 0 && (
+                  <details className="mt-1">
+                    <summary className="text-xs text-slate-500 cursor-pointer">{t('{n} alumnos', { n: alumnos.length })} · {t('repetidores y bajas')}</summary>
+                    <div className="grid gap-1 mt-1">
+                      {alumnos.map(a => (
+                        <div key={a.id} className="flex items-center gap-2 text-xs">
+                          <span className="flex-1">{nombreCompleto(a)}</span>
+                          <select
+                            value={excepciones[a.id] || ''}
+                            onChange={e => setExcepciones(x => ({ ...x, [a.id]: e.target.value || undefined }))}
+                            className="rounded border border-slate-300 px-1 py-0.5"
+                          >
+                            <option value="">{t('Como su clase')}</option>
+                            <option value="repite">{t('Repite')}</option>
+                            <option value="baja">{t('Baja')}</option>
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="text-sm mt-4 grid gap-1">
+          <p>{t('{pasan} alumnos pasan de clase, {repiten} repiten y {salen} salen.', resumen)}</p>
+          {resumen.sinClase.length > 0 && (
+            <div className="text-red-700">
+              <p className="flex items-center gap-2">
+                <AlertTriangle size={16}/> {t('{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.', { n: resumen.sinClase.length })}
+              </p>
+              <p className="text-xs mt-1">{resumen.sinClase.map(nombreCompleto).join(', ')}</p>
+            </div>
+          )}
+          {resumen.sinDevolver > 0 && (
+            <p className="text-amber-700 flex items-center gap-2">
+              <AlertTriangle size={16}/> {t('{n} libros siguen sin devolver: solo constarán en el archivo.', { n: resumen.sinDevolver })}
+            </p>
+          )}
+          {resumen.sinPagar > 0 && (
+            <p className="text-amber-700 flex items-center gap-2">
+              <Euro size={16}/> {t('{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.', { n: resumen.sinPagar })}
+            </p>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+          <button
+            disabled={!plan.anioNuevo || plan.anioNuevo === state.anioEscolar || resumen.sinClase.length > 0}
+            onClick={confirmar}
+            className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {t('Cerrar año')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Fallos de PIN por perfil, fuera de los componentes: cerrar el modal o cambiar de perfil no reinicia la cuenta.
+const fallosPin = new Map();
+
+/** Campo de PIN con límite de intentos: tras MAX_INTENTOS fallos hay que esperar un minuto. */
+function EntradaPin({ perfil, onCorrecto, textoBoton = t("Entrar"), children }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [perfil.id]);
+
+  function enviar(e) {
+    e.preventDefault();
+    const fallos = fallosPin.get(perfil.id) || { n: 0, hasta: 0 };
+    if (Date.now() < fallos.hasta) {
+      setError(t('Demasiados intentos. Espera {n} s.', { n: Math.ceil((fallos.hasta - Date.now()) / 1000) }));
+      return;
+    }
+    setPin('');
+    if (comprobarPin(perfil, pin)) {
+      fallosPin.delete(perfil.id);
+      onCorrecto();
+      return;
+    }
+    const n = fallos.n + 1;
+    if (n >= MAX_INTENTOS) {
+      fallosPin.set(perfil.id, { n: 0, hasta: Date.now() + ESPERA_TRAS_FALLOS });
+      setError(t('Demasiados intentos. Espera un minuto.'));
+    } else {
+      fallosPin.set(perfil.id, { n, hasta: 0 });
+      setError(t('PIN incorrecto. Quedan {n} intentos.', { n: MAX_INTENTOS - n }));
     }
-    // DATOS
-    case 'IMPORT_STATE': return action.payload;
-    case 'RESET_STATE': return { cursos: [], clases: [], alumnos: [], seleccion: { cursoId: null, claseId: null, alumnoId: null } };
-    default: return state;
   }
-}
 
+  return (
+    <form onSubmit={enviar} className="grid gap-3">
+      <input
+        ref={inputRef}
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        value={pin}
+        onChange={e => setPin(e.target.value.replace(/\D/g, ''))}
+        placeholder="PIN"
+        className="w-full rounded-lg border border-slate-300 p-3 text-center text-2xl tracking-[0.5em] font-mono"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        {children}
+        <button type="submit" disabled={!pin} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">{textoBoton}</button>
+      </div>
+    </form>
+  );
+}
 
-// --- Componentes de Secciones ---
-
-function SeccionControl({ state, dispatch, setMsg }) {
-  const [scanActivo, setScanActivo] = useState(false);
+function PantallaBloqueo({ perfiles, onEntrar }) {
+  const [elegido, setElegido] = useState(perfiles.length === 1 ? perfiles[0] : null);
+  return (
+    <div className="min-h-screen bg-slate-100 font-sans flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 max-w-sm w-full p-6 grid gap-4">
+        <div className="flex items-center gap-2 text-slate-800">
+          <BookOpen className="w-7 h-7 text-indigo-600" />
+          <span className="text-lg font-bold">{t('Gestor de Libros')}</span>
+          <Lock size={18} className="ml-auto text-slate-400"/>
+        </div>
+        {elegido ? (
+          <>
+            <p className="text-sm text-slate-600">{t('PIN de {nombre}', { nombre: elegido.nombre })}</p>
+            <EntradaPin perfil={elegido} onCorrecto={() => onEntrar(elegido)}>
+              {perfiles.length > 1 && (
+                <button type="button" onClick={() => setElegido(null)} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Otro perfil')}</button>
+              )}
+            </EntradaPin>
+          </>
+        ) : (
+          <div className="grid gap-2">
+            <p className="text-sm text-slate-600">{t('¿Quién eres?')}</p>
+            {perfiles.map(p => (
+              <button key={p.id} onClick={() => setElegido(p)} className="flex items-center gap-3 p-3 rounded-lg border border-slate-200 hover:bg-slate-50 text-left">
+                <UserRound size={20} className="text-slate-500"/>
+                <span className="flex-1 font-semibold">{p.nombre}</span>
+                <span className="text-xs text-slate-500">{t(ROLES[p.rol].etiqueta)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-  const claseSel = useMemo(() => state.clases.find(c => c.id === state.seleccion.claseId), [state.clases, state.seleccion.claseId]);
-  const alumnosEnClase = useMemo(() => state.alumnos.filter(a => a.claseId === state.seleccion.claseId), [state.alumnos, state.seleccion.claseId]);
-  const alumnoSel = useMemo(() => alumnosEnClase.find(a => a.id === state.seleccion.alumnoId), [alumnosEnClase, state.seleccion.alumnoId]);
-  const cursoDeClase = useMemo(() => state.cursos.find(c => c.id === claseSel?.cursoId), [state.cursos, claseSel]);
+function ModalPin({ perfil, descripcion, onResultado }) {
+  return (
+    <div className="fixed inset-0 bg-black/60 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-sm w-full p-6">
+        <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2"><Lock size={18}/> {t('Confirma con tu PIN')}</h3>
+        <p className="text-sm text-slate-600 mt-2 mb-4">{descripcion}</p>
+        <EntradaPin perfil={perfil} onCorrecto={() => onResultado(true)} textoBoton={t('Confirmar')}>
+          <button type="button" onClick={() => onResultado(false)} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+        </EntradaPin>
+      </div>
+    </div>
+  );
+}
 
-  function handleScan(barcode) {
-    if (!alumnoSel || !cursoDeClase) return;
+/** Perfiles del personal de este dispositivo y tiempo de bloqueo. */
+function SeccionPersonal({ setMsg, acceso, cambiarAcceso, perfilActivo, entrar, pedirPin }) {
+  const [form, setForm] = useState({ nombre: '', rol: 'control', pin: '', repetido: '' });
+  const campo = (id) => ({ value: form[id], onChange: (e) => setForm(f => ({ ...f, [id]: e.target.value })) });
+  const primero = acceso.perfiles.length === 0;
+  // El primer perfil es de administración: si no, nadie podría volver a entrar en Gestión.
+  const rolNuevo = primero ? 'admin' : form.rol;
+  const pinValido = esPinValido(form.pin) && form.pin === form.repetido;
 
-    const libroRequerido = cursoDeClase.libros.find(l => l.isbn === barcode);
+  async function anadir(e) {
+    e.preventDefault();
+    const perfil = crearPerfil({ id: uid(), nombre: form.nombre, rol: rolNuevo, pin: form.pin });
+    if (!(await cambiarAcceso({ ...acceso, perfiles: [...acceso.perfiles, perfil] }))) return;
+    setForm({ nombre: '', rol: 'control', pin: '', repetido: '' });
+    if (primero) entrar(perfil);
+    setMsg({ text: primero ? t('Perfil creado: desde ahora la app pide PIN.') : t('Perfil de {nombre} creado.', { nombre: perfil.nombre }), type: 'success' });
+  }
 
-    if (libroRequerido) {
-        dispatch({ type: 'MARCAR_LIBRO', payload: { alumnoId: alumnoSel.id, barcode } });
-        setMsg({ text: `"${libroRequerido.title}" marcado.`, type: 'success' });
-    } else {
-        setMsg({ text: 'Libro no encontrado en la lista del curso.', type: 'error' });
+  async function borrar(perfil) {
+    const restantes = acceso.perfiles.filter(p => p.id !== perfil.id);
+    if (restantes.length && !restantes.some(p => p.rol === 'admin')) {
+      setMsg({ text: t('Tiene que quedar al menos un perfil de administración.'), type: 'error' });
+      return;
     }
+    if (!(await pedirPin(t('Borrar el perfil de {nombre}', { nombre: perfil.nombre })))) return;
+    await cambiarAcceso({ ...acceso, perfiles: restantes });
   }
 
+  const entrada = "rounded-lg border border-slate-300 px-3 py-2 text-sm";
   return (
-    <div className="grid gap-6">
-        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200 grid gap-4">
-            <div>
-                <label className="text-sm font-medium text-slate-600">1. Selecciona una clase</label>
-                <select
-                    className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base mt-1"
-                    value={state.seleccion.claseId || ""}
-                    onChange={(e) => dispatch({ type: 'SELECT_CLASE', payload: e.target.value || null })}
-                >
-                    <option value="">— Elige una clase —</option>
-                    {state.clases.map((c) => (
-                    <option key={c.id} value={c.id}>{c.nombre}</option>
-                    ))}
-                </select>
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-1 flex items-center gap-2"><Lock size={18}/> {t('Personal y acceso')}</h3>
+      <p className="text-sm text-slate-500 mb-3">
+        {primero
+          ? t('Sin perfiles, cualquiera que tenga el dispositivo puede entrar en Gestión. Crea un perfil de administración para proteger la app con PIN.')
+          : t('Control solo puede escanear y marcar entregas; Administración tiene acceso a todo. Las acciones destructivas piden el PIN otra vez.')}
+      </p>
+      {!primero && (
+        <div className="grid gap-1 mb-3">
+          {acceso.perfiles.map(p => (
+            <div key={p.id} className="flex items-center gap-2 p-2 border-b border-slate-100 text-sm">
+              <UserRound size={16} className="text-slate-400"/>
+              <span className="flex-1 font-medium">{p.nombre}{p.id === perfilActivo?.id && <span className="text-slate-400 font-normal"> ({t('tú')})</span>}</span>
+              <span className="text-xs text-slate-500">{t(ROLES[p.rol].etiqueta)}</span>
+              <button title={t('Borrar perfil')} onClick={() => borrar(p)} className="p-1 rounded-md text-red-500 hover:bg-red-50"><Trash2 size={16}/></button>
             </div>
-            {claseSel && (
-                <div>
-                    <label className="text-sm font-medium text-slate-600">2. Selecciona un alumno</label>
-                    <select
-                        className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base mt-1"
-                        value={state.seleccion.alumnoId || ""}
-                        onChange={(e) => dispatch({ type: 'SELECT_ALUMNO', payload: e.target.value || null })}
-                    >
-                        <option value="">— Elige un alumno —</option>
-                        {alumnosEnClase.map((a) => (
-                        <option key={a.id} value={a.id}>{a.nombre}</option>
-                        ))}
-                    </select>
-                </div>
-            )}
-        </div>
-
-      {alumnoSel && cursoDeClase ? (
-        <>
-          <button
-              className="w-full justify-center text-base font-semibold flex items-center gap-2 rounded-lg px-4 py-3 bg-indigo-600 text-white hover:bg-indigo-700 active:bg-indigo-800"
-              onClick={() => setScanActivo(true)}
+          ))}
+          <label className="flex items-center justify-between gap-2 pt-2 text-sm text-slate-600">
+            {t('Bloquear tras')}
+            <select
+              value={acceso.bloqueoMinutos}
+              onChange={e => cambiarAcceso({ ...acceso, bloqueoMinutos: Number(e.target.value) })}
+              className={entrada}
             >
-              <Camera size={20}/> Escanear libros de {alumnoSel.nombre}
-            </button>
-
-          <div className="mt-2">
-            <h3 className="font-semibold text-lg mb-2">Lista de Libros ({cursoDeClase.nombre})</h3>
-            <ListaControlLibros
-              alumnoSel={alumnoSel}
-              curso={cursoDeClase}
-              dispatch={dispatch}
-            />
-          </div>
-        </>
-      ) : (
-        <div className="p-6 text-center text-slate-500 bg-white rounded-xl border border-dashed border-slate-300">
-          {claseSel ? 'Selecciona un alumno para ver su progreso.' : 'Selecciona una clase para empezar.'}
+              {[1, 2, 5, 10, 15, 30].map(m => <option key={m} value={m}>{t('{n} min sin actividad', { n: m })}</option>)}
+            </select>
+          </label>
         </div>
       )}
-      {scanActivo && <Escaner
-        onDetect={handleScan}
-        setMsg={setMsg}
-        setActivo={setScanActivo}
-      />}
+      <form onSubmit={anadir} className="grid grid-cols-2 gap-2">
+        <input {...campo('nombre')} placeholder={t('Nombre')} className={entrada} />
+        <select {...campo('rol')} disabled={primero} className={entrada} value={rolNuevo}>
+          {Object.entries(ROLES).map(([id, r]) => <option key={id} value={id}>{t(r.etiqueta)}</option>)}
+        </select>
+        <input {...campo('pin')} type="password" inputMode="numeric" autoComplete="new-password" placeholder={t('PIN (4 a 8 cifras)')} className={entrada} />
+        <input {...campo('repetido')} type="password" inputMode="numeric" autoComplete="new-password" placeholder={t('Repite el PIN')} className={entrada} />
+        <button
+          type="submit"
+          disabled={!form.nombre.trim() || !pinValido}
+          className="col-span-2 justify-self-end flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 text-sm font-semibold disabled:opacity-50"
+        >
+          <Plus size={16}/> {t('Añadir perfil')}
+        </button>
+      </form>
     </div>
   );
 }
 
-function ListaControlLibros({ alumnoSel, curso, dispatch }) {
-  if (!alumnoSel || !curso) return null;
-
+function IndicadorSync({ sync, onClick }) {
+  let icono = <Cloud size={20}/>, color = 'text-green-600', texto = t('Sincronizado');
+  if (sync.sincronizando) {
+    icono = <RefreshCw size={20} className="animate-spin"/>; color = 'text-slate-500'; texto = t('Sincronizando…');
+  } else if (sync.conflictos) {
+    icono = <AlertTriangle size={20}/>; color = 'text-amber-600'; texto = t('{n} cambios no aplicados', { n: sync.conflictos });
+  } else if (sync.sinConexion) {
+    icono = <CloudOff size={20}/>; color = 'text-slate-400'; texto = t('Sin conexión con el servidor');
+  } else if (sync.error) {
+    icono = <CloudOff size={20}/>; color = 'text-red-600'; texto = sync.error;
+  }
   return (
-    <div className="grid gap-3">
-      {curso.libros.map((libro) => {
-        const entregado = alumnoSel.librosEntregados.includes(libro.isbn);
-        return (
-            <div key={libro.isbn} className={`flex items-center gap-3 rounded-lg border p-3 transition-all ${entregado ? 'bg-green-50 border-green-200' : 'bg-white border-slate-200'}`}>
-                <div className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center ${entregado ? 'bg-green-500 text-white' : 'bg-slate-200 text-slate-500'}`}>
-                    {entregado ? <Check size={20}/> : <Circle size={20}/>}
-                </div>
-                <div className="flex-1">
-                    <p className="font-medium text-slate-800">{libro.title}</p>
-                    <p className="text-xs text-slate-500 font-mono">{libro.isbn}</p>
-                </div>
-                {entregado && (
-                    <button 
-                        onClick={() => dispatch({type: 'DESMARCAR_LIBRO', payload: {alumnoId: alumnoSel.id, barcode: libro.isbn}})} 
-                        className="p-2 rounded-md hover:bg-red-100 text-red-500"
-                    >
-                        <X size={16}/>
-                    </button>
-                )}
-            </div>
-        )
-      })}
-    </div>
+    <button
+      onClick={onClick}
+      title={sync.pendientes ? `${texto} · ${t('{n} cambios por enviar', { n: sync.pendientes })}` : texto}
+      className={`flex items-center gap-1 p-2 rounded-md hover:bg-slate-100 text-xs font-semibold ${color}`}
+    >
+      {icono}
+      {sync.pendientes > 0 && <span>{sync.pendientes}</span>}
+    </button>
   );
 }
 
-function SeccionAlumnos({ state, dispatch }) {
-  const [nuevo, setNuevo] = useState("");
-  const [claseSeleccionada, setClaseSeleccionada] = useState(state.clases[0]?.id || null);
+/** Emparejamiento con el servidor del centro, estado de la sincronización y conflictos. */
+function SeccionSincronizacion({ state, dispatch, setMsg, almacen, pedirPin, config, setConfig, replica, sync }) {
+  const [form, setForm] = useState({ servidor: '', codigo: '', nombre: '' });
+  const [conectando, setConectando] = useState(false);
+  // Emparejamiento a la espera de confirmar que se sustituyen los datos de este dispositivo.
+  const [porConfirmar, setPorConfirmar] = useState(null);
+  const campo = (id) => ({ value: form[id], onChange: (e) => setForm(f => ({ ...f, [id]: e.target.value })) });
 
-  const alumnosEnClase = useMemo(() => 
-    state.alumnos.filter(a => a.claseId === claseSeleccionada),
-  [state.alumnos, claseSeleccionada]);
+  async function comprobar(e) {
+    e.preventDefault();
+    const nuevo = {
+      servidor: normalizarServidor(form.servidor),
+      codigo: form.codigo.trim(),
+      dispositivo: { id: uid(), nombre: form.nombre.trim() },
+    };
+    setConectando(true);
+    try {
+      const { ultimoSeq } = await emparejar(nuevo);
+      const tieneDatos = state.cursos.length || state.clases.length || state.alumnos.length;
+      if (ultimoSeq > 0 && tieneDatos) setPorConfirmar(nuevo);
+      else await activar(nuevo, ultimoSeq === 0);
+    } catch (err) {
+      setMsg({ text: t('No se pudo emparejar: {error}', { error: err.message }), type: 'error' });
+    } finally {
+      setConectando(false);
+    }
+  }
+
+  async function sustituirYEmparejar() {
+    if (!(await pedirPin(t('Sustituir los datos de este dispositivo por los del servidor')))) return;
+    await activar(porConfirmar, false);
+  }
+
+  async function activar(nuevo, aportarDatos) {
+    await guardarConfigSync(almacen, nuevo);
+    dispatch({ type: 'SYNC_ACTIVAR', payload: { aportarDatos, dispositivo: nuevo.dispositivo.nombre } });
+    setConfig(nuevo);
+    setPorConfirmar(null);
+    setMsg({ text: aportarDatos ? t('Emparejado: los datos de este dispositivo se envían al servidor.') : t('Emparejado: recibiendo los datos del centro.'), type: 'success' });
+  }
+
+  async function desemparejar() {
+    if (!(await pedirPin(t('Desemparejar este dispositivo del servidor')))) return;
+    await guardarConfigSync(almacen, null);
+    dispatch({ type: 'SYNC_DESACTIVAR' });
+    setConfig(null);
+  }
 
+  const entrada = "rounded-lg border border-slate-300 px-3 py-2 text-sm";
   return (
-    <div className="grid gap-4">
-        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
-            <h3 className="font-semibold mb-2">Selecciona una clase</h3>
-            <select
-                className="w-full rounded-lg border border-slate-300 p-3 bg-white focus:ring-2 focus:ring-indigo-500 focus:outline-none text-base"
-                value={claseSeleccionada || ""}
-                onChange={(e) => setClaseSeleccionada(e.target.value)}
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-1 flex items-center gap-2"><Cloud size={18}/> {t('Sincronización')}</h3>
+      {!config ? (
+        porConfirmar ? (
+          <div className="grid gap-3 text-sm">
+            <p className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+              {t('El centro ya tiene datos en el servidor: los de este dispositivo se sustituirán por ellos. Si aquí hay algo que no está en el servidor, exporta una copia antes y combínala después.')}
+            </p>
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setPorConfirmar(null)} className="px-4 py-2 rounded-lg border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+              <button onClick={sustituirYEmparejar} className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 font-semibold">{t('Sustituir y emparejar')}</button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={comprobar} className="grid gap-2">
+            <p className="text-sm text-slate-500 mb-1">
+              {t('Opcional: comparte los datos entre los dispositivos del centro a través de su propio servidor ({comando}).', { comando: 'npm run servidor' })}
+            </p>
+            <input {...campo('servidor')} placeholder={t('Servidor, p. ej. 192.168.1.20:8787')} className={entrada} />
+            <div className="grid grid-cols-2 gap-2">
+              <input {...campo('codigo')} placeholder={t('Código de centro')} className={`${entrada} font-mono`} />
+              <input {...campo('nombre')} placeholder={t('Nombre de este dispositivo')} className={entrada} />
+            </div>
+            <button
+              type="submit"
+              disabled={conectando || !form.servidor.trim() || !form.codigo.trim() || !form.nombre.trim()}
+              className="justify-self-end flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 text-sm font-semibold disabled:opacity-50"
             >
-                <option value="">— Elige una clase —</option>
-                {state.clases.map((c) => (
-                <option key={c.id} value={c.id}>{c.nombre}</option>
+              {conectando && <Loader size={16} className="animate-spin"/>} {t('Emparejar')}
+            </button>
+          </form>
+        )
+      ) : (
+        <div className="grid gap-3 text-sm">
+          <div className="text-slate-600">
+            <p><span className="font-semibold">{config.dispositivo.nombre}</span> · <span className="font-mono">{config.servidor}</span></p>
+            <p>
+              {sync.sinConexion ? t('Sin conexión: los cambios se guardan y se enviarán al volver la conexión.') : sync.error || (sync.conectado ? t('Conectado.') : t('Conectando…'))}
+              {sync.pendientes > 0 && ` ${t('{n} cambios por enviar', { n: sync.pendientes })}.`}
+              {sync.ultimaVez && ` ${t('Última sincronización: {hora}.', { hora: new Date(sync.ultimaVez).toLocaleTimeString(localeActual()) })}`}
+            </p>
+          </div>
+          {replica?.conflictos.length > 0 && (
+            <div className="p-3 rounded-lg bg-amber-50 border border-amber-200">
+              <p className="font-semibold text-amber-800 mb-1">{t('Cambios de este dispositivo que no se han aplicado')}</p>
+              <ul className="grid gap-1 text-amber-900">
+                {replica.conflictos.map(c => (
+                  <li key={c.id}>{c.descripcion} <span className="text-amber-700">— {c.motivo}</span></li>
                 ))}
-            </select>
-        </div>
-
-      {claseSeleccionada && (
-        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
-            <h3 className="font-semibold mb-2">Añadir alumno a {state.clases.find(c => c.id === claseSeleccionada)?.nombre}</h3>
-            <div className="flex gap-2">
-                <input
-                    className="flex-1 rounded-lg border border-slate-300 p-3 text-base"
-                    placeholder="Nombre del alumno"
-                    value={nuevo}
-                    onChange={(e) => setNuevo(e.target.value)}
-                    onKeyDown={(e) => {
-                    if (e.key === "Enter" && nuevo.trim()) {
-                        dispatch({type: 'ADD_ALUMNO', payload: {nombre: nuevo, claseId: claseSeleccionada}});
-                        setNuevo("");
-                    }
-                    }}
-                />
-                <button
-                    className="flex items-center gap-2 px-4 py-3 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700"
-                    onClick={() => {
-                    if (!nuevo.trim()) return;
-                    dispatch({type: 'ADD_ALUMNO', payload: {nombre: nuevo, claseId: claseSeleccionada}});
-                    setNuevo("");
-                    }}
-                >
-                    <Plus size={20}/>
-                </button>
+              </ul>
+              <button onClick={() => dispatch({ type: 'SYNC_OLVIDAR_CONFLICTOS' })} className="mt-2 text-amber-800 font-semibold hover:underline">{t('Entendido')}</button>
             </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <button onClick={desemparejar} className="px-3 py-1.5 rounded-lg text-red-600 hover:bg-red-50 font-semibold">{t('Desemparejar')}</button>
+            <button onClick={sync.sincronizar} disabled={sync.sincronizando} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 font-semibold disabled:opacity-50">
+              <RefreshCw size={16} className={sync.sincronizando ? 'animate-spin' : ''}/> {t('Sincronizar ahora')}
+            </button>
+          </div>
         </div>
       )}
+    </div>
+  );
+}
 
-      <div className="grid gap-2">
-        {alumnosEnClase.map((a) => (
-          <div key={a.id} className="flex items-center gap-3 bg-white rounded-lg border p-3 border-slate-200">
-            <div className="flex-1">
-              <div className="font-medium">{a.nombre}</div>
-            </div>
-            <button onClick={() => dispatch({type: 'DEL_ALUMNO', payload: a.id})} className="p-2 rounded-md hover:bg-red-100 text-red-600"><Trash2 size={18}/></button>
-          </div>
-        ))}
+function SeccionCatalogo({ almacen, setMsg }) {
+  const [total, setTotal] = useState(null);
+
+  useEffect(() => {
+    contarCatalogoLocal(almacen).then(setTotal).catch(() => setTotal(0));
+  }, [almacen]);
+
+  function cargar(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const { guardados, descartados } = await guardarCatalogoLocal(almacen, JSON.parse(event.target.result));
+        setTotal(guardados);
+        const texto = descartados ? 'Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.' : 'Catálogo cargado: {n} libros.';
+        setMsg({ text: t(texto, { n: guardados, descartados }), type: descartados ? 'info' : 'success' });
+      } catch (err) {
+        setMsg({ text: t('No se pudo cargar el catálogo: {error}', { error: err.message }), type: 'error' });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  async function borrar() {
+    await borrarCatalogoLocal(almacen);
+    setTotal(0);
+  }
+
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-1 flex items-center gap-2"><BookOpen size={18}/> {t('Catálogo local')}</h3>
+      <p className="text-sm text-slate-500 mb-3">
+        {t('JSON con los libros del centro (isbn, title, autores, editorial, anio, portada). Se consulta antes que Internet al buscar un ISBN.')}
+      </p>
+      <div className="flex items-center gap-2 text-sm">
+        <span className="flex-1 text-slate-600">{total ? t('{n} libros', { n: total }) : t('Sin catálogo')}</span>
+        {total > 0 && <button onClick={borrar} className="px-3 py-1.5 rounded-lg text-red-600 hover:bg-red-50 font-semibold">{t('Quitar')}</button>}
+        <label className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 font-semibold cursor-pointer">
+          <Upload size={16}/> {t('Cargar JSON')}
+          <input type="file" accept=".json,application/json" onChange={cargar} className="hidden" />
+        </label>
       </div>
     </div>
   );
 }
 
-async function buscarLibroPorISBN(isbn) {
-  try {
-    const response = await fetch(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`);
-    if (!response.ok) {
-      throw new Error('La respuesta de la red no fue correcta');
-    }
-    const data = await response.json();
-    if (data.totalItems > 0 && data.items[0].volumeInfo.title) {
-      return data.items[0].volumeInfo.title;
-    }
-    return null;
-  } catch (error) {
-    console.error("Error al buscar libro:", error);
-    return null;
-  }
+function SeccionIdioma({ state, dispatch }) {
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <label className="flex items-center justify-between gap-2">
+        <span className="font-semibold">{t('Idioma')}</span>
+        <select
+          value={state.ajustes.idioma}
+          onChange={e => dispatch({ type: 'SET_IDIOMA', payload: e.target.value })}
+          className="rounded-lg border border-slate-300 px-3 py-2 text-sm bg-white"
+        >
+          {Object.entries(IDIOMAS).map(([id, idioma]) => <option key={id} value={id}>{idioma.nombre}</option>)}
+        </select>
+      </label>
+      <p className="text-sm text-slate-500 mt-1">{t('Se aplica solo a este dispositivo, a los CSV exportados y a los documentos impresos desde él.')}</p>
+    </div>
+  );
 }
 
-function SeccionGestion({ state, dispatch, setMsg }) {
+function SeccionGestion({ state, dispatch, setMsg, auditoria, almacen, lectorExterno, setLectorExterno, sincronizacion, personal }) {
     const [scanActivo, setScanActivo] = useState(false);
     const [isBuscando, setIsBuscando] = useState(false);
     const [modal, setModal] = useState({ type: null, data: null });
 
     const cursoSel = useMemo(() => state.cursos.find(c => c.id === state.seleccion.cursoId), [state.cursos, state.seleccion.cursoId]);
     const clasesEnCurso = useMemo(() => state.clases.filter(c => c.id && c.cursoId === state.seleccion.cursoId), [state.clases, state.seleccion.cursoId]);
+    const etiquetasPendientes = useMemo(() => (cursoSel?.libros || []).flatMap(libro =>
+        (libro.ejemplares || []).filter(e => !e.impreso).map(e => ({ codigo: e.codigo, libro }))
+    ), [cursoSel]);
 
-    async function handleScan(barcode) {
+    async function handleScan(codigo) {
         if (!cursoSel) return;
+        const { isbn: barcode, error } = normalizarISBN(codigo);
+        if (error) {
+            setMsg({text: error, type: 'error'});
+            return;
+        }
         setIsBuscando(true);
-        const tituloEncontrado = await buscarLibroPorISBN(barcode);
+        const encontrado = await buscarMetadatos(barcode, { almacen });
         setIsBuscando(false);
 
-        if (tituloEncontrado) {
-            dispatch({type: 'ADD_LIBRO_A_CURSO', payload: {cursoId: cursoSel.id, isbn: barcode, title: tituloEncontrado}});
-            setMsg({text: `Libro "${tituloEncontrado}" añadido.`, type: 'success'});
+        if (encontrado) {
+            dispatch({type: 'ADD_LIBRO_A_CURSO', payload: {cursoId: cursoSel.id, isbn: barcode, ...encontrado}});
+            setMsg({text: t('Libro "{libro}" añadido.', { libro: encontrado.title }), type: 'success'});
         } else {
             setModal({ type: 'addLibroManualmente', data: { barcode } });
         }
     }
+
+    async function completarDatos(libro) {
+        setIsBuscando(true);
+        const encontrado = await buscarMetadatos(libro.isbn, { almacen });
+        setIsBuscando(false);
+        if (encontrado) {
+            dispatch({type: 'ACTUALIZAR_DATOS_LIBRO', payload: {cursoId: cursoSel.id, isbn: libro.isbn, datos: encontrado}});
+        } else {
+            setMsg({text: t('No se encontraron datos para {isbn}.', { isbn: libro.isbn }), type: 'error'});
+        }
+    }
     
+    function imprimirEtiquetasPendientes() {
+        if (!imprimirEtiquetas(cursoSel, etiquetasPendientes)) {
+            setMsg({text: t('Permite las ventanas emergentes para imprimir.'), type: 'error'});
+            return;
+        }
+        dispatch({type: 'MARCAR_ETIQUETAS_IMPRESAS', payload: etiquetasPendientes.map(e => e.codigo)});
+    }
+
+    function imprimirResumen() {
+        if (!imprimirResumenCurso(cursoSel, state.clases, state.alumnos, state.anioEscolar)) {
+            setMsg({text: t('Permite las ventanas emergentes para imprimir.'), type: 'error'});
+        }
+    }
+
     function confirmarBorradoCurso(curso) {
         const isUsed = state.clases.some(c => c.cursoId === curso.id);
         if (isUsed) {
-            setMsg({text: 'No se puede borrar un curso que está en uso por una clase.', type: 'error'});
+            setMsg({text: t('No se puede borrar un curso que está en uso por una clase.'), type: 'error'});
         } else {
             dispatch({type: 'DEL_CURSO', payload: curso.id});
         }
@@ -530,7 +4432,7 @@ function SeccionGestion({ state, dispatch, setMsg }) {
     function confirmarBorradoClase(clase) {
         const isUsed = state.alumnos.some(a => a.claseId === clase.id);
         if (isUsed) {
-            setMsg({text: 'No se puede borrar una clase con alumnos. Mueve o elimina los alumnos primero.', type: 'error'});
+            setMsg({text: t('No se puede borrar una clase con alumnos. Muévelos a otra clase o elimínalos desde Alumnos.'), type: 'error'});
         } else {
             dispatch({type: 'DEL_CLASE', payload: clase.id});
         }
@@ -541,9 +4443,9 @@ function SeccionGestion({ state, dispatch, setMsg }) {
         <div className="grid gap-6">
             <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
                 <div className="flex justify-between items-center mb-2">
-                    <h3 className="font-semibold text-lg">Cursos</h3>
+                    <h3 className="font-semibold text-lg">{t('Cursos')}</h3>
                     <button onClick={() => setModal({type: 'addCurso'})} className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700">
-                        <Plus size={16}/> Nuevo Curso
+                        <Plus size={16}/> {t('Nuevo Curso')}
                     </button>
                 </div>
                 <div className="grid gap-2">
@@ -551,9 +4453,10 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                         <div key={c.id} className={`flex items-center gap-2 p-3 rounded-lg border ${state.seleccion.cursoId === c.id ? 'bg-indigo-50 border-indigo-300' : 'bg-white'}`}>
                            <div onClick={() => dispatch({type: 'SELECT_CURSO', payload: c.id})} className="flex-1 flex items-center gap-2 cursor-pointer">
                                 <span className="font-medium">{c.nombre}</span>
-                                <span className="text-xs bg-slate-200 text-slate-600 font-semibold px-2 py-1 rounded-full">{c.libros.length} libros</span>
+                                <span className="text-xs bg-slate-200 text-slate-600 font-semibold px-2 py-1 rounded-full">{t('{n} libros', { n: c.libros.length })}</span>
                            </div>
-                           <button onClick={() => setModal({type: 'delCurso', data: c})} className="p-2 text-red-500 hover:bg-red-100 rounded-md"><Trash2 size={16}/></button>
+                           <button title={t('Renombrar')} onClick={() => setModal({type: 'renombrarCurso', data: c})} className="p-2 text-slate-500 hover:bg-slate-100 rounded-md"><Edit size={16}/></button>
+                           <button title={t('Eliminar')} onClick={() => setModal({type: 'delCurso', data: c})} className="p-2 text-red-500 hover:bg-red-100 rounded-md"><Trash2 size={16}/></button>
                            <ChevronsRight size={20} className="text-slate-400 cursor-pointer" onClick={() => dispatch({type: 'SELECT_CURSO', payload: c.id})}/>
                         </div>
                     ))}
@@ -564,26 +4467,90 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                 <>
                     <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
                          <div className="flex justify-between items-center mb-2">
-                            <h3 className="font-semibold text-lg">Libros de {cursoSel.nombre}</h3>
+                            <h3 className="font-semibold text-lg">{t('Libros de {curso}', { curso: cursoSel.nombre })}</h3>
                             <button onClick={() => setScanActivo(true)} className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700">
-                                <Camera size={16}/> Añadir con escáner
+                                <Camera size={16}/> {t('Añadir con escáner')}
+                            </button>
+                        </div>
+                        <div className="mb-2">
+                            <EntradaCodigo
+                                onDetect={handleScan}
+                                lectorExterno={lectorExterno}
+                                setLectorExterno={setLectorExterno}
+                                placeholder={t('ISBN del libro')}
+                            />
+                        </div>
+                        <button onClick={() => setModal({type: 'importLibros'})} className="flex items-center gap-2 mb-2 text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                            <ListPlus size={16}/> {t('Importar lista de ISBN')}
+                        </button>
+                        <div className="flex items-center justify-between gap-2 mb-2 text-sm">
+                            <button onClick={() => setModal({type: 'prefijoEjemplar'})} className="text-slate-500 hover:text-slate-800">
+                                {t('Prefijo de etiquetas:')} <span className="font-mono font-semibold">{state.ajustes.prefijoEjemplar}</span>
                             </button>
+                            <div className="flex flex-wrap justify-end gap-2">
+                                {cursoSel.libros.length > 0 && (
+                                    <button onClick={imprimirResumen} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 font-semibold">
+                                        <Printer size={16}/> {t('Resumen de entregas')}
+                                    </button>
+                                )}
+                                {etiquetasPendientes.length > 0 && (
+                                    <button onClick={imprimirEtiquetasPendientes} className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 font-semibold">
+                                        <Printer size={16}/> {t('Imprimir etiquetas ({n})', { n: etiquetasPendientes.length })}
+                                    </button>
+                                )}
+                            </div>
                         </div>
                         {isBuscando && (
                             <div className="flex items-center justify-center gap-2 p-4 text-slate-500">
                                 <Loader className="animate-spin"/>
-                                <span>Buscando libro...</span>
+                                <span>{t('Buscando libro...')}</span>
                             </div>
                         )}
                         <div className="grid gap-2">
                             {cursoSel.libros.map((l, index) => (
                                 <div key={l.isbn} className="flex items-center gap-2 p-2 border-b border-slate-100">
-                                    <div className="flex-1">
+                                    <PortadaLibro libro={l}/>
+                                    <div className="flex-1 min-w-0">
                                         <p className="font-medium text-sm">{l.title}</p>
+                                        {detallesLibro(l) && <p className="text-xs text-slate-600 truncate">{detallesLibro(l)}</p>}
                                         <p className="text-xs text-slate-500 font-mono">{l.isbn}</p>
+                                        <p className="text-xs text-slate-500">
+                                            {t('{n} ejemplares', { n: (l.ejemplares || []).length })}
+                                            {l.precio != null && ` · ${t('reposición {importe}', { importe: formatearImporte(l.precio) })}`}
+                                        </p>
                                     </div>
                                     <div className="flex items-center gap-1">
                                         <button
+                                            title={t('Buscar datos del libro')}
+                                            disabled={isBuscando}
+                                            onClick={() => completarDatos(l)}
+                                            className="p-2 text-slate-500 hover:bg-slate-100 rounded-md disabled:opacity-30"
+                                        >
+                                            <RefreshCw size={16}/>
+                                        </button>
+                                        <button
+                                            title={t('Editar título')}
+                                            onClick={() => setModal({type: 'editarTitulo', data: l})}
+                                            className="p-2 text-slate-500 hover:bg-slate-100 rounded-md"
+                                        >
+                                            <Edit size={16}/>
+                                        </button>
+                                        <button
+                                            title={t('Registrar ejemplares')}
+                                            onClick={() => setModal({type: 'addEjemplares', data: l})}
+                                            className="p-2 text-slate-500 hover:bg-slate-100 rounded-md"
+                                        >
+                                            <Tag size={16}/>
+                                        </button>
+                                        <button
+                                            title={t('Precio de reposición')}
+                                            onClick={() => setModal({type: 'precioLibro', data: l})}
+                                            className="p-2 text-slate-500 hover:bg-slate-100 rounded-md"
+                                        >
+                                            <Euro size={16}/>
+                                        </button>
+                                        <button
+                                            title={t('Subir')}
                                             disabled={index === 0}
                                             onClick={() => dispatch({type: 'REORDER_LIBROS', payload: {cursoId: cursoSel.id, isbn: l.isbn, direction: 'up'}})}
                                             className="p-2 text-slate-500 hover:bg-slate-100 rounded-md disabled:opacity-30 disabled:cursor-not-allowed"
@@ -591,6 +4558,7 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                                             <ArrowUp size={16}/>
                                         </button>
                                         <button
+                                            title={t('Bajar')}
                                             disabled={index === cursoSel.libros.length - 1}
                                             onClick={() => dispatch({type: 'REORDER_LIBROS', payload: {cursoId: cursoSel.id, isbn: l.isbn, direction: 'down'}})}
                                             className="p-2 text-slate-500 hover:bg-slate-100 rounded-md disabled:opacity-30 disabled:cursor-not-allowed"
@@ -598,6 +4566,7 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                                             <ArrowDown size={16}/>
                                         </button>
                                         <button
+                                            title={t('Quitar del curso')}
                                             onClick={() => dispatch({type: 'DEL_LIBRO_DE_CURSO', payload: {cursoId: cursoSel.id, isbn: l.isbn}})}
                                             className="p-2 text-red-500 hover:bg-red-100 rounded-md"
                                         >
@@ -606,36 +4575,44 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                                     </div>
                                 </div>
                             ))}
-                            {cursoSel.libros.length === 0 && !isBuscando && <p className="text-sm text-slate-500 text-center p-4">No hay libros en este curso. ¡Añade uno!</p>}
+                            {cursoSel.libros.length === 0 && !isBuscando && <p className="text-sm text-slate-500 text-center p-4">{t('No hay libros en este curso. ¡Añade uno!')}</p>}
                         </div>
                     </div>
                      <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
                          <div className="flex justify-between items-center mb-2">
-                            <h3 className="font-semibold text-lg">Clases con este curso</h3>
+                            <h3 className="font-semibold text-lg">{t('Clases con este curso')}</h3>
                              <button onClick={() => setModal({type: 'addClase', data: cursoSel.id})} className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700">
-                                <Plus size={16}/> Nueva Clase
+                                <Plus size={16}/> {t('Nueva Clase')}
                             </button>
                         </div>
                         <div className="grid gap-2">
                             {clasesEnCurso.map(c => (
                                 <div key={c.id} className="flex items-center gap-2 p-2 bg-slate-50 rounded-md">
                                     <p className="flex-1 font-medium text-sm">{c.nombre}</p>
-                                    <button onClick={() => setModal({type: 'delClase', data: c})} className="p-2 text-red-500 hover:bg-red-100 rounded-md"><Trash2 size={16}/></button>
+                                    <button title={t('Renombrar')} onClick={() => setModal({type: 'renombrarClase', data: c})} className="p-2 text-slate-500 hover:bg-slate-100 rounded-md"><Edit size={16}/></button>
+                                    <button title={t('Eliminar')} onClick={() => setModal({type: 'delClase', data: c})} className="p-2 text-red-500 hover:bg-red-100 rounded-md"><Trash2 size={16}/></button>
                                 </div>
                             ))}
-                             {clasesEnCurso.length === 0 && <p className="text-sm text-slate-500 text-center p-4">No hay clases asignadas a este curso.</p>}
+                             {clasesEnCurso.length === 0 && <p className="text-sm text-slate-500 text-center p-4">{t('No hay clases asignadas a este curso.')}</p>}
                         </div>
                     </div>
                 </>
             )}
             
-            <SeccionExportar state={state} dispatch={dispatch} setMsg={setMsg} />
+            <SeccionIdioma state={state} dispatch={dispatch} />
+            <SeccionPersonal setMsg={setMsg} {...personal} />
+            <SeccionSincronizacion state={state} dispatch={dispatch} setMsg={setMsg} almacen={almacen} pedirPin={personal.pedirPin} {...sincronizacion} />
+            <SeccionExportar state={state} dispatch={dispatch} setMsg={setMsg} almacen={almacen} />
+            <SeccionAnioEscolar state={state} dispatch={dispatch} />
+            <SeccionCatalogo almacen={almacen} setMsg={setMsg} />
+            <SeccionInstantaneas almacen={almacen} dispatch={dispatch} setMsg={setMsg} replica={sincronizacion.replica} />
+            <SeccionAuditoria auditoria={auditoria} />
             <SeccionPruebas />
 
             {scanActivo && <Escaner onDetect={handleScan} setMsg={setMsg} setActivo={setScanActivo} />}
             {modal.type === 'addCurso' && <ModalInput
-                titulo="Crear Nuevo Curso"
-                mensaje="Dale un nombre al nuevo curso (ej: Libros 1º ESO)."
+                titulo={t('Crear Nuevo Curso')}
+                mensaje={t('Dale un nombre al nuevo curso (ej: Libros 1º ESO).')}
                 onConfirm={(nombre) => {
                     if (nombre) dispatch({type: 'ADD_CURSO', payload: nombre});
                     setModal({type: null});
@@ -643,8 +4620,8 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                 onCancel={() => setModal({type: null})}
             />}
              {modal.type === 'addClase' && <ModalInput
-                titulo="Crear Nueva Clase"
-                mensaje={`Dale un nombre a la nueva clase para el curso "${cursoSel?.nombre}" (ej: 1º A).`}
+                titulo={t('Crear Nueva Clase')}
+                mensaje={t('Dale un nombre a la nueva clase para el curso "{curso}" (ej: 1º A).', { curso: cursoSel?.nombre })}
                 onConfirm={(nombre) => {
                     if (nombre) dispatch({type: 'ADD_CLASE', payload: {nombre, cursoId: modal.data}});
                     setModal({type: null});
@@ -652,9 +4629,9 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                 onCancel={() => setModal({type: null})}
             />}
             {modal.type === 'addLibroManualmente' && <ModalInput
-                titulo="Añadir Libro Manualmente"
-                mensaje={`No se encontró título para ${modal.data.barcode}. Introduce el título.`}
-                valorInicial={`Libro ${modal.data.barcode}`}
+                titulo={t('Añadir Libro Manualmente')}
+                mensaje={t('No se encontró título para {isbn}. Introduce el título.', { isbn: modal.data.barcode })}
+                valorInicial={t('Libro {isbn}', { isbn: modal.data.barcode })}
                 onConfirm={(titulo) => {
                     if (titulo) {
                         dispatch({type: 'ADD_LIBRO_A_CURSO', payload: {cursoId: cursoSel.id, isbn: modal.data.barcode, title: titulo}});
@@ -663,15 +4640,95 @@ function SeccionGestion({ state, dispatch, setMsg }) {
                 }}
                 onCancel={() => setModal({type: null})}
             />}
+            {modal.type === 'renombrarCurso' && <ModalInput
+                titulo={t('Renombrar Curso')}
+                mensaje={t('Nuevo nombre del curso.')}
+                valorInicial={modal.data.nombre}
+                onConfirm={(nombre) => {
+                    if (nombre && nombre !== modal.data.nombre) dispatch({type: 'RENOMBRAR_CURSO', payload: {cursoId: modal.data.id, nombre}});
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
+            {modal.type === 'renombrarClase' && <ModalInput
+                titulo={t('Renombrar Clase')}
+                mensaje={t('Nuevo nombre de la clase.')}
+                valorInicial={modal.data.nombre}
+                onConfirm={(nombre) => {
+                    if (nombre && nombre !== modal.data.nombre) dispatch({type: 'RENOMBRAR_CLASE', payload: {claseId: modal.data.id, nombre}});
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
+            {modal.type === 'editarTitulo' && <ModalInput
+                titulo={t('Editar Título')}
+                mensaje={t('Título del libro {isbn}.', { isbn: modal.data.isbn })}
+                valorInicial={modal.data.title}
+                onConfirm={(title) => {
+                    if (title && title !== modal.data.title) dispatch({type: 'EDITAR_TITULO_LIBRO', payload: {cursoId: cursoSel.id, isbn: modal.data.isbn, title}});
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
+            {modal.type === 'precioLibro' && <ModalInput
+                titulo={t('Precio de Reposición')}
+                mensaje={t('Lo que paga la familia si "{libro}" se pierde o se devuelve deteriorado, en euros. Déjalo vacío para quitarlo.', { libro: modal.data.title })}
+                valorInicial={modal.data.precio != null ? String(modal.data.precio) : ''}
+                onConfirm={(texto) => {
+                    const precio = leerPrecio(texto);
+                    if (Number.isNaN(precio)) {
+                        setMsg({text: t('"{valor}" no es un importe válido.', { valor: texto }), type: 'error'});
+                        return;
+                    }
+                    if (precio !== (modal.data.precio ?? null)) dispatch({type: 'SET_PRECIO_LIBRO', payload: {cursoId: cursoSel.id, isbn: modal.data.isbn, precio}});
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
+            {modal.type === 'importLibros' && <ModalImportarLibros
+                curso={cursoSel}
+                almacen={almacen}
+                dispatch={dispatch}
+                setMsg={setMsg}
+                onClose={() => setModal({type: null})}
+            />}
+            {modal.type === 'addEjemplares' && <ModalInput
+                titulo={t('Registrar Ejemplares')}
+                mensaje={t('¿Cuántas copias de "{libro}" quieres registrar? Cada una recibirá su propia etiqueta.', { libro: modal.data.title })}
+                valorInicial="1"
+                onConfirm={(cantidad) => {
+                    const n = parseInt(cantidad, 10);
+                    if (n > 0) {
+                        dispatch({type: 'REGISTRAR_EJEMPLARES', payload: {cursoId: cursoSel.id, isbn: modal.data.isbn, cantidad: n}});
+                        setMsg({text: t('{n} ejemplares registrados. Imprime sus etiquetas.', { n }), type: 'success'});
+                    }
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
+            {modal.type === 'prefijoEjemplar' && <ModalInput
+                titulo={t('Prefijo de Etiquetas')}
+                mensaje={t('Identificador del centro que se antepone al número de cada ejemplar (ej: IESCERV).')}
+                valorInicial={state.ajustes.prefijoEjemplar}
+                onConfirm={(prefijo) => {
+                    if (!prefijo) {
+                        setMsg({text: t('El prefijo no puede quedar vacío.'), type: 'error'});
+                        return;
+                    }
+                    dispatch({type: 'SET_PREFIJO_EJEMPLAR', payload: prefijo});
+                    setModal({type: null});
+                }}
+                onCancel={() => setModal({type: null})}
+            />}
             {modal.type === 'delCurso' && <ModalConfirm
-                titulo="Eliminar Curso"
-                mensaje={`¿Estás seguro de que quieres eliminar el curso "${modal.data.nombre}"? No se puede deshacer.`}
+                titulo={t('Eliminar Curso')}
+                mensaje={t('¿Estás seguro de que quieres eliminar el curso "{curso}"? No se puede deshacer.', { curso: modal.data.nombre })}
                 onConfirm={() => confirmarBorradoCurso(modal.data)}
                 onCancel={() => setModal({type: null})}
             />}
             {modal.type === 'delClase' && <ModalConfirm
-                titulo="Eliminar Clase"
-                mensaje={`¿Estás seguro de que quieres eliminar la clase "${modal.data.nombre}"? No se puede deshacer.`}
+                titulo={t('Eliminar Clase')}
+                mensaje={t('¿Estás seguro de que quieres eliminar la clase "{clase}"? No se puede deshacer.', { clase: modal.data.nombre })}
                 onConfirm={() => confirmarBorradoClase(modal.data)}
                 onCancel={() => setModal({type: null})}
             />}
@@ -679,41 +4736,166 @@ function SeccionGestion({ state, dispatch, setMsg }) {
     );
 }
 
-function SeccionExportar({ state, dispatch, setMsg }) {
+function ModalImportarLibros({ curso, almacen, dispatch, setMsg, onClose }) {
+  const [texto, setTexto] = useState("");
+  const [progreso, setProgreso] = useState(null);
+  const [resultado, setResultado] = useState(null);
+  const canceladoRef = useRef(false);
+
+  const analisis = useMemo(() => parsearListaISBN(texto, curso.libros), [texto, curso.libros]);
+  const sinTitulo = analisis.validos.filter(l => !l.title).length;
+
+  useEffect(() => () => { canceladoRef.current = true; }, []);
+
+  function cargarFichero(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => setTexto(event.target.result);
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  async function importar() {
+    const libros = [];
+    let noEncontrados = 0;
+    setProgreso({ hechos: 0, total: sinTitulo });
+    for (const libro of analisis.validos) {
+      if (canceladoRef.current) return;
+      if (libro.title) {
+        libros.push(libro);
+        continue;
+      }
+      const encontrado = await buscarMetadatos(libro.isbn, { almacen });
+      if (!encontrado) noEncontrados++;
+      libros.push({ isbn: libro.isbn, ...encontrado });
+      setProgreso(p => ({ ...p, hechos: p.hechos + 1 }));
+    }
+    if (canceladoRef.current) return;
+    dispatch({ type: 'ADD_LIBROS_A_CURSO', payload: { cursoId: curso.id, libros } });
+    setResultado({ ...analisis, noEncontrados });
+    setProgreso(null);
+    setMsg({ text: t('{n} libros añadidos a {curso}.', { n: libros.length, curso: curso.nombre }), type: 'success' });
+  }
+
+  const informe = resultado || analisis;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Importar libros a {curso}', { curso: curso.nombre })}</h3>
+        {!resultado && (
+          <>
+            <p className="text-sm text-slate-600 mt-2 mb-4">{t('Un ISBN por línea, opcionalmente seguido del título (ej: 978-84-678-7181-4; Matemáticas 1).')}</p>
+            <textarea
+              value={texto}
+              onChange={e => setTexto(e.target.value)}
+              disabled={!!progreso}
+              rows={6}
+              className="w-full rounded-lg border border-slate-300 p-3 text-sm font-mono"
+            />
+            <label className="block text-right text-sm text-indigo-600 font-semibold cursor-pointer mt-1">
+              {t('Elegir fichero')}
+              <input type="file" accept=".csv,.txt" onChange={cargarFichero} className="hidden" />
+            </label>
+          </>
+        )}
+
+        {progreso && (
+          <div className="mt-4">
+            <div className="flex items-center gap-2 text-sm text-slate-600">
+              <Loader size={16} className="animate-spin"/> {t('Buscando títulos…')} {progreso.hechos}/{progreso.total}
+            </div>
+            <div className="h-2 bg-slate-200 rounded-full mt-2 overflow-hidden">
+              <div className="h-full bg-indigo-600 transition-all" style={{ width: `${porcentaje(progreso.hechos, progreso.total)}%` }} />
+            </div>
+          </div>
+        )}
+
+        {texto.trim() && (
+          <div className="text-sm mt-4 grid gap-2">
+            <p className="text-green-700 font-semibold">
+              {t(resultado ? '{n} libros añadidos' : '{n} libros para añadir', { n: informe.validos.length })}
+              {!resultado && sinTitulo > 0 && <span className="font-normal text-slate-600"> ({t('{n} sin título, se buscarán', { n: sinTitulo })})</span>}
+            </p>
+            {resultado?.noEncontrados > 0 && <p className="text-amber-700">{t('{n} sin título encontrado: revísalos en la lista.', { n: resultado.noEncontrados })}</p>}
+            {informe.invalidos.length > 0 && (
+              <div>
+                <p className="text-red-700 font-semibold">{t('{n} ISBN no válidos:', { n: informe.invalidos.length })}</p>
+                <ul className="text-slate-600">
+                  {informe.invalidos.map(x => <li key={x.linea} title={x.motivo}>{t('Línea {n}', { n: x.linea })}: <span className="font-mono">{x.texto}</span></li>)}
+                </ul>
+              </div>
+            )}
+            {informe.duplicados.length > 0 && (
+              <div>
+                <p className="text-amber-700 font-semibold">{t('{n} duplicados omitidos:', { n: informe.duplicados.length })}</p>
+                <ul className="text-slate-600">
+                  {informe.duplicados.map(x => <li key={x.linea}>{t('Línea {n}', { n: x.linea })}: <span className="font-mono">{x.isbn}</span> · {x.motivo}</li>)}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{resultado ? t('Cerrar') : t('Cancelar')}</button>
+          {!resultado && (
+            <button
+              disabled={analisis.validos.length === 0 || !!progreso}
+              onClick={importar}
+              className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {t('Importar')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SeccionExportar({ state, dispatch, setMsg, almacen }) {
   const fileInputRef = useRef(null);
+  const fusionInputRef = useRef(null);
+  const [erroresImportacion, setErroresImportacion] = useState(null);
+  const [fusion, setFusion] = useState(null);
+  const [confirmarBorrado, setConfirmarBorrado] = useState(false);
 
-  function exportar(formato) {
+  async function exportar(formato) {
     const hoy = new Date().toISOString().slice(0, 10);
-    let blob, filename;
 
     if (formato === 'json') {
-      blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-      filename = `libros_alumnos_${hoy}.json`;
+      try {
+        descargarArchivo(JSON.stringify(await incluirFotos(almacen, state), null, 2), "application/json", `libros_alumnos_${hoy}.json`);
+      } catch (err) {
+        setMsg({text: t('Error al exportar: {error}', { error: err.message }), type: 'error'});
+      }
     } else {
-      const filas = [["alumno_nombre", "clase_nombre", "curso_nombre", "libro_isbn", "libro_titulo", "entregado"]];
+      const filas = [["alumno_nombre", "clase_nombre", "curso_nombre", "libro_isbn", "libro_titulo", "entregado", "estado", "ejemplar", "fecha_entrega", "fecha_devolucion", "conservacion_entrega", "conservacion_devolucion"].map(c => t(c))];
       state.alumnos.forEach(a => {
         const clase = state.clases.find(c => c.id === a.claseId);
         const curso = state.cursos.find(c => c.id === clase?.cursoId);
         if (clase && curso) {
             curso.libros.forEach(l => {
-              const entregado = a.librosEntregados.includes(l.isbn) ? '1' : '0';
-              filas.push([a.nombre, clase.nombre, curso.nombre, l.isbn, l.title, entregado]);
+              const prestamo = ultimoPrestamo(a, l.isbn);
+              const entregado = prestamo?.estado === 'entregado' ? '1' : '0';
+              filas.push([
+                nombreCompleto(a), clase.nombre, curso.nombre, l.isbn, l.title, entregado,
+                t(prestamo?.estado || 'pendiente'), prestamo?.ejemplar || '', prestamo?.entregadoEn || '', prestamo?.devueltoEn || '',
+                textoRevision(prestamo?.revisionEntrega), textoRevision(prestamo?.revisionDevolucion)
+              ]);
             });
         }
       });
-      const csv = filas.map(f => f.map(s => `"${String(s).replace(/"/g, '""')}"`).join(",")).join("\n");
-      blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-      filename = `libros_alumnos_${hoy}.csv`;
+      descargarArchivo(filasACSV(filas), "text/csv;charset=utf-8;", `libros_alumnos_${hoy}.csv`);
     }
+  }
 
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Las fotos de un fichero se quedan dentro de los datos hasta que se confirma la importación o la
+  // combinación: dispatch llama a esto después del PIN, así que si se cancela no se escribe nada.
+  async function conFotosGuardadas(action) {
+    return { ...action, payload: await guardarFotosIncluidas(almacen, action.payload) };
   }
 
   function importarJSON(e) {
@@ -721,44 +4903,353 @@ function SeccionExportar({ state, dispatch, setMsg }) {
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
+      try {
+        const { estado, errores } = cargarDatos(JSON.parse(event.target.result));
+        if (errores.length) {
+          setErroresImportacion(errores);
+          return;
+        }
+        if (await dispatch({type: 'IMPORT_STATE', payload: estado}, conFotosGuardadas)) {
+          setMsg({text: t("Datos importados correctamente."), type: 'success'});
+        }
+      } catch (err) {
+        setMsg({text: t('Error al importar: {error}', { error: err.message }), type: 'error'});
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  function combinarJSON(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (event) => {
       try {
-        const parsed = JSON.parse(event.target.result);
-        if (!parsed || !parsed.cursos || !parsed.clases || !parsed.alumnos) throw new Error("Formato no válido.");
-        dispatch({type: 'IMPORT_STATE', payload: parsed});
-        setMsg({text: "Datos importados correctamente.", type: 'success'});
+        const { estado, errores } = cargarDatos(JSON.parse(event.target.result));
+        if (errores.length) {
+          setErroresImportacion(errores);
+          return;
+        }
+        setFusion(fusionarEstados(state, estado));
       } catch (err) {
-        setMsg({text: `Error al importar: ${err.message}`, type: 'error'});
+        setMsg({text: t('Error al importar: {error}', { error: err.message }), type: 'error'});
       }
     };
     reader.readAsText(file);
     e.target.value = '';
   }
 
+  async function aplicarFusion(elecciones) {
+    const estado = resolverConflictos(fusion.estado, fusion.conflictos, elecciones);
+    const errores = validarEstado(estado);
+    setFusion(null);
+    if (errores.length) {
+      setErroresImportacion(errores);
+      return;
+    }
+    try {
+      await dispatch({type: 'FUSIONAR_ESTADO', payload: estado}, conFotosGuardadas);
+    } catch (err) {
+      setMsg({text: t('Error al importar: {error}', { error: err.message }), type: 'error'});
+    }
+  }
+
   return (
     <div className="grid gap-4">
       <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
-        <h3 className="font-semibold mb-2">Importar y Exportar</h3>
+        <h3 className="font-semibold mb-2">{t('Importar y Exportar')}</h3>
         <div className="flex gap-2 flex-wrap">
           <button className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-800 text-white hover:bg-slate-900 text-sm" onClick={() => exportar('json')}>
-            <Download size={16}/> Exportar JSON
+            <Download size={16}/> {t('Exportar JSON')}
+          </button>
+          <button className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-800 text-white hover:bg-slate-900 text-sm" onClick={() => exportar('csv')}>
+            <Download size={16}/> {t('Exportar CSV')}
           </button>
           <input type="file" accept=".json" onChange={importarJSON} className="hidden" ref={fileInputRef} />
           <button className="flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-300 hover:bg-slate-100 text-sm" onClick={() => fileInputRef.current?.click()}>
-            <Upload size={16}/> Importar JSON
+            <Upload size={16}/> {t('Importar JSON')}
+          </button>
+          <input type="file" accept=".json" onChange={combinarJSON} className="hidden" ref={fusionInputRef} />
+          <button className="flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-300 hover:bg-slate-100 text-sm" onClick={() => fusionInputRef.current?.click()}>
+            <Merge size={16}/> {t('Combinar JSON')}
           </button>
         </div>
       </div>
       <div className="p-4 bg-white rounded-xl border border-red-200">
-        <h3 className="font-semibold mb-2 text-red-700">Zona Peligrosa</h3>
-        <button className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 text-sm" onClick={() => dispatch({type: 'RESET_STATE'})}>
-            <AlertTriangle size={16}/> Borrar todos los datos
+        <h3 className="font-semibold mb-2 text-red-700">{t('Zona Peligrosa')}</h3>
+        <button className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 text-sm" onClick={() => setConfirmarBorrado(true)}>
+            <AlertTriangle size={16}/> {t('Borrar todos los datos')}
+        </button>
+      </div>
+      {confirmarBorrado && <ModalConfirm
+        titulo={t('Borrar todos los datos')}
+        mensaje={t('Se borrarán cursos, clases, alumnos y préstamos de este dispositivo. Exporta antes una copia si la necesitas.')}
+        onConfirm={() => {
+          setConfirmarBorrado(false);
+          dispatch({type: 'RESET_STATE'});
+        }}
+        onCancel={() => setConfirmarBorrado(false)}
+      />}
+      {fusion && <ModalFusion
+        fusion={fusion}
+        onConfirm={aplicarFusion}
+        onCancel={() => setFusion(null)}
+      />}
+      {erroresImportacion && <ModalErrores
+        titulo={t('No se pudo importar')}
+        mensaje={t('El fichero tiene estos problemas. No se ha modificado ningún dato.')}
+        errores={erroresImportacion}
+        onClose={() => setErroresImportacion(null)}
+      />}
+    </div>
+  );
+}
+
+const ETIQUETAS_CAMPO = {
+  nombre: 'Nombre', title: 'Título', cursoId: 'Curso', claseId: 'Clase', apellidos: 'Apellidos', numeroLista: 'Nº de lista',
+  tutor: 'Tutor legal', contactoTutor: 'Contacto del tutor', notas: 'Notas', precio: 'Precio de reposición',
+};
+
+function ModalFusion({ fusion, onConfirm, onCancel }) {
+  const [elecciones, setElecciones] = useState({});
+  const { estado, conflictos, resumen } = fusion;
+
+  function legible(campo, valor) {
+    if (campo === 'cursoId') return estado.cursos.find(c => c.id === valor)?.nombre || '—';
+    if (campo === 'claseId') return estado.clases.find(c => c.id === valor)?.nombre || '—';
+    if (campo === 'precio' && valor != null) return formatearImporte(valor);
+    return valor === '' || valor == null ? '—' : String(valor);
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-full overflow-y-auto">
+        <h3 className="text-lg font-bold text-slate-800">{t('Combinar datos')}</h3>
+        <p className="text-sm text-slate-600 mt-2">
+          {t('Se añadirán {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos y {prestamos} entregas.', resumen)}
+        </p>
+        {resumen.renumerados > 0 && (
+          <p className="text-sm text-amber-700 mt-2">
+            {t('{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.', { n: resumen.renumerados })}
+          </p>
+        )}
+        {conflictos.length > 0 ? (
+          <>
+            <p className="text-sm font-semibold text-amber-700 mt-4">{t('{n} datos distintos en ambos lados. Elige cuál conservar:', { n: conflictos.length })}</p>
+            <div className="grid gap-3 mt-2">
+              {conflictos.map(c => (
+                <div key={c.id} className="border border-slate-200 rounded-lg p-3 text-sm">
+                  <p className="font-medium">{c.etiqueta} <span className="text-slate-500 font-normal">· {t(ETIQUETAS_CAMPO[c.campo])}</span></p>
+                  {[['local', 'Este dispositivo', c.local], ['importado', 'Fichero', c.importado]].map(([opcion, etiqueta, valor]) => (
+                    <label key={opcion} className="flex items-center gap-2 mt-1">
+                      <input
+                        type="radio"
+                        name={c.id}
+                        checked={(elecciones[c.id] || 'local') === opcion}
+                        onChange={() => setElecciones(e => ({ ...e, [c.id]: opcion }))}
+                      />
+                      <span className="text-slate-500 w-28">{t(etiqueta)}:</span>
+                      <span>{legible(c.campo, valor)}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-green-700 mt-4">{t('No hay conflictos.')}</p>
+        )}
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+          <button onClick={() => onConfirm(elecciones)} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700">{t('Combinar')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function formatearBytes(bytes) {
+  if (bytes == null) return '?';
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Los datos guardados no se pueden usar: se listan los problemas y se elige cómo seguir (una copia
+ * automática o empezar de cero). Hasta entonces no se guarda nada; lo dañado queda además apartado
+ * en `${STORAGE_KEY}_respaldo`.
+ */
+function PantallaErrorCarga({ error, onContinuar }) {
+  const [instantaneas, setInstantaneas] = useState(null);
+  const [fallo, setFallo] = useState(null);
+
+  useEffect(() => {
+    listarInstantaneas(error.almacen).then(setInstantaneas).catch((e) => {
+      console.error("Error listando copias", e);
+      setInstantaneas([]);
+    });
+  }, [error.almacen]);
+
+  async function restaurar(instantanea) {
+    const { estado, errores } = cargarDatos(await leerInstantanea(error.almacen, instantanea.fecha));
+    if (errores.length) {
+      setFallo(t('La copia del {fecha} no es válida.', { fecha: formatearFecha(instantanea.ts) }));
+      return;
+    }
+    onContinuar(estado);
+  }
+
+  function descargar() {
+    const hoy = new Date().toISOString().slice(0, 10);
+    descargarArchivo(JSON.stringify(error.datos, null, 2), "application/json", `libros_alumnos_no_validos_${hoy}.json`);
+  }
+
+  return (
+    <div className="max-w-lg w-full text-left bg-white rounded-xl shadow-sm border border-red-200 p-6 grid gap-4">
+      <div className="flex items-center gap-2 text-red-700 font-semibold"><AlertTriangle size={22}/> {error.mensaje}</div>
+      <ul className="text-sm text-slate-700 list-disc pl-5 max-h-48 overflow-y-auto">
+        {error.errores.map((e, i) => <li key={i}>{e}</li>)}
+      </ul>
+      <p className="text-sm text-slate-600">{t('No se ha guardado nada todavía. Elige con qué datos seguir:')}</p>
+      {fallo && <p className="text-sm text-red-600">{fallo}</p>}
+      <ul className="text-sm divide-y divide-slate-100">
+        {(instantaneas || []).map(i => (
+          <li key={i.fecha} className="py-2 flex items-center gap-3">
+            <div className="flex-1">
+              <p className="font-medium">{t('Copia automática del {fecha}', { fecha: formatearFecha(i.ts) })}</p>
+              <p className="text-xs text-slate-500">{t('{n} alumnos', { n: i.alumnos })} · {t('{n} cursos', { n: i.cursos })}</p>
+            </div>
+            <button onClick={() => restaurar(i)} className="px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 text-xs font-semibold">
+              {t('Restaurar')}
+            </button>
+          </li>
+        ))}
+        {instantaneas?.length === 0 && <li className="py-2 text-slate-500">{t('Todavía no hay copias.')}</li>}
+      </ul>
+      <div className="flex flex-wrap justify-end gap-2">
+        {error.datos !== undefined && (
+          <button onClick={descargar} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">
+            <Download size={16}/> {t('Descargar los datos guardados')}
+          </button>
+        )}
+        <button onClick={() => onContinuar(estadoVacio())} className="px-4 py-2 rounded-lg text-sm bg-red-600 text-white hover:bg-red-700">
+          {t('Empezar sin datos')}
         </button>
       </div>
     </div>
   );
 }
 
+function SeccionInstantaneas({ almacen, dispatch, setMsg, replica }) {
+  const [instantaneas, setInstantaneas] = useState(null);
+  const [espacio, setEspacio] = useState(null);
+  const [aRestaurar, setARestaurar] = useState(null);
+
+  useEffect(() => {
+    listarInstantaneas(almacen).then(setInstantaneas).catch((e) => {
+      console.error("Error listando copias", e);
+      setInstantaneas([]);
+    });
+    estimarEspacio().then(setEspacio);
+  }, [almacen]);
+
+  async function restaurar(instantanea) {
+    setARestaurar(null);
+    const { estado, errores } = cargarDatos(await leerInstantanea(almacen, instantanea.fecha));
+    if (errores.length) {
+      setMsg({ text: t('La copia del {fecha} no es válida.', { fecha: formatearFecha(instantanea.ts) }), type: 'error' });
+      return;
+    }
+    dispatch({ type: 'RESTAURAR_INSTANTANEA', payload: { ts: instantanea.ts, estado } });
+  }
+
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <h3 className="font-semibold mb-2 flex items-center gap-2"><ArchiveRestore size={18}/> {t('Copias automáticas')}</h3>
+      <ul className="text-sm divide-y divide-slate-100">
+        {(instantaneas || []).map(i => (
+          <li key={i.fecha} className="py-2 flex items-center gap-3">
+            <div className="flex-1">
+              <p className="font-medium">{formatearFecha(i.ts)}</p>
+              <p className="text-xs text-slate-500">{t('{n} alumnos', { n: i.alumnos })} · {t('{n} cursos', { n: i.cursos })}</p>
+            </div>
+            <button onClick={() => setARestaurar(i)} className="px-3 py-1.5 rounded-lg border border-slate-300 hover:bg-slate-100 text-xs font-semibold">
+              {t('Restaurar')}
+            </button>
+          </li>
+        ))}
+        {instantaneas?.length === 0 && <li className="py-4 text-center text-slate-500">{t('Todavía no hay copias.')}</li>}
+      </ul>
+      <p className="text-xs text-slate-400 mt-2">
+        {t('Guardado en {almacen}', { almacen: almacen.tipo === 'indexeddb' ? 'IndexedDB' : 'localStorage' })}
+        {espacio && ` · ${t('{usado} de {total} usados', { usado: formatearBytes(espacio.usado), total: formatearBytes(espacio.total) })}`}
+      </p>
+      {aRestaurar && <ModalConfirm
+        titulo={t('Restaurar Copia')}
+        mensaje={replica
+          ? t('Los datos actuales se sustituirán por los del {fecha} en todos los dispositivos sincronizados. Con la sincronización activada no se puede deshacer.', { fecha: formatearFecha(aRestaurar.ts) })
+          : t('Los datos actuales se sustituirán por los del {fecha}. Podrás deshacerlo.', { fecha: formatearFecha(aRestaurar.ts) })}
+        onConfirm={() => restaurar(aRestaurar)}
+        onCancel={() => setARestaurar(null)}
+      />}
+    </div>
+  );
+}
+
+function SeccionAuditoria({ auditoria }) {
+  const [filtro, setFiltro] = useState("");
+  const [limite, setLimite] = useState(50);
+
+  const entradas = useMemo(() => {
+    const q = normalizarTexto(filtro);
+    const todas = [...auditoria].reverse();
+    return q ? todas.filter(e => normalizarTexto(`${e.descripcion} ${e.perfil?.nombre ?? ''}`).includes(q)) : todas;
+  }, [auditoria, filtro]);
+
+  function exportar(formato) {
+    const hoy = new Date().toISOString().slice(0, 10);
+    if (formato === 'json') {
+      descargarArchivo(JSON.stringify(auditoria, null, 2), "application/json", `registro_actividad_${hoy}.json`);
+    } else {
+      const filas = [["fecha", "accion", "descripcion", "perfil"].map(c => t(c)), ...auditoria.map(e => [e.ts, e.tipo, e.descripcion, e.perfil?.nombre ?? ''])];
+      descargarArchivo(filasACSV(filas), "text/csv;charset=utf-8;", `registro_actividad_${hoy}.csv`);
+    }
+  }
+
+  return (
+    <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold flex items-center gap-2"><History size={18}/> {t('Registro de actividad')}</h3>
+        <div className="flex gap-2">
+          <button onClick={() => exportar('csv')} className="px-2 py-1 rounded-md border border-slate-300 hover:bg-slate-100 text-xs">CSV</button>
+          <button onClick={() => exportar('json')} className="px-2 py-1 rounded-md border border-slate-300 hover:bg-slate-100 text-xs">JSON</button>
+        </div>
+      </div>
+      <input
+        value={filtro}
+        onChange={(e) => { setFiltro(e.target.value); setLimite(50); }}
+        placeholder={t('Filtrar (ej: nombre del alumno o título)')}
+        className="w-full rounded-lg border border-slate-300 p-2 text-sm mb-2"
+      />
+      <ul className="text-sm divide-y divide-slate-100 max-h-80 overflow-y-auto">
+        {entradas.slice(0, limite).map(e => (
+          <li key={e.id} className="py-1.5 flex gap-3">
+            <span className="text-xs text-slate-400 font-mono whitespace-nowrap">{new Date(e.ts).toLocaleString(localeActual())}</span>
+            <span className="text-slate-700 flex-1">{e.descripcion}</span>
+            {e.perfil && <span className="text-xs text-slate-500 flex items-center gap-1 whitespace-nowrap"><UserRound size={12}/> {e.perfil.nombre}</span>}
+          </li>
+        ))}
+        {entradas.length === 0 && <li className="py-4 text-center text-slate-500">{t('Sin actividad registrada.')}</li>}
+      </ul>
+      {entradas.length > limite && (
+        <button onClick={() => setLimite(l => l + 50)} className="mt-2 text-sm text-indigo-600 font-semibold">{t('Ver más')}</button>
+      )}
+    </div>
+  );
+}
+
 function SeccionPruebas() {
   const [resultados, setResultados] = useState([]);
   const [running, setRunning] = useState(false);
@@ -767,9 +5258,12 @@ function SeccionPruebas() {
     return { name, pass: !!condition };
   }
 
-  function ejecutarPruebas() {
+  async function ejecutarPruebas() {
     setRunning(true);
     const casos = [];
+    // Los casos comparan textos en castellano; al acabar la app vuelve a su idioma.
+    const idiomaApp = idiomaActual();
+    establecerIdioma('es');
 
     // 1) Sanitización de URL duplicada + /+esm
     const malformed = "https://cdn.jsdelivr.net/npm/https://cdn.jsdelivr.net/npm/@zxing/browser@0.1.5/esm/index.js/+esm";
@@ -779,7 +5273,7 @@ function SeccionPruebas() {
     casos.push(assert("URL correcta permanece igual", sanitizeCdnUrl(ZXING_ESM_URL) === ZXING_ESM_URL));
 
     // 3) Reducer: añadir curso -> clase -> libro -> alumno -> marcar libro
-    const base = { cursos: [], clases: [], alumnos: [], seleccion: { cursoId: null, claseId: null, alumnoId: null } };
+    const base = estadoVacio();
     let s = reducer(base, { type: 'ADD_CURSO', payload: 'Prueba Curso' });
     const cursoId = s.seleccion.cursoId;
     s = reducer(s, { type: 'ADD_CLASE', payload: { nombre: '1ºA', cursoId } });
@@ -789,8 +5283,442 @@ function SeccionPruebas() {
     const alumnoId = s.seleccion.alumnoId;
     s = reducer(s, { type: 'MARCAR_LIBRO', payload: { alumnoId, barcode: '9788499890944' } });
     const alumno = s.alumnos.find(a => a.id === alumnoId);
-    casos.push(assert("MARCAR_LIBRO añade el ISBN a entregados", alumno?.librosEntregados.includes('9788499890944')));
+    casos.push(assert("MARCAR_LIBRO crea un préstamo entregado", libroEntregado(alumno, '9788499890944') && !!ultimoPrestamo(alumno, '9788499890944').entregadoEn));
+
+    // 4) Ciclo de préstamo: devolución y nueva entrega
+    s = reducer(s, { type: 'DEVOLVER_LIBRO', payload: { alumnoId, barcode: '9788499890944', fecha: '2025-06-20T10:00:00.000Z' } });
+    const prestamo = ultimoPrestamo(s.alumnos.find(a => a.id === alumnoId), '9788499890944');
+    casos.push(assert("DEVOLVER_LIBRO registra estado y fecha", prestamo.estado === 'devuelto' && prestamo.devueltoEn === '2025-06-20T10:00:00.000Z'));
+    s = reducer(s, { type: 'MARCAR_LIBRO', payload: { alumnoId, barcode: '9788499890944' } });
+    s = reducer(s, { type: 'MARCAR_INCIDENCIA', payload: { alumnoId, barcode: '9788499890944', estado: 'perdido' } });
+    const prestamos = s.alumnos.find(a => a.id === alumnoId).prestamos;
+    casos.push(assert("El historial conserva los préstamos anteriores", prestamos.length === 2 && prestamos[1].estado === 'perdido'));
+
+    // 5) Ejemplares: códigos consecutivos con el prefijo del centro
+    s = reducer(s, { type: 'SET_PREFIJO_EJEMPLAR', payload: 'iesc' });
+    casos.push(assert("Un prefijo en blanco no sustituye al del centro", reducer(s, { type: 'SET_PREFIJO_EJEMPLAR', payload: '   ' }) === s));
+    s = reducer(s, { type: 'REGISTRAR_EJEMPLARES', payload: { cursoId, isbn: '9788499890944', cantidad: 2 } });
+    const copias = s.cursos[0].libros[0].ejemplares;
+    casos.push(assert("REGISTRAR_EJEMPLARES genera códigos únicos", copias.length === 2 && copias[0].codigo === 'IESC-00001' && copias[1].codigo === 'IESC-00002'));
+    casos.push(assert("buscarEjemplar localiza la copia por su etiqueta", buscarEjemplar(s.cursos, 'IESC-00002')?.libro.isbn === '9788499890944'));
+    s = reducer(s, { type: 'MARCAR_LIBRO', payload: { alumnoId, barcode: '9788499890944', ejemplar: 'IESC-00001' } });
+    casos.push(assert("titularEjemplar devuelve quien tiene la copia", titularEjemplar(s.alumnos, 'IESC-00001')?.id === alumnoId && !titularEjemplar(s.alumnos, 'IESC-00002')));
+
+    // 6) Resumen de entregas de la clase
+    const otroAlumno = { id: 'b', nombre: 'Bea', claseId, prestamos: [] };
+    const resumen = resumenEntregas([s.alumnos[0], otroAlumno], s.cursos[0].libros);
+    casos.push(assert("resumenEntregas calcula % por alumno y por libro", resumen.porAlumno[alumnoId].pct === 100 && resumen.porAlumno.b.pendientes === 1 && resumen.porLibro['9788499890944'].pct === 50));
+
+    // 7) Carnés de alumno
+    casos.push(assert("El carné codifica el id del alumno", alumnoIdDeCarnet(codigoCarnet({ id: alumnoId })) === alumnoId && alumnoIdDeCarnet('9788499890944') === null));
+
+    // 8) Importación de alumnos
+    const tabla = parsearTabla('Nombre;Apellidos;Nº\n"Ana";"";1\nJosé;Pérez Gil;2\njose;perez  gil;3\n;Sin;4');
+    const mapeo = sugerirMapeo(tabla[0]);
+    casos.push(assert("parsearTabla detecta ';' y sugerirMapeo las columnas", tabla.length === 5 && mapeo.apellidos === 1 && mapeo.numeroLista === 2));
+    const prep = prepararImportacionAlumnos(tabla.slice(1), mapeo, s.alumnos);
+    casos.push(assert("La importación omite repetidos (sin tildes ni mayúsculas) y filas sin nombre",
+      prep.nuevos.length === 1 && prep.nuevos[0].numeroLista === 2 && prep.omitidos.map(o => o.motivo).join() === 'Ya existe en la clase,Ya existe en la clase,Sin nombre'));
+
+    // 9) Importación de listas de ISBN
+    casos.push(assert("esISBNValido comprueba el dígito de control", esISBNValido('9788467871814') && esISBNValido('843760494X') && !esISBNValido('9788467871811')));
+    const lista = parsearListaISBN('ISBN;Título\n978-84-678-7181-4; Matemáticas 1\n9788467871811\n9788467871814\n9788499890944', s.cursos[0].libros);
+    casos.push(assert("parsearListaISBN separa válidos, no válidos y duplicados",
+      lista.validos.length === 1 && lista.validos[0].title === 'Matemáticas 1' && lista.invalidos.length === 1 && lista.duplicados.map(d => d.motivo).join() === 'Repetido en la lista,Ya está en el curso'));
+    const conLibros = reducer(s, { type: 'ADD_LIBROS_A_CURSO', payload: { cursoId, libros: [{ isbn: '8437604947', title: '' }, { isbn: '9788467871814', title: 'Mates' }] } });
+    casos.push(assert("ADD_LIBROS_A_CURSO añade todos los libros de una vez", conLibros.cursos[0].libros.length === 3 && conLibros.cursos[0].libros[1].title === 'Libro 8437604947'));
+
+    // 10) Deshacer/rehacer y registro de actividad
+    let app = { pasado: [], presente: s, futuro: [], auditoria: [] };
+    app = reducerApp(app, { type: 'SELECT_ALUMNO', payload: null });
+    app = reducerApp(app, { type: 'DESMARCAR_LIBRO', payload: { alumnoId, barcode: '9788499890944' } });
+    casos.push(assert("La selección no entra en el historial", app.pasado.length === 1 && app.auditoria.length === 1));
+    casos.push(assert("El registro describe la acción", app.auditoria[0].descripcion === 'Entrega anulada: «El Quijote» de Ana' && !!app.auditoria[0].ts));
+    app = reducerApp(app, { type: 'UNDO' });
+    casos.push(assert("UNDO restaura el estado anterior y guarda el tipo de la acción deshecha",
+      libroEntregado(app.presente.alumnos.find(a => a.id === alumnoId), '9788499890944') && ACCIONES_DESTRUCTIVAS.has(app.futuro[0].tipo)));
+    app = reducerApp(app, { type: 'REDO' });
+    casos.push(assert("REDO vuelve a aplicar la acción", !libroEntregado(app.presente.alumnos.find(a => a.id === alumnoId), '9788499890944') && app.auditoria.length === 3 && app.pasado[0].tipo === 'DESMARCAR_LIBRO'));
+    app = reducerApp(app, { type: 'UNDO', perfil: { id: 'p1', nombre: 'Dirección', pinHash: 'no se guarda' } });
+    const conAutor = app.auditoria[app.auditoria.length - 1];
+    casos.push(assert("El registro anota el perfil que hizo la acción", conAutor.perfil.id === 'p1' && conAutor.perfil.nombre === 'Dirección' && !('pinHash' in conAutor.perfil) && !('perfil' in app.auditoria[0])));
+
+    // 11) Migración de datos antiguos (sin versión)
+    const legacy = cargarDatos({
+      cursos: [{ id: 'k1', nombre: '1º', libros: ['111'] }],
+      clases: [{ id: 'c1', nombre: '1ºA', cursoId: 'k1' }],
+      alumnos: [{ id: 'a1', nombre: 'Luis', claseId: 'c1', librosEntregados: ['111'] }],
+      extra: 'se descarta',
+    }).estado;
+    casos.push(assert("Migra librosEntregados a préstamos", libroEntregado(legacy.alumnos[0], '111') && !('librosEntregados' in legacy.alumnos[0])));
+    casos.push(assert("Migra libros en texto y marca la versión actual", legacy.cursos[0].libros[0].title === 'Libro 111' && legacy.version === VERSION_ESQUEMA && !('extra' in legacy)));
+
+    // 12) Validación estricta de importaciones
+    const errores = cargarDatos({
+      version: VERSION_ESQUEMA,
+      cursos: [{ id: 'k1', nombre: '1º', libros: [{ isbn: 978, title: 'X' }] }],
+      clases: [{ id: 'c1', nombre: '1ºA', cursoId: 'nope' }],
+      alumnos: [{ id: 'a1', nombre: 'Luis', claseId: 'c1', prestamos: [] }, { id: 'a1', nombre: 'Eva', claseId: 'c1', prestamos: [] }],
+    }).errores;
+    casos.push(assert("La validación lista referencias rotas, ids duplicados e ISBN no textuales",
+      errores.includes('Clase "1ºA": el curso nope no existe.') && errores.includes('Alumno 2: id duplicado "a1".') && errores.includes('Curso "1º", libro 1: el ISBN no es texto.')));
+    casos.push(assert("Rechaza versiones futuras", /no compatible/.test(cargarDatos({ ...base, version: VERSION_ESQUEMA + 1 }).errores[0])));
+
+    // 13) Importación combinada
+    const localF = cargarDatos({
+      version: VERSION_ESQUEMA,
+      cursos: [{ id: 'k1', nombre: '1º ESO', libros: [{ isbn: '111', title: 'Lengua' }] }],
+      clases: [{ id: 'c1', nombre: '1ºA', cursoId: 'k1' }],
+      alumnos: [{ id: 'a1', nombre: 'Luis', claseId: 'c1', prestamos: [{ id: 'p1', isbn: '111', estado: 'entregado', entregadoEn: '2025-09-10', devueltoEn: null }] }],
+    }).estado;
+    const otroF = cargarDatos({
+      version: VERSION_ESQUEMA,
+      cursos: [{ id: 'x1', nombre: '1º eso', libros: [{ isbn: '111', title: 'Lengua 1' }, { isbn: '222', title: 'Mates' }] }],
+      clases: [{ id: 'y1', nombre: '1ºA', cursoId: 'x1' }, { id: 'y2', nombre: '1ºB', cursoId: 'x1' }],
+      alumnos: [
+        { id: 'z1', nombre: 'Luis', claseId: 'y1', prestamos: [{ id: 'q1', isbn: '222', estado: 'entregado', entregadoEn: '2025-09-11', devueltoEn: null }] },
+        { id: 'z2', nombre: 'Eva', claseId: 'y2', prestamos: [] },
+      ],
+    }).estado;
+    const fusion = fusionarEstados(localF, otroF);
+    const luis = fusion.estado.alumnos.find(a => a.id === 'a1');
+    casos.push(assert("La fusión empareja por nombre y une las entregas",
+      fusion.estado.cursos.length === 1 && fusion.estado.clases.length === 2 && fusion.estado.alumnos.length === 2
+      && libroEntregado(luis, '111') && libroEntregado(luis, '222') && fusion.estado.alumnos[1].claseId === 'y2'));
+    casos.push(assert("La fusión detecta conflictos y respeta la elección", fusion.conflictos.length === 1
+      && resolverConflictos(fusion.estado, fusion.conflictos, { [fusion.conflictos[0].id]: 'importado' }).cursos[0].libros[0].title === 'Lengua 1'
+      && validarEstado(fusion.estado).length === 0));
+    // Cada dispositivo numera sus ejemplares desde 1: el mismo código puede ser otra copia.
+    const conCopia = (estado, isbn, fecha) => reducer(estado, { type: 'REGISTRAR_EJEMPLARES', payload: { cursoId: estado.cursos[0].id, isbn, cantidad: 1, fecha } });
+    const dispositivoA = conCopia(localF, '111', '2025-09-01T08:00:00.000Z');
+    const dispositivoB = reducer(conCopia(otroF, '222', '2025-09-02T08:00:00.000Z'), { type: 'MARCAR_LIBRO', payload: { alumnoId: 'z2', barcode: '222', ejemplar: 'LIB-00001' } });
+    const conRepetidos = fusionarEstados(dispositivoA, dispositivoB);
+    const otraVez = fusionarEstados(conRepetidos.estado, dispositivoB);
+    const copiasDe = (estado, isbn) => estado.cursos[0].libros.find(l => l.isbn === isbn).ejemplares;
+    casos.push(assert("La fusión da código nuevo a otra copia con el mismo código y la reconoce al repetir la fusión",
+      validarEstado(conRepetidos.estado).length === 0 && conRepetidos.resumen.renumerados === 1
+      && copiasDe(conRepetidos.estado, '222')[0].codigo === 'LIB-00002' && !copiasDe(conRepetidos.estado, '222')[0].impreso
+      && ultimoPrestamo(conRepetidos.estado.alumnos.find(a => a.id === 'z2'), '222').ejemplar === 'LIB-00002'
+      && conRepetidos.estado.ajustes.contadorEjemplares === 2
+      && otraVez.resumen.renumerados === 0 && copiasDe(otraVez.estado, '222').length === 1 && validarEstado(otraVez.estado).length === 0));
+
+    // 14) Copias automáticas: una por día y rotación
+    const memoria = new Map();
+    const almacenMemoria = {
+      tipo: 'localstorage',
+      get: async (k) => memoria.get(k),
+      set: async (k, v) => { memoria.set(k, v); },
+      remove: async (k) => { memoria.delete(k); },
+      keys: async () => [...memoria.keys()],
+    };
+    for (let dia = 1; dia <= 5; dia++) {
+      await guardarInstantaneaDiaria(almacenMemoria, base, new Date(`2025-09-0${dia}T10:00:00Z`));
+    }
+    const repetida = await guardarInstantaneaDiaria(almacenMemoria, s, new Date('2025-09-05T18:00:00Z'));
+    const copiasDiarias = await listarInstantaneas(almacenMemoria);
+    casos.push(assert("Instantáneas: una por día y solo las más recientes", !repetida && copiasDiarias.length === 3 && copiasDiarias[0].fecha === '2025-09-05'));
+    const danados = { version: VERSION_ESQUEMA, cursos: [], clases: [{ id: 'c1', nombre: '1ºA', cursoId: 'nope' }], alumnos: [] };
+    memoria.set(STORAGE_KEY, danados);
+    const falloCarga = await loadState(almacenMemoria).catch(e => e);
+    casos.push(assert("Unos datos guardados no válidos no se cambian por vacíos: se listan los errores y se aparta una copia",
+      falloCarga.errores?.[0] === 'Clase "1ºA": el curso nope no existe.' && falloCarga.datos === danados
+      && memoria.get(STORAGE_KEY) === danados && memoria.get(`${STORAGE_KEY}_respaldo`) === danados));
+
+    // 15) Cadena de proveedores: un proveedor lento no bloquea y el acierto queda en caché
+    let llamadas = 0;
+    const lento = { id: 'lento', nombre: 'Lento', buscar: () => new Promise(() => {}) };
+    const rapido = { id: 'rapido', nombre: 'Rápido', buscar: async () => { llamadas++; return { title: ' Lengua 1 ', autores: 'A. Pérez', anio: 2024, portada: '' }; } };
+    const opciones = { almacen: almacenMemoria, proveedores: [lento, rapido], tiempoLimite: 20 };
+    const primera = await buscarMetadatos('978-84-678-7181-4', opciones);
+    const segunda = await buscarMetadatos('9788467871814', opciones);
+    casos.push(assert("Metadatos: salta el proveedor lento y usa la caché",
+      llamadas === 1 && segunda.title === 'Lengua 1' && primera.anio === '2024' && !('portada' in primera)));
+    await guardarCatalogoLocal(almacenMemoria, [{ isbn: '9788467871814', title: 'Lengua 1 (centro)' }]);
+    const delCatalogo = await buscarMetadatos('9788467871814', { ...opciones, proveedores: [catalogoLocal, lento, rapido] });
+    await guardarCatalogoLocal(almacenMemoria, [{ isbn: '9788467871814', title: 'Lengua 1 (revisado)' }]);
+    const catalogoNuevo = await buscarMetadatos('9788467871814', { ...opciones, proveedores: [catalogoLocal, lento, rapido] });
+    await guardarCatalogoLocal(almacenMemoria, [{ isbn: '84-206-3457-3', title: 'Cuentos' }]);
+    const deISBN10 = await buscarMetadatos('9788420634579', { ...opciones, proveedores: [catalogoLocal] });
+    await borrarCatalogoLocal(almacenMemoria);
+    const sinCatalogo = await buscarMetadatos('9788467871814', { ...opciones, proveedores: [catalogoLocal, rapido] });
+    casos.push(assert("Metadatos: el catálogo guarda los ISBN-10 con la clave del libro (ISBN-13)", deISBN10?.title === 'Cuentos'));
+    casos.push(assert("Metadatos: el catálogo local manda sobre la caché y al cambiarlo se usa el nuevo",
+      delCatalogo.title === 'Lengua 1 (centro)' && catalogoNuevo.title === 'Lengua 1 (revisado)' && sinCatalogo.title === 'Lengua 1' && llamadas === 2));
+    const conDatos = reducer(s, { type: 'ACTUALIZAR_DATOS_LIBRO', payload: { cursoId, isbn: '9788499890944', datos: { title: 'Otro', editorial: 'Cátedra' } } });
+    casos.push(assert("ACTUALIZAR_DATOS_LIBRO completa datos sin pisar el título", conDatos.cursos[0].libros[0].editorial === 'Cátedra' && conDatos.cursos[0].libros[0].title === 'El Quijote'));
+
+    // 16) Normalización de ISBN
+    casos.push(assert("normalizarISBN convierte ISBN-10 y quita guiones y suplementos",
+      normalizarISBN('84-376-0494-X').isbn === '9788437604947' && normalizarISBN('978846787181451299').isbn === '9788467871814'
+      && codigoLibro('978-84-9989-094-4') === '9788499890944'));
+    casos.push(assert("normalizarISBN rechaza EAN de otros productos y lecturas erróneas",
+      /no es de un libro/.test(normalizarISBN('8412345678905').error) && /dígito de control/.test(normalizarISBN('9788467871811').error)));
+    const unificado = cargarDatos({
+      version: 2,
+      cursos: [{ id: 'k1', nombre: '1º', libros: [
+        { isbn: '843760494X', title: 'A', ejemplares: [{ codigo: 'L-1', altaEn: '2025-09-01', impreso: true }] },
+        { isbn: '978-84-376-0494-7', title: 'A', ejemplares: [{ codigo: 'L-2', altaEn: '2025-09-01', impreso: true }] },
+      ] }],
+      clases: [], alumnos: [],
+    }).estado;
+    casos.push(assert("Migración v2 unifica el mismo libro escrito como ISBN-10 y ISBN-13",
+      unificado.cursos[0].libros.length === 1 && unificado.cursos[0].libros[0].isbn === '9788437604947' && unificado.cursos[0].libros[0].ejemplares.length === 2));
+
+    // 17) Región de lectura del escáner
+    // Vídeo 1280×720 en una pantalla 400×800 con object-cover: escala 800/720 y 511 px recortados a cada lado.
+    const region = regionGuiaEnVideo({ left: 0, top: 0, width: 400, height: 800 }, { left: 50, top: 300, width: 300, height: 200 }, 1280, 720);
+    casos.push(assert("regionGuiaEnVideo traduce el rectángulo guía a píxeles del vídeo",
+      region.x === 505 && region.y === 270 && region.ancho === 270 && region.alto === 180));
+
+    // 18) Recortes para buscar varios códigos en una foto
+    const rejilla = mosaicos(1000, 600, 2);
+    casos.push(assert("mosaicos cubre la foto con recortes solapados",
+      mosaicos(1000, 600, 1).length === 1 && rejilla.length === 9 && rejilla[4].x === 250 && rejilla[8].x + rejilla[8].ancho === 1000 && rejilla[8].y + rejilla[8].alto === 600));
+
+    // 19) Cambio de año escolar
+    let curso2 = reducer(estadoVacio(), { type: 'ADD_CURSO', payload: '1º' });
+    const c1 = curso2.seleccion.cursoId;
+    curso2 = reducer(curso2, { type: 'ADD_LIBRO_A_CURSO', payload: { cursoId: c1, isbn: '9788499890944', title: 'El Quijote' } });
+    curso2 = reducer(curso2, { type: 'ADD_CURSO', payload: '2º' });
+    const c2 = curso2.seleccion.cursoId;
+    curso2 = reducer(curso2, { type: 'ADD_CLASE', payload: { nombre: '1º A', cursoId: c1 } });
+    curso2 = reducer(curso2, { type: 'ADD_CLASE', payload: { nombre: '2º A', cursoId: c2 } });
+    const [claseUno, claseDos] = curso2.clases;
+    ['Ana', 'Luis', 'Eva'].forEach(nombre => { curso2 = reducer(curso2, { type: 'ADD_ALUMNO', payload: { nombre, claseId: claseUno.id } }); });
+    curso2 = reducer(curso2, { type: 'ADD_ALUMNO', payload: { nombre: 'Sara', claseId: claseDos.id } });
+    const [alumnaAna, alumnoLuis, alumnaEva] = curso2.alumnos;
+    curso2 = reducer(curso2, { type: 'MARCAR_LIBRO', payload: { alumnoId: alumnaAna.id, barcode: '9788499890944' } });
+    const planAnio = {
+      anioNuevo: siguienteAnioEscolar(curso2.anioEscolar),
+      cursos: { [c1]: { clonar: true, nombre: '1º' }, [c2]: { clonar: true, nombre: '2º' } },
+      destinos: { [claseUno.id]: claseDos.id, [claseDos.id]: null },
+      excepciones: { [alumnoLuis.id]: 'repite', [alumnaEva.id]: 'baja' },
+    };
+    const resumenAnio = resumirCambioAnio(curso2, planAnio);
+    const nuevoAnio = reducer(curso2, { type: 'CAMBIAR_ANIO_ESCOLAR', payload: planAnio });
+    const claseDe = (id) => nuevoAnio.clases.find(c => c.id === nuevoAnio.alumnos.find(a => a.id === id)?.claseId)?.nombre;
+    casos.push(assert("Cambio de año: archiva, promociona y respeta repetidores y bajas",
+      nuevoAnio.archivo.length === 1 && nuevoAnio.archivo[0].alumnos.length === 4 && nuevoAnio.archivo[0].alumnos[0].prestamos.length === 1
+      && claseDe(alumnaAna.id) === '2º A' && claseDe(alumnoLuis.id) === '1º A' && nuevoAnio.alumnos.length === 2
+      && nuevoAnio.cursos[0].libros.length === 1 && nuevoAnio.cursos[0].id !== c1 && nuevoAnio.alumnos.every(a => a.prestamos.length === 0)
+      && resumenAnio.pasan === 1 && resumenAnio.repiten === 1 && resumenAnio.salen === 2 && resumenAnio.sinDevolver === 1 && resumenAnio.sinClase.length === 0));
+    const sinSegundo = resumirCambioAnio(curso2, { ...planAnio, cursos: { ...planAnio.cursos, [c2]: { clonar: false, nombre: '2º' } } });
+    casos.push(assert("Cambio de año: avisa de los alumnos cuyo curso de destino no se clona",
+      sinSegundo.sinClase.length === 1 && sinSegundo.sinClase[0].id === alumnaAna.id && sinSegundo.salen === 2));
+    let fusionOtroAnio = null;
+    try { fusionarEstados(curso2, nuevoAnio); } catch (e) { fusionOtroAnio = e.message; }
+    casos.push(assert("No se combinan datos de otro año escolar", fusionOtroAnio?.includes(nuevoAnio.anioEscolar)));
+    casos.push(assert("Migración v3 añade el año escolar y un archivo vacío",
+      cargarDatos({ version: 3, cursos: [], clases: [], alumnos: [] }).estado.archivo.length === 0 && anioEscolarDe(new Date(2025, 8, 1)) === '2025-2026' && anioEscolarDe(new Date(2026, 5, 30)) === '2025-2026'));
+
+    // 20) Edición de entidades
+    let editado = reducer(curso2, { type: 'RENOMBRAR_CLASE', payload: { claseId: claseUno.id, nombre: ' 1º B ' } });
+    editado = reducer(editado, { type: 'RENOMBRAR_CURSO', payload: { cursoId: c1, nombre: '' } });
+    editado = reducer(editado, { type: 'EDITAR_TITULO_LIBRO', payload: { cursoId: c1, isbn: '9788499890944', title: 'Don Quijote' } });
+    editado = reducer(editado, { type: 'EDITAR_ALUMNO', payload: { alumnoId: alumnaAna.id, datos: { tutor: 'Marta', notas: 'Alergia', prestamos: [], claseId: claseDos.id } } });
+    editado = reducer(editado, { type: 'MOVER_ALUMNOS', payload: { alumnoIds: [alumnoLuis.id, alumnaEva.id], claseId: claseDos.id } });
+    const anaEditada = editado.alumnos.find(a => a.id === alumnaAna.id);
+    casos.push(assert("Renombra, edita la ficha sin tocar préstamos y mueve alumnos",
+      editado.clases[0].nombre === '1º B' && editado.cursos[0].nombre === '1º' && editado.cursos[0].libros[0].title === 'Don Quijote'
+      && anaEditada.tutor === 'Marta' && anaEditada.prestamos.length === 1 && editado.alumnos.filter(a => a.claseId === claseDos.id).length === 4));
 
+    // 21) Búsqueda global
+    const busqueda = buscarEnEstado(curso2, 'ANA');
+    const porIsbn = buscarEnEstado(curso2, '978-84-9989-094-4').porISBN;
+    casos.push(assert("Búsqueda sin tildes ni mayúsculas y estado por ISBN",
+      busqueda.alumnos.length === 1 && buscarEnEstado(curso2, '1º a').clases.length === 1 && buscarEnEstado(curso2, 'quijote').libros.length === 1
+      && porIsbn.entregados.map(a => a.nombre).join() === 'Ana' && porIsbn.pendientes.length === 2 && buscarEnEstado(curso2, '  ') === null));
+
+    // 22) Albaranes e informes de entrega
+    const cursoUno = curso2.cursos.find(c => c.id === c1);
+    const resumenUno = resumenCurso(cursoUno, curso2.clases, curso2.alumnos);
+    const pendientesUno = htmlPendientesClase(claseUno, cursoUno, curso2.alumnos.filter(a => a.claseId === claseUno.id), curso2.anioEscolar);
+    const albaran = htmlAlbaran({ ...curso2.alumnos[0], tutor: 'Marta <Ruiz>' }, claseUno, cursoUno, curso2.anioEscolar);
+    casos.push(assert("Albarán con los libros recibidos, pendientes por alumno y resumen del curso",
+      albaran.includes('El Quijote') && albaran.includes('Marta &lt;Ruiz&gt;') && pendientesUno.includes('Luis') && !pendientesUno.includes('Ana')
+      && resumenUno.alumnos === 3 && resumenUno.libros[0].porClase[claseUno.id] === 2 && resumenUno.libros[0].porEntregar === 2));
+    const conDevuelto = reducer(curso2, { type: 'DEVOLVER_LIBRO', payload: { alumnoId: alumnaAna.id, barcode: '9788499890944' } });
+    const anaDevuelto = conDevuelto.alumnos.find(a => a.id === alumnaAna.id);
+    casos.push(assert("Un libro devuelto no cuenta como pendiente ni como por entregar",
+      librosPendientes(anaDevuelto, cursoUno).length === 0 && resumenCurso(cursoUno, conDevuelto.clases, conDevuelto.alumnos).libros[0].porEntregar === 2
+      && buscarEnEstado(conDevuelto, '9788499890944').porISBN.pendientes.length === 2));
+
+    // 23) Firma de la recogida
+    const firmaPng = 'data:image/png;base64,iVBORw0KGgo=';
+    const firmado = reducer(curso2, { type: 'FIRMAR_ENTREGA', payload: { alumnoId: alumnaAna.id, nombre: ' Marta ', relacion: 'Madre', imagen: firmaPng } });
+    const anaFirmada = firmado.alumnos.find(a => a.id === alumnaAna.id);
+    const albaranFirmado = htmlAlbaran(anaFirmada, claseUno, cursoUno, firmado.anioEscolar);
+    const firmaHuerfana = { ...firmado, alumnos: firmado.alumnos.map(a => a.id === alumnaAna.id ? { ...a, firmas: [] } : a) };
+    casos.push(assert("La firma se guarda con la entrega y aparece en el albarán",
+      anaFirmada.firmas.length === 1 && anaFirmada.firmas[0].nombre === 'Marta' && anaFirmada.prestamos[0].firmaId === anaFirmada.firmas[0].id
+      && reducer(firmado, { type: 'FIRMAR_ENTREGA', payload: { alumnoId: alumnaAna.id, nombre: 'Otra', relacion: 'Padre', imagen: firmaPng } }).alumnos.find(a => a.id === alumnaAna.id) === anaFirmada
+      && albaranFirmado.includes(firmaPng) && !albaranFirmado.includes('Alumno/a</div>')
+      && validarEstado(firmado).length === 0 && validarEstado(firmaHuerfana).length === 1));
+    // Sesión con lector: Ana recibe un libro y se escanea el carné de otro alumno antes de firmar.
+    const siguienteAlumno = curso2.alumnos.find(a => a.id !== alumnaAna.id);
+    const sesion = anotarEntregaPendiente([], alumnaAna.id, '9788499890944');
+    const revisado = quitarRevisionPendiente(sesion, alumnaAna.id, '9788499890944');
+    const trasCarne = siguientePendiente(curso2, revisado, siguienteAlumno.id);
+    casos.push(assert("Al pasar a otro alumno por su carné, la firma del anterior queda pendiente y se pide",
+      trasCarne?.alumno.id === alumnaAna.id && !trasCarne.libro
+      && librosPorFirmar(curso2, trasCarne.alumno).map(l => l.title).join() === 'El Quijote'
+      && siguientePendiente(curso2, revisado, alumnaAna.id) === null
+      && siguientePendiente(firmado, revisado, siguienteAlumno.id) === null
+      && olvidarEntregaPendiente(revisado, alumnaAna.id).length === 0));
+    const revisionAna = siguientePendiente(curso2, sesion, siguienteAlumno.id);
+    const anaRevisada = reducer(curso2, { type: 'REVISAR_ENTREGA', payload: { alumnoId: alumnaAna.id, barcode: '9788499890944', condicion: 'bueno' } });
+    casos.push(assert("El estado al entregar queda pendiente para cada alumno de la sesión, no solo para el activo",
+      revisionAna?.alumno.id === alumnaAna.id && revisionAna.libro.isbn === '9788499890944'
+      && siguientePendiente(curso2, sesion, alumnaAna.id)?.libro.isbn === '9788499890944'
+      && !siguientePendiente(anaRevisada, sesion, siguienteAlumno.id).libro));
+
+    // 24) Sincronización: mismas acciones en el orden del servidor, mismo estado en cada dispositivo
+    const registro = [];
+    const enviar = (a, dispositivo) => a.replica.cola.forEach(op => {
+      if (!registro.some(o => o.id === op.id)) registro.push({ ...op, seq: registro.length + 1, dispositivo });
+    });
+    const recibir = (a, dispositivo, rechazadas) => reducerApp(a, { type: 'SYNC_RECIBIR', payload: { operaciones: registro, rechazadas, dispositivoId: dispositivo } });
+    const datosDe = (a) => JSON.stringify(datosCompartidos(a.presente));
+    const appVacia = () => ({ pasado: [], presente: estadoVacio(), futuro: [], auditoria: [], replica: null });
+    let tablet = reducerApp(appVacia(), { type: 'SYNC_ACTIVAR', payload: { aportarDatos: true, dispositivo: 'Tablet' } });
+    tablet = reducerApp(tablet, { type: 'ADD_CURSO', payload: 'Sincronizado' });
+    const cursoSync = tablet.presente.cursos[0].id;
+    enviar(tablet, 'T');
+    let movil = reducerApp(appVacia(), { type: 'SYNC_ACTIVAR', payload: { aportarDatos: false } });
+    movil = recibir(movil, 'M');
+    movil = reducerApp(movil, { type: 'RENOMBRAR_CURSO', payload: { cursoId: cursoSync, nombre: 'Desde el móvil' } });
+    tablet = recibir(tablet, 'T');
+    tablet = reducerApp(tablet, { type: 'DEL_CURSO', payload: cursoSync });
+    enviar(tablet, 'T');
+    enviar(movil, 'M');
+    tablet = recibir(tablet, 'T');
+    movil = recibir(movil, 'M');
+    const igualesTrasBorrar = datosDe(tablet) === datosDe(movil) && movil.presente.cursos.length === 0;
+    movil = reducerApp(movil, { type: 'IMPORT_STATE', payload: reducer(estadoVacio(), { type: 'ADD_CURSO', payload: 'Importado' }) });
+    movil = recibir(movil, 'M', [{ id: movil.replica.cola[0].id, motivo: 'Otro dispositivo ha hecho cambios mientras tanto.' }]);
+    casos.push(assert("Sincronización: ids reproducibles, rebase en orden del servidor y conflictos anotados",
+      igualesTrasBorrar && tablet.replica.cola.length === 0 && movil.replica.cola.length === 0 && movil.pasado.length === 0
+      && tablet.replica.ultimoSeq === 4 && tablet.auditoria.some(e => e.descripcion.startsWith('Otro dispositivo'))
+      && movil.replica.conflictos.length === 1 && datosDe(movil) === JSON.stringify(datosCompartidos(movil.replica.base))));
+    const tabletEnCatalan = reducerApp(tablet, { type: 'SET_IDIOMA', payload: 'ca' });
+    registro.push({ id: 'otro-curso', seq: registro.length + 1, dispositivo: 'M', ts: new Date().toISOString(), accion: { type: 'ADD_CURSO', payload: 'Del móvil', meta: { id: 'otro-curso', ts: new Date().toISOString() } } });
+    const tabletTrasRecibir = recibir(tabletEnCatalan, 'T');
+    casos.push(assert("Sincronización: el idioma es de cada dispositivo y no se envía",
+      tabletEnCatalan.replica.cola.length === 0 && tabletTrasRecibir.presente.ajustes.idioma === 'ca'
+      && tabletTrasRecibir.presente.cursos.length === 1 && !('idioma' in datosCompartidos(tabletEnCatalan.presente).ajustes)));
+    registro.pop();
+    const tablet2 = reducerApp(tablet, { type: 'ADD_CURSO', payload: 'Tras la instantánea' });
+    const compactada = { seq: tablet.replica.ultimoSeq, estado: datosCompartidos(tablet.replica.base), ids: registro.map(o => o.id) };
+    const nuevo = reducerApp(reducerApp(appVacia(), { type: 'SYNC_ACTIVAR', payload: { aportarDatos: false } }), {
+      type: 'SYNC_RECIBIR', payload: { operaciones: [], instantanea: compactada, dispositivoId: 'N' },
+    });
+    const atrasado = { ...tablet2, replica: { ...tablet2.replica, ultimoSeq: 0, base: estadoVacio(), cola: [...registro.filter(o => o.dispositivo === 'T'), ...tablet2.replica.cola] } };
+    const conInstantanea = reducerApp(atrasado, { type: 'SYNC_RECIBIR', payload: { operaciones: [], instantanea: compactada, dispositivoId: 'T' } });
+    casos.push(assert("Sincronización: un dispositivo atrasado parte de la instantánea y da por confirmado lo que incluye",
+      datosDe(nuevo) === datosDe(tablet) && nuevo.replica.ultimoSeq === compactada.seq
+      && atrasado.replica.cola.length === 4 && conInstantanea.replica.cola.length === 1 && conInstantanea.presente.cursos.map(c => c.nombre).join() === 'Tras la instantánea'));
+    const tabletDeshace = reducerApp(reducerApp(tablet, { type: 'ADD_CURSO', payload: 'Otro' }), { type: 'UNDO' });
+    casos.push(assert("Sincronización: sin historial de deshacer ni operaciones con todos los datos",
+      tabletDeshace.pasado.length === 0 && tabletDeshace.presente.cursos.length === 1
+      && tabletDeshace.replica.cola.every(op => op.accion.type === 'ADD_CURSO')));
+
+    // 25) Perfiles y PIN
+    const perfilAdmin = crearPerfil({ id: 'p1', nombre: ' Dirección ', rol: 'admin', pin: '2468' });
+    casos.push(assert("PIN con sal y SHA-256, y pestañas según el rol",
+      sha256('abc') === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+      && perfilAdmin.nombre === 'Dirección' && !Object.values(perfilAdmin).includes('2468') && comprobarPin(perfilAdmin, '2468') && !comprobarPin(perfilAdmin, '1357')
+      && esPinValido('0000') && !esPinValido('12a4') && puedeAbrir(null, 'gestion') && puedeAbrir('admin', 'gestion')
+      && puedeAbrir('control', 'control') && !puedeAbrir('control', 'alumnos')));
+
+    // 26) Idiomas: interpolación, plurales, textos sin traducir y el idioma en los datos
+    const enCastellano = [t('{n} libros', { n: 1 }), t('{n} libros', { n: 3 }), t('Texto sin traducir {x}', { x: 1 })];
+    establecerIdioma('ca');
+    const enCatalan = [t('{n} libros', { n: 1 }), t('Libro {isbn}', { isbn: '978' }), t('Texto sin traducir {x}', { x: 1 })];
+    establecerIdioma('xx');
+    const desconocido = idiomaActual();
+    const conIdioma = reducer(estadoVacio(), { type: 'SET_IDIOMA', payload: 'eu' });
+    const sinIdioma = cargarDatos({ version: 3, cursos: [], clases: [], alumnos: [], ajustes: { prefijoEjemplar: 'IES' } }).estado;
+    casos.push(assert("Idiomas: plurales, catálogos con respaldo en castellano y el idioma se guarda con los datos",
+      enCastellano.join('|') === '1 libro|3 libros|Texto sin traducir 1' && enCatalan.join('|') === '1 llibre|Llibre 978|Texto sin traducir 1'
+      && desconocido === 'es' && conIdioma.ajustes.idioma === 'eu' && reducer(conIdioma, { type: 'SET_IDIOMA', payload: 'eu' }) === conIdioma
+      && sinIdioma.ajustes.idioma === 'es' && sinIdioma.ajustes.prefijoEjemplar === 'IES'));
+    const conCurso = reducerApp(appVacia(), { type: 'ADD_CURSO', payload: 'Primero' });
+    const enEuskera = reducerApp(conCurso, { type: 'SET_IDIOMA', payload: 'eu' });
+    const importadoAjeno = reducerApp(enEuskera, { type: 'IMPORT_STATE', payload: reducer(estadoVacio(), { type: 'ADD_CURSO', payload: 'Ajeno' }) });
+    const idiomaDe = (a) => a.presente.ajustes.idioma;
+    casos.push(assert("El idioma no se deshace ni se registra, y no lo cambian importar, restaurar ni borrar los datos",
+      enEuskera.pasado.length === 1 && enEuskera.auditoria.length === 1
+      && idiomaDe(reducerApp(enEuskera, { type: 'UNDO' })) === 'eu' && reducerApp(enEuskera, { type: 'UNDO' }).presente.cursos.length === 0
+      && idiomaDe(importadoAjeno) === 'eu' && importadoAjeno.presente.cursos[0].nombre === 'Ajeno'
+      && idiomaDe(reducerApp(enEuskera, { type: 'RESTAURAR_INSTANTANEA', payload: { estado: estadoVacio(), ts: new Date().toISOString() } })) === 'eu'
+      && idiomaDe(reducerApp(importadoAjeno, { type: 'RESET_STATE' })) === 'eu'));
+
+    // 27) Estado de los libros y reposiciones
+    let cargo = reducer(estadoVacio(), { type: 'ADD_CURSO', payload: 'Reposición' });
+    const cursoCargo = cargo.seleccion.cursoId;
+    cargo = reducer(cargo, { type: 'ADD_CLASE', payload: { nombre: '3ºA', cursoId: cursoCargo } });
+    cargo = reducer(cargo, { type: 'ADD_LIBRO_A_CURSO', payload: { cursoId: cursoCargo, isbn: '9788467871814', title: 'Física' } });
+    cargo = reducer(cargo, { type: 'ADD_LIBRO_A_CURSO', payload: { cursoId: cursoCargo, isbn: '9788499890944', title: 'Lengua' } });
+    cargo = reducer(cargo, { type: 'ADD_ALUMNO', payload: { nombre: 'Leo', claseId: cargo.clases[0].id } });
+    const leo = cargo.seleccion.alumnoId;
+    cargo = reducer(cargo, { type: 'SET_PRECIO_LIBRO', payload: { cursoId: cursoCargo, isbn: '9788467871814', precio: leerPrecio('24,90 €') } });
+    const precioInvalido = reducer(cargo, { type: 'SET_PRECIO_LIBRO', payload: { cursoId: cursoCargo, isbn: '9788467871814', precio: -1 } }) === cargo;
+    ['9788467871814', '9788499890944'].forEach(isbn => { cargo = reducer(cargo, { type: 'MARCAR_LIBRO', payload: { alumnoId: leo, barcode: isbn } }); });
+    cargo = reducer(cargo, { type: 'REVISAR_ENTREGA', payload: { alumnoId: leo, barcode: '9788467871814', condicion: 'nuevo', notas: ' ', fotos: [] } });
+    const entregaPerdida = reducer(cargo, { type: 'REVISAR_ENTREGA', payload: { alumnoId: leo, barcode: '9788467871814', condicion: 'perdido' } }) === cargo;
+    cargo = reducer(cargo, { type: 'DEVOLVER_LIBRO', payload: { alumnoId: leo, barcode: '9788467871814', revision: { condicion: 'deteriorado', notas: 'Tapa rota', fotos: ['data:image/jpeg;base64,AA'] } } });
+    cargo = reducer(cargo, { type: 'DEVOLVER_LIBRO', payload: { alumnoId: leo, barcode: '9788499890944', revision: { condicion: 'perdido' } } });
+    const fisica = ultimoPrestamo(cargo.alumnos[0], '9788467871814');
+    const lengua = ultimoPrestamo(cargo.alumnos[0], '9788499890944');
+    const cargos = cargosAlumno(cargo.alumnos[0], cargo.cursos[0]);
+    const pendienteAntes = totalPendiente(cargos);
+    cargo = reducer(cargo, { type: 'MARCAR_PAGADO', payload: { alumnoId: leo, prestamoId: fisica.id, pagado: true } });
+    const pendienteDespues = totalPendiente(cargosAlumno(cargo.alumnos[0], cargo.cursos[0]));
+    const sinRevision = { ...fisica, revisionEntrega: undefined, revisionDevolucion: undefined, pagadoEn: undefined };
+    const unidos = fusionarPrestamos([sinRevision], [fisica]);
+    const fotoRara = { ...cargo, alumnos: cargo.alumnos.map(a => ({ ...a, prestamos: a.prestamos.map(p => p.id !== fisica.id ? p : { ...p, revisionDevolucion: { ...p.revisionDevolucion, fotos: ['http://x/foto.jpg'] } }) })) };
+    casos.push(assert("Estado de conservación al entregar y devolver, precio de reposición y lo que queda por pagar",
+      cargo.cursos[0].libros[0].precio === 24.9 && precioInvalido && entregaPerdida && Number.isNaN(leerPrecio('doce')) && leerPrecio('') === null
+      && fisica.revisionEntrega.condicion === 'nuevo' && !('notas' in fisica.revisionEntrega)
+      && fisica.estado === 'dañado' && !!fisica.devueltoEn && fisica.revisionDevolucion.notas === 'Tapa rota'
+      && lengua.estado === 'perdido' && lengua.devueltoEn === null
+      && cargos.length === 2 && pendienteAntes === 24.9 && pendienteDespues === 0 && !!ultimoPrestamo(cargo.alumnos[0], '9788467871814').pagadoEn
+      && unidos[0].revisionDevolucion === fisica.revisionDevolucion
+      && validarEstado(cargo).length === 0 && validarEstado(fotoRara).length === 1));
+    const conPrecioLengua = reducer(cargo, { type: 'SET_PRECIO_LIBRO', payload: { cursoId: cursoCargo, isbn: '9788499890944', precio: 10 } });
+    const planCargo = {
+      anioNuevo: siguienteAnioEscolar(cargo.anioEscolar), cursos: { [cursoCargo]: { clonar: true, nombre: 'Reposición' } },
+      destinos: { [cargo.clases[0].id]: cargo.clases[0].id }, excepciones: {},
+    };
+    const cargoArchivado = reducer(conPrecioLengua, { type: 'CAMBIAR_ANIO_ESCOLAR', payload: planCargo });
+    const deudaLeo = deudasArchivadas(cargoArchivado.archivo[0])[leo];
+    casos.push(assert("Las reposiciones sin pagar de un año cerrado constan en el archivo con su importe",
+      resumirCambioAnio(conPrecioLengua, planCargo).sinPagar === 1 && deudaLeo.sinPagar === 1 && deudaLeo.importe === 10
+      && cargosAlumno(cargoArchivado.alumnos[0], cargoArchivado.cursos[0]).length === 0));
+
+    const fotosGuardadas = await guardarFotosIncluidas(almacenMemoria, cargo);
+    const referencias = fotosGuardadas.alumnos[0].prestamos.flatMap(p => [...(p.revisionEntrega?.fotos || []), ...(p.revisionDevolucion?.fotos || [])]);
+    const exportado = await incluirFotos(almacenMemoria, { ...fotosGuardadas, alumnos: fotosGuardadas.alumnos.map(a => ({ ...a, prestamos: [...a.prestamos, { ...a.prestamos[0], id: 'otro', revisionEntrega: { condicion: 'bueno', revisadoEn: a.prestamos[0].entregadoEn, fotos: ['foto:deotro'] } }] })) });
+    casos.push(assert("Las fotos de las revisiones se guardan en el almacén con su clave y se incluyen al exportar",
+      referencias.length === 1 && esReferenciaFoto(referencias[0]) && memoria.get(referencias[0]) === 'data:image/jpeg;base64,AA'
+      && validarEstado(fotosGuardadas).length === 0
+      && exportado.alumnos[0].prestamos.find(p => p.id === fisica.id).revisionDevolucion.fotos[0] === 'data:image/jpeg;base64,AA'
+      && exportado.alumnos[0].prestamos.at(-1).revisionEntrega.fotos[0] === 'foto:deotro'));
+    const firmaGuardada = (await guardarFotosIncluidas(almacenMemoria, firmado)).alumnos.find(a => a.id === alumnaAna.id);
+    const firmaExportada = (await incluirFotos(almacenMemoria, { ...firmado, alumnos: [firmaGuardada] })).alumnos[0].firmas[0];
+    const albaranSinFirma = htmlAlbaran({ ...firmaGuardada, firmas: [{ ...firmaGuardada.firmas[0], imagen: 'foto:deotro' }] }, claseUno, cursoUno, firmado.anioEscolar);
+    casos.push(assert("Las firmas se guardan aparte como las fotos y el albarán omite las que no están en el dispositivo",
+      esReferenciaFoto(firmaGuardada.firmas[0].imagen) && memoria.get(firmaGuardada.firmas[0].imagen) === firmaPng
+      && validarEstado({ ...firmado, alumnos: [firmaGuardada] }).length === 0 && firmaExportada.imagen === firmaPng
+      && !albaranSinFirma.includes('<img') && albaranSinFirma.includes('Marta')));
+    const suelta = await guardarFoto(almacenMemoria, 'data:image/jpeg;base64,AB');
+    await almacenMemoria.set('instantanea:2025-09-10', { fecha: '2025-09-10', ts: '2025-09-10T10:00:00Z', estado: { ...firmado, alumnos: [firmaGuardada] } });
+    const borradas = await borrarFotosSueltas(almacenMemoria, [fotosGuardadas]);
+    casos.push(assert("Se borran las fotos que no nombran ni los datos ni las instantáneas",
+      borradas === 1 && !memoria.has(suelta) && memoria.has(referencias[0]) && memoria.has(firmaGuardada.firmas[0].imagen)
+      && await borrarFotosSueltas(almacenMemoria, [fotosGuardadas]) === 0));
+
+    establecerIdioma(idiomaApp);
     setResultados(casos);
     setRunning(false);
   }
@@ -800,14 +5728,14 @@ function SeccionPruebas() {
   return (
     <div className="p-4 bg-white rounded-xl shadow-sm border border-slate-200">
       <div className="flex items-center justify-between mb-2">
-        <h3 className="font-semibold">Pruebas internas</h3>
+        <h3 className="font-semibold">{t('Pruebas internas')}</h3>
         <button disabled={running} onClick={ejecutarPruebas} className="px-3 py-1.5 rounded-lg text-sm bg-slate-900 text-white disabled:opacity-50">
-          {running ? 'Ejecutando…' : 'Ejecutar pruebas'}
+          {running ? t('Ejecutando…') : t('Ejecutar pruebas')}
         </button>
       </div>
       {resultados.length > 0 && (
         <div className="text-sm">
-          <p className="mb-2">{passed}/{resultados.length} pruebas OK</p>
+          <p className="mb-2">{t('{ok}/{total} pruebas OK', { ok: passed, total: resultados.length })}</p>
           <ul className="space-y-1">
             {resultados.map((r, i) => (
               <li key={i} className={r.pass ? 'text-green-700' : 'text-red-700'}>
@@ -846,8 +5774,27 @@ function ModalConfirm({titulo, mensaje, onConfirm, onCancel}) {
                 <h3 className="text-lg font-bold text-slate-800">{titulo}</h3>
                 <p className="text-sm text-slate-600 mt-2">{mensaje}</p>
                 <div className="flex justify-end gap-2 mt-6">
-                    <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">Cancelar</button>
-                    <button onClick={onConfirm} className="px-4 py-2 rounded-lg text-sm bg-red-600 text-white hover:bg-red-700">Confirmar</button>
+                    <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+                    <button onClick={onConfirm} className="px-4 py-2 rounded-lg text-sm bg-red-600 text-white hover:bg-red-700">{t('Confirmar')}</button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+function ModalErrores({titulo, mensaje, errores, onClose}) {
+    const MAX = 30;
+    return (
+        <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+            <div className="bg-white rounded-xl shadow-2xl max-w-md w-full p-6 max-h-full overflow-y-auto">
+                <h3 className="text-lg font-bold text-red-700 flex items-center gap-2"><AlertTriangle size={20}/> {titulo}</h3>
+                <p className="text-sm text-slate-600 mt-2">{mensaje}</p>
+                <ul className="mt-3 text-sm text-slate-700 list-disc list-inside space-y-1">
+                    {errores.slice(0, MAX).map((e, i) => <li key={i}>{e}</li>)}
+                </ul>
+                {errores.length > MAX && <p className="text-sm text-slate-500 mt-2">{t('… y {n} problemas más.', { n: errores.length - MAX })}</p>}
+                <div className="flex justify-end mt-6">
+                    <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cerrar')}</button>
                 </div>
             </div>
         </div>
@@ -879,56 +5826,225 @@ function ModalInput({titulo, mensaje, valorInicial = "", onConfirm, onCancel}) {
                     className="w-full rounded-lg border border-slate-300 p-3 text-base"
                 />
                 <div className="flex justify-end gap-2 mt-6">
-                    <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">Cancelar</button>
-                    <button onClick={handleConfirm} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700">Aceptar</button>
+                    <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm border border-slate-300 hover:bg-slate-100">{t('Cancelar')}</button>
+                    <button onClick={handleConfirm} className="px-4 py-2 rounded-lg text-sm bg-indigo-600 text-white hover:bg-indigo-700">{t('Aceptar')}</button>
                 </div>
             </div>
         </div>
     )
 }
 
-function Escaner({ setActivo, onDetect, setMsg }) {
+// --- Ajustes de la cámara ---
+// Son del dispositivo (cada tableta tiene sus cámaras), así que van a localStorage y no a los datos.
+const AJUSTES_CAMARA_KEY = "aula_libros_camara";
+const AJUSTES_CAMARA_POR_DEFECTO = { deviceId: null, soloLibros: false, repeticionMs: 2500 };
+const VENTANAS_REPETICION = [1000, 2500, 5000, 10000];
+const INTERVALO_DECODIFICACION_MS = 150;
+
+function leerAjustesCamara() {
+  try {
+    return { ...AJUSTES_CAMARA_POR_DEFECTO, ...JSON.parse(localStorage.getItem(AJUSTES_CAMARA_KEY)) };
+  } catch {
+    return { ...AJUSTES_CAMARA_POR_DEFECTO };
+  }
+}
+
+// EAN-13 para los libros; Code128 para las etiquetas de ejemplar y los carnés que imprime la app.
+function formatosLectura(BarcodeFormat, soloLibros) {
+  return soloLibros ? [BarcodeFormat.EAN_13] : [BarcodeFormat.EAN_13, BarcodeFormat.CODE_128];
+}
+
+/**
+ * Rectángulo (en píxeles del vídeo) que queda bajo el rectángulo guía en pantalla,
+ * teniendo en cuenta el recorte de `object-cover`.
+ */
+function regionGuiaEnVideo(video, guia, anchoVideo, altoVideo) {
+  const escala = Math.max(video.width / anchoVideo, video.height / altoVideo);
+  const x0 = video.left + (video.width - anchoVideo * escala) / 2;
+  const y0 = video.top + (video.height - altoVideo * escala) / 2;
+  const x = Math.max(0, (guia.left - x0) / escala);
+  const y = Math.max(0, (guia.top - y0) / escala);
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    ancho: Math.round(Math.min(anchoVideo - x, guia.width / escala)),
+    alto: Math.round(Math.min(altoVideo - y, guia.height / escala)),
+  };
+}
+
+// --- Lectura desde fotos ---
+// Las fotos de móvil pasan de 4000 px: se reducen antes de buscar códigos para no eternizarse.
+const LADO_MAX_FOTO = 2000;
+// ZXing devuelve un solo código por imagen; para encontrar varios se recorre la foto en
+// rejillas cada vez más finas (1×1, 2×2…), con recortes solapados para no partir ningún código.
+const REJILLAS_FOTO = [1, 2, 3, 4];
+
+/** Recortes de una rejilla n×n solapados a la mitad: (2n - 1)² rectángulos. */
+function mosaicos(ancho, alto, n) {
+  const w = ancho / n, h = alto / n;
+  const recortes = [];
+  for (let fila = 0; fila < 2 * n - 1; fila++) {
+    for (let col = 0; col < 2 * n - 1; col++) {
+      recortes.push({ x: Math.round(col * w / 2), y: Math.round(fila * h / 2), ancho: Math.round(w), alto: Math.round(h) });
+    }
+  }
+  return recortes;
+}
+
+/** Todos los códigos distintos que se encuentran en una imagen (ImageBitmap, <img> o canvas). */
+async function decodificarFoto(reader, imagen) {
+  const escala = Math.min(1, LADO_MAX_FOTO / Math.max(imagen.width, imagen.height));
+  const ancho = Math.round(imagen.width * escala);
+  const alto = Math.round(imagen.height * escala);
+  const recorte = document.createElement('canvas');
+  const ctx = recorte.getContext('2d', { willReadFrequently: true });
+  const codigos = new Set();
+  for (const n of REJILLAS_FOTO) {
+    for (const m of mosaicos(ancho, alto, n)) {
+      recorte.width = m.ancho;
+      recorte.height = m.alto;
+      ctx.drawImage(imagen, m.x / escala, m.y / escala, m.ancho / escala, m.alto / escala, 0, 0, m.ancho, m.alto);
+      try {
+        codigos.add(reader.decodeFromCanvas(recorte).getText());
+      } catch {
+        // Sin código en este recorte.
+      }
+      // Cede el hilo entre recortes para que la barra de progreso se mueva.
+      await new Promise(resolve => setTimeout(resolve));
+    }
+  }
+  return [...codigos];
+}
+
+function Escaner({ setActivo, onDetect, setMsg, titulo }) {
   const videoRef = useRef(null);
+  const guiaRef = useRef(null);
+  const canvasRef = useRef(null);
   const codeReaderRef = useRef(null);
+  const formatosRef = useRef(null);
+  const bucleRef = useRef(null);
+  const pellizcoRef = useRef(null);
   const [flash, setFlash] = useState(false);
+  const [ajustes, setAjustes] = useState(leerAjustesCamara);
+  const [verAjustes, setVerAjustes] = useState(false);
+  const [camaras, setCamaras] = useState([]);
+  const [zoom, setZoom] = useState(null);
+  const [sinCamara, setSinCamara] = useState(false);
+  const [fotos, setFotos] = useState(null);
   const ultimoLeidoRef = useRef({ code: "", ts: 0 });
+  // El lector se inicia una sola vez; las refs permiten que cada lectura use los valores más recientes.
+  const onDetectRef = useRef(onDetect);
+  onDetectRef.current = onDetect;
+  const ajustesRef = useRef(ajustes);
+  ajustesRef.current = ajustes;
+
+  function pista() {
+    return videoRef.current?.srcObject?.getVideoTracks()[0];
+  }
+
+  function detenerCamara() {
+    videoRef.current?.srcObject?.getTracks().forEach(track => track.stop());
+  }
+
+  async function abrirCamara(deviceId) {
+    detenerCamara();
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' } });
+    } catch (e) {
+      // La cámara recordada puede no existir ya (otra tableta, webcam desconectada).
+      if (!deviceId) throw e;
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    }
+    videoRef.current.srcObject = stream;
+    await videoRef.current.play();
+    setFlash(false);
+    const track = stream.getVideoTracks()[0];
+    const rango = track.getCapabilities?.().zoom;
+    setZoom(rango ? { min: rango.min, max: rango.max, step: rango.step || 0.1, valor: track.getSettings().zoom ?? rango.min } : null);
+    // Los nombres de las cámaras solo se conocen una vez concedido el permiso.
+    const dispositivos = await navigator.mediaDevices.enumerateDevices();
+    setCamaras(dispositivos.filter(d => d.kind === 'videoinput'));
+  }
+
+  // Solo se decodifica lo que hay dentro del rectángulo guía: así no se leen otros códigos del libro.
+  function decodificarRegion() {
+    const video = videoRef.current;
+    if (!video?.videoWidth || !guiaRef.current) return;
+    const r = regionGuiaEnVideo(video.getBoundingClientRect(), guiaRef.current.getBoundingClientRect(), video.videoWidth, video.videoHeight);
+    if (r.ancho <= 0 || r.alto <= 0) return;
+    const canvas = canvasRef.current || (canvasRef.current = document.createElement('canvas'));
+    canvas.width = r.ancho;
+    canvas.height = r.alto;
+    canvas.getContext('2d', { willReadFrequently: true }).drawImage(video, r.x, r.y, r.ancho, r.alto, 0, 0, r.ancho, r.alto);
+    let code;
+    try {
+      code = codeReaderRef.current.decodeFromCanvas(canvas).getText();
+    } catch {
+      return; // Ningún código en este fotograma: es lo habitual.
+    }
+    const now = Date.now();
+    if (code && (code !== ultimoLeidoRef.current.code || now - ultimoLeidoRef.current.ts > ajustesRef.current.repeticionMs)) {
+      playBeep();
+      ultimoLeidoRef.current = { code, ts: now };
+      onDetectRef.current(code);
+    }
+  }
 
   async function iniciar() {
     try {
       if (!codeReaderRef.current) {
         // Carga robusta con sanitización y fallbacks
         const mod = await loadZXing();
-        const { BrowserMultiFormatReader } = mod;
+        const { BrowserMultiFormatReader, BarcodeFormat } = mod;
         codeReaderRef.current = new BrowserMultiFormatReader();
+        formatosRef.current = BarcodeFormat;
+        codeReaderRef.current.possibleFormats = formatosLectura(BarcodeFormat, ajustesRef.current.soloLibros);
       }
-      
-      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
-      videoRef.current.srcObject = stream;
-      
-      codeReaderRef.current.decodeFromStream(stream, videoRef.current, (result, err) => {
-        if (result) {
-          const code = result.getText();
-          const now = Date.now();
-          if (code && (code !== ultimoLeidoRef.current.code || now - ultimoLeidoRef.current.ts > 2500)) {
-            playBeep();
-            ultimoLeidoRef.current = { code, ts: now };
-            onDetect(code);
-          }
-        }
-      });
     } catch (e) {
       console.error(e);
-      setMsg({ text: "Error de cámara o de carga de ZXing. Revisa los permisos.", type: 'error' });
+      setMsg({ text: t("No se pudo cargar el lector de códigos."), type: 'error' });
       detener();
+      return;
+    }
+    try {
+      await abrirCamara(ajustesRef.current.deviceId);
+      bucleRef.current = setInterval(decodificarRegion, INTERVALO_DECODIFICACION_MS);
+    } catch (e) {
+      // Sin cámara (o sin permiso) el escáner sigue abierto para leer desde fotos.
+      console.error(e);
+      setSinCamara(true);
+    }
+  }
+
+  async function leerFotos(e) {
+    const ficheros = [...(e.target.files || [])];
+    e.target.value = '';
+    if (!ficheros.length || !codeReaderRef.current) return;
+    const leidos = [];
+    setFotos({ hechas: 0, total: ficheros.length });
+    for (const fichero of ficheros) {
+      try {
+        const imagen = await createImageBitmap(fichero);
+        leidos.push(...(await decodificarFoto(codeReaderRef.current, imagen)).filter(c => !leidos.includes(c)));
+        imagen.close();
+      } catch (err) {
+        console.error(`Error leyendo ${fichero.name}`, err);
+      }
+      setFotos(f => ({ ...f, hechas: f.hechas + 1 }));
+    }
+    // Uno detrás de otro: en Gestión cada código lanza una búsqueda del libro.
+    for (const codigo of leidos) {
+      playBeep();
+      await onDetectRef.current(codigo);
     }
+    setFotos({ hechas: ficheros.length, total: ficheros.length, leidos: leidos.length });
   }
 
   function detener() {
     try {
-      codeReaderRef.current?.reset();
-      if (videoRef.current?.srcObject) {
-        videoRef.current.srcObject.getTracks().forEach(track => track.stop());
-      }
+      clearInterval(bucleRef.current);
+      detenerCamara();
     } catch {}
     setActivo(false);
   }
@@ -938,6 +6054,44 @@ function Escaner({ setActivo, onDetect, setMsg }) {
     return () => detener();
   }, []);
 
+  function cambiarAjustes(cambios) {
+    const nuevos = { ...ajustes, ...cambios };
+    setAjustes(nuevos);
+    localStorage.setItem(AJUSTES_CAMARA_KEY, JSON.stringify(nuevos));
+    if ('soloLibros' in cambios && codeReaderRef.current) {
+      codeReaderRef.current.possibleFormats = formatosLectura(formatosRef.current, nuevos.soloLibros);
+    }
+    if ('deviceId' in cambios) {
+      abrirCamara(nuevos.deviceId).catch((e) => {
+        console.error(e);
+        setMsg({ text: t("No se pudo abrir esa cámara."), type: 'error' });
+      });
+    }
+  }
+
+  async function aplicarZoom(valor) {
+    const limitado = Math.min(zoom.max, Math.max(zoom.min, valor));
+    setZoom(z => ({ ...z, valor: limitado }));
+    try {
+      await pista()?.applyConstraints({ advanced: [{ zoom: limitado }] });
+    } catch (e) {
+      console.error("Error aplicando zoom", e);
+    }
+  }
+
+  function distanciaDedos(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  }
+
+  function alEmpezarToque(e) {
+    if (zoom && e.touches.length === 2) pellizcoRef.current = { distancia: distanciaDedos(e.touches), zoom: zoom.valor };
+  }
+
+  function alMoverToque(e) {
+    if (!pellizcoRef.current || e.touches.length !== 2) return;
+    aplicarZoom(pellizcoRef.current.zoom * distanciaDedos(e.touches) / pellizcoRef.current.distancia);
+  }
+
   async function toggleFlash() {
       if (!videoRef.current?.srcObject) return;
       const stream = videoRef.current.srcObject;
@@ -946,23 +6100,98 @@ function Escaner({ setActivo, onDetect, setMsg }) {
           await track.applyConstraints({ advanced: [{ torch: !flash }] });
           setFlash(f => !f);
       } catch (e) {
-          setMsg({text: "La linterna no está disponible.", type: 'error'});
+          setMsg({text: t("La linterna no está disponible."), type: 'error'});
       }
   }
 
   return (
-    <div className="fixed inset-0 bg-black z-30 flex flex-col">
-        <video ref={videoRef} className="w-full h-full object-cover" playsInline muted />
+    <div
+      className={`fixed inset-0 bg-black z-30 flex flex-col ${zoom ? 'touch-none' : ''}`}
+      onTouchStart={alEmpezarToque}
+      onTouchMove={alMoverToque}
+      onTouchEnd={() => { pellizcoRef.current = null; }}
+    >
+        <video ref={videoRef} className="w-full h-full object-cover" playsInline muted autoPlay />
+        {titulo && (
+          <div className="absolute top-0 left-0 right-0 p-4 bg-black/50 backdrop-blur-sm text-center text-white font-semibold">
+            {titulo}
+          </div>
+        )}
         <div className="absolute inset-0 pointer-events-none flex items-center justify-center">
-          <div className="w-3/4 max-w-sm h-1/4 border-4 border-dashed border-emerald-400/70 rounded-2xl" />
+          {sinCamara ? (
+            <p className="max-w-sm p-6 text-center text-white">
+              {t('No se puede usar la cámara en este dispositivo. Haz fotos de los códigos de barras y elígelas con el botón de fotos.')}
+            </p>
+          ) : (
+            <div ref={guiaRef} className="w-3/4 max-w-sm h-1/4 border-4 border-dashed border-emerald-400/70 rounded-2xl" />
+          )}
         </div>
-        <div className="absolute bottom-0 left-0 right-0 p-4 bg-black/50 backdrop-blur-sm">
+        <div className="absolute bottom-0 left-0 right-0 p-4 bg-black/50 backdrop-blur-sm text-white">
+            {fotos && (
+              <p className="max-w-2xl mx-auto mb-4 text-sm flex items-center gap-2">
+                {fotos.leidos === undefined
+                  ? <><Loader size={16} className="animate-spin"/> {t('Buscando códigos… {hechas}/{n} fotos', { hechas: fotos.hechas, n: fotos.total })}</>
+                  : t('{leidos} códigos leídos en {n} fotos.', { leidos: fotos.leidos, n: fotos.total })}
+              </p>
+            )}
+            {verAjustes && (
+              <div className="max-w-2xl mx-auto grid gap-3 mb-4 text-sm">
+                {camaras.length > 1 && (
+                  <label className="grid gap-1">
+                    {t('Cámara')}
+                    <select
+                      value={ajustes.deviceId || ''}
+                      onChange={e => cambiarAjustes({ deviceId: e.target.value || null })}
+                      className="rounded-lg bg-white/90 text-slate-800 px-2 py-1.5"
+                    >
+                      <option value="">{t('Trasera (automática)')}</option>
+                      {camaras.map((c, i) => <option key={c.deviceId} value={c.deviceId}>{c.label || t('Cámara {n}', { n: i + 1 })}</option>)}
+                    </select>
+                  </label>
+                )}
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={ajustes.soloLibros} onChange={e => cambiarAjustes({ soloLibros: e.target.checked })} />
+                  {t('Solo códigos de libro (EAN-13): ignora etiquetas de ejemplar y carnés')}
+                </label>
+                <label className="flex items-center gap-2">
+                  {t('No repetir el mismo código durante')}
+                  <select
+                    value={ajustes.repeticionMs}
+                    onChange={e => cambiarAjustes({ repeticionMs: Number(e.target.value) })}
+                    className="rounded-lg bg-white/90 text-slate-800 px-2 py-1"
+                  >
+                    {VENTANAS_REPETICION.map(ms => <option key={ms} value={ms}>{(ms / 1000).toLocaleString(localeActual())} s</option>)}
+                  </select>
+                </label>
+              </div>
+            )}
+            {zoom && (
+              <input
+                type="range"
+                min={zoom.min}
+                max={zoom.max}
+                step={zoom.step}
+                value={zoom.valor}
+                onChange={e => aplicarZoom(Number(e.target.value))}
+                aria-label="Zoom"
+                className="block w-full max-w-2xl mx-auto mb-4"
+              />
+            )}
             <div className="max-w-2xl mx-auto flex items-center justify-between gap-4">
-                <button onClick={toggleFlash} className="p-3 rounded-full bg-white/20 text-white">
-                    {flash ? <ZapOff size={24} /> : <Zap size={24} />}
-                </button>
+                <div className="flex gap-2">
+                    <button onClick={toggleFlash} title={t('Linterna')} className="p-3 rounded-full bg-white/20 text-white">
+                        {flash ? <ZapOff size={24} /> : <Zap size={24} />}
+                    </button>
+                    <button onClick={() => setVerAjustes(v => !v)} title={t('Ajustes de la cámara')} className={`p-3 rounded-full text-white ${verAjustes ? 'bg-white/40' : 'bg-white/20'}`}>
+                        <Settings size={24} />
+                    </button>
+                    <label title={t('Leer códigos desde fotos')} className={`p-3 rounded-full text-white cursor-pointer ${sinCamara ? 'bg-indigo-600' : 'bg-white/20'} ${fotos && fotos.leidos === undefined ? 'opacity-50 pointer-events-none' : ''}`}>
+                        <ImagePlus size={24} />
+                        <input type="file" accept="image/*" multiple onChange={leerFotos} className="hidden" />
+                    </label>
+                </div>
                 <button onClick={detener} className="px-6 py-3 rounded-full bg-red-600 text-white font-semibold">
-                    Cerrar
+                    {t('Cerrar')}
                 </button>
             </div>
         </div>
@@ -0,0 +1,102 @@
+// ------------------------------------------------------------
+// Perfiles del personal, roles y PIN de acceso.
+// - Son del dispositivo (cada tableta tiene su personal): se guardan en el almacén, no en los datos,
+//   así que ni se exportan ni se sincronizan.
+// - Del PIN solo se guarda un resumen SHA-256 con sal.
+// - Sin perfiles la app funciona como siempre, sin bloqueo.
+// ------------------------------------------------------------
+
+const CLAVE_ACCESO = "personal";
+export const BLOQUEO_MINUTOS = 5;
+export const MAX_INTENTOS = 5;
+export const ESPERA_TRAS_FALLOS = 60000;
+
+/**
+ * @typedef {'admin' | 'control'} Rol
+ * @typedef {{ id: string, nombre: string, rol: Rol, sal: string, resumen: string }} Perfil
+ * @typedef {{ perfiles: Perfil[], bloqueoMinutos: number }} Acceso
+ */
+
+export const ROLES = {
+  admin: { etiqueta: "Administración", modos: ["control", "alumnos", "gestion"] },
+  control: { etiqueta: "Control", modos: ["control"] },
+};
+
+/** Si un rol puede abrir una pestaña. Sin perfiles configurados (rol null) todo está abierto. */
+export function puedeAbrir(rol, modo) {
+  return !rol || ROLES[rol].modos.includes(modo);
+}
+
+// crypto.subtle solo existe en contextos seguros (https o localhost) y la app también se usa
+// por http en la red del centro: por eso SHA-256 va implementado aquí.
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/** Resumen SHA-256 de un texto (UTF-8), en hexadecimal. */
+export function sha256(texto) {
+  const datos = new TextEncoder().encode(texto);
+  const bloques = Math.ceil((datos.length + 9) / 64);
+  const m = new Uint8Array(bloques * 64);
+  m.set(datos);
+  m[datos.length] = 0x80;
+  new DataView(m.buffer).setUint32(m.length - 4, datos.length * 8);
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rot = (x, n) => (x >>> n) | (x << (32 - n));
+  const vista = new DataView(m.buffer);
+  for (let b = 0; b < bloques; b++) {
+    for (let i = 0; i < 16; i++) w[i] = vista.getUint32(b * 64 + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rot(w[i - 15], 7) ^ rot(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rot(w[i - 2], 17) ^ rot(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, bb, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = hh + (rot(e, 6) ^ rot(e, 11) ^ rot(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+      const t2 = (rot(a, 2) ^ rot(a, 13) ^ rot(a, 22)) + ((a & bb) ^ (a & c) ^ (bb & c));
+      hh = g; g = f; f = e; e = (d + t1) >>> 0; d = c; c = bb; bb = a; a = (t1 + t2) >>> 0;
+    }
+    [a, bb, c, d, e, f, g, hh].forEach((v, i) => { h[i] = h[i] + v; });
+  }
+  return [...h].map((v) => v.toString(16).padStart(8, "0")).join("");
+}
+
+function nuevaSal() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** PIN de 4 a 8 cifras. */
+export function esPinValido(pin) {
+  return /^\d{4,8}$/.test(pin);
+}
+
+/** @returns {Perfil} */
+export function crearPerfil({ id, nombre, rol, pin }) {
+  const sal = nuevaSal();
+  return { id, nombre: nombre.trim(), rol, sal, resumen: sha256(sal + pin) };
+}
+
+export function comprobarPin(perfil, pin) {
+  return !!perfil && sha256(perfil.sal + pin) === perfil.resumen;
+}
+
+/** @returns {Promise<Acceso>} */
+export async function leerAcceso(almacen) {
+  const acceso = await almacen.get(CLAVE_ACCESO);
+  return { perfiles: acceso?.perfiles || [], bloqueoMinutos: acceso?.bloqueoMinutos || BLOQUEO_MINUTOS };
+}
+
+export function guardarAcceso(almacen, acceso) {
+  return almacen.set(CLAVE_ACCESO, acceso);
+}
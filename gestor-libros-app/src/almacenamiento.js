@@ -0,0 +1,230 @@
+// ------------------------------------------------------------
+// Capa de persistencia de la app de aula.
+// - IndexedDB cuando está disponible; localStorage como alternativa.
+// - Migra las claves que antes vivían en localStorage la primera vez que se abre IndexedDB.
+// - Los errores de escritura se propagan (con `cuota: true` si falta espacio) para poder avisar.
+// - Instantáneas diarias rotativas del estado completo.
+// - Fotos con clave propia: los datos solo guardan su referencia.
+// ------------------------------------------------------------
+
+const NOMBRE_BD = "gestor-libros";
+const ALMACEN = "datos";
+const PREFIJO_INSTANTANEA = "instantanea:";
+const PREFIJO_FOTO = "foto:";
+// localStorage ronda los 5 MB por origen: allí se guardan menos copias.
+const MAX_INSTANTANEAS = { indexeddb: 14, localstorage: 3 };
+
+/**
+ * @typedef {{
+ *   tipo: 'indexeddb' | 'localstorage',
+ *   get(clave: string): Promise<any>,
+ *   set(clave: string, valor: any): Promise<void>,
+ *   remove(clave: string): Promise<void>,
+ *   keys(): Promise<string[]>
+ * }} Almacen
+ */
+
+/** @typedef {{ fecha: string, ts: string, estado: object }} Instantanea */
+
+function esErrorDeCuota(e) {
+  return e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+}
+
+function errorDeGuardado(e) {
+  const error = new Error(esErrorDeCuota(e) ? "No queda espacio de almacenamiento." : `No se pudo guardar: ${e?.message || e}`);
+  error.cuota = esErrorDeCuota(e);
+  error.cause = e;
+  return error;
+}
+
+// --- IndexedDB ---
+function abrirIndexedDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(NOMBRE_BD, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(ALMACEN);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("La base de datos está bloqueada por otra pestaña."));
+  });
+}
+
+/** @returns {Almacen} */
+function almacenIndexedDB(db) {
+  function transaccion(modo, operacion) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ALMACEN, modo);
+      const req = operacion(tx.objectStore(ALMACEN));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  return {
+    tipo: "indexeddb",
+    get: (clave) => transaccion("readonly", (s) => s.get(clave)),
+    set: async (clave, valor) => { await transaccion("readwrite", (s) => s.put(valor, clave)); },
+    remove: async (clave) => { await transaccion("readwrite", (s) => s.delete(clave)); },
+    keys: () => transaccion("readonly", (s) => s.getAllKeys()),
+  };
+}
+
+// --- localStorage ---
+/** @type {Almacen} */
+const almacenLocal = {
+  tipo: "localstorage",
+  async get(clave) {
+    const raw = localStorage.getItem(clave);
+    return raw == null ? undefined : JSON.parse(raw);
+  },
+  async set(clave, valor) {
+    localStorage.setItem(clave, JSON.stringify(valor));
+  },
+  async remove(clave) {
+    localStorage.removeItem(clave);
+  },
+  async keys() {
+    return Object.keys(localStorage);
+  },
+};
+
+function conErroresDeGuardado(almacen) {
+  return {
+    ...almacen,
+    async set(clave, valor) {
+      try {
+        await almacen.set(clave, valor);
+      } catch (e) {
+        throw errorDeGuardado(e);
+      }
+    },
+  };
+}
+
+async function migrarDesdeLocalStorage(almacen, claves) {
+  for (const clave of claves) {
+    const raw = localStorage.getItem(clave);
+    if (raw == null || (await almacen.get(clave)) !== undefined) continue;
+    await almacen.set(clave, JSON.parse(raw));
+    localStorage.removeItem(clave);
+  }
+}
+
+let abierto = null;
+
+/**
+ * Abre (una sola vez) el almacén disponible.
+ * @param {string[]} clavesHeredadas claves de localStorage que deben pasar a IndexedDB.
+ * @returns {Promise<Almacen>}
+ */
+export function abrirAlmacen(clavesHeredadas = []) {
+  abierto ||= (async () => {
+    let almacen = almacenLocal;
+    if (typeof indexedDB !== "undefined") {
+      try {
+        almacen = almacenIndexedDB(await abrirIndexedDB());
+        await migrarDesdeLocalStorage(almacen, clavesHeredadas);
+      } catch (e) {
+        console.error("IndexedDB no disponible, se usa localStorage", e);
+        almacen = almacenLocal;
+      }
+    }
+    // Pide al navegador que no borre los datos ante falta de espacio en el dispositivo.
+    navigator.storage?.persist?.().catch(() => {});
+    return conErroresDeGuardado(almacen);
+  })();
+  return abierto;
+}
+
+/** Uso y cuota aproximados del origen, en bytes, o null si el navegador no lo informa. */
+export async function estimarEspacio() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usado: usage, total: quota };
+  } catch {
+    return null;
+  }
+}
+
+// --- Instantáneas diarias ---
+async function clavesInstantaneas(almacen) {
+  return (await almacen.keys()).filter((k) => String(k).startsWith(PREFIJO_INSTANTANEA)).sort();
+}
+
+// Se llama en cada guardado: el día de la última copia se recuerda para no consultar el almacén cada vez.
+const diaUltimaInstantanea = new WeakMap();
+
+/**
+ * Guarda una copia del estado si todavía no hay ninguna del día y poda las más antiguas.
+ * @returns {Promise<boolean>} true si se ha creado una instantánea nueva.
+ */
+export async function guardarInstantaneaDiaria(almacen, estado, ahora = new Date()) {
+  const fecha = ahora.toISOString().slice(0, 10);
+  if (diaUltimaInstantanea.get(almacen) === fecha) return false;
+  const clave = PREFIJO_INSTANTANEA + fecha;
+  // Solo las claves: leer la copia entera para saber si existe costaría tanto como escribirla.
+  if ((await almacen.keys()).includes(clave)) {
+    diaUltimaInstantanea.set(almacen, fecha);
+    return false;
+  }
+  await almacen.set(clave, { fecha, ts: ahora.toISOString(), estado });
+  diaUltimaInstantanea.set(almacen, fecha);
+  const sobrantes = (await clavesInstantaneas(almacen)).slice(0, -MAX_INSTANTANEAS[almacen.tipo]);
+  await Promise.all(sobrantes.map((k) => almacen.remove(k)));
+  return true;
+}
+
+/** Instantáneas disponibles, de la más reciente a la más antigua. */
+export async function listarInstantaneas(almacen) {
+  const claves = (await clavesInstantaneas(almacen)).reverse();
+  const instantaneas = await Promise.all(claves.map((k) => almacen.get(k)));
+  return instantaneas.filter(Boolean).map(({ fecha, ts, estado }) => ({
+    fecha,
+    ts,
+    alumnos: estado?.alumnos?.length ?? 0,
+    cursos: estado?.cursos?.length ?? 0,
+  }));
+}
+
+/** @returns {Promise<object | undefined>} el estado guardado en la instantánea de esa fecha. */
+export async function leerInstantanea(almacen, fecha) {
+  return (await almacen.get(PREFIJO_INSTANTANEA + fecha))?.estado;
+}
+
+// --- Fotos ---
+// Cada foto se guarda aparte y los datos llevan solo "foto:<id>": así no se copian en cada
+// guardado, instantánea ni sincronización. Las antiguas, como data URL, se siguen aceptando.
+
+/** @returns {boolean} si el valor es una referencia a una foto guardada en el almacén. */
+export function esReferenciaFoto(valor) {
+  return typeof valor === "string" && /^foto:[\w.-]+$/.test(valor);
+}
+
+/**
+ * Guarda una imagen (data URL) con clave propia.
+ * @returns {Promise<string>} la referencia que se anota en los datos.
+ */
+export async function guardarFoto(almacen, imagen) {
+  const referencia = PREFIJO_FOTO + Math.random().toString(36).slice(2) + Date.now().toString(36);
+  await almacen.set(referencia, imagen);
+  return referencia;
+}
+
+/** @returns {Promise<string | undefined>} la imagen (o la data URL antigua tal cual); undefined si no está en este dispositivo. */
+export async function leerFoto(almacen, foto) {
+  return esReferenciaFoto(foto) ? almacen.get(foto) : foto;
+}
+
+/**
+ * Borra las fotos que no nombra ningún dato: ni los estados que se pasan (el actual, el historial,
+ * la réplica…) ni las instantáneas guardadas. Quedan sueltas, p. ej., si una importación falla a medias.
+ * @returns {Promise<number>} cuántas se han borrado.
+ */
+export async function borrarFotosSueltas(almacen, estados) {
+  const fotos = (await almacen.keys()).filter((k) => String(k).startsWith(PREFIJO_FOTO));
+  if (!fotos.length) return 0;
+  const instantaneas = await Promise.all((await clavesInstantaneas(almacen)).map((k) => almacen.get(k)));
+  const enUso = new Set(JSON.stringify([estados, instantaneas]).match(/foto:[\w.-]+/g));
+  const sueltas = fotos.filter((k) => !enUso.has(k));
+  await Promise.all(sueltas.map((k) => almacen.remove(k)));
+  return sueltas.length;
+}
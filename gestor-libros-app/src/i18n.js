@@ -0,0 +1,58 @@
+// ------------------------------------------------------------
+// Idiomas de la interfaz.
+// - Los textos se escriben en castellano en el código y ese mismo texto es la clave de los
+//   catálogos (src/idiomas): lo que aún no esté traducido se ve en castellano.
+// - "{nombre}" se sustituye por el valor del mismo nombre.
+// - Un texto con cantidad puede tener formas de plural ({ one, other, ... }): se elige la que
+//   corresponde a `n` con Intl.PluralRules.
+// ------------------------------------------------------------
+
+import es from "./idiomas/es.js";
+import ca from "./idiomas/ca.js";
+import gl from "./idiomas/gl.js";
+import eu from "./idiomas/eu.js";
+import en from "./idiomas/en.js";
+
+export const IDIOMA_POR_DEFECTO = "es";
+
+export const IDIOMAS = {
+  es: { nombre: "Castellano", locale: "es-ES", textos: es },
+  ca: { nombre: "Català", locale: "ca-ES", textos: ca },
+  gl: { nombre: "Galego", locale: "gl-ES", textos: gl },
+  eu: { nombre: "Euskara", locale: "eu-ES", textos: eu },
+  en: { nombre: "English", locale: "en-GB", textos: en },
+};
+
+// El idioma se guarda con los datos de cada dispositivo y la app lo fija cuando cambia: así las funciones
+// que generan textos fuera de los componentes (informes, CSV, avisos) no necesitan recibirlo.
+let actual = IDIOMA_POR_DEFECTO;
+let plurales = new Intl.PluralRules(IDIOMAS[actual].locale);
+
+/** Cambia el idioma de los textos. Uno desconocido (p. ej. de una versión más nueva) deja el castellano. */
+export function establecerIdioma(idioma) {
+  const siguiente = IDIOMAS[idioma] ? idioma : IDIOMA_POR_DEFECTO;
+  if (siguiente === actual) return;
+  actual = siguiente;
+  plurales = new Intl.PluralRules(IDIOMAS[actual].locale);
+}
+
+export function idiomaActual() {
+  return actual;
+}
+
+/** Locale para fechas y números (toLocaleDateString, síntesis de voz...). */
+export function localeActual() {
+  return IDIOMAS[actual].locale;
+}
+
+/**
+ * Texto traducido al idioma actual.
+ * @param {string} texto Texto en castellano, con "{nombre}" donde van los valores.
+ * @param {Record<string, string | number>} [valores] Con `n`, además, elige la forma de plural.
+ */
+export function t(texto, valores) {
+  let traduccion = IDIOMAS[actual].textos[texto] ?? es[texto] ?? texto;
+  if (typeof traduccion === "object") traduccion = traduccion[plurales.select(valores?.n ?? 0)] ?? traduccion.other;
+  if (!valores) return traduccion;
+  return traduccion.replace(/\{(\w+)\}/g, (marca, clave) => (clave in valores ? String(valores[clave]) : marca));
+}
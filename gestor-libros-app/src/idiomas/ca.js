@@ -0,0 +1,537 @@
+// Catalán. Las claves son los textos en castellano de la app (ver src/i18n.js).
+
+export default {
+  "Sin nombre": "Sense nom",
+  "Ya existe en la clase": "Ja existeix a la classe",
+  "No empieza por un ISBN.": "No comença amb un ISBN.",
+  "Ya está en el curso": "Ja és al curs",
+  "Repetido en la lista": "Repetit a la llista",
+  "Versión de datos {version} no compatible con esta aplicación (v{esquema}).": "Versió de dades {version} no compatible amb aquesta aplicació (v{esquema}).",
+  "No hay migración desde la versión {version}.": "No hi ha migració des de la versió {version}.",
+  "Curso": "Curs",
+  "Clase": "Classe",
+  "Alumno": "Alumne",
+  "Curso \"{nombre}\"": "Curs \"{nombre}\"",
+  "Alumno \"{nombre}\"": "Alumne \"{nombre}\"",
+  "El fichero no contiene un objeto de datos.": "El fitxer no conté un objecte de dades.",
+  "Falta la lista \"{lista}\".": "Falta la llista \"{lista}\".",
+  "Etiquetas {curso}": "Etiquetes {curso}",
+  "Carnés {clase}": "Carnets {clase}",
+  "Centro": "Centre",
+  "Alumno/a": "Alumne/a",
+  "Familia o tutor legal": "Família o tutor legal",
+  "Albarán de entrega de libros": "Albarà de lliurament de llibres",
+  "Curso {anio}": "Curs {anio}",
+  "Libro": "Llibre",
+  "Ejemplar": "Exemplar",
+  "Entregado": "Lliurat",
+  "No tiene libros entregados.": "No té llibres lliurats.",
+  "El alumno o alumna recibe los libros anteriores en préstamo y se compromete a cuidarlos y devolverlos al final del curso.": "L'alumne o alumna rep en préstec els llibres anteriors i es compromet a tenir-ne cura i a tornar-los al final del curs.",
+  "Firma": "Signatura",
+  "Albarán {alumno}": "Albarà {alumno}",
+  "Albaranes {clase}": "Albarans {clase}",
+  "Libros pendientes": "Llibres pendents",
+  "{con} de {n} alumnos con libros pendientes": { one: "{con} de {n} alumne amb llibres pendents", other: "{con} de {n} alumnes amb llibres pendents" },
+  "{n} libros en total": { one: "{n} llibre en total", other: "{n} llibres en total" },
+  "Nº": "Núm.",
+  "Total": "Total",
+  "Todos los alumnos tienen sus libros.": "Tots els alumnes tenen els seus llibres.",
+  "Pendientes {clase}": "Pendents {clase}",
+  "{libres} de {total}": "{libres} de {total}",
+  "Por entregar": "Per lliurar",
+  "Ejemplares libres": "Exemplars lliures",
+  "Resumen de entregas": "Resum de lliuraments",
+  "{n} clases": { one: "{n} classe", other: "{n} classes" },
+  "{n} alumnos": { one: "{n} alumne", other: "{n} alumnes" },
+  "El curso no tiene libros.": "El curs no té llibres.",
+  "Resumen {curso}": "Resum {curso}",
+  "Curso creado: {curso}": "Curs creat: {curso}",
+  "Curso eliminado: {curso}": "Curs eliminat: {curso}",
+  "Libro añadido a {curso}: {libro}": "Llibre afegit a {curso}: {libro}",
+  "{n} libros añadidos a {curso}": { one: "{n} llibre afegit a {curso}", other: "{n} llibres afegits a {curso}" },
+  "Libro quitado de {curso}: {libro}": "Llibre tret de {curso}: {libro}",
+  "Datos actualizados de {libro}": "Dades actualitzades de {libro}",
+  "Orden de libros cambiado en {curso}": "Ordre de llibres canviat a {curso}",
+  "{n} ejemplares registrados de {libro}": { one: "{n} exemplar registrat de {libro}", other: "{n} exemplars registrats de {libro}" },
+  "{n} etiquetas impresas": { one: "{n} etiqueta impresa", other: "{n} etiquetes impreses" },
+  "Prefijo de etiquetas: {prefijo}": "Prefix d'etiquetes: {prefijo}",
+  "Clase creada: {clase} ({curso})": "Classe creada: {clase} ({curso})",
+  "Clase eliminada: {clase}": "Classe eliminada: {clase}",
+  "Alumno añadido a {clase}: {alumno}": "Alumne afegit a {clase}: {alumno}",
+  "{n} alumnos importados a {clase}": { one: "{n} alumne importat a {clase}", other: "{n} alumnes importats a {clase}" },
+  "Alumno eliminado: {alumno}": "Alumne eliminat: {alumno}",
+  "Curso {curso} renombrado a {nombre}": "Curs {curso} reanomenat a {nombre}",
+  "Clase {clase} renombrada a {nombre}": "Classe {clase} reanomenada a {nombre}",
+  "Título de {libro} cambiado a «{titulo}»": "Títol de {libro} canviat a «{titulo}»",
+  "{alumno} editado y movido a {clase}": "{alumno} editat i traslladat a {clase}",
+  "Ficha de {alumno} editada": "Fitxa de {alumno} editada",
+  "{n} alumnos movidos a {clase}": { one: "{n} alumne traslladat a {clase}", other: "{n} alumnes traslladats a {clase}" },
+  "Entregado {libro} ({ejemplar}) a {alumno}": "Lliurat {libro} ({ejemplar}) a {alumno}",
+  "Entregado {libro} a {alumno}": "Lliurat {libro} a {alumno}",
+  "Entrega a {alumno} firmada por {nombre} ({relacion})": "Lliurament a {alumno} signat per {nombre} ({relacion})",
+  "Entrega anulada: {libro} de {alumno}": "Lliurament anul·lat: {libro} de {alumno}",
+  "Devuelto {libro} por {alumno}": "Tornat {libro} per {alumno}",
+  "{libro} de {alumno} marcado como {estado}": "{libro} de {alumno} marcat com a {estado}",
+  "Datos importados desde fichero": "Dades importades des de fitxer",
+  "Datos combinados desde fichero": "Dades combinades des de fitxer",
+  "Copia automática del {fecha} restaurada": "Còpia automàtica del {fecha} restaurada",
+  "Año {anio} archivado; empieza el {nuevo}": "Curs {anio} arxivat; comença el {nuevo}",
+  "Todos los datos borrados": "Totes les dades esborrades",
+  "Deshecho: {accion}": "Desfet: {accion}",
+  "Rehecho: {accion}": "Refet: {accion}",
+  "Datos iniciales de {dispositivo}": "Dades inicials de {dispositivo}",
+  "Otro dispositivo: {accion}": "Un altre dispositiu: {accion}",
+  "No se pudo cargar @zxing/browser desde CDN.": "No s'ha pogut carregar @zxing/browser des del CDN.",
+  "Aceptar": "D'acord",
+  "Lectores USB o Bluetooth que escriben el código como un teclado": "Lectors USB o Bluetooth que escriuen el codi com un teclat",
+  "Lector externo: activo": "Lector extern: actiu",
+  "Lector externo": "Lector extern",
+  "Sin espacio de almacenamiento: los últimos cambios no se han guardado. Exporta una copia y libera espacio.": "Sense espai d'emmagatzematge: els darrers canvis no s'han desat. Exporta'n una còpia i allibera espai.",
+  "No se pudieron guardar los cambios.": "No s'han pogut desar els canvis.",
+  "No se pudieron cargar los datos guardados: {error}": "No s'han pogut carregar les dades desades: {error}",
+  "Cargando datos…": "Carregant dades…",
+  "Gestor de Libros": "Gestor de Llibres",
+  "Bloquear ({nombre})": "Bloquejar ({nombre})",
+  "Deshacer: {accion}": "Desfer: {accion}",
+  "Nada que deshacer": "Res per desfer",
+  "Rehacer: {accion}": "Refer: {accion}",
+  "Nada que rehacer": "Res per refer",
+  "Control": "Control",
+  "Alumnos": "Alumnes",
+  "Gestión": "Gestió",
+  "Deshacer": "Desfer",
+  "Buscar alumno, clase, libro o ISBN": "Cerca alumne, classe, llibre o ISBN",
+  "Sin resultados.": "Sense resultats.",
+  "Lo tienen ({n})": "El tenen ({n})",
+  "Pendiente de entregar ({n})": "Pendent de lliurar ({n})",
+  "Clases": "Classes",
+  "Cursos": "Cursos",
+  "Libros": "Llibres",
+  "Escanea primero el carné de un alumno.": "Escaneja primer el carnet d'un alumne.",
+  "\"{libro}\" marcado.": "\"{libro}\" marcat.",
+  "Libro no encontrado en la lista del curso.": "Llibre no trobat a la llista del curs.",
+  "Permite las ventanas emergentes para imprimir.": "Permet les finestres emergents per imprimir.",
+  "Ningún alumno de la clase tiene libros entregados.": "Cap alumne de la classe no té llibres lliurats.",
+  "Carné no reconocido.": "Carnet no reconegut.",
+  "Alumno activo: {alumno}": "Alumne actiu: {alumno}",
+  "El ejemplar {ejemplar} es del curso \"{curso}\".": "L'exemplar {ejemplar} és del curs \"{curso}\".",
+  "El ejemplar {ejemplar} ya está asignado a {alumno}.": "L'exemplar {ejemplar} ja està assignat a {alumno}.",
+  "{alumno} ya tiene el ejemplar {ejemplar}.": "{alumno} ja té l'exemplar {ejemplar}.",
+  "\"{libro}\" ({ejemplar}) asignado.": "\"{libro}\" ({ejemplar}) assignat.",
+  "1. Selecciona una clase": "1. Selecciona una classe",
+  "— Elige una clase —": "— Tria una classe —",
+  "2. Selecciona un alumno": "2. Selecciona un alumne",
+  "— Elige un alumno —": "— Tria un alumne —",
+  "Por alumno": "Per alumne",
+  "Toda la clase": "Tota la classe",
+  "Albaranes de la clase": "Albarans de la classe",
+  "Informe de pendientes": "Informe de pendents",
+  "ISBN, ejemplar o carné": "ISBN, exemplar o carnet",
+  "Escanear libros de {alumno}": "Escanejar llibres de {alumno}",
+  "Lista de libros ({curso})": "Llista de llibres ({curso})",
+  "Firmar la recogida de los libros": "Signar la recollida dels llibres",
+  "Firmar ({n})": "Signar ({n})",
+  "Imprimir albarán de entrega": "Imprimir albarà de lliurament",
+  "Albarán": "Albarà",
+  "Selecciona un alumno para ver su progreso.": "Selecciona un alumne per veure'n el progrés.",
+  "Selecciona una clase para empezar.": "Selecciona una classe per començar.",
+  "Escanear carné de alumno": "Escanejar carnet d'alumne",
+  "Alumno: {alumno}": "Alumne: {alumno}",
+  "Escanea un carné de alumno": "Escaneja un carnet d'alumne",
+  "entregado {fecha}": "lliurat {fecha}",
+  "devuelto {fecha}": "tornat {fecha}",
+  "ejemplar": "exemplar",
+  "Firmado por {nombre} ({relacion}) el {fecha}": "Signat per {nombre} ({relacion}) el {fecha}",
+  "Registrar devolución": "Registrar devolució",
+  "Marcar como dañado": "Marcar com a malmès",
+  "Marcar como perdido": "Marcar com a perdut",
+  "Anular entrega": "Anul·lar lliurament",
+  "Entrega firmada por {nombre}.": "Lliurament signat per {nombre}.",
+  "Recogida de libros de {alumno}": "Recollida de llibres de {alumno}",
+  "Nombre de quien firma": "Nom de qui signa",
+  "Relación": "Relació",
+  "Elige…": "Tria…",
+  "Borrar": "Esborrar",
+  "Firmar más tarde": "Signar més tard",
+  "Guardar firma": "Desar signatura",
+  "Esta clase no tiene alumnos.": "Aquesta classe no té alumnes.",
+  "El curso \"{curso}\" no tiene libros.": "El curs \"{curso}\" no té llibres.",
+  "Entregas de la clase": "Lliuraments de la classe",
+  "Orden de lista": "Ordre de llista",
+  "Más pendientes primero": "Més pendents primer",
+  "Selecciona una clase": "Selecciona una classe",
+  "Añadir alumno a {clase}": "Afegir alumne a {clase}",
+  "Nombre del alumno": "Nom de l'alumne",
+  "Importar lista de alumnos": "Importar llista d'alumnes",
+  "Imprimir carnés de la clase": "Imprimir carnets de la classe",
+  "Mover alumnos a otra clase": "Traslladar alumnes a una altra classe",
+  "Editar ficha": "Editar fitxa",
+  "Eliminar alumno": "Eliminar alumne",
+  "Ficha de {alumno}": "Fitxa de {alumno}",
+  "Nombre": "Nom",
+  "Apellidos": "Cognoms",
+  "Nº de lista": "Núm. de llista",
+  "Tutor legal": "Tutor legal",
+  "Teléfono o correo": "Telèfon o correu",
+  "Notas": "Notes",
+  "Cancelar": "Cancel·lar",
+  "Guardar": "Desar",
+  "{n} alumnos movidos a {clase}.": { one: "{n} alumne traslladat a {clase}.", other: "{n} alumnes traslladats a {clase}." },
+  "Mover alumnos": "Traslladar alumnes",
+  "Mover": "Traslladar",
+  "Columna {n}": "Columna {n}",
+  "{n} alumnos añadidos a {clase}.": { one: "{n} alumne afegit a {clase}.", other: "{n} alumnes afegits a {clase}." },
+  "Importar alumnos a {clase}": "Importar alumnes a {clase}",
+  "{n} alumnos añadidos.": { one: "{n} alumne afegit.", other: "{n} alumnes afegits." },
+  "{n} filas omitidas:": { one: "{n} fila omesa:", other: "{n} files omeses:" },
+  "Fila {n}": "Fila {n}",
+  "(vacía)": "(buida)",
+  "Pega las filas de una hoja de cálculo o elige un fichero CSV.": "Enganxa les files d'un full de càlcul o tria un fitxer CSV.",
+  "Nombre\tApellidos\tNº\nAna\tGarcía López\t1": "Nom\tCognoms\tNúm.\nAnna\tGarcia López\t1",
+  "La primera fila es la cabecera": "La primera fila és la capçalera",
+  "Elegir fichero": "Triar fitxer",
+  "— Ninguna —": "— Cap —",
+  "{n} nuevos": { one: "{n} nou", other: "{n} nous" },
+  "{n} se omitirán": { one: "{n} s'ometrà", other: "{n} s'ometran" },
+  "Cerrar": "Tancar",
+  "Importar": "Importar",
+  "Año escolar {anio}": "Curs escolar {anio}",
+  "Cerrar el año": "Tancar el curs",
+  "Archivo {anio}": "Arxiu {anio}",
+  "Todavía no hay años archivados.": "Encara no hi ha cursos arxivats.",
+  "Cerrar el año {anio}": "Tancar el curs {anio}",
+  "Los cursos, clases, alumnos y préstamos de este año se guardarán en el archivo, donde se podrán consultar pero no modificar.": "Els cursos, classes, alumnes i préstecs d'aquest curs es desaran a l'arxiu, on es podran consultar però no modificar.",
+  "Nuevo año escolar": "Nou curs escolar",
+  "Cursos del año nuevo (con la misma lista de libros)": "Cursos del nou curs escolar (amb la mateixa llista de llibres)",
+  "¿A qué clase pasan los alumnos?": "A quina classe passen els alumnes?",
+  "Salen del centro": "Surten del centre",
+  "repetidores y bajas": "repetidors i baixes",
+  "Como su clase": "Com la seva classe",
+  "Repite": "Repeteix",
+  "Baja": "Baixa",
+  "{pasan} alumnos pasan de clase, {repiten} repiten y {salen} salen.": "{pasan} alumnes passen de classe, {repiten} repeteixen i {salen} surten.",
+  "{n} libros siguen sin devolver: solo constarán en el archivo.": { one: "{n} llibre continua sense tornar: només constarà a l'arxiu.", other: "{n} llibres continuen sense tornar: només constaran a l'arxiu." },
+  "Cerrar año": "Tancar curs",
+  "Entrar": "Entrar",
+  "Demasiados intentos. Espera {n} s.": "Massa intents. Espera {n} s.",
+  "Demasiados intentos. Espera un minuto.": "Massa intents. Espera un minut.",
+  "PIN incorrecto. Quedan {n} intentos.": { one: "PIN incorrecte. Queda {n} intent.", other: "PIN incorrecte. Queden {n} intents." },
+  "PIN de {nombre}": "PIN de {nombre}",
+  "Otro perfil": "Un altre perfil",
+  "¿Quién eres?": "Qui ets?",
+  "Confirma con tu PIN": "Confirma amb el teu PIN",
+  "Confirmar": "Confirmar",
+  "Perfil creado: desde ahora la app pide PIN.": "Perfil creat: a partir d'ara l'aplicació demana PIN.",
+  "Perfil de {nombre} creado.": "Perfil de {nombre} creat.",
+  "Tiene que quedar al menos un perfil de administración.": "Hi ha de quedar com a mínim un perfil d'administració.",
+  "Borrar el perfil de {nombre}": "Esborrar el perfil de {nombre}",
+  "Personal y acceso": "Personal i accés",
+  "Sin perfiles, cualquiera que tenga el dispositivo puede entrar en Gestión. Crea un perfil de administración para proteger la app con PIN.": "Sense perfils, qualsevol que tingui el dispositiu pot entrar a Gestió. Crea un perfil d'administració per protegir l'aplicació amb PIN.",
+  "Control solo puede escanear y marcar entregas; Administración tiene acceso a todo. Las acciones destructivas piden el PIN otra vez.": "Control només pot escanejar i marcar lliuraments; Administració té accés a tot. Les accions destructives tornen a demanar el PIN.",
+  "tú": "tu",
+  "Borrar perfil": "Esborrar perfil",
+  "Bloquear tras": "Bloquejar després de",
+  "{n} min sin actividad": "{n} min sense activitat",
+  "PIN (4 a 8 cifras)": "PIN (4 a 8 xifres)",
+  "Repite el PIN": "Repeteix el PIN",
+  "Añadir perfil": "Afegir perfil",
+  "Sincronizado": "Sincronitzat",
+  "Sincronizando…": "Sincronitzant…",
+  "{n} cambios no aplicados": { one: "{n} canvi no aplicat", other: "{n} canvis no aplicats" },
+  "Sin conexión con el servidor": "Sense connexió amb el servidor",
+  "{n} cambios por enviar": { one: "{n} canvi per enviar", other: "{n} canvis per enviar" },
+  "No se pudo emparejar: {error}": "No s'ha pogut vincular: {error}",
+  "Emparejado: los datos de este dispositivo se envían al servidor.": "Vinculat: les dades d'aquest dispositiu s'envien al servidor.",
+  "Emparejado: recibiendo los datos del centro.": "Vinculat: rebent les dades del centre.",
+  "Sincronización": "Sincronització",
+  "El centro ya tiene datos en el servidor: los de este dispositivo se sustituirán por ellos. Si aquí hay algo que no está en el servidor, exporta una copia antes y combínala después.": "El centre ja té dades al servidor: les d'aquest dispositiu se substituiran per aquestes. Si aquí hi ha alguna cosa que no és al servidor, exporta'n una còpia abans i combina-la després.",
+  "Sustituir y emparejar": "Substituir i vincular",
+  "Opcional: comparte los datos entre los dispositivos del centro a través de su propio servidor ({comando}).": "Opcional: comparteix les dades entre els dispositius del centre a través del seu propi servidor ({comando}).",
+  "Servidor, p. ej. 192.168.1.20:8787": "Servidor, p. ex. 192.168.1.20:8787",
+  "Código de centro": "Codi de centre",
+  "Nombre de este dispositivo": "Nom d'aquest dispositiu",
+  "Emparejar": "Vincular",
+  "Sin conexión: los cambios se guardan y se enviarán al volver la conexión.": "Sense connexió: els canvis es desen i s'enviaran quan torni la connexió.",
+  "Conectado.": "Connectat.",
+  "Conectando…": "Connectant…",
+  "Última sincronización: {hora}.": "Darrera sincronització: {hora}.",
+  "Cambios de este dispositivo que no se han aplicado": "Canvis d'aquest dispositiu que no s'han aplicat",
+  "Entendido": "Entesos",
+  "Desemparejar": "Desvincular",
+  "Sincronizar ahora": "Sincronitzar ara",
+  "No se pudo cargar el catálogo: {error}": "No s'ha pogut carregar el catàleg: {error}",
+  "Catálogo local": "Catàleg local",
+  "JSON con los libros del centro (isbn, title, autores, editorial, anio, portada). Se consulta antes que Internet al buscar un ISBN.": "JSON amb els llibres del centre (isbn, title, autores, editorial, anio, portada). Es consulta abans que Internet en cercar un ISBN.",
+  "{n} libros": { one: "{n} llibre", other: "{n} llibres" },
+  "Sin catálogo": "Sense catàleg",
+  "Quitar": "Treure",
+  "Cargar JSON": "Carregar JSON",
+  "Idioma": "Idioma",
+  "Se aplica solo a este dispositivo, a los CSV exportados y a los documentos impresos desde él.": "S'aplica només a aquest dispositiu, als CSV exportats i als documents impresos des d'aquest.",
+  "Libro \"{libro}\" añadido.": "Llibre \"{libro}\" afegit.",
+  "No se encontraron datos para {isbn}.": "No s'han trobat dades per a {isbn}.",
+  "No se puede borrar un curso que está en uso por una clase.": "No es pot esborrar un curs que fa servir una classe.",
+  "No se puede borrar una clase con alumnos. Muévelos a otra clase o elimínalos desde Alumnos.": "No es pot esborrar una classe amb alumnes. Trasllada'ls a una altra classe o elimina'ls des d'Alumnes.",
+  "Nuevo Curso": "Nou curs",
+  "Renombrar": "Reanomenar",
+  "Eliminar": "Eliminar",
+  "Libros de {curso}": "Llibres de {curso}",
+  "Añadir con escáner": "Afegir amb escàner",
+  "ISBN del libro": "ISBN del llibre",
+  "Importar lista de ISBN": "Importar llista d'ISBN",
+  "Prefijo de etiquetas:": "Prefix d'etiquetes:",
+  "Imprimir etiquetas ({n})": "Imprimir etiquetes ({n})",
+  "Buscando libro...": "Cercant llibre...",
+  "{n} ejemplares": { one: "{n} exemplar", other: "{n} exemplars" },
+  "Buscar datos del libro": "Cercar dades del llibre",
+  "Editar título": "Editar títol",
+  "Registrar ejemplares": "Registrar exemplars",
+  "Subir": "Pujar",
+  "Bajar": "Baixar",
+  "Quitar del curso": "Treure del curs",
+  "No hay libros en este curso. ¡Añade uno!": "No hi ha llibres en aquest curs. Afegeix-ne un!",
+  "Clases con este curso": "Classes amb aquest curs",
+  "Nueva Clase": "Nova classe",
+  "No hay clases asignadas a este curso.": "No hi ha classes assignades a aquest curs.",
+  "Crear Nuevo Curso": "Crear nou curs",
+  "Dale un nombre al nuevo curso (ej: Libros 1º ESO).": "Dona un nom al nou curs (p. ex.: Llibres 1r ESO).",
+  "Crear Nueva Clase": "Crear nova classe",
+  "Dale un nombre a la nueva clase para el curso \"{curso}\" (ej: 1º A).": "Dona un nom a la nova classe del curs \"{curso}\" (p. ex.: 1r A).",
+  "Añadir Libro Manualmente": "Afegir llibre manualment",
+  "No se encontró título para {isbn}. Introduce el título.": "No s'ha trobat el títol de {isbn}. Escriu el títol.",
+  "Libro {isbn}": "Llibre {isbn}",
+  "Renombrar Curso": "Reanomenar curs",
+  "Nuevo nombre del curso.": "Nou nom del curs.",
+  "Renombrar Clase": "Reanomenar classe",
+  "Nuevo nombre de la clase.": "Nou nom de la classe.",
+  "Editar Título": "Editar títol",
+  "Título del libro {isbn}.": "Títol del llibre {isbn}.",
+  "Registrar Ejemplares": "Registrar exemplars",
+  "¿Cuántas copias de \"{libro}\" quieres registrar? Cada una recibirá su propia etiqueta.": "Quantes còpies de \"{libro}\" vols registrar? Cadascuna tindrà la seva pròpia etiqueta.",
+  "{n} ejemplares registrados. Imprime sus etiquetas.": { one: "{n} exemplar registrat. Imprimeix-ne l'etiqueta.", other: "{n} exemplars registrats. Imprimeix-ne les etiquetes." },
+  "Prefijo de Etiquetas": "Prefix d'etiquetes",
+  "Identificador del centro que se antepone al número de cada ejemplar (ej: IESCERV).": "Identificador del centre que es posa davant del número de cada exemplar (p. ex.: IESCERV).",
+  "Eliminar Curso": "Eliminar curs",
+  "¿Estás seguro de que quieres eliminar el curso \"{curso}\"? No se puede deshacer.": "Segur que vols eliminar el curs \"{curso}\"? No es pot desfer.",
+  "Eliminar Clase": "Eliminar classe",
+  "¿Estás seguro de que quieres eliminar la clase \"{clase}\"? No se puede deshacer.": "Segur que vols eliminar la classe \"{clase}\"? No es pot desfer.",
+  "{n} libros añadidos a {curso}.": { one: "{n} llibre afegit a {curso}.", other: "{n} llibres afegits a {curso}." },
+  "Importar libros a {curso}": "Importar llibres a {curso}",
+  "Un ISBN por línea, opcionalmente seguido del título (ej: 978-84-678-7181-4; Matemáticas 1).": "Un ISBN per línia, opcionalment seguit del títol (p. ex.: 978-84-678-7181-4; Matemàtiques 1).",
+  "Buscando títulos…": "Cercant títols…",
+  "{n} libros añadidos": { one: "{n} llibre afegit", other: "{n} llibres afegits" },
+  "{n} libros para añadir": { one: "{n} llibre per afegir", other: "{n} llibres per afegir" },
+  "{n} sin título, se buscarán": { one: "{n} sense títol, es cercarà", other: "{n} sense títol, es cercaran" },
+  "{n} sin título encontrado: revísalos en la lista.": { one: "{n} sense títol trobat: revisa'l a la llista.", other: "{n} sense títol trobat: revisa'ls a la llista." },
+  "{n} ISBN no válidos:": { one: "{n} ISBN no vàlid:", other: "{n} ISBN no vàlids:" },
+  "Línea {n}": "Línia {n}",
+  "{n} duplicados omitidos:": { one: "{n} duplicat omès:", other: "{n} duplicats omesos:" },
+  "Datos importados correctamente.": "Dades importades correctament.",
+  "Error al importar: {error}": "Error en importar: {error}",
+  "Importar y Exportar": "Importar i exportar",
+  "Exportar JSON": "Exportar JSON",
+  "Exportar CSV": "Exportar CSV",
+  "Importar JSON": "Importar JSON",
+  "Combinar JSON": "Combinar JSON",
+  "Zona Peligrosa": "Zona perillosa",
+  "Borrar todos los datos": "Esborrar totes les dades",
+  "Se borrarán cursos, clases, alumnos y préstamos de este dispositivo. Exporta antes una copia si la necesitas.": "S'esborraran cursos, classes, alumnes i préstecs d'aquest dispositiu. Exporta'n abans una còpia si la necessites.",
+  "No se pudo importar": "No s'ha pogut importar",
+  "El fichero tiene estos problemas. No se ha modificado ningún dato.": "El fitxer té aquests problemes. No s'ha modificat cap dada.",
+  "Combinar datos": "Combinar dades",
+  "Se añadirán {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos y {prestamos} entregas.": "S'afegiran {cursos} cursos, {libros} llibres, {clases} classes, {alumnos} alumnes i {prestamos} lliuraments.",
+  "{n} datos distintos en ambos lados. Elige cuál conservar:": { one: "{n} dada diferent a cada banda. Tria quina conservar:", other: "{n} dades diferents a cada banda. Tria quines conservar:" },
+  "No hay conflictos.": "No hi ha conflictes.",
+  "Combinar": "Combinar",
+  "La copia del {fecha} no es válida.": "La còpia del {fecha} no és vàlida.",
+  "Copias automáticas": "Còpies automàtiques",
+  "{n} cursos": { one: "{n} curs", other: "{n} cursos" },
+  "Restaurar": "Restaurar",
+  "Todavía no hay copias.": "Encara no hi ha còpies.",
+  "Guardado en {almacen}": "Desat a {almacen}",
+  "{usado} de {total} usados": "{usado} de {total} utilitzats",
+  "Restaurar Copia": "Restaurar còpia",
+  "Los datos actuales se sustituirán por los del {fecha}. Podrás deshacerlo.": "Les dades actuals se substituiran per les del {fecha}. Ho podràs desfer.",
+  "Registro de actividad": "Registre d'activitat",
+  "Filtrar (ej: nombre del alumno o título)": "Filtrar (p. ex.: nom de l'alumne o títol)",
+  "Sin actividad registrada.": "Sense activitat registrada.",
+  "Ver más": "Veure'n més",
+  "Pruebas internas": "Proves internes",
+  "Ejecutando…": "Executant…",
+  "Ejecutar pruebas": "Executar proves",
+  "{ok}/{total} pruebas OK": "{ok}/{total} proves correctes",
+  "… y {n} problemas más.": { one: "… i {n} problema més.", other: "… i {n} problemes més." },
+  "No se pudo cargar el lector de códigos.": "No s'ha pogut carregar el lector de codis.",
+  "No se pudo abrir esa cámara.": "No s'ha pogut obrir aquesta càmera.",
+  "La linterna no está disponible.": "La llanterna no està disponible.",
+  "No se puede usar la cámara en este dispositivo. Haz fotos de los códigos de barras y elígelas con el botón de fotos.": "No es pot fer servir la càmera en aquest dispositiu. Fes fotos dels codis de barres i tria-les amb el botó de fotos.",
+  "Buscando códigos… {hechas}/{n} fotos": { one: "Cercant codis… {hechas}/{n} foto", other: "Cercant codis… {hechas}/{n} fotos" },
+  "{leidos} códigos leídos en {n} fotos.": { one: "{leidos} codis llegits en {n} foto.", other: "{leidos} codis llegits en {n} fotos." },
+  "Cámara": "Càmera",
+  "Trasera (automática)": "Posterior (automàtica)",
+  "Cámara {n}": "Càmera {n}",
+  "Solo códigos de libro (EAN-13): ignora etiquetas de ejemplar y carnés": "Només codis de llibre (EAN-13): ignora etiquetes d'exemplar i carnets",
+  "No repetir el mismo código durante": "No repetir el mateix codi durant",
+  "Linterna": "Llanterna",
+  "Ajustes de la cámara": "Ajustos de la càmera",
+  "Leer códigos desde fotos": "Llegir codis des de fotos",
+  "Lectura incorrecta: el dígito de control de {codigo} no cuadra.": "Lectura incorrecta: el dígit de control de {codigo} no quadra.",
+  "El código {codigo} no es de un libro (un ISBN empieza por 978 o 979).": "El codi {codigo} no és d'un llibre (un ISBN comença per 978 o 979).",
+  "\"{texto}\" no es un ISBN.": "\"{texto}\" no és un ISBN.",
+  "No se pudo conectar con el servidor.": "No s'ha pogut connectar amb el servidor.",
+  "El año escolar no es texto.": "El curs escolar no és text.",
+  "\"archivo\" no es una lista.": "\"archivo\" no és una llista.",
+  "Año archivado {n}: falta el año escolar.": "Curs arxivat {n}: falta el curs escolar.",
+  "Año archivado {anio}: faltan cursos, clases o alumnos.": "Curs arxivat {anio}: falten cursos, classes o alumnes.",
+  "{entidad} {n}: falta el id.": "{entidad} {n}: falta l'id.",
+  "{entidad} {n}: id duplicado \"{id}\".": "{entidad} {n}: id duplicat \"{id}\".",
+  "Curso {n}: falta el nombre.": "Curs {n}: falta el nom.",
+  "{entidad}: \"libros\" no es una lista.": "{entidad}: \"libros\" no és una llista.",
+  "{entidad}, libro {n}: el ISBN no es texto.": "{entidad}, llibre {n}: l'ISBN no és text.",
+  "{entidad}: ISBN {isbn} repetido.": "{entidad}: ISBN {isbn} repetit.",
+  "{entidad}, libro {isbn}: el título no es texto.": "{entidad}, llibre {isbn}: el títol no és text.",
+  "{entidad}, libro {isbn}: \"{campo}\" no es texto.": "{entidad}, llibre {isbn}: \"{campo}\" no és text.",
+  "{entidad}, libro {isbn}: ejemplar sin código.": "{entidad}, llibre {isbn}: exemplar sense codi.",
+  "Ejemplar {codigo} repetido.": "Exemplar {codigo} repetit.",
+  "Clase {n}: falta el nombre.": "Classe {n}: falta el nom.",
+  "Clase \"{nombre}\": el curso {curso} no existe.": "Classe \"{nombre}\": el curs {curso} no existeix.",
+  "Alumno {n}: falta el nombre.": "Alumne {n}: falta el nom.",
+  "{entidad}: la clase {clase} no existe.": "{entidad}: la classe {clase} no existeix.",
+  "{entidad}: \"{campo}\" no es texto.": "{entidad}: \"{campo}\" no és text.",
+  "{entidad}: \"firmas\" no es una lista.": "{entidad}: \"firmas\" no és una llista.",
+  "{entidad}, firma {n}: falta el id o la imagen.": "{entidad}, signatura {n}: falta l'id o la imatge.",
+  "{entidad}: \"prestamos\" no es una lista.": "{entidad}: \"prestamos\" no és una llista.",
+  "{entidad}, préstamo {n}: el ISBN no es texto.": "{entidad}, préstec {n}: l'ISBN no és text.",
+  "{entidad}, préstamo {n}: estado \"{estado}\" desconocido.": "{entidad}, préstec {n}: estat \"{estado}\" desconegut.",
+  "{entidad}, préstamo {n}: la firma {firma} no existe.": "{entidad}, préstec {n}: la signatura {firma} no existeix.",
+  "{alumno} ya tiene \"{libro}\" (ejemplar {ejemplar}).": "{alumno} ja té \"{libro}\" (exemplar {ejemplar}).",
+  "{alumno} ya tiene \"{libro}\".": "{alumno} ja té \"{libro}\".",
+  "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.": { one: "Catàleg carregat: {n} llibre, {descartados} descartats per no tenir ISBN o títol.", other: "Catàleg carregat: {n} llibres, {descartados} descartats per no tenir ISBN o títol." },
+  "Catálogo cargado: {n} libros.": { one: "Catàleg carregat: {n} llibre.", other: "Catàleg carregat: {n} llibres." },
+  "Devuelto": "Tornat",
+  "Perdido": "Perdut",
+  "Dañado": "Malmès",
+  "Pendiente": "Pendent",
+  "Título": "Títol",
+  "Contacto del tutor": "Contacte del tutor",
+  "Este dispositivo": "Aquest dispositiu",
+  "Fichero": "Fitxer",
+  "Administración": "Administració",
+  "Madre": "Mare",
+  "Padre": "Pare",
+  "Tutor/a legal": "Tutor/a legal",
+  "Otra persona autorizada": "Una altra persona autoritzada",
+  "alumno_nombre": "alumne_nom",
+  "clase_nombre": "classe_nom",
+  "curso_nombre": "curs_nom",
+  "libro_isbn": "llibre_isbn",
+  "libro_titulo": "llibre_titol",
+  "entregado": "lliurat",
+  "estado": "estat",
+  "fecha_entrega": "data_lliurament",
+  "fecha_devolucion": "data_devolucio",
+  "pendiente": "pendent",
+  "devuelto": "tornat",
+  "perdido": "perdut",
+  "dañado": "malmès",
+  "fecha": "data",
+  "accion": "accio",
+  "descripcion": "descripcio",
+  "Código de centro incorrecto.": "Codi de centre incorrecte.",
+  "Operación incompleta.": "Operació incompleta.",
+  "Otro dispositivo ha hecho cambios mientras tanto.": "Un altre dispositiu ha fet canvis mentrestant.",
+  "Falta el dispositivo.": "Falta el dispositiu.",
+  "Faltan el dispositivo o las operaciones.": "Falten el dispositiu o les operacions.",
+  "No encontrado.": "No trobat.",
+  "Petición demasiado grande.": "Petició massa gran.",
+  "El cuerpo no es JSON.": "El cos no és JSON.",
+  "Error interno.": "Error intern.",
+  "Otro dispositivo lo había cambiado antes y ya no tenía efecto.": "Un altre dispositiu ho havia canviat abans i ja no tenia efecte.",
+  "Error {estado} del servidor.": "Error {estado} del servidor.",
+  "Nuevo": "Nou",
+  "Bueno": "Bo",
+  "Aceptable": "Acceptable",
+  "Deteriorado": "Deteriorat",
+  "tutor": "tutor",
+  "contacto_tutor": "contacte_tutor",
+  "conservacion_entrega": "conservacio_lliurament",
+  "conservacion_devolucion": "conservacio_devolucio",
+  "importe": "import",
+  "fecha_pago": "data_pagament",
+  "Pagado el {fecha}": "Pagat el {fecha}",
+  "Libros por reponer": "Llibres per reposar",
+  "Estado": "Estat",
+  "Importe": "Import",
+  "Pago": "Pagament",
+  "No tiene libros por reponer.": "No té llibres per reposar.",
+  "Total pendiente: {importe}": "Total pendent: {importe}",
+  "Los libros anteriores se han perdido o se han devuelto en mal estado. Para reponerlos, la familia debe abonar el importe indicado en el centro.": "Els llibres anteriors s'han perdut o s'han retornat en mal estat. Per reposar-los, la família ha d'abonar l'import indicat al centre.",
+  "Reposición {alumno}": "Reposició {alumno}",
+  "Reposiciones {clase}": "Reposicions {clase}",
+  "Precio de reposición de {libro} quitado": "Preu de reposició de {libro} eliminat",
+  "Precio de reposición de {libro}: {importe}": "Preu de reposició de {libro}: {importe}",
+  "{libro} entregado a {alumno} en estado {condicion}": "{libro} lliurat a {alumno} en estat {condicion}",
+  "Devuelto {libro} por {alumno} en estado {condicion}": "{alumno} ha retornat {libro} en estat {condicion}",
+  "Reposición pagada por {alumno}": "Reposició pagada per {alumno}",
+  "Pago de reposición anulado: {alumno}": "Pagament de reposició anul·lat: {alumno}",
+  "Nadie en la clase tiene reposiciones pendientes de pago.": "Ningú de la classe té reposicions pendents de pagament.",
+  "Nadie en la clase tiene libros perdidos o dañados.": "Ningú de la classe té llibres perduts o malmesos.",
+  "Reposiciones (CSV)": "Reposicions (CSV)",
+  "Al entregarlo": "En lliurar-lo",
+  "Al devolverlo": "En retornar-lo",
+  "Reposición: {importe}": "Reposició: {importe}",
+  "sin precio": "sense preu",
+  "pagada {fecha}": "pagada {fecha}",
+  "Estado al entregarlo": "Estat en lliurar-lo",
+  "No se pudo leer la imagen {archivo}.": "No s'ha pogut llegir la imatge {archivo}.",
+  "Foto {numero}": "Foto {numero}",
+  "\"{libro}\" marcado como perdido.": "\"{libro}\" marcat com a perdut.",
+  "\"{libro}\" devuelto con daños.": "\"{libro}\" retornat amb danys.",
+  "\"{libro}\" devuelto.": "\"{libro}\" retornat.",
+  "Estado de \"{libro}\" anotado.": "Estat de \"{libro}\" anotat.",
+  "Devolución de \"{libro}\"": "Devolució de \"{libro}\"",
+  "Estado de \"{libro}\" al entregarlo": "Estat de \"{libro}\" en lliurar-lo",
+  "Estado del libro": "Estat del llibre",
+  "La familia tendrá que pagar la reposición: {importe}.": "La família haurà de pagar la reposició: {importe}.",
+  "El libro no tiene precio de reposición; se fija en Gestión.": "El llibre no té preu de reposició; es fixa a Gestió.",
+  "Páginas rotas, subrayado, sin forro…": "Pàgines trencades, subratllat, sense folre…",
+  "Fotos": "Fotos",
+  "Añadir foto": "Afegeix una foto",
+  "Quitar foto": "Treu la foto",
+  "Hasta {n} fotos de los daños o del estado del libro.": "Fins a {n} fotos dels danys o de l'estat del llibre.",
+  "Imprimir aviso para la familia": "Imprimeix l'avís per a la família",
+  "Aviso": "Avís",
+  "Pagado": "Pagat",
+  "Total pendiente": "Total pendent",
+  "reposición {importe}": "reposició {importe}",
+  "Precio de reposición": "Preu de reposició",
+  "Precio de Reposición": "Preu de Reposició",
+  "Lo que paga la familia si \"{libro}\" se pierde o se devuelve deteriorado, en euros. Déjalo vacío para quitarlo.": "El que paga la família si \"{libro}\" es perd o es retorna deteriorat, en euros. Deixa-ho buit per treure'l.",
+  "\"{valor}\" no es un importe válido.": "\"{valor}\" no és un import vàlid.",
+  "{entidad}, libro {isbn}: el precio no es un importe válido.": "{entidad}, llibre {isbn}: el preu no és un import vàlid.",
+  "{entidad}, préstamo {n}: estado de conservación \"{condicion}\" desconocido.": "{entidad}, préstec {n}: estat de conservació \"{condicion}\" desconegut.",
+  "{entidad}, préstamo {n}: las fotos no son imágenes.": "{entidad}, préstec {n}: les fotos no són imatges.",
+  "El prefijo no puede quedar vacío.": "El prefix no pot quedar buit.",
+  "Los datos guardados están dañados.": "Les dades desades estan malmeses.",
+  "Los datos guardados no son válidos.": "Les dades desades no són vàlides.",
+  "No se ha guardado nada todavía. Elige con qué datos seguir:": "Encara no s'ha desat res. Tria amb quines dades vols continuar:",
+  "Copia automática del {fecha}": "Còpia automàtica del {fecha}",
+  "Descargar los datos guardados": "Descarrega les dades desades",
+  "Empezar sin datos": "Comença sense dades",
+  "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.": { one: "{n} exemplar del fitxer tenia el codi d'una altra còpia d'aquest dispositiu: se li'n dona un de nou i caldrà reimprimir-ne l'etiqueta.", other: "{n} exemplars del fitxer tenien el codi d'una altra còpia d'aquest dispositiu: se'ls en dona un de nou i caldrà reimprimir-ne les etiquetes." },
+  "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.": { one: "{n} alumne es quedaria sense classe perquè el seu curs de destinació no passa a l'any nou. Marca aquest curs, tria una altra classe o indica que surt.", other: "{n} alumnes es quedarien sense classe perquè el seu curs de destinació no passa a l'any nou. Marca aquest curs, tria una altra classe o indica que surten." },
+  "El archivo es del año escolar {importado} y estos datos son del {local}: no se pueden combinar.": "El fitxer és de l'any escolar {importado} i aquestes dades són del {local}: no es poden combinar.",
+  "Con la sincronización activada no se puede deshacer": "Amb la sincronització activada no es pot desfer",
+  "Datos puestos al día con el servidor": "Dades posades al dia amb el servidor",
+  "Los datos recibidos del servidor no son válidos.": "Les dades rebudes del servidor no són vàlides.",
+  "Instantánea no válida.": "Instantània no vàlida.",
+  "Sustituir los datos de este dispositivo por los del servidor": "Substituir les dades d'aquest dispositiu per les del servidor",
+  "Desemparejar este dispositivo del servidor": "Desvincular aquest dispositiu del servidor",
+  "perfil": "perfil",
+  "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.": { one: "{n} reposició continua sense pagar: es podrà consultar a l'arxiu.", other: "{n} reposicions continuen sense pagar: es podran consultar a l'arxiu." },
+  "{n} alumnos quedaron debiendo reposiciones: {importe} en total.": { one: "{n} alumne va quedar devent reposicions: {importe} en total.", other: "{n} alumnes van quedar devent reposicions: {importe} en total." },
+  "Sin pagar": "Sense pagar",
+  "Foto hecha en otro dispositivo": "Foto feta en un altre dispositiu",
+  "Error al exportar: {error}": "Error en exportar: {error}",
+  "Los datos actuales se sustituirán por los del {fecha} en todos los dispositivos sincronizados. Con la sincronización activada no se puede deshacer.": "Les dades actuals se substituiran per les del {fecha} a tots els dispositius sincronitzats. Amb la sincronització activada no es pot desfer.",
+};
@@ -0,0 +1,537 @@
+// Inglés. Las claves son los textos en castellano de la app (ver src/i18n.js).
+
+export default {
+  "Sin nombre": "No name",
+  "Ya existe en la clase": "Already in the class",
+  "No empieza por un ISBN.": "Does not start with an ISBN.",
+  "Ya está en el curso": "Already in the course",
+  "Repetido en la lista": "Repeated in the list",
+  "Versión de datos {version} no compatible con esta aplicación (v{esquema}).": "Data version {version} is not compatible with this application (v{esquema}).",
+  "No hay migración desde la versión {version}.": "There is no migration from version {version}.",
+  "Curso": "Course",
+  "Clase": "Class",
+  "Alumno": "Student",
+  "Curso \"{nombre}\"": "Course \"{nombre}\"",
+  "Alumno \"{nombre}\"": "Student \"{nombre}\"",
+  "El fichero no contiene un objeto de datos.": "The file does not contain a data object.",
+  "Falta la lista \"{lista}\".": "The \"{lista}\" list is missing.",
+  "Etiquetas {curso}": "Labels {curso}",
+  "Carnés {clase}": "Cards {clase}",
+  "Centro": "School",
+  "Alumno/a": "Student",
+  "Familia o tutor legal": "Family or legal guardian",
+  "Albarán de entrega de libros": "Book delivery receipt",
+  "Curso {anio}": "School year {anio}",
+  "Libro": "Book",
+  "Ejemplar": "Copy",
+  "Entregado": "Delivered",
+  "No tiene libros entregados.": "Has no books delivered.",
+  "El alumno o alumna recibe los libros anteriores en préstamo y se compromete a cuidarlos y devolverlos al final del curso.": "The student receives the books above on loan and agrees to look after them and return them at the end of the school year.",
+  "Firma": "Signature",
+  "Albarán {alumno}": "Receipt {alumno}",
+  "Albaranes {clase}": "Receipts {clase}",
+  "Libros pendientes": "Pending books",
+  "{con} de {n} alumnos con libros pendientes": { one: "{con} of {n} student with pending books", other: "{con} of {n} students with pending books" },
+  "{n} libros en total": { one: "{n} book in total", other: "{n} books in total" },
+  "Nº": "No.",
+  "Total": "Total",
+  "Todos los alumnos tienen sus libros.": "Every student has their books.",
+  "Pendientes {clase}": "Pending {clase}",
+  "{libres} de {total}": "{libres} of {total}",
+  "Por entregar": "To deliver",
+  "Ejemplares libres": "Free copies",
+  "Resumen de entregas": "Delivery summary",
+  "{n} clases": { one: "{n} class", other: "{n} classes" },
+  "{n} alumnos": { one: "{n} student", other: "{n} students" },
+  "El curso no tiene libros.": "The course has no books.",
+  "Resumen {curso}": "Summary {curso}",
+  "Curso creado: {curso}": "Course created: {curso}",
+  "Curso eliminado: {curso}": "Course deleted: {curso}",
+  "Libro añadido a {curso}: {libro}": "Book added to {curso}: {libro}",
+  "{n} libros añadidos a {curso}": { one: "{n} book added to {curso}", other: "{n} books added to {curso}" },
+  "Libro quitado de {curso}: {libro}": "Book removed from {curso}: {libro}",
+  "Datos actualizados de {libro}": "Details updated for {libro}",
+  "Orden de libros cambiado en {curso}": "Book order changed in {curso}",
+  "{n} ejemplares registrados de {libro}": { one: "{n} copy of {libro} registered", other: "{n} copies of {libro} registered" },
+  "{n} etiquetas impresas": { one: "{n} label printed", other: "{n} labels printed" },
+  "Prefijo de etiquetas: {prefijo}": "Label prefix: {prefijo}",
+  "Clase creada: {clase} ({curso})": "Class created: {clase} ({curso})",
+  "Clase eliminada: {clase}": "Class deleted: {clase}",
+  "Alumno añadido a {clase}: {alumno}": "Student added to {clase}: {alumno}",
+  "{n} alumnos importados a {clase}": { one: "{n} student imported into {clase}", other: "{n} students imported into {clase}" },
+  "Alumno eliminado: {alumno}": "Student deleted: {alumno}",
+  "Curso {curso} renombrado a {nombre}": "Course {curso} renamed to {nombre}",
+  "Clase {clase} renombrada a {nombre}": "Class {clase} renamed to {nombre}",
+  "Título de {libro} cambiado a «{titulo}»": "Title of {libro} changed to “{titulo}”",
+  "{alumno} editado y movido a {clase}": "{alumno} edited and moved to {clase}",
+  "Ficha de {alumno} editada": "{alumno}'s record edited",
+  "{n} alumnos movidos a {clase}": { one: "{n} student moved to {clase}", other: "{n} students moved to {clase}" },
+  "Entregado {libro} ({ejemplar}) a {alumno}": "Delivered {libro} ({ejemplar}) to {alumno}",
+  "Entregado {libro} a {alumno}": "Delivered {libro} to {alumno}",
+  "Entrega a {alumno} firmada por {nombre} ({relacion})": "Delivery to {alumno} signed by {nombre} ({relacion})",
+  "Entrega anulada: {libro} de {alumno}": "Delivery cancelled: {libro} for {alumno}",
+  "Devuelto {libro} por {alumno}": "{libro} returned by {alumno}",
+  "{libro} de {alumno} marcado como {estado}": "{libro} for {alumno} marked as {estado}",
+  "Datos importados desde fichero": "Data imported from file",
+  "Datos combinados desde fichero": "Data merged from file",
+  "Copia automática del {fecha} restaurada": "Automatic backup from {fecha} restored",
+  "Año {anio} archivado; empieza el {nuevo}": "Year {anio} archived; {nuevo} begins",
+  "Todos los datos borrados": "All data deleted",
+  "Deshecho: {accion}": "Undone: {accion}",
+  "Rehecho: {accion}": "Redone: {accion}",
+  "Datos iniciales de {dispositivo}": "Initial data from {dispositivo}",
+  "Otro dispositivo: {accion}": "Another device: {accion}",
+  "No se pudo cargar @zxing/browser desde CDN.": "Could not load @zxing/browser from the CDN.",
+  "Aceptar": "OK",
+  "Lectores USB o Bluetooth que escriben el código como un teclado": "USB or Bluetooth scanners that type the code like a keyboard",
+  "Lector externo: activo": "External scanner: on",
+  "Lector externo": "External scanner",
+  "Sin espacio de almacenamiento: los últimos cambios no se han guardado. Exporta una copia y libera espacio.": "Out of storage space: the latest changes have not been saved. Export a copy and free up space.",
+  "No se pudieron guardar los cambios.": "The changes could not be saved.",
+  "No se pudieron cargar los datos guardados: {error}": "The saved data could not be loaded: {error}",
+  "Cargando datos…": "Loading data…",
+  "Gestor de Libros": "Book Manager",
+  "Bloquear ({nombre})": "Lock ({nombre})",
+  "Deshacer: {accion}": "Undo: {accion}",
+  "Nada que deshacer": "Nothing to undo",
+  "Rehacer: {accion}": "Redo: {accion}",
+  "Nada que rehacer": "Nothing to redo",
+  "Control": "Check-out",
+  "Alumnos": "Students",
+  "Gestión": "Admin",
+  "Deshacer": "Undo",
+  "Buscar alumno, clase, libro o ISBN": "Search student, class, book or ISBN",
+  "Sin resultados.": "No results.",
+  "Lo tienen ({n})": "Have it ({n})",
+  "Pendiente de entregar ({n})": "Not yet delivered ({n})",
+  "Clases": "Classes",
+  "Cursos": "Courses",
+  "Libros": "Books",
+  "Escanea primero el carné de un alumno.": "Scan a student card first.",
+  "\"{libro}\" marcado.": "\"{libro}\" checked.",
+  "Libro no encontrado en la lista del curso.": "Book not found in the course list.",
+  "Permite las ventanas emergentes para imprimir.": "Allow pop-up windows to print.",
+  "Ningún alumno de la clase tiene libros entregados.": "No student in the class has books delivered.",
+  "Carné no reconocido.": "Card not recognised.",
+  "Alumno activo: {alumno}": "Active student: {alumno}",
+  "El ejemplar {ejemplar} es del curso \"{curso}\".": "Copy {ejemplar} belongs to course \"{curso}\".",
+  "El ejemplar {ejemplar} ya está asignado a {alumno}.": "Copy {ejemplar} is already assigned to {alumno}.",
+  "{alumno} ya tiene el ejemplar {ejemplar}.": "{alumno} already has copy {ejemplar}.",
+  "\"{libro}\" ({ejemplar}) asignado.": "\"{libro}\" ({ejemplar}) assigned.",
+  "1. Selecciona una clase": "1. Select a class",
+  "— Elige una clase —": "— Choose a class —",
+  "2. Selecciona un alumno": "2. Select a student",
+  "— Elige un alumno —": "— Choose a student —",
+  "Por alumno": "By student",
+  "Toda la clase": "Whole class",
+  "Albaranes de la clase": "Class receipts",
+  "Informe de pendientes": "Pending report",
+  "ISBN, ejemplar o carné": "ISBN, copy or card",
+  "Escanear libros de {alumno}": "Scan books for {alumno}",
+  "Lista de libros ({curso})": "Book list ({curso})",
+  "Firmar la recogida de los libros": "Sign for the books",
+  "Firmar ({n})": "Sign ({n})",
+  "Imprimir albarán de entrega": "Print delivery receipt",
+  "Albarán": "Receipt",
+  "Selecciona un alumno para ver su progreso.": "Select a student to see their progress.",
+  "Selecciona una clase para empezar.": "Select a class to start.",
+  "Escanear carné de alumno": "Scan student card",
+  "Alumno: {alumno}": "Student: {alumno}",
+  "Escanea un carné de alumno": "Scan a student card",
+  "entregado {fecha}": "delivered {fecha}",
+  "devuelto {fecha}": "returned {fecha}",
+  "ejemplar": "copy",
+  "Firmado por {nombre} ({relacion}) el {fecha}": "Signed by {nombre} ({relacion}) on {fecha}",
+  "Registrar devolución": "Record return",
+  "Marcar como dañado": "Mark as damaged",
+  "Marcar como perdido": "Mark as lost",
+  "Anular entrega": "Cancel delivery",
+  "Entrega firmada por {nombre}.": "Delivery signed by {nombre}.",
+  "Recogida de libros de {alumno}": "Book collection for {alumno}",
+  "Nombre de quien firma": "Name of the person signing",
+  "Relación": "Relationship",
+  "Elige…": "Choose…",
+  "Borrar": "Clear",
+  "Firmar más tarde": "Sign later",
+  "Guardar firma": "Save signature",
+  "Esta clase no tiene alumnos.": "This class has no students.",
+  "El curso \"{curso}\" no tiene libros.": "Course \"{curso}\" has no books.",
+  "Entregas de la clase": "Class deliveries",
+  "Orden de lista": "List order",
+  "Más pendientes primero": "Most pending first",
+  "Selecciona una clase": "Select a class",
+  "Añadir alumno a {clase}": "Add student to {clase}",
+  "Nombre del alumno": "Student name",
+  "Importar lista de alumnos": "Import student list",
+  "Imprimir carnés de la clase": "Print class cards",
+  "Mover alumnos a otra clase": "Move students to another class",
+  "Editar ficha": "Edit record",
+  "Eliminar alumno": "Delete student",
+  "Ficha de {alumno}": "{alumno}'s record",
+  "Nombre": "First name",
+  "Apellidos": "Surname",
+  "Nº de lista": "List no.",
+  "Tutor legal": "Legal guardian",
+  "Teléfono o correo": "Phone or email",
+  "Notas": "Notes",
+  "Cancelar": "Cancel",
+  "Guardar": "Save",
+  "{n} alumnos movidos a {clase}.": { one: "{n} student moved to {clase}.", other: "{n} students moved to {clase}." },
+  "Mover alumnos": "Move students",
+  "Mover": "Move",
+  "Columna {n}": "Column {n}",
+  "{n} alumnos añadidos a {clase}.": { one: "{n} student added to {clase}.", other: "{n} students added to {clase}." },
+  "Importar alumnos a {clase}": "Import students into {clase}",
+  "{n} alumnos añadidos.": { one: "{n} student added.", other: "{n} students added." },
+  "{n} filas omitidas:": { one: "{n} row skipped:", other: "{n} rows skipped:" },
+  "Fila {n}": "Row {n}",
+  "(vacía)": "(empty)",
+  "Pega las filas de una hoja de cálculo o elige un fichero CSV.": "Paste the rows from a spreadsheet or choose a CSV file.",
+  "Nombre\tApellidos\tNº\nAna\tGarcía López\t1": "First name\tSurname\tNo.\nAnna\tSmith\t1",
+  "La primera fila es la cabecera": "The first row is the header",
+  "Elegir fichero": "Choose file",
+  "— Ninguna —": "— None —",
+  "{n} nuevos": "{n} new",
+  "{n} se omitirán": "{n} will be skipped",
+  "Cerrar": "Close",
+  "Importar": "Import",
+  "Año escolar {anio}": "School year {anio}",
+  "Cerrar el año": "Close the year",
+  "Archivo {anio}": "Archive {anio}",
+  "Todavía no hay años archivados.": "No archived years yet.",
+  "Cerrar el año {anio}": "Close the year {anio}",
+  "Los cursos, clases, alumnos y préstamos de este año se guardarán en el archivo, donde se podrán consultar pero no modificar.": "This year's courses, classes, students and loans will be stored in the archive, where they can be viewed but not changed.",
+  "Nuevo año escolar": "New school year",
+  "Cursos del año nuevo (con la misma lista de libros)": "Courses for the new year (with the same book list)",
+  "¿A qué clase pasan los alumnos?": "Which class do the students move up to?",
+  "Salen del centro": "Leave the school",
+  "repetidores y bajas": "repeaters and leavers",
+  "Como su clase": "Same as their class",
+  "Repite": "Repeats",
+  "Baja": "Leaves",
+  "{pasan} alumnos pasan de clase, {repiten} repiten y {salen} salen.": "{pasan} students move up, {repiten} repeat and {salen} leave.",
+  "{n} libros siguen sin devolver: solo constarán en el archivo.": { one: "{n} book is still not returned: it will only appear in the archive.", other: "{n} books are still not returned: they will only appear in the archive." },
+  "Cerrar año": "Close year",
+  "Entrar": "Sign in",
+  "Demasiados intentos. Espera {n} s.": "Too many attempts. Wait {n} s.",
+  "Demasiados intentos. Espera un minuto.": "Too many attempts. Wait a minute.",
+  "PIN incorrecto. Quedan {n} intentos.": { one: "Wrong PIN. {n} attempt left.", other: "Wrong PIN. {n} attempts left." },
+  "PIN de {nombre}": "{nombre}'s PIN",
+  "Otro perfil": "Another profile",
+  "¿Quién eres?": "Who are you?",
+  "Confirma con tu PIN": "Confirm with your PIN",
+  "Confirmar": "Confirm",
+  "Perfil creado: desde ahora la app pide PIN.": "Profile created: the app now asks for a PIN.",
+  "Perfil de {nombre} creado.": "Profile for {nombre} created.",
+  "Tiene que quedar al menos un perfil de administración.": "At least one administration profile must remain.",
+  "Borrar el perfil de {nombre}": "Delete {nombre}'s profile",
+  "Personal y acceso": "Staff and access",
+  "Sin perfiles, cualquiera que tenga el dispositivo puede entrar en Gestión. Crea un perfil de administración para proteger la app con PIN.": "Without profiles, anyone holding the device can open Admin. Create an administration profile to protect the app with a PIN.",
+  "Control solo puede escanear y marcar entregas; Administración tiene acceso a todo. Las acciones destructivas piden el PIN otra vez.": "Check-out can only scan and mark deliveries; Administration can access everything. Destructive actions ask for the PIN again.",
+  "tú": "you",
+  "Borrar perfil": "Delete profile",
+  "Bloquear tras": "Lock after",
+  "{n} min sin actividad": "{n} min of inactivity",
+  "PIN (4 a 8 cifras)": "PIN (4 to 8 digits)",
+  "Repite el PIN": "Repeat the PIN",
+  "Añadir perfil": "Add profile",
+  "Sincronizado": "Synced",
+  "Sincronizando…": "Syncing…",
+  "{n} cambios no aplicados": { one: "{n} change not applied", other: "{n} changes not applied" },
+  "Sin conexión con el servidor": "No connection to the server",
+  "{n} cambios por enviar": { one: "{n} change to send", other: "{n} changes to send" },
+  "No se pudo emparejar: {error}": "Pairing failed: {error}",
+  "Emparejado: los datos de este dispositivo se envían al servidor.": "Paired: this device's data is being sent to the server.",
+  "Emparejado: recibiendo los datos del centro.": "Paired: receiving the school's data.",
+  "Sincronización": "Sync",
+  "El centro ya tiene datos en el servidor: los de este dispositivo se sustituirán por ellos. Si aquí hay algo que no está en el servidor, exporta una copia antes y combínala después.": "The school already has data on the server: this device's data will be replaced by it. If there is anything here that is not on the server, export a copy first and merge it afterwards.",
+  "Sustituir y emparejar": "Replace and pair",
+  "Opcional: comparte los datos entre los dispositivos del centro a través de su propio servidor ({comando}).": "Optional: share the data between the school's devices through its own server ({comando}).",
+  "Servidor, p. ej. 192.168.1.20:8787": "Server, e.g. 192.168.1.20:8787",
+  "Código de centro": "School code",
+  "Nombre de este dispositivo": "Name of this device",
+  "Emparejar": "Pair",
+  "Sin conexión: los cambios se guardan y se enviarán al volver la conexión.": "Offline: changes are saved and will be sent when the connection is back.",
+  "Conectado.": "Connected.",
+  "Conectando…": "Connecting…",
+  "Última sincronización: {hora}.": "Last sync: {hora}.",
+  "Cambios de este dispositivo que no se han aplicado": "Changes from this device that were not applied",
+  "Entendido": "Got it",
+  "Desemparejar": "Unpair",
+  "Sincronizar ahora": "Sync now",
+  "No se pudo cargar el catálogo: {error}": "The catalogue could not be loaded: {error}",
+  "Catálogo local": "Local catalogue",
+  "JSON con los libros del centro (isbn, title, autores, editorial, anio, portada). Se consulta antes que Internet al buscar un ISBN.": "JSON with the school's books (isbn, title, autores, editorial, anio, portada). It is checked before the Internet when looking up an ISBN.",
+  "{n} libros": { one: "{n} book", other: "{n} books" },
+  "Sin catálogo": "No catalogue",
+  "Quitar": "Remove",
+  "Cargar JSON": "Load JSON",
+  "Idioma": "Language",
+  "Se aplica solo a este dispositivo, a los CSV exportados y a los documentos impresos desde él.": "Applies only to this device, and to the CSV files exported and documents printed from it.",
+  "Libro \"{libro}\" añadido.": "Book \"{libro}\" added.",
+  "No se encontraron datos para {isbn}.": "No details found for {isbn}.",
+  "No se puede borrar un curso que está en uso por una clase.": "A course used by a class cannot be deleted.",
+  "No se puede borrar una clase con alumnos. Muévelos a otra clase o elimínalos desde Alumnos.": "A class with students cannot be deleted. Move them to another class or delete them from Students.",
+  "Nuevo Curso": "New course",
+  "Renombrar": "Rename",
+  "Eliminar": "Delete",
+  "Libros de {curso}": "Books in {curso}",
+  "Añadir con escáner": "Add with scanner",
+  "ISBN del libro": "Book ISBN",
+  "Importar lista de ISBN": "Import ISBN list",
+  "Prefijo de etiquetas:": "Label prefix:",
+  "Imprimir etiquetas ({n})": "Print labels ({n})",
+  "Buscando libro...": "Looking up book...",
+  "{n} ejemplares": { one: "{n} copy", other: "{n} copies" },
+  "Buscar datos del libro": "Look up book details",
+  "Editar título": "Edit title",
+  "Registrar ejemplares": "Register copies",
+  "Subir": "Move up",
+  "Bajar": "Move down",
+  "Quitar del curso": "Remove from course",
+  "No hay libros en este curso. ¡Añade uno!": "There are no books in this course. Add one!",
+  "Clases con este curso": "Classes with this course",
+  "Nueva Clase": "New class",
+  "No hay clases asignadas a este curso.": "No classes are assigned to this course.",
+  "Crear Nuevo Curso": "Create new course",
+  "Dale un nombre al nuevo curso (ej: Libros 1º ESO).": "Give the new course a name (e.g. Year 7 books).",
+  "Crear Nueva Clase": "Create new class",
+  "Dale un nombre a la nueva clase para el curso \"{curso}\" (ej: 1º A).": "Give the new class for course \"{curso}\" a name (e.g. 7A).",
+  "Añadir Libro Manualmente": "Add book manually",
+  "No se encontró título para {isbn}. Introduce el título.": "No title found for {isbn}. Enter the title.",
+  "Libro {isbn}": "Book {isbn}",
+  "Renombrar Curso": "Rename course",
+  "Nuevo nombre del curso.": "New name for the course.",
+  "Renombrar Clase": "Rename class",
+  "Nuevo nombre de la clase.": "New name for the class.",
+  "Editar Título": "Edit title",
+  "Título del libro {isbn}.": "Title of book {isbn}.",
+  "Registrar Ejemplares": "Register copies",
+  "¿Cuántas copias de \"{libro}\" quieres registrar? Cada una recibirá su propia etiqueta.": "How many copies of \"{libro}\" do you want to register? Each one gets its own label.",
+  "{n} ejemplares registrados. Imprime sus etiquetas.": { one: "{n} copy registered. Print its label.", other: "{n} copies registered. Print their labels." },
+  "Prefijo de Etiquetas": "Label prefix",
+  "Identificador del centro que se antepone al número de cada ejemplar (ej: IESCERV).": "School identifier placed before the number of each copy (e.g. IESCERV).",
+  "Eliminar Curso": "Delete course",
+  "¿Estás seguro de que quieres eliminar el curso \"{curso}\"? No se puede deshacer.": "Are you sure you want to delete course \"{curso}\"? This cannot be undone.",
+  "Eliminar Clase": "Delete class",
+  "¿Estás seguro de que quieres eliminar la clase \"{clase}\"? No se puede deshacer.": "Are you sure you want to delete class \"{clase}\"? This cannot be undone.",
+  "{n} libros añadidos a {curso}.": { one: "{n} book added to {curso}.", other: "{n} books added to {curso}." },
+  "Importar libros a {curso}": "Import books into {curso}",
+  "Un ISBN por línea, opcionalmente seguido del título (ej: 978-84-678-7181-4; Matemáticas 1).": "One ISBN per line, optionally followed by the title (e.g. 978-84-678-7181-4; Maths 1).",
+  "Buscando títulos…": "Looking up titles…",
+  "{n} libros añadidos": { one: "{n} book added", other: "{n} books added" },
+  "{n} libros para añadir": { one: "{n} book to add", other: "{n} books to add" },
+  "{n} sin título, se buscarán": "{n} without a title, will be looked up",
+  "{n} sin título encontrado: revísalos en la lista.": { one: "{n} with no title found: check it in the list.", other: "{n} with no title found: check them in the list." },
+  "{n} ISBN no válidos:": { one: "{n} invalid ISBN:", other: "{n} invalid ISBNs:" },
+  "Línea {n}": "Line {n}",
+  "{n} duplicados omitidos:": { one: "{n} duplicate skipped:", other: "{n} duplicates skipped:" },
+  "Datos importados correctamente.": "Data imported successfully.",
+  "Error al importar: {error}": "Import error: {error}",
+  "Importar y Exportar": "Import and export",
+  "Exportar JSON": "Export JSON",
+  "Exportar CSV": "Export CSV",
+  "Importar JSON": "Import JSON",
+  "Combinar JSON": "Merge JSON",
+  "Zona Peligrosa": "Danger zone",
+  "Borrar todos los datos": "Delete all data",
+  "Se borrarán cursos, clases, alumnos y préstamos de este dispositivo. Exporta antes una copia si la necesitas.": "Courses, classes, students and loans on this device will be deleted. Export a copy first if you need one.",
+  "No se pudo importar": "Import failed",
+  "El fichero tiene estos problemas. No se ha modificado ningún dato.": "The file has these problems. No data has been changed.",
+  "Combinar datos": "Merge data",
+  "Se añadirán {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos y {prestamos} entregas.": "{cursos} courses, {libros} books, {clases} classes, {alumnos} students and {prestamos} deliveries will be added.",
+  "{n} datos distintos en ambos lados. Elige cuál conservar:": { one: "{n} value differs on each side. Choose which to keep:", other: "{n} values differ on each side. Choose which to keep:" },
+  "No hay conflictos.": "No conflicts.",
+  "Combinar": "Merge",
+  "La copia del {fecha} no es válida.": "The backup from {fecha} is not valid.",
+  "Copias automáticas": "Automatic backups",
+  "{n} cursos": { one: "{n} course", other: "{n} courses" },
+  "Restaurar": "Restore",
+  "Todavía no hay copias.": "No backups yet.",
+  "Guardado en {almacen}": "Stored in {almacen}",
+  "{usado} de {total} usados": "{usado} of {total} used",
+  "Restaurar Copia": "Restore backup",
+  "Los datos actuales se sustituirán por los del {fecha}. Podrás deshacerlo.": "The current data will be replaced by the data from {fecha}. You can undo this.",
+  "Registro de actividad": "Activity log",
+  "Filtrar (ej: nombre del alumno o título)": "Filter (e.g. student name or title)",
+  "Sin actividad registrada.": "No activity recorded.",
+  "Ver más": "Show more",
+  "Pruebas internas": "Internal tests",
+  "Ejecutando…": "Running…",
+  "Ejecutar pruebas": "Run tests",
+  "{ok}/{total} pruebas OK": "{ok}/{total} tests passed",
+  "… y {n} problemas más.": { one: "… and {n} more problem.", other: "… and {n} more problems." },
+  "No se pudo cargar el lector de códigos.": "The barcode reader could not be loaded.",
+  "No se pudo abrir esa cámara.": "That camera could not be opened.",
+  "La linterna no está disponible.": "The torch is not available.",
+  "No se puede usar la cámara en este dispositivo. Haz fotos de los códigos de barras y elígelas con el botón de fotos.": "The camera cannot be used on this device. Take photos of the barcodes and pick them with the photos button.",
+  "Buscando códigos… {hechas}/{n} fotos": { one: "Looking for codes… {hechas}/{n} photo", other: "Looking for codes… {hechas}/{n} photos" },
+  "{leidos} códigos leídos en {n} fotos.": { one: "{leidos} codes read in {n} photo.", other: "{leidos} codes read in {n} photos." },
+  "Cámara": "Camera",
+  "Trasera (automática)": "Rear (automatic)",
+  "Cámara {n}": "Camera {n}",
+  "Solo códigos de libro (EAN-13): ignora etiquetas de ejemplar y carnés": "Book codes only (EAN-13): ignore copy labels and cards",
+  "No repetir el mismo código durante": "Don't repeat the same code for",
+  "Linterna": "Torch",
+  "Ajustes de la cámara": "Camera settings",
+  "Leer códigos desde fotos": "Read codes from photos",
+  "Lectura incorrecta: el dígito de control de {codigo} no cuadra.": "Bad read: the check digit of {codigo} does not match.",
+  "El código {codigo} no es de un libro (un ISBN empieza por 978 o 979).": "Code {codigo} is not a book (an ISBN starts with 978 or 979).",
+  "\"{texto}\" no es un ISBN.": "\"{texto}\" is not an ISBN.",
+  "No se pudo conectar con el servidor.": "Could not connect to the server.",
+  "El año escolar no es texto.": "The school year is not text.",
+  "\"archivo\" no es una lista.": "\"archivo\" is not a list.",
+  "Año archivado {n}: falta el año escolar.": "Archived year {n}: the school year is missing.",
+  "Año archivado {anio}: faltan cursos, clases o alumnos.": "Archived year {anio}: courses, classes or students are missing.",
+  "{entidad} {n}: falta el id.": "{entidad} {n}: the id is missing.",
+  "{entidad} {n}: id duplicado \"{id}\".": "{entidad} {n}: duplicate id \"{id}\".",
+  "Curso {n}: falta el nombre.": "Course {n}: the name is missing.",
+  "{entidad}: \"libros\" no es una lista.": "{entidad}: \"libros\" is not a list.",
+  "{entidad}, libro {n}: el ISBN no es texto.": "{entidad}, book {n}: the ISBN is not text.",
+  "{entidad}: ISBN {isbn} repetido.": "{entidad}: ISBN {isbn} repeated.",
+  "{entidad}, libro {isbn}: el título no es texto.": "{entidad}, book {isbn}: the title is not text.",
+  "{entidad}, libro {isbn}: \"{campo}\" no es texto.": "{entidad}, book {isbn}: \"{campo}\" is not text.",
+  "{entidad}, libro {isbn}: ejemplar sin código.": "{entidad}, book {isbn}: copy without a code.",
+  "Ejemplar {codigo} repetido.": "Copy {codigo} repeated.",
+  "Clase {n}: falta el nombre.": "Class {n}: the name is missing.",
+  "Clase \"{nombre}\": el curso {curso} no existe.": "Class \"{nombre}\": course {curso} does not exist.",
+  "Alumno {n}: falta el nombre.": "Student {n}: the name is missing.",
+  "{entidad}: la clase {clase} no existe.": "{entidad}: class {clase} does not exist.",
+  "{entidad}: \"{campo}\" no es texto.": "{entidad}: \"{campo}\" is not text.",
+  "{entidad}: \"firmas\" no es una lista.": "{entidad}: \"firmas\" is not a list.",
+  "{entidad}, firma {n}: falta el id o la imagen.": "{entidad}, signature {n}: the id or image is missing.",
+  "{entidad}: \"prestamos\" no es una lista.": "{entidad}: \"prestamos\" is not a list.",
+  "{entidad}, préstamo {n}: el ISBN no es texto.": "{entidad}, loan {n}: the ISBN is not text.",
+  "{entidad}, préstamo {n}: estado \"{estado}\" desconocido.": "{entidad}, loan {n}: unknown status \"{estado}\".",
+  "{entidad}, préstamo {n}: la firma {firma} no existe.": "{entidad}, loan {n}: signature {firma} does not exist.",
+  "{alumno} ya tiene \"{libro}\" (ejemplar {ejemplar}).": "{alumno} already has \"{libro}\" (copy {ejemplar}).",
+  "{alumno} ya tiene \"{libro}\".": "{alumno} already has \"{libro}\".",
+  "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.": { one: "Catalogue loaded: {n} book, {descartados} discarded for having no ISBN or title.", other: "Catalogue loaded: {n} books, {descartados} discarded for having no ISBN or title." },
+  "Catálogo cargado: {n} libros.": { one: "Catalogue loaded: {n} book.", other: "Catalogue loaded: {n} books." },
+  "Devuelto": "Returned",
+  "Perdido": "Lost",
+  "Dañado": "Damaged",
+  "Pendiente": "Pending",
+  "Título": "Title",
+  "Contacto del tutor": "Guardian contact",
+  "Este dispositivo": "This device",
+  "Fichero": "File",
+  "Administración": "Administration",
+  "Madre": "Mother",
+  "Padre": "Father",
+  "Tutor/a legal": "Legal guardian",
+  "Otra persona autorizada": "Other authorised person",
+  "alumno_nombre": "student_name",
+  "clase_nombre": "class_name",
+  "curso_nombre": "course_name",
+  "libro_isbn": "book_isbn",
+  "libro_titulo": "book_title",
+  "entregado": "delivered",
+  "estado": "status",
+  "fecha_entrega": "delivery_date",
+  "fecha_devolucion": "return_date",
+  "pendiente": "pending",
+  "devuelto": "returned",
+  "perdido": "lost",
+  "dañado": "damaged",
+  "fecha": "date",
+  "accion": "action",
+  "descripcion": "description",
+  "Código de centro incorrecto.": "Wrong school code.",
+  "Operación incompleta.": "Incomplete operation.",
+  "Otro dispositivo ha hecho cambios mientras tanto.": "Another device has made changes in the meantime.",
+  "Falta el dispositivo.": "The device is missing.",
+  "Faltan el dispositivo o las operaciones.": "The device or the operations are missing.",
+  "No encontrado.": "Not found.",
+  "Petición demasiado grande.": "Request too large.",
+  "El cuerpo no es JSON.": "The body is not JSON.",
+  "Error interno.": "Internal error.",
+  "Otro dispositivo lo había cambiado antes y ya no tenía efecto.": "Another device had already changed it, so it had no effect.",
+  "Error {estado} del servidor.": "Server error {estado}.",
+  "Nuevo": "New",
+  "Bueno": "Good",
+  "Aceptable": "Fair",
+  "Deteriorado": "Worn",
+  "tutor": "guardian",
+  "contacto_tutor": "guardian_contact",
+  "conservacion_entrega": "condition_on_delivery",
+  "conservacion_devolucion": "condition_on_return",
+  "importe": "amount",
+  "fecha_pago": "payment_date",
+  "Pagado el {fecha}": "Paid on {fecha}",
+  "Libros por reponer": "Books to replace",
+  "Estado": "Condition",
+  "Importe": "Amount",
+  "Pago": "Payment",
+  "No tiene libros por reponer.": "No books to replace.",
+  "Total pendiente: {importe}": "Total outstanding: {importe}",
+  "Los libros anteriores se han perdido o se han devuelto en mal estado. Para reponerlos, la familia debe abonar el importe indicado en el centro.": "The books above have been lost or returned in poor condition. To replace them, the family must pay the amount shown at the school.",
+  "Reposición {alumno}": "Replacement {alumno}",
+  "Reposiciones {clase}": "Replacements {clase}",
+  "Precio de reposición de {libro} quitado": "Replacement price of {libro} removed",
+  "Precio de reposición de {libro}: {importe}": "Replacement price of {libro}: {importe}",
+  "{libro} entregado a {alumno} en estado {condicion}": "{libro} handed to {alumno} in {condicion} condition",
+  "Devuelto {libro} por {alumno} en estado {condicion}": "{libro} returned by {alumno} in {condicion} condition",
+  "Reposición pagada por {alumno}": "Replacement paid by {alumno}",
+  "Pago de reposición anulado: {alumno}": "Replacement payment cancelled: {alumno}",
+  "Nadie en la clase tiene reposiciones pendientes de pago.": "Nobody in the class has replacements left to pay.",
+  "Nadie en la clase tiene libros perdidos o dañados.": "Nobody in the class has lost or damaged books.",
+  "Reposiciones (CSV)": "Replacements (CSV)",
+  "Al entregarlo": "On delivery",
+  "Al devolverlo": "On return",
+  "Reposición: {importe}": "Replacement: {importe}",
+  "sin precio": "no price",
+  "pagada {fecha}": "paid {fecha}",
+  "Estado al entregarlo": "Condition on delivery",
+  "No se pudo leer la imagen {archivo}.": "Could not read the image {archivo}.",
+  "Foto {numero}": "Photo {numero}",
+  "\"{libro}\" marcado como perdido.": "\"{libro}\" marked as lost.",
+  "\"{libro}\" devuelto con daños.": "\"{libro}\" returned damaged.",
+  "\"{libro}\" devuelto.": "\"{libro}\" returned.",
+  "Estado de \"{libro}\" anotado.": "Condition of \"{libro}\" recorded.",
+  "Devolución de \"{libro}\"": "Return of \"{libro}\"",
+  "Estado de \"{libro}\" al entregarlo": "Condition of \"{libro}\" on delivery",
+  "Estado del libro": "Book condition",
+  "La familia tendrá que pagar la reposición: {importe}.": "The family will have to pay for the replacement: {importe}.",
+  "El libro no tiene precio de reposición; se fija en Gestión.": "The book has no replacement price; it is set in Admin.",
+  "Páginas rotas, subrayado, sin forro…": "Torn pages, underlining, no cover…",
+  "Fotos": "Photos",
+  "Añadir foto": "Add photo",
+  "Quitar foto": "Remove photo",
+  "Hasta {n} fotos de los daños o del estado del libro.": "Up to {n} photos of the damage or the book's condition.",
+  "Imprimir aviso para la familia": "Print notice for the family",
+  "Aviso": "Notice",
+  "Pagado": "Paid",
+  "Total pendiente": "Total outstanding",
+  "reposición {importe}": "replacement {importe}",
+  "Precio de reposición": "Replacement price",
+  "Precio de Reposición": "Replacement Price",
+  "Lo que paga la familia si \"{libro}\" se pierde o se devuelve deteriorado, en euros. Déjalo vacío para quitarlo.": "What the family pays if \"{libro}\" is lost or returned worn, in euros. Leave it empty to remove it.",
+  "\"{valor}\" no es un importe válido.": "\"{valor}\" is not a valid amount.",
+  "{entidad}, libro {isbn}: el precio no es un importe válido.": "{entidad}, book {isbn}: the price is not a valid amount.",
+  "{entidad}, préstamo {n}: estado de conservación \"{condicion}\" desconocido.": "{entidad}, loan {n}: unknown condition \"{condicion}\".",
+  "{entidad}, préstamo {n}: las fotos no son imágenes.": "{entidad}, loan {n}: the photos are not images.",
+  "El prefijo no puede quedar vacío.": "The prefix cannot be empty.",
+  "Los datos guardados están dañados.": "The saved data is corrupted.",
+  "Los datos guardados no son válidos.": "The saved data is not valid.",
+  "No se ha guardado nada todavía. Elige con qué datos seguir:": "Nothing has been saved yet. Choose which data to continue with:",
+  "Copia automática del {fecha}": "Automatic backup from {fecha}",
+  "Descargar los datos guardados": "Download the saved data",
+  "Empezar sin datos": "Start with no data",
+  "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.": { one: "{n} copy in the file had the code of another copy on this device: it gets a new one and its label must be reprinted.", other: "{n} copies in the file had the code of another copy on this device: they get new ones and their labels must be reprinted." },
+  "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.": { one: "{n} student would be left without a class because their destination course does not move to the new year. Tick that course, choose another class or mark them as leaving.", other: "{n} students would be left without a class because their destination course does not move to the new year. Tick that course, choose another class or mark them as leaving." },
+  "El archivo es del año escolar {importado} y estos datos son del {local}: no se pueden combinar.": "The file is from the {importado} school year and this data is from {local}: they cannot be merged.",
+  "Con la sincronización activada no se puede deshacer": "Undo is not available while sync is on",
+  "Datos puestos al día con el servidor": "Data brought up to date from the server",
+  "Los datos recibidos del servidor no son válidos.": "The data received from the server is not valid.",
+  "Instantánea no válida.": "Invalid snapshot.",
+  "Sustituir los datos de este dispositivo por los del servidor": "Replace this device's data with the server's",
+  "Desemparejar este dispositivo del servidor": "Unpair this device from the server",
+  "perfil": "profile",
+  "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.": { one: "{n} replacement is still unpaid: it can be looked up in the archive.", other: "{n} replacements are still unpaid: they can be looked up in the archive." },
+  "{n} alumnos quedaron debiendo reposiciones: {importe} en total.": { one: "{n} student still owed replacements: {importe} in total.", other: "{n} students still owed replacements: {importe} in total." },
+  "Sin pagar": "Unpaid",
+  "Foto hecha en otro dispositivo": "Photo taken on another device",
+  "Error al exportar: {error}": "Export error: {error}",
+  "Los datos actuales se sustituirán por los del {fecha} en todos los dispositivos sincronizados. Con la sincronización activada no se puede deshacer.": "The current data will be replaced with the data from {fecha} on every synced device. Undo is not available while sync is on.",
+};
@@ -0,0 +1,45 @@
+// Castellano. Las claves ya son el texto en castellano: aquí solo van las formas de singular
+// de los textos con cantidad.
+
+export default {
+  "{con} de {n} alumnos con libros pendientes": { one: "{con} de {n} alumno con libros pendientes", other: "{con} de {n} alumnos con libros pendientes" },
+  "{n} libros en total": { one: "{n} libro en total", other: "{n} libros en total" },
+  "{n} clases": { one: "{n} clase", other: "{n} clases" },
+  "{n} alumnos": { one: "{n} alumno", other: "{n} alumnos" },
+  "{n} libros añadidos a {curso}": { one: "{n} libro añadido a {curso}", other: "{n} libros añadidos a {curso}" },
+  "{n} ejemplares registrados de {libro}": { one: "{n} ejemplar registrado de {libro}", other: "{n} ejemplares registrados de {libro}" },
+  "{n} etiquetas impresas": { one: "{n} etiqueta impresa", other: "{n} etiquetas impresas" },
+  "{n} alumnos importados a {clase}": { one: "{n} alumno importado a {clase}", other: "{n} alumnos importados a {clase}" },
+  "{n} alumnos movidos a {clase}": { one: "{n} alumno movido a {clase}", other: "{n} alumnos movidos a {clase}" },
+  "{n} alumnos movidos a {clase}.": { one: "{n} alumno movido a {clase}.", other: "{n} alumnos movidos a {clase}." },
+  "{n} alumnos añadidos a {clase}.": { one: "{n} alumno añadido a {clase}.", other: "{n} alumnos añadidos a {clase}." },
+  "{n} alumnos añadidos.": { one: "{n} alumno añadido.", other: "{n} alumnos añadidos." },
+  "{n} filas omitidas:": { one: "{n} fila omitida:", other: "{n} filas omitidas:" },
+  "{n} nuevos": { one: "{n} nuevo", other: "{n} nuevos" },
+  "{n} se omitirán": { one: "{n} se omitirá", other: "{n} se omitirán" },
+  "{n} libros siguen sin devolver: solo constarán en el archivo.": { one: "{n} libro sigue sin devolver: solo constará en el archivo.", other: "{n} libros siguen sin devolver: solo constarán en el archivo." },
+  "PIN incorrecto. Quedan {n} intentos.": { one: "PIN incorrecto. Queda {n} intento.", other: "PIN incorrecto. Quedan {n} intentos." },
+  "{n} cambios no aplicados": { one: "{n} cambio no aplicado", other: "{n} cambios no aplicados" },
+  "{n} cambios por enviar": { one: "{n} cambio por enviar", other: "{n} cambios por enviar" },
+  "{n} libros": { one: "{n} libro", other: "{n} libros" },
+  "{n} ejemplares": { one: "{n} ejemplar", other: "{n} ejemplares" },
+  "{n} ejemplares registrados. Imprime sus etiquetas.": { one: "{n} ejemplar registrado. Imprime su etiqueta.", other: "{n} ejemplares registrados. Imprime sus etiquetas." },
+  "{n} libros añadidos a {curso}.": { one: "{n} libro añadido a {curso}.", other: "{n} libros añadidos a {curso}." },
+  "{n} libros añadidos": { one: "{n} libro añadido", other: "{n} libros añadidos" },
+  "{n} libros para añadir": { one: "{n} libro para añadir", other: "{n} libros para añadir" },
+  "{n} sin título, se buscarán": { one: "{n} sin título, se buscará", other: "{n} sin título, se buscarán" },
+  "{n} sin título encontrado: revísalos en la lista.": { one: "{n} sin título encontrado: revísalo en la lista.", other: "{n} sin título encontrado: revísalos en la lista." },
+  "{n} ISBN no válidos:": { one: "{n} ISBN no válido:", other: "{n} ISBN no válidos:" },
+  "{n} duplicados omitidos:": { one: "{n} duplicado omitido:", other: "{n} duplicados omitidos:" },
+  "{n} datos distintos en ambos lados. Elige cuál conservar:": { one: "{n} dato distinto en ambos lados. Elige cuál conservar:", other: "{n} datos distintos en ambos lados. Elige cuál conservar:" },
+  "{n} cursos": { one: "{n} curso", other: "{n} cursos" },
+  "… y {n} problemas más.": { one: "… y {n} problema más.", other: "… y {n} problemas más." },
+  "Buscando códigos… {hechas}/{n} fotos": { one: "Buscando códigos… {hechas}/{n} foto", other: "Buscando códigos… {hechas}/{n} fotos" },
+  "{leidos} códigos leídos en {n} fotos.": { one: "{leidos} códigos leídos en {n} foto.", other: "{leidos} códigos leídos en {n} fotos." },
+  "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.": { one: "Catálogo cargado: {n} libro, {descartados} descartados por no tener ISBN o título.", other: "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título." },
+  "Catálogo cargado: {n} libros.": { one: "Catálogo cargado: {n} libro.", other: "Catálogo cargado: {n} libros." },
+  "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.": { one: "{n} ejemplar del fichero tenía el código de otra copia de este dispositivo: se le da uno nuevo y habrá que reimprimir su etiqueta.", other: "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas." },
+  "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.": { one: "{n} alumno se quedaría sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que sale.", other: "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen." },
+  "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.": { one: "{n} reposición sigue sin pagar: se podrá consultar en el archivo.", other: "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo." },
+  "{n} alumnos quedaron debiendo reposiciones: {importe} en total.": { one: "{n} alumno quedó debiendo reposiciones: {importe} en total.", other: "{n} alumnos quedaron debiendo reposiciones: {importe} en total." },
+};
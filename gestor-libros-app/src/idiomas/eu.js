@@ -0,0 +1,537 @@
+// Euskera. Las claves son los textos en castellano de la app (ver src/i18n.js).
+
+export default {
+  "Sin nombre": "Izenik gabe",
+  "Ya existe en la clase": "Badago jada ikasgelan",
+  "No empieza por un ISBN.": "Ez da ISBN batekin hasten.",
+  "Ya está en el curso": "Badago jada mailan",
+  "Repetido en la lista": "Zerrendan errepikatuta",
+  "Versión de datos {version} no compatible con esta aplicación (v{esquema}).": "{version} datu-bertsioa ez da aplikazio honekin bateragarria (v{esquema}).",
+  "No hay migración desde la versión {version}.": "Ez dago migraziorik {version} bertsiotik.",
+  "Curso": "Maila",
+  "Clase": "Ikasgela",
+  "Alumno": "Ikaslea",
+  "Curso \"{nombre}\"": "\"{nombre}\" maila",
+  "Alumno \"{nombre}\"": "\"{nombre}\" ikaslea",
+  "El fichero no contiene un objeto de datos.": "Fitxategiak ez du datu-objekturik.",
+  "Falta la lista \"{lista}\".": "\"{lista}\" zerrenda falta da.",
+  "Etiquetas {curso}": "Etiketak {curso}",
+  "Carnés {clase}": "Txartelak {clase}",
+  "Centro": "Ikastetxea",
+  "Alumno/a": "Ikaslea",
+  "Familia o tutor legal": "Familia edo legezko tutorea",
+  "Albarán de entrega de libros": "Liburuen entrega-agiria",
+  "Curso {anio}": "{anio} ikasturtea",
+  "Libro": "Liburua",
+  "Ejemplar": "Alea",
+  "Entregado": "Emanda",
+  "No tiene libros entregados.": "Ez du libururik jaso.",
+  "El alumno o alumna recibe los libros anteriores en préstamo y se compromete a cuidarlos y devolverlos al final del curso.": "Ikasleak aurreko liburuak maileguan jasotzen ditu eta haiek zaintzeko eta ikasturte amaieran itzultzeko konpromisoa hartzen du.",
+  "Firma": "Sinadura",
+  "Albarán {alumno}": "Agiria {alumno}",
+  "Albaranes {clase}": "Agiriak {clase}",
+  "Libros pendientes": "Liburu falta direnak",
+  "{con} de {n} alumnos con libros pendientes": "{n} ikasletik {con}ek liburuak falta dituzte",
+  "{n} libros en total": "{n} liburu guztira",
+  "Nº": "Zk.",
+  "Total": "Guztira",
+  "Todos los alumnos tienen sus libros.": "Ikasle guztiek dituzte beren liburuak.",
+  "Pendientes {clase}": "Falta direnak {clase}",
+  "{libres} de {total}": "{total}(e)tik {libres}",
+  "Por entregar": "Emateko",
+  "Ejemplares libres": "Ale libreak",
+  "Resumen de entregas": "Entregen laburpena",
+  "{n} clases": "{n} ikasgela",
+  "{n} alumnos": "{n} ikasle",
+  "El curso no tiene libros.": "Mailak ez du libururik.",
+  "Resumen {curso}": "Laburpena {curso}",
+  "Curso creado: {curso}": "Maila sortuta: {curso}",
+  "Curso eliminado: {curso}": "Maila ezabatuta: {curso}",
+  "Libro añadido a {curso}: {libro}": "Liburua gehituta {curso} mailan: {libro}",
+  "{n} libros añadidos a {curso}": "{n} liburu gehituta {curso} mailan",
+  "Libro quitado de {curso}: {libro}": "Liburua kenduta {curso} mailatik: {libro}",
+  "Datos actualizados de {libro}": "{libro}: datuak eguneratuta",
+  "Orden de libros cambiado en {curso}": "Liburuen ordena aldatuta {curso} mailan",
+  "{n} ejemplares registrados de {libro}": "{libro}: {n} ale erregistratuta",
+  "{n} etiquetas impresas": "{n} etiketa inprimatuta",
+  "Prefijo de etiquetas: {prefijo}": "Etiketen aurrizkia: {prefijo}",
+  "Clase creada: {clase} ({curso})": "Ikasgela sortuta: {clase} ({curso})",
+  "Clase eliminada: {clase}": "Ikasgela ezabatuta: {clase}",
+  "Alumno añadido a {clase}: {alumno}": "Ikaslea gehituta {clase} ikasgelan: {alumno}",
+  "{n} alumnos importados a {clase}": "{n} ikasle inportatuta {clase} ikasgelara",
+  "Alumno eliminado: {alumno}": "Ikaslea ezabatuta: {alumno}",
+  "Curso {curso} renombrado a {nombre}": "{curso} maila {nombre} izenez aldatuta",
+  "Clase {clase} renombrada a {nombre}": "{clase} ikasgela {nombre} izenez aldatuta",
+  "Título de {libro} cambiado a «{titulo}»": "{libro}: izenburua «{titulo}» izatera aldatuta",
+  "{alumno} editado y movido a {clase}": "{alumno} editatuta eta {clase} ikasgelara eramanda",
+  "Ficha de {alumno} editada": "{alumno}: fitxa editatuta",
+  "{n} alumnos movidos a {clase}": "{n} ikasle {clase} ikasgelara eramanda",
+  "Entregado {libro} ({ejemplar}) a {alumno}": "{libro} ({ejemplar}) emanda {alumno} ikasleari",
+  "Entregado {libro} a {alumno}": "{libro} emanda {alumno} ikasleari",
+  "Entrega a {alumno} firmada por {nombre} ({relacion})": "{alumno}: entrega {nombre}(e)k sinatuta ({relacion})",
+  "Entrega anulada: {libro} de {alumno}": "Entrega baliogabetuta: {alumno} ikaslearen {libro}",
+  "Devuelto {libro} por {alumno}": "{alumno} ikasleak {libro} itzulita",
+  "{libro} de {alumno} marcado como {estado}": "{alumno} ikaslearen {libro}: {estado} gisa markatuta",
+  "Datos importados desde fichero": "Datuak fitxategitik inportatuta",
+  "Datos combinados desde fichero": "Datuak fitxategitik konbinatuta",
+  "Copia automática del {fecha} restaurada": "{fecha}(e)ko kopia automatikoa leheneratuta",
+  "Año {anio} archivado; empieza el {nuevo}": "{anio} ikasturtea artxibatuta; {nuevo} hasten da",
+  "Todos los datos borrados": "Datu guztiak ezabatuta",
+  "Deshecho: {accion}": "Desegina: {accion}",
+  "Rehecho: {accion}": "Berregina: {accion}",
+  "Datos iniciales de {dispositivo}": "{dispositivo}: hasierako datuak",
+  "Otro dispositivo: {accion}": "Beste gailu bat: {accion}",
+  "No se pudo cargar @zxing/browser desde CDN.": "Ezin izan da @zxing/browser CDNtik kargatu.",
+  "Aceptar": "Ados",
+  "Lectores USB o Bluetooth que escriben el código como un teclado": "Kodea teklatu batek bezala idazten duten USB edo Bluetooth irakurgailuak",
+  "Lector externo: activo": "Kanpoko irakurgailua: aktibo",
+  "Lector externo": "Kanpoko irakurgailua",
+  "Sin espacio de almacenamiento: los últimos cambios no se han guardado. Exporta una copia y libera espacio.": "Ez dago biltegiratze-lekurik: azken aldaketak ez dira gorde. Esportatu kopia bat eta egin lekua.",
+  "No se pudieron guardar los cambios.": "Ezin izan dira aldaketak gorde.",
+  "No se pudieron cargar los datos guardados: {error}": "Ezin izan dira gordetako datuak kargatu: {error}",
+  "Cargando datos…": "Datuak kargatzen…",
+  "Gestor de Libros": "Liburu-kudeatzailea",
+  "Bloquear ({nombre})": "Blokeatu ({nombre})",
+  "Deshacer: {accion}": "Desegin: {accion}",
+  "Nada que deshacer": "Ez dago ezer desegiteko",
+  "Rehacer: {accion}": "Berregin: {accion}",
+  "Nada que rehacer": "Ez dago ezer berregiteko",
+  "Control": "Kontrola",
+  "Alumnos": "Ikasleak",
+  "Gestión": "Kudeaketa",
+  "Deshacer": "Desegin",
+  "Buscar alumno, clase, libro o ISBN": "Bilatu ikaslea, ikasgela, liburua edo ISBNa",
+  "Sin resultados.": "Ez dago emaitzarik.",
+  "Lo tienen ({n})": "Badute ({n})",
+  "Pendiente de entregar ({n})": "Emateko ({n})",
+  "Clases": "Ikasgelak",
+  "Cursos": "Mailak",
+  "Libros": "Liburuak",
+  "Escanea primero el carné de un alumno.": "Eskaneatu lehenik ikasle baten txartela.",
+  "\"{libro}\" marcado.": "\"{libro}\" markatuta.",
+  "Libro no encontrado en la lista del curso.": "Liburua ez dago mailako zerrendan.",
+  "Permite las ventanas emergentes para imprimir.": "Baimendu leiho gainerakorrak inprimatzeko.",
+  "Ningún alumno de la clase tiene libros entregados.": "Ikasgelako ikasle batek ere ez du libururik jaso.",
+  "Carné no reconocido.": "Txartela ez da ezagutu.",
+  "Alumno activo: {alumno}": "Ikasle aktiboa: {alumno}",
+  "El ejemplar {ejemplar} es del curso \"{curso}\".": "{ejemplar} alea \"{curso}\" mailakoa da.",
+  "El ejemplar {ejemplar} ya está asignado a {alumno}.": "{ejemplar} alea {alumno} ikasleari esleituta dago jada.",
+  "{alumno} ya tiene el ejemplar {ejemplar}.": "{alumno} ikasleak badu jada {ejemplar} alea.",
+  "\"{libro}\" ({ejemplar}) asignado.": "\"{libro}\" ({ejemplar}) esleituta.",
+  "1. Selecciona una clase": "1. Hautatu ikasgela bat",
+  "— Elige una clase —": "— Aukeratu ikasgela bat —",
+  "2. Selecciona un alumno": "2. Hautatu ikasle bat",
+  "— Elige un alumno —": "— Aukeratu ikasle bat —",
+  "Por alumno": "Ikasleka",
+  "Toda la clase": "Ikasgela osoa",
+  "Albaranes de la clase": "Ikasgelako agiriak",
+  "Informe de pendientes": "Falta direnen txostena",
+  "ISBN, ejemplar o carné": "ISBNa, alea edo txartela",
+  "Escanear libros de {alumno}": "Eskaneatu {alumno} ikaslearen liburuak",
+  "Lista de libros ({curso})": "Liburu-zerrenda ({curso})",
+  "Firmar la recogida de los libros": "Sinatu liburuen jasotzea",
+  "Firmar ({n})": "Sinatu ({n})",
+  "Imprimir albarán de entrega": "Inprimatu entrega-agiria",
+  "Albarán": "Agiria",
+  "Selecciona un alumno para ver su progreso.": "Hautatu ikasle bat haren aurrerapena ikusteko.",
+  "Selecciona una clase para empezar.": "Hautatu ikasgela bat hasteko.",
+  "Escanear carné de alumno": "Eskaneatu ikasle-txartela",
+  "Alumno: {alumno}": "Ikaslea: {alumno}",
+  "Escanea un carné de alumno": "Eskaneatu ikasle-txartel bat",
+  "entregado {fecha}": "emanda {fecha}",
+  "devuelto {fecha}": "itzulita {fecha}",
+  "ejemplar": "alea",
+  "Firmado por {nombre} ({relacion}) el {fecha}": "{nombre}(e)k sinatua ({relacion}), {fecha}",
+  "Registrar devolución": "Erregistratu itzulketa",
+  "Marcar como dañado": "Markatu hondatuta gisa",
+  "Marcar como perdido": "Markatu galduta gisa",
+  "Anular entrega": "Baliogabetu entrega",
+  "Entrega firmada por {nombre}.": "Entrega {nombre}(e)k sinatuta.",
+  "Recogida de libros de {alumno}": "{alumno} ikaslearen liburuen jasotzea",
+  "Nombre de quien firma": "Sinatzen duenaren izena",
+  "Relación": "Harremana",
+  "Elige…": "Aukeratu…",
+  "Borrar": "Ezabatu",
+  "Firmar más tarde": "Sinatu geroago",
+  "Guardar firma": "Gorde sinadura",
+  "Esta clase no tiene alumnos.": "Ikasgela honek ez du ikaslerik.",
+  "El curso \"{curso}\" no tiene libros.": "\"{curso}\" mailak ez du libururik.",
+  "Entregas de la clase": "Ikasgelako entregak",
+  "Orden de lista": "Zerrendako ordena",
+  "Más pendientes primero": "Falta gehien dituztenak lehenik",
+  "Selecciona una clase": "Hautatu ikasgela bat",
+  "Añadir alumno a {clase}": "Gehitu ikaslea {clase} ikasgelan",
+  "Nombre del alumno": "Ikaslearen izena",
+  "Importar lista de alumnos": "Inportatu ikasle-zerrenda",
+  "Imprimir carnés de la clase": "Inprimatu ikasgelako txartelak",
+  "Mover alumnos a otra clase": "Eraman ikasleak beste ikasgela batera",
+  "Editar ficha": "Editatu fitxa",
+  "Eliminar alumno": "Ezabatu ikaslea",
+  "Ficha de {alumno}": "{alumno}: fitxa",
+  "Nombre": "Izena",
+  "Apellidos": "Abizenak",
+  "Nº de lista": "Zerrendako zk.",
+  "Tutor legal": "Legezko tutorea",
+  "Teléfono o correo": "Telefonoa edo posta",
+  "Notas": "Oharrak",
+  "Cancelar": "Utzi",
+  "Guardar": "Gorde",
+  "{n} alumnos movidos a {clase}.": "{n} ikasle {clase} ikasgelara eramanda.",
+  "Mover alumnos": "Eraman ikasleak",
+  "Mover": "Eraman",
+  "Columna {n}": "{n}. zutabea",
+  "{n} alumnos añadidos a {clase}.": "{n} ikasle gehituta {clase} ikasgelan.",
+  "Importar alumnos a {clase}": "Inportatu ikasleak {clase} ikasgelara",
+  "{n} alumnos añadidos.": "{n} ikasle gehituta.",
+  "{n} filas omitidas:": "{n} errenkada saltatuta:",
+  "Fila {n}": "{n}. errenkada",
+  "(vacía)": "(hutsik)",
+  "Pega las filas de una hoja de cálculo o elige un fichero CSV.": "Itsatsi kalkulu-orri bateko errenkadak edo aukeratu CSV fitxategi bat.",
+  "Nombre\tApellidos\tNº\nAna\tGarcía López\t1": "Izena\tAbizenak\tZk.\nAne\tEtxeberria Agirre\t1",
+  "La primera fila es la cabecera": "Lehen errenkada goiburua da",
+  "Elegir fichero": "Aukeratu fitxategia",
+  "— Ninguna —": "— Bat ere ez —",
+  "{n} nuevos": "{n} berri",
+  "{n} se omitirán": "{n} saltatuko dira",
+  "Cerrar": "Itxi",
+  "Importar": "Inportatu",
+  "Año escolar {anio}": "{anio} ikasturtea",
+  "Cerrar el año": "Itxi ikasturtea",
+  "Archivo {anio}": "Artxiboa {anio}",
+  "Todavía no hay años archivados.": "Oraindik ez dago ikasturte artxibaturik.",
+  "Cerrar el año {anio}": "Itxi {anio} ikasturtea",
+  "Los cursos, clases, alumnos y préstamos de este año se guardarán en el archivo, donde se podrán consultar pero no modificar.": "Ikasturte honetako mailak, ikasgelak, ikasleak eta maileguak artxiboan gordeko dira; han kontsultatu ahal izango dira, baina ez aldatu.",
+  "Nuevo año escolar": "Ikasturte berria",
+  "Cursos del año nuevo (con la misma lista de libros)": "Ikasturte berriko mailak (liburu-zerrenda berarekin)",
+  "¿A qué clase pasan los alumnos?": "Zein ikasgelatara igarotzen dira ikasleak?",
+  "Salen del centro": "Ikastetxetik irtetzen dira",
+  "repetidores y bajas": "errepikatzaileak eta bajak",
+  "Como su clase": "Bere ikasgela bezala",
+  "Repite": "Errepikatzen du",
+  "Baja": "Baja",
+  "{pasan} alumnos pasan de clase, {repiten} repiten y {salen} salen.": "{pasan} ikasle ikasgelaz aldatzen dira, {repiten}(e)k errepikatzen dute eta {salen} irtetzen dira.",
+  "{n} libros siguen sin devolver: solo constarán en el archivo.": "{n} liburu itzuli gabe daude oraindik: artxiboan bakarrik agertuko dira.",
+  "Cerrar año": "Itxi ikasturtea",
+  "Entrar": "Sartu",
+  "Demasiados intentos. Espera {n} s.": "Saiakera gehiegi. Itxaron {n} s.",
+  "Demasiados intentos. Espera un minuto.": "Saiakera gehiegi. Itxaron minutu bat.",
+  "PIN incorrecto. Quedan {n} intentos.": "PIN okerra. {n} saiakera geratzen dira.",
+  "PIN de {nombre}": "{nombre}: PINa",
+  "Otro perfil": "Beste profil bat",
+  "¿Quién eres?": "Nor zara?",
+  "Confirma con tu PIN": "Berretsi zure PINarekin",
+  "Confirmar": "Berretsi",
+  "Perfil creado: desde ahora la app pide PIN.": "Profila sortuta: hemendik aurrera aplikazioak PINa eskatuko du.",
+  "Perfil de {nombre} creado.": "{nombre}: profila sortuta.",
+  "Tiene que quedar al menos un perfil de administración.": "Gutxienez administrazio-profil batek geratu behar du.",
+  "Borrar el perfil de {nombre}": "Ezabatu {nombre}(r)en profila",
+  "Personal y acceso": "Langileak eta sarbidea",
+  "Sin perfiles, cualquiera que tenga el dispositivo puede entrar en Gestión. Crea un perfil de administración para proteger la app con PIN.": "Profilik gabe, gailua duen edonork sar daiteke Kudeaketan. Sortu administrazio-profil bat aplikazioa PINarekin babesteko.",
+  "Control solo puede escanear y marcar entregas; Administración tiene acceso a todo. Las acciones destructivas piden el PIN otra vez.": "Kontrolak eskaneatu eta entregak markatu besterik ezin du egin; Administrazioak dena du eskura. Ekintza suntsitzaileek PINa berriro eskatzen dute.",
+  "tú": "zu",
+  "Borrar perfil": "Ezabatu profila",
+  "Bloquear tras": "Blokeatu",
+  "{n} min sin actividad": "{n} min jarduerarik gabe",
+  "PIN (4 a 8 cifras)": "PINa (4tik 8ra zifra)",
+  "Repite el PIN": "Errepikatu PINa",
+  "Añadir perfil": "Gehitu profila",
+  "Sincronizado": "Sinkronizatuta",
+  "Sincronizando…": "Sinkronizatzen…",
+  "{n} cambios no aplicados": "{n} aldaketa aplikatu gabe",
+  "Sin conexión con el servidor": "Zerbitzariarekin konexiorik gabe",
+  "{n} cambios por enviar": "{n} aldaketa bidaltzeko",
+  "No se pudo emparejar: {error}": "Ezin izan da parekatu: {error}",
+  "Emparejado: los datos de este dispositivo se envían al servidor.": "Parekatuta: gailu honetako datuak zerbitzarira bidaltzen dira.",
+  "Emparejado: recibiendo los datos del centro.": "Parekatuta: ikastetxeko datuak jasotzen.",
+  "Sincronización": "Sinkronizazioa",
+  "El centro ya tiene datos en el servidor: los de este dispositivo se sustituirán por ellos. Si aquí hay algo que no está en el servidor, exporta una copia antes y combínala después.": "Ikastetxeak badu jada daturik zerbitzarian: gailu honetakoak haiekin ordeztuko dira. Hemen zerbitzarian ez dagoen zerbait badago, esportatu kopia bat lehenago eta konbinatu gero.",
+  "Sustituir y emparejar": "Ordeztu eta parekatu",
+  "Opcional: comparte los datos entre los dispositivos del centro a través de su propio servidor ({comando}).": "Aukerakoa: partekatu datuak ikastetxeko gailuen artean ikastetxearen zerbitzari propioaren bidez ({comando}).",
+  "Servidor, p. ej. 192.168.1.20:8787": "Zerbitzaria, adib. 192.168.1.20:8787",
+  "Código de centro": "Ikastetxearen kodea",
+  "Nombre de este dispositivo": "Gailu honen izena",
+  "Emparejar": "Parekatu",
+  "Sin conexión: los cambios se guardan y se enviarán al volver la conexión.": "Konexiorik gabe: aldaketak gordetzen dira eta konexioa itzultzean bidaliko dira.",
+  "Conectado.": "Konektatuta.",
+  "Conectando…": "Konektatzen…",
+  "Última sincronización: {hora}.": "Azken sinkronizazioa: {hora}.",
+  "Cambios de este dispositivo que no se han aplicado": "Gailu honetako aplikatu ez diren aldaketak",
+  "Entendido": "Ulertuta",
+  "Desemparejar": "Desparekatu",
+  "Sincronizar ahora": "Sinkronizatu orain",
+  "No se pudo cargar el catálogo: {error}": "Ezin izan da katalogoa kargatu: {error}",
+  "Catálogo local": "Katalogo lokala",
+  "JSON con los libros del centro (isbn, title, autores, editorial, anio, portada). Se consulta antes que Internet al buscar un ISBN.": "Ikastetxeko liburuak dituen JSONa (isbn, title, autores, editorial, anio, portada). ISBN bat bilatzean Internet baino lehen kontsultatzen da.",
+  "{n} libros": "{n} liburu",
+  "Sin catálogo": "Katalogorik gabe",
+  "Quitar": "Kendu",
+  "Cargar JSON": "Kargatu JSONa",
+  "Idioma": "Hizkuntza",
+  "Se aplica solo a este dispositivo, a los CSV exportados y a los documentos impresos desde él.": "Gailu honi bakarrik aplikatzen zaio, bai eta bertatik esportatutako CSVei eta inprimatutako dokumentuei ere.",
+  "Libro \"{libro}\" añadido.": "\"{libro}\" liburua gehituta.",
+  "No se encontraron datos para {isbn}.": "Ez da daturik aurkitu {isbn}(r)entzat.",
+  "No se puede borrar un curso que está en uso por una clase.": "Ezin da ezabatu ikasgela batek erabiltzen duen maila.",
+  "No se puede borrar una clase con alumnos. Muévelos a otra clase o elimínalos desde Alumnos.": "Ezin da ikasleak dituen ikasgela bat ezabatu. Eraman itzazu beste ikasgela batera edo ezabatu Ikasleak ataletik.",
+  "Nuevo Curso": "Maila berria",
+  "Renombrar": "Aldatu izena",
+  "Eliminar": "Ezabatu",
+  "Libros de {curso}": "{curso}: liburuak",
+  "Añadir con escáner": "Gehitu eskanerrarekin",
+  "ISBN del libro": "Liburuaren ISBNa",
+  "Importar lista de ISBN": "Inportatu ISBN zerrenda",
+  "Prefijo de etiquetas:": "Etiketen aurrizkia:",
+  "Imprimir etiquetas ({n})": "Inprimatu etiketak ({n})",
+  "Buscando libro...": "Liburua bilatzen...",
+  "{n} ejemplares": "{n} ale",
+  "Buscar datos del libro": "Bilatu liburuaren datuak",
+  "Editar título": "Editatu izenburua",
+  "Registrar ejemplares": "Erregistratu aleak",
+  "Subir": "Igo",
+  "Bajar": "Jaitsi",
+  "Quitar del curso": "Kendu mailatik",
+  "No hay libros en este curso. ¡Añade uno!": "Ez dago libururik maila honetan. Gehitu bat!",
+  "Clases con este curso": "Maila hau duten ikasgelak",
+  "Nueva Clase": "Ikasgela berria",
+  "No hay clases asignadas a este curso.": "Ez dago maila honi esleitutako ikasgelarik.",
+  "Crear Nuevo Curso": "Sortu maila berria",
+  "Dale un nombre al nuevo curso (ej: Libros 1º ESO).": "Eman izen bat maila berriari (adib.: DBH 1 liburuak).",
+  "Crear Nueva Clase": "Sortu ikasgela berria",
+  "Dale un nombre a la nueva clase para el curso \"{curso}\" (ej: 1º A).": "Eman izen bat \"{curso}\" mailako ikasgela berriari (adib.: 1. A).",
+  "Añadir Libro Manualmente": "Gehitu liburua eskuz",
+  "No se encontró título para {isbn}. Introduce el título.": "Ez da {isbn}(r)en izenbururik aurkitu. Idatzi izenburua.",
+  "Libro {isbn}": "{isbn} liburua",
+  "Renombrar Curso": "Aldatu mailaren izena",
+  "Nuevo nombre del curso.": "Mailaren izen berria.",
+  "Renombrar Clase": "Aldatu ikasgelaren izena",
+  "Nuevo nombre de la clase.": "Ikasgelaren izen berria.",
+  "Editar Título": "Editatu izenburua",
+  "Título del libro {isbn}.": "{isbn} liburuaren izenburua.",
+  "Registrar Ejemplares": "Erregistratu aleak",
+  "¿Cuántas copias de \"{libro}\" quieres registrar? Cada una recibirá su propia etiqueta.": "\"{libro}\" liburuaren zenbat ale erregistratu nahi dituzu? Bakoitzak bere etiketa izango du.",
+  "{n} ejemplares registrados. Imprime sus etiquetas.": "{n} ale erregistratuta. Inprimatu haien etiketak.",
+  "Prefijo de Etiquetas": "Etiketen aurrizkia",
+  "Identificador del centro que se antepone al número de cada ejemplar (ej: IESCERV).": "Ale bakoitzaren zenbakiaren aurretik jartzen den ikastetxearen identifikatzailea (adib.: IESCERV).",
+  "Eliminar Curso": "Ezabatu maila",
+  "¿Estás seguro de que quieres eliminar el curso \"{curso}\"? No se puede deshacer.": "Ziur \"{curso}\" maila ezabatu nahi duzula? Ezin da desegin.",
+  "Eliminar Clase": "Ezabatu ikasgela",
+  "¿Estás seguro de que quieres eliminar la clase \"{clase}\"? No se puede deshacer.": "Ziur \"{clase}\" ikasgela ezabatu nahi duzula? Ezin da desegin.",
+  "{n} libros añadidos a {curso}.": "{n} liburu gehituta {curso} mailan.",
+  "Importar libros a {curso}": "Inportatu liburuak {curso} mailara",
+  "Un ISBN por línea, opcionalmente seguido del título (ej: 978-84-678-7181-4; Matemáticas 1).": "ISBN bat lerroko, nahi izanez gero izenburuarekin (adib.: 978-84-678-7181-4; Matematika 1).",
+  "Buscando títulos…": "Izenburuak bilatzen…",
+  "{n} libros añadidos": "{n} liburu gehituta",
+  "{n} libros para añadir": "{n} liburu gehitzeko",
+  "{n} sin título, se buscarán": "{n} izenbururik gabe, bilatu egingo dira",
+  "{n} sin título encontrado: revísalos en la lista.": "{n} izenbururik aurkitu gabe: berrikusi zerrendan.",
+  "{n} ISBN no válidos:": "{n} ISBN baliogabe:",
+  "Línea {n}": "{n}. lerroa",
+  "{n} duplicados omitidos:": "{n} bikoiztu saltatuta:",
+  "Datos importados correctamente.": "Datuak ondo inportatu dira.",
+  "Error al importar: {error}": "Errorea inportatzean: {error}",
+  "Importar y Exportar": "Inportatu eta esportatu",
+  "Exportar JSON": "Esportatu JSONa",
+  "Exportar CSV": "Esportatu CSVa",
+  "Importar JSON": "Inportatu JSONa",
+  "Combinar JSON": "Konbinatu JSONa",
+  "Zona Peligrosa": "Eremu arriskutsua",
+  "Borrar todos los datos": "Ezabatu datu guztiak",
+  "Se borrarán cursos, clases, alumnos y préstamos de este dispositivo. Exporta antes una copia si la necesitas.": "Gailu honetako mailak, ikasgelak, ikasleak eta maileguak ezabatuko dira. Esportatu kopia bat lehenago behar baduzu.",
+  "No se pudo importar": "Ezin izan da inportatu",
+  "El fichero tiene estos problemas. No se ha modificado ningún dato.": "Fitxategiak arazo hauek ditu. Ez da daturik aldatu.",
+  "Combinar datos": "Konbinatu datuak",
+  "Se añadirán {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos y {prestamos} entregas.": "{cursos} maila, {libros} liburu, {clases} ikasgela, {alumnos} ikasle eta {prestamos} entrega gehituko dira.",
+  "{n} datos distintos en ambos lados. Elige cuál conservar:": "{n} datu desberdin bi aldeetan. Aukeratu zein gorde:",
+  "No hay conflictos.": "Ez dago gatazkarik.",
+  "Combinar": "Konbinatu",
+  "La copia del {fecha} no es válida.": "{fecha}(e)ko kopia ez da baliozkoa.",
+  "Copias automáticas": "Kopia automatikoak",
+  "{n} cursos": "{n} maila",
+  "Restaurar": "Leheneratu",
+  "Todavía no hay copias.": "Oraindik ez dago kopiarik.",
+  "Guardado en {almacen}": "{almacen}(e)n gordeta",
+  "{usado} de {total} usados": "{total}(e)tik {usado} erabilita",
+  "Restaurar Copia": "Leheneratu kopia",
+  "Los datos actuales se sustituirán por los del {fecha}. Podrás deshacerlo.": "Uneko datuak {fecha}(e)koekin ordeztuko dira. Desegin ahal izango duzu.",
+  "Registro de actividad": "Jarduera-erregistroa",
+  "Filtrar (ej: nombre del alumno o título)": "Iragazi (adib.: ikaslearen izena edo izenburua)",
+  "Sin actividad registrada.": "Ez dago jarduerarik erregistratuta.",
+  "Ver más": "Ikusi gehiago",
+  "Pruebas internas": "Barne-probak",
+  "Ejecutando…": "Exekutatzen…",
+  "Ejecutar pruebas": "Exekutatu probak",
+  "{ok}/{total} pruebas OK": "{ok}/{total} proba ondo",
+  "… y {n} problemas más.": "… eta beste {n} arazo.",
+  "No se pudo cargar el lector de códigos.": "Ezin izan da kode-irakurgailua kargatu.",
+  "No se pudo abrir esa cámara.": "Ezin izan da kamera hori ireki.",
+  "La linterna no está disponible.": "Linterna ez dago erabilgarri.",
+  "No se puede usar la cámara en este dispositivo. Haz fotos de los códigos de barras y elígelas con el botón de fotos.": "Ezin da kamera erabili gailu honetan. Atera barra-kodeen argazkiak eta aukeratu argazkien botoiarekin.",
+  "Buscando códigos… {hechas}/{n} fotos": "Kodeak bilatzen… {hechas}/{n} argazki",
+  "{leidos} códigos leídos en {n} fotos.": "{leidos} kode irakurrita {n} argazkitan.",
+  "Cámara": "Kamera",
+  "Trasera (automática)": "Atzekoa (automatikoa)",
+  "Cámara {n}": "{n}. kamera",
+  "Solo códigos de libro (EAN-13): ignora etiquetas de ejemplar y carnés": "Liburu-kodeak soilik (EAN-13): ez ikusi egin ale-etiketei eta txartelei",
+  "No repetir el mismo código durante": "Ez errepikatu kode bera denbora honetan:",
+  "Linterna": "Linterna",
+  "Ajustes de la cámara": "Kameraren ezarpenak",
+  "Leer códigos desde fotos": "Irakurri kodeak argazkietatik",
+  "Lectura incorrecta: el dígito de control de {codigo} no cuadra.": "Irakurketa okerra: {codigo} kodearen kontrol-digitua ez dator bat.",
+  "El código {codigo} no es de un libro (un ISBN empieza por 978 o 979).": "{codigo} kodea ez da liburu batena (ISBNak 978 edo 979 zenbakiekin hasten dira).",
+  "\"{texto}\" no es un ISBN.": "\"{texto}\" ez da ISBN bat.",
+  "No se pudo conectar con el servidor.": "Ezin izan da zerbitzariarekin konektatu.",
+  "El año escolar no es texto.": "Ikasturtea ez da testua.",
+  "\"archivo\" no es una lista.": "\"archivo\" ez da zerrenda bat.",
+  "Año archivado {n}: falta el año escolar.": "{n}. ikasturte artxibatua: ikasturtea falta da.",
+  "Año archivado {anio}: faltan cursos, clases o alumnos.": "{anio} ikasturte artxibatua: mailak, ikasgelak edo ikasleak falta dira.",
+  "{entidad} {n}: falta el id.": "{entidad} {n}: id-a falta da.",
+  "{entidad} {n}: id duplicado \"{id}\".": "{entidad} {n}: \"{id}\" id-a bikoiztuta.",
+  "Curso {n}: falta el nombre.": "{n}. maila: izena falta da.",
+  "{entidad}: \"libros\" no es una lista.": "{entidad}: \"libros\" ez da zerrenda bat.",
+  "{entidad}, libro {n}: el ISBN no es texto.": "{entidad}, {n}. liburua: ISBNa ez da testua.",
+  "{entidad}: ISBN {isbn} repetido.": "{entidad}: {isbn} ISBNa errepikatuta.",
+  "{entidad}, libro {isbn}: el título no es texto.": "{entidad}, {isbn} liburua: izenburua ez da testua.",
+  "{entidad}, libro {isbn}: \"{campo}\" no es texto.": "{entidad}, {isbn} liburua: \"{campo}\" ez da testua.",
+  "{entidad}, libro {isbn}: ejemplar sin código.": "{entidad}, {isbn} liburua: alea koderik gabe.",
+  "Ejemplar {codigo} repetido.": "{codigo} alea errepikatuta.",
+  "Clase {n}: falta el nombre.": "{n}. ikasgela: izena falta da.",
+  "Clase \"{nombre}\": el curso {curso} no existe.": "\"{nombre}\" ikasgela: {curso} maila ez dago.",
+  "Alumno {n}: falta el nombre.": "{n}. ikaslea: izena falta da.",
+  "{entidad}: la clase {clase} no existe.": "{entidad}: {clase} ikasgela ez dago.",
+  "{entidad}: \"{campo}\" no es texto.": "{entidad}: \"{campo}\" ez da testua.",
+  "{entidad}: \"firmas\" no es una lista.": "{entidad}: \"firmas\" ez da zerrenda bat.",
+  "{entidad}, firma {n}: falta el id o la imagen.": "{entidad}, {n}. sinadura: id-a edo irudia falta da.",
+  "{entidad}: \"prestamos\" no es una lista.": "{entidad}: \"prestamos\" ez da zerrenda bat.",
+  "{entidad}, préstamo {n}: el ISBN no es texto.": "{entidad}, {n}. mailegua: ISBNa ez da testua.",
+  "{entidad}, préstamo {n}: estado \"{estado}\" desconocido.": "{entidad}, {n}. mailegua: \"{estado}\" egoera ezezaguna.",
+  "{entidad}, préstamo {n}: la firma {firma} no existe.": "{entidad}, {n}. mailegua: {firma} sinadura ez dago.",
+  "{alumno} ya tiene \"{libro}\" (ejemplar {ejemplar}).": "{alumno} ikasleak badu jada \"{libro}\" ({ejemplar} alea).",
+  "{alumno} ya tiene \"{libro}\".": "{alumno} ikasleak badu jada \"{libro}\".",
+  "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.": "Katalogoa kargatuta: {n} liburu; {descartados} baztertuta ISBNrik edo izenbururik ez dutelako.",
+  "Catálogo cargado: {n} libros.": "Katalogoa kargatuta: {n} liburu.",
+  "Devuelto": "Itzulita",
+  "Perdido": "Galduta",
+  "Dañado": "Hondatuta",
+  "Pendiente": "Falta da",
+  "Título": "Izenburua",
+  "Contacto del tutor": "Tutorearen harremana",
+  "Este dispositivo": "Gailu hau",
+  "Fichero": "Fitxategia",
+  "Administración": "Administrazioa",
+  "Madre": "Ama",
+  "Padre": "Aita",
+  "Tutor/a legal": "Legezko tutorea",
+  "Otra persona autorizada": "Baimendutako beste pertsona bat",
+  "alumno_nombre": "ikaslea_izena",
+  "clase_nombre": "ikasgela_izena",
+  "curso_nombre": "maila_izena",
+  "libro_isbn": "liburua_isbn",
+  "libro_titulo": "liburua_izenburua",
+  "entregado": "emanda",
+  "estado": "egoera",
+  "fecha_entrega": "entrega_data",
+  "fecha_devolucion": "itzulketa_data",
+  "pendiente": "falta_da",
+  "devuelto": "itzulita",
+  "perdido": "galduta",
+  "dañado": "hondatuta",
+  "fecha": "data",
+  "accion": "ekintza",
+  "descripcion": "deskribapena",
+  "Código de centro incorrecto.": "Ikastetxearen kodea okerra da.",
+  "Operación incompleta.": "Eragiketa osatu gabe.",
+  "Otro dispositivo ha hecho cambios mientras tanto.": "Beste gailu batek aldaketak egin ditu bitartean.",
+  "Falta el dispositivo.": "Gailua falta da.",
+  "Faltan el dispositivo o las operaciones.": "Gailua edo eragiketak falta dira.",
+  "No encontrado.": "Ez da aurkitu.",
+  "Petición demasiado grande.": "Eskaera handiegia.",
+  "El cuerpo no es JSON.": "Gorputza ez da JSON.",
+  "Error interno.": "Barne-errorea.",
+  "Otro dispositivo lo había cambiado antes y ya no tenía efecto.": "Beste gailu batek lehenago aldatu zuen eta jada ez zuen eraginik.",
+  "Error {estado} del servidor.": "Zerbitzariaren {estado} errorea.",
+  "Nuevo": "Berria",
+  "Bueno": "Ona",
+  "Aceptable": "Onargarria",
+  "Deteriorado": "Hondatuta",
+  "tutor": "tutorea",
+  "contacto_tutor": "tutorea_kontaktua",
+  "conservacion_entrega": "egoera_ematean",
+  "conservacion_devolucion": "egoera_itzultzean",
+  "importe": "zenbatekoa",
+  "fecha_pago": "ordainketa_data",
+  "Pagado el {fecha}": "Ordainduta: {fecha}",
+  "Libros por reponer": "Ordezkatu beharreko liburuak",
+  "Estado": "Egoera",
+  "Importe": "Zenbatekoa",
+  "Pago": "Ordainketa",
+  "No tiene libros por reponer.": "Ez du ordezkatu beharreko libururik.",
+  "Total pendiente: {importe}": "Ordaintzeko guztira: {importe}",
+  "Los libros anteriores se han perdido o se han devuelto en mal estado. Para reponerlos, la familia debe abonar el importe indicado en el centro.": "Aurreko liburuak galdu egin dira edo egoera txarrean itzuli dira. Horiek ordezkatzeko, familiak adierazitako zenbatekoa ordaindu behar du ikastetxean.",
+  "Reposición {alumno}": "Ordezkapena {alumno}",
+  "Reposiciones {clase}": "Ordezkapenak {clase}",
+  "Precio de reposición de {libro} quitado": "{libro} liburuaren ordezkapen-prezioa kenduta",
+  "Precio de reposición de {libro}: {importe}": "{libro} liburuaren ordezkapen-prezioa: {importe}",
+  "{libro} entregado a {alumno} en estado {condicion}": "{libro} {alumno} ikasleari emanda, egoera: {condicion}",
+  "Devuelto {libro} por {alumno} en estado {condicion}": "{alumno} ikasleak {libro} itzuli du, egoera: {condicion}",
+  "Reposición pagada por {alumno}": "{alumno} ikasleak ordezkapena ordaindu du",
+  "Pago de reposición anulado: {alumno}": "Ordezkapenaren ordainketa baliogabetuta: {alumno}",
+  "Nadie en la clase tiene reposiciones pendientes de pago.": "Klaseko inork ez du ordaintzeko ordezkapenik.",
+  "Nadie en la clase tiene libros perdidos o dañados.": "Klaseko inork ez du liburu galdu edo hondaturik.",
+  "Reposiciones (CSV)": "Ordezkapenak (CSV)",
+  "Al entregarlo": "Ematean",
+  "Al devolverlo": "Itzultzean",
+  "Reposición: {importe}": "Ordezkapena: {importe}",
+  "sin precio": "preziorik gabe",
+  "pagada {fecha}": "ordainduta {fecha}",
+  "Estado al entregarlo": "Egoera ematean",
+  "No se pudo leer la imagen {archivo}.": "Ezin izan da {archivo} irudia irakurri.",
+  "Foto {numero}": "{numero}. argazkia",
+  "\"{libro}\" marcado como perdido.": "\"{libro}\" galduta gisa markatuta.",
+  "\"{libro}\" devuelto con daños.": "\"{libro}\" kalteekin itzulita.",
+  "\"{libro}\" devuelto.": "\"{libro}\" itzulita.",
+  "Estado de \"{libro}\" anotado.": "\"{libro}\" liburuaren egoera idatzita.",
+  "Devolución de \"{libro}\"": "\"{libro}\" itzultzea",
+  "Estado de \"{libro}\" al entregarlo": "\"{libro}\" liburuaren egoera ematean",
+  "Estado del libro": "Liburuaren egoera",
+  "La familia tendrá que pagar la reposición: {importe}.": "Familiak ordezkapena ordaindu beharko du: {importe}.",
+  "El libro no tiene precio de reposición; se fija en Gestión.": "Liburuak ez du ordezkapen-preziorik; Kudeaketan ezartzen da.",
+  "Páginas rotas, subrayado, sin forro…": "Orri hautsiak, azpimarratuta, forrorik gabe…",
+  "Fotos": "Argazkiak",
+  "Añadir foto": "Gehitu argazkia",
+  "Quitar foto": "Kendu argazkia",
+  "Hasta {n} fotos de los daños o del estado del libro.": "Gehienez {n} argazki, kalteenak edo liburuaren egoerarenak.",
+  "Imprimir aviso para la familia": "Inprimatu familiarentzako oharra",
+  "Aviso": "Oharra",
+  "Pagado": "Ordainduta",
+  "Total pendiente": "Ordaintzeko guztira",
+  "reposición {importe}": "ordezkapena {importe}",
+  "Precio de reposición": "Ordezkapen-prezioa",
+  "Precio de Reposición": "Ordezkapen-prezioa",
+  "Lo que paga la familia si \"{libro}\" se pierde o se devuelve deteriorado, en euros. Déjalo vacío para quitarlo.": "\"{libro}\" galtzen bada edo hondatuta itzultzen bada familiak ordaintzen duena, eurotan. Utzi hutsik kentzeko.",
+  "\"{valor}\" no es un importe válido.": "\"{valor}\" ez da baliozko zenbatekoa.",
+  "{entidad}, libro {isbn}: el precio no es un importe válido.": "{entidad}, {isbn} liburua: prezioa ez da baliozko zenbatekoa.",
+  "{entidad}, préstamo {n}: estado de conservación \"{condicion}\" desconocido.": "{entidad}, {n}. mailegua: \"{condicion}\" egoera ezezaguna.",
+  "{entidad}, préstamo {n}: las fotos no son imágenes.": "{entidad}, {n}. mailegua: argazkiak ez dira irudiak.",
+  "El prefijo no puede quedar vacío.": "Aurrizkia ezin da hutsik geratu.",
+  "Los datos guardados están dañados.": "Gordetako datuak hondatuta daude.",
+  "Los datos guardados no son válidos.": "Gordetako datuak ez dira baliozkoak.",
+  "No se ha guardado nada todavía. Elige con qué datos seguir:": "Oraindik ez da ezer gorde. Aukeratu zein daturekin jarraitu:",
+  "Copia automática del {fecha}": "{fecha}(e)ko babeskopia automatikoa",
+  "Descargar los datos guardados": "Deskargatu gordetako datuak",
+  "Empezar sin datos": "Hasi daturik gabe",
+  "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.": { one: "Fitxategiko {n} aleren kodea gailu honetako beste kopia batena zen: kode berria ematen zaio eta etiketa berriro inprimatu beharko da.", other: "Fitxategiko {n} aleren kodea gailu honetako beste kopia batena zen: kode berria ematen zaie eta etiketak berriro inprimatu beharko dira." },
+  "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.": { one: "Ikasle {n} klaserik gabe geratuko litzateke, bere helmuga-ikastaroa ez delako urte berrira igarotzen. Markatu ikastaro hori, aukeratu beste klase bat edo adierazi ikastetxetik ateratzen dela.", other: "{n} ikasle klaserik gabe geratuko lirateke, beren helmuga-ikastaroa ez delako urte berrira igarotzen. Markatu ikastaro hori, aukeratu beste klase bat edo adierazi ikastetxetik ateratzen direla." },
+  "El archivo es del año escolar {importado} y estos datos son del {local}: no se pueden combinar.": "Fitxategia {importado} ikasturtekoa da eta datu hauek {local} ikasturtekoak: ezin dira konbinatu.",
+  "Con la sincronización activada no se puede deshacer": "Sinkronizazioa aktibatuta dagoenean ezin da desegin",
+  "Datos puestos al día con el servidor": "Datuak zerbitzariarekin eguneratuta",
+  "Los datos recibidos del servidor no son válidos.": "Zerbitzaritik jasotako datuak ez dira baliozkoak.",
+  "Instantánea no válida.": "Argazki baliogabea.",
+  "Sustituir los datos de este dispositivo por los del servidor": "Gailu honetako datuak zerbitzariko datuekin ordeztu",
+  "Desemparejar este dispositivo del servidor": "Gailu hau zerbitzaritik desparekatu",
+  "perfil": "profila",
+  "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.": { one: "Ordezkapen {n} ordaindu gabe dago oraindik: artxiboan kontsultatu ahal izango da.", other: "{n} ordezkapen ordaindu gabe daude oraindik: artxiboan kontsultatu ahal izango dira." },
+  "{n} alumnos quedaron debiendo reposiciones: {importe} en total.": { one: "Ikasle {n}ek ordezkapenak zor zituen: {importe} guztira.", other: "{n} ikaslek ordezkapenak zor zituzten: {importe} guztira." },
+  "Sin pagar": "Ordaindu gabe",
+  "Foto hecha en otro dispositivo": "Beste gailu batean egindako argazkia",
+  "Error al exportar: {error}": "Errorea esportatzean: {error}",
+  "Los datos actuales se sustituirán por los del {fecha} en todos los dispositivos sincronizados. Con la sincronización activada no se puede deshacer.": "Uneko datuak {fecha}(e)koekin ordeztuko dira sinkronizatutako gailu guztietan. Sinkronizazioa aktibatuta dagoenean ezin da desegin.",
+};
@@ -0,0 +1,537 @@
+// Gallego. Las claves son los textos en castellano de la app (ver src/i18n.js).
+
+export default {
+  "Sin nombre": "Sen nome",
+  "Ya existe en la clase": "Xa existe na clase",
+  "No empieza por un ISBN.": "Non comeza por un ISBN.",
+  "Ya está en el curso": "Xa está no curso",
+  "Repetido en la lista": "Repetido na lista",
+  "Versión de datos {version} no compatible con esta aplicación (v{esquema}).": "Versión de datos {version} non compatible con esta aplicación (v{esquema}).",
+  "No hay migración desde la versión {version}.": "Non hai migración desde a versión {version}.",
+  "Curso": "Curso",
+  "Clase": "Clase",
+  "Alumno": "Alumno",
+  "Curso \"{nombre}\"": "Curso \"{nombre}\"",
+  "Alumno \"{nombre}\"": "Alumno \"{nombre}\"",
+  "El fichero no contiene un objeto de datos.": "O ficheiro non contén un obxecto de datos.",
+  "Falta la lista \"{lista}\".": "Falta a lista \"{lista}\".",
+  "Etiquetas {curso}": "Etiquetas {curso}",
+  "Carnés {clase}": "Carnés {clase}",
+  "Centro": "Centro",
+  "Alumno/a": "Alumno/a",
+  "Familia o tutor legal": "Familia ou titor legal",
+  "Albarán de entrega de libros": "Albará de entrega de libros",
+  "Curso {anio}": "Curso {anio}",
+  "Libro": "Libro",
+  "Ejemplar": "Exemplar",
+  "Entregado": "Entregado",
+  "No tiene libros entregados.": "Non ten libros entregados.",
+  "El alumno o alumna recibe los libros anteriores en préstamo y se compromete a cuidarlos y devolverlos al final del curso.": "O alumno ou alumna recibe en préstamo os libros anteriores e comprométese a coidalos e devolvelos ao final do curso.",
+  "Firma": "Sinatura",
+  "Albarán {alumno}": "Albará {alumno}",
+  "Albaranes {clase}": "Albarás {clase}",
+  "Libros pendientes": "Libros pendentes",
+  "{con} de {n} alumnos con libros pendientes": { one: "{con} de {n} alumno con libros pendentes", other: "{con} de {n} alumnos con libros pendentes" },
+  "{n} libros en total": { one: "{n} libro en total", other: "{n} libros en total" },
+  "Nº": "N.º",
+  "Total": "Total",
+  "Todos los alumnos tienen sus libros.": "Todos os alumnos teñen os seus libros.",
+  "Pendientes {clase}": "Pendentes {clase}",
+  "{libres} de {total}": "{libres} de {total}",
+  "Por entregar": "Por entregar",
+  "Ejemplares libres": "Exemplares libres",
+  "Resumen de entregas": "Resumo de entregas",
+  "{n} clases": { one: "{n} clase", other: "{n} clases" },
+  "{n} alumnos": { one: "{n} alumno", other: "{n} alumnos" },
+  "El curso no tiene libros.": "O curso non ten libros.",
+  "Resumen {curso}": "Resumo {curso}",
+  "Curso creado: {curso}": "Curso creado: {curso}",
+  "Curso eliminado: {curso}": "Curso eliminado: {curso}",
+  "Libro añadido a {curso}: {libro}": "Libro engadido a {curso}: {libro}",
+  "{n} libros añadidos a {curso}": { one: "{n} libro engadido a {curso}", other: "{n} libros engadidos a {curso}" },
+  "Libro quitado de {curso}: {libro}": "Libro quitado de {curso}: {libro}",
+  "Datos actualizados de {libro}": "Datos actualizados de {libro}",
+  "Orden de libros cambiado en {curso}": "Orde de libros cambiada en {curso}",
+  "{n} ejemplares registrados de {libro}": { one: "{n} exemplar rexistrado de {libro}", other: "{n} exemplares rexistrados de {libro}" },
+  "{n} etiquetas impresas": { one: "{n} etiqueta impresa", other: "{n} etiquetas impresas" },
+  "Prefijo de etiquetas: {prefijo}": "Prefixo de etiquetas: {prefijo}",
+  "Clase creada: {clase} ({curso})": "Clase creada: {clase} ({curso})",
+  "Clase eliminada: {clase}": "Clase eliminada: {clase}",
+  "Alumno añadido a {clase}: {alumno}": "Alumno engadido a {clase}: {alumno}",
+  "{n} alumnos importados a {clase}": { one: "{n} alumno importado a {clase}", other: "{n} alumnos importados a {clase}" },
+  "Alumno eliminado: {alumno}": "Alumno eliminado: {alumno}",
+  "Curso {curso} renombrado a {nombre}": "Curso {curso} renomeado a {nombre}",
+  "Clase {clase} renombrada a {nombre}": "Clase {clase} renomeada a {nombre}",
+  "Título de {libro} cambiado a «{titulo}»": "Título de {libro} cambiado a «{titulo}»",
+  "{alumno} editado y movido a {clase}": "{alumno} editado e movido a {clase}",
+  "Ficha de {alumno} editada": "Ficha de {alumno} editada",
+  "{n} alumnos movidos a {clase}": { one: "{n} alumno movido a {clase}", other: "{n} alumnos movidos a {clase}" },
+  "Entregado {libro} ({ejemplar}) a {alumno}": "Entregado {libro} ({ejemplar}) a {alumno}",
+  "Entregado {libro} a {alumno}": "Entregado {libro} a {alumno}",
+  "Entrega a {alumno} firmada por {nombre} ({relacion})": "Entrega a {alumno} asinada por {nombre} ({relacion})",
+  "Entrega anulada: {libro} de {alumno}": "Entrega anulada: {libro} de {alumno}",
+  "Devuelto {libro} por {alumno}": "Devolto {libro} por {alumno}",
+  "{libro} de {alumno} marcado como {estado}": "{libro} de {alumno} marcado como {estado}",
+  "Datos importados desde fichero": "Datos importados desde ficheiro",
+  "Datos combinados desde fichero": "Datos combinados desde ficheiro",
+  "Copia automática del {fecha} restaurada": "Copia automática do {fecha} restaurada",
+  "Año {anio} archivado; empieza el {nuevo}": "Ano {anio} arquivado; comeza o {nuevo}",
+  "Todos los datos borrados": "Todos os datos borrados",
+  "Deshecho: {accion}": "Desfeito: {accion}",
+  "Rehecho: {accion}": "Refeito: {accion}",
+  "Datos iniciales de {dispositivo}": "Datos iniciais de {dispositivo}",
+  "Otro dispositivo: {accion}": "Outro dispositivo: {accion}",
+  "No se pudo cargar @zxing/browser desde CDN.": "Non se puido cargar @zxing/browser desde o CDN.",
+  "Aceptar": "Aceptar",
+  "Lectores USB o Bluetooth que escriben el código como un teclado": "Lectores USB ou Bluetooth que escriben o código coma un teclado",
+  "Lector externo: activo": "Lector externo: activo",
+  "Lector externo": "Lector externo",
+  "Sin espacio de almacenamiento: los últimos cambios no se han guardado. Exporta una copia y libera espacio.": "Sen espazo de almacenamento: os últimos cambios non se gardaron. Exporta unha copia e libera espazo.",
+  "No se pudieron guardar los cambios.": "Non se puideron gardar os cambios.",
+  "No se pudieron cargar los datos guardados: {error}": "Non se puideron cargar os datos gardados: {error}",
+  "Cargando datos…": "Cargando datos…",
+  "Gestor de Libros": "Xestor de Libros",
+  "Bloquear ({nombre})": "Bloquear ({nombre})",
+  "Deshacer: {accion}": "Desfacer: {accion}",
+  "Nada que deshacer": "Nada que desfacer",
+  "Rehacer: {accion}": "Refacer: {accion}",
+  "Nada que rehacer": "Nada que refacer",
+  "Control": "Control",
+  "Alumnos": "Alumnos",
+  "Gestión": "Xestión",
+  "Deshacer": "Desfacer",
+  "Buscar alumno, clase, libro o ISBN": "Buscar alumno, clase, libro ou ISBN",
+  "Sin resultados.": "Sen resultados.",
+  "Lo tienen ({n})": "Téñeno ({n})",
+  "Pendiente de entregar ({n})": "Pendente de entregar ({n})",
+  "Clases": "Clases",
+  "Cursos": "Cursos",
+  "Libros": "Libros",
+  "Escanea primero el carné de un alumno.": "Escanea primeiro o carné dun alumno.",
+  "\"{libro}\" marcado.": "\"{libro}\" marcado.",
+  "Libro no encontrado en la lista del curso.": "Libro non atopado na lista do curso.",
+  "Permite las ventanas emergentes para imprimir.": "Permite as xanelas emerxentes para imprimir.",
+  "Ningún alumno de la clase tiene libros entregados.": "Ningún alumno da clase ten libros entregados.",
+  "Carné no reconocido.": "Carné non recoñecido.",
+  "Alumno activo: {alumno}": "Alumno activo: {alumno}",
+  "El ejemplar {ejemplar} es del curso \"{curso}\".": "O exemplar {ejemplar} é do curso \"{curso}\".",
+  "El ejemplar {ejemplar} ya está asignado a {alumno}.": "O exemplar {ejemplar} xa está asignado a {alumno}.",
+  "{alumno} ya tiene el ejemplar {ejemplar}.": "{alumno} xa ten o exemplar {ejemplar}.",
+  "\"{libro}\" ({ejemplar}) asignado.": "\"{libro}\" ({ejemplar}) asignado.",
+  "1. Selecciona una clase": "1. Selecciona unha clase",
+  "— Elige una clase —": "— Escolle unha clase —",
+  "2. Selecciona un alumno": "2. Selecciona un alumno",
+  "— Elige un alumno —": "— Escolle un alumno —",
+  "Por alumno": "Por alumno",
+  "Toda la clase": "Toda a clase",
+  "Albaranes de la clase": "Albarás da clase",
+  "Informe de pendientes": "Informe de pendentes",
+  "ISBN, ejemplar o carné": "ISBN, exemplar ou carné",
+  "Escanear libros de {alumno}": "Escanear libros de {alumno}",
+  "Lista de libros ({curso})": "Lista de libros ({curso})",
+  "Firmar la recogida de los libros": "Asinar a recollida dos libros",
+  "Firmar ({n})": "Asinar ({n})",
+  "Imprimir albarán de entrega": "Imprimir albará de entrega",
+  "Albarán": "Albará",
+  "Selecciona un alumno para ver su progreso.": "Selecciona un alumno para ver o seu progreso.",
+  "Selecciona una clase para empezar.": "Selecciona unha clase para comezar.",
+  "Escanear carné de alumno": "Escanear carné de alumno",
+  "Alumno: {alumno}": "Alumno: {alumno}",
+  "Escanea un carné de alumno": "Escanea un carné de alumno",
+  "entregado {fecha}": "entregado {fecha}",
+  "devuelto {fecha}": "devolto {fecha}",
+  "ejemplar": "exemplar",
+  "Firmado por {nombre} ({relacion}) el {fecha}": "Asinado por {nombre} ({relacion}) o {fecha}",
+  "Registrar devolución": "Rexistrar devolución",
+  "Marcar como dañado": "Marcar como danado",
+  "Marcar como perdido": "Marcar como perdido",
+  "Anular entrega": "Anular entrega",
+  "Entrega firmada por {nombre}.": "Entrega asinada por {nombre}.",
+  "Recogida de libros de {alumno}": "Recollida de libros de {alumno}",
+  "Nombre de quien firma": "Nome de quen asina",
+  "Relación": "Relación",
+  "Elige…": "Escolle…",
+  "Borrar": "Borrar",
+  "Firmar más tarde": "Asinar máis tarde",
+  "Guardar firma": "Gardar sinatura",
+  "Esta clase no tiene alumnos.": "Esta clase non ten alumnos.",
+  "El curso \"{curso}\" no tiene libros.": "O curso \"{curso}\" non ten libros.",
+  "Entregas de la clase": "Entregas da clase",
+  "Orden de lista": "Orde de lista",
+  "Más pendientes primero": "Máis pendentes primeiro",
+  "Selecciona una clase": "Selecciona unha clase",
+  "Añadir alumno a {clase}": "Engadir alumno a {clase}",
+  "Nombre del alumno": "Nome do alumno",
+  "Importar lista de alumnos": "Importar lista de alumnos",
+  "Imprimir carnés de la clase": "Imprimir carnés da clase",
+  "Mover alumnos a otra clase": "Mover alumnos a outra clase",
+  "Editar ficha": "Editar ficha",
+  "Eliminar alumno": "Eliminar alumno",
+  "Ficha de {alumno}": "Ficha de {alumno}",
+  "Nombre": "Nome",
+  "Apellidos": "Apelidos",
+  "Nº de lista": "N.º de lista",
+  "Tutor legal": "Titor legal",
+  "Teléfono o correo": "Teléfono ou correo",
+  "Notas": "Notas",
+  "Cancelar": "Cancelar",
+  "Guardar": "Gardar",
+  "{n} alumnos movidos a {clase}.": { one: "{n} alumno movido a {clase}.", other: "{n} alumnos movidos a {clase}." },
+  "Mover alumnos": "Mover alumnos",
+  "Mover": "Mover",
+  "Columna {n}": "Columna {n}",
+  "{n} alumnos añadidos a {clase}.": { one: "{n} alumno engadido a {clase}.", other: "{n} alumnos engadidos a {clase}." },
+  "Importar alumnos a {clase}": "Importar alumnos a {clase}",
+  "{n} alumnos añadidos.": { one: "{n} alumno engadido.", other: "{n} alumnos engadidos." },
+  "{n} filas omitidas:": { one: "{n} fila omitida:", other: "{n} filas omitidas:" },
+  "Fila {n}": "Fila {n}",
+  "(vacía)": "(baleira)",
+  "Pega las filas de una hoja de cálculo o elige un fichero CSV.": "Pega as filas dunha folla de cálculo ou escolle un ficheiro CSV.",
+  "Nombre\tApellidos\tNº\nAna\tGarcía López\t1": "Nome\tApelidos\tN.º\nAna\tGarcía López\t1",
+  "La primera fila es la cabecera": "A primeira fila é a cabeceira",
+  "Elegir fichero": "Escoller ficheiro",
+  "— Ninguna —": "— Ningunha —",
+  "{n} nuevos": { one: "{n} novo", other: "{n} novos" },
+  "{n} se omitirán": { one: "{n} omitirase", other: "{n} omitiranse" },
+  "Cerrar": "Pechar",
+  "Importar": "Importar",
+  "Año escolar {anio}": "Ano escolar {anio}",
+  "Cerrar el año": "Pechar o ano",
+  "Archivo {anio}": "Arquivo {anio}",
+  "Todavía no hay años archivados.": "Aínda non hai anos arquivados.",
+  "Cerrar el año {anio}": "Pechar o ano {anio}",
+  "Los cursos, clases, alumnos y préstamos de este año se guardarán en el archivo, donde se podrán consultar pero no modificar.": "Os cursos, clases, alumnos e préstamos deste ano gardaranse no arquivo, onde se poderán consultar pero non modificar.",
+  "Nuevo año escolar": "Novo ano escolar",
+  "Cursos del año nuevo (con la misma lista de libros)": "Cursos do ano novo (coa mesma lista de libros)",
+  "¿A qué clase pasan los alumnos?": "A que clase pasan os alumnos?",
+  "Salen del centro": "Saen do centro",
+  "repetidores y bajas": "repetidores e baixas",
+  "Como su clase": "Coma a súa clase",
+  "Repite": "Repite",
+  "Baja": "Baixa",
+  "{pasan} alumnos pasan de clase, {repiten} repiten y {salen} salen.": "{pasan} alumnos pasan de clase, {repiten} repiten e {salen} saen.",
+  "{n} libros siguen sin devolver: solo constarán en el archivo.": { one: "{n} libro segue sen devolver: só constará no arquivo.", other: "{n} libros seguen sen devolver: só constarán no arquivo." },
+  "Cerrar año": "Pechar ano",
+  "Entrar": "Entrar",
+  "Demasiados intentos. Espera {n} s.": "Demasiados intentos. Agarda {n} s.",
+  "Demasiados intentos. Espera un minuto.": "Demasiados intentos. Agarda un minuto.",
+  "PIN incorrecto. Quedan {n} intentos.": { one: "PIN incorrecto. Queda {n} intento.", other: "PIN incorrecto. Quedan {n} intentos." },
+  "PIN de {nombre}": "PIN de {nombre}",
+  "Otro perfil": "Outro perfil",
+  "¿Quién eres?": "Quen es?",
+  "Confirma con tu PIN": "Confirma co teu PIN",
+  "Confirmar": "Confirmar",
+  "Perfil creado: desde ahora la app pide PIN.": "Perfil creado: desde agora a aplicación pide PIN.",
+  "Perfil de {nombre} creado.": "Perfil de {nombre} creado.",
+  "Tiene que quedar al menos un perfil de administración.": "Ten que quedar polo menos un perfil de administración.",
+  "Borrar el perfil de {nombre}": "Borrar o perfil de {nombre}",
+  "Personal y acceso": "Persoal e acceso",
+  "Sin perfiles, cualquiera que tenga el dispositivo puede entrar en Gestión. Crea un perfil de administración para proteger la app con PIN.": "Sen perfís, calquera que teña o dispositivo pode entrar en Xestión. Crea un perfil de administración para protexer a aplicación con PIN.",
+  "Control solo puede escanear y marcar entregas; Administración tiene acceso a todo. Las acciones destructivas piden el PIN otra vez.": "Control só pode escanear e marcar entregas; Administración ten acceso a todo. As accións destrutivas piden o PIN outra vez.",
+  "tú": "ti",
+  "Borrar perfil": "Borrar perfil",
+  "Bloquear tras": "Bloquear tras",
+  "{n} min sin actividad": "{n} min sen actividade",
+  "PIN (4 a 8 cifras)": "PIN (4 a 8 cifras)",
+  "Repite el PIN": "Repite o PIN",
+  "Añadir perfil": "Engadir perfil",
+  "Sincronizado": "Sincronizado",
+  "Sincronizando…": "Sincronizando…",
+  "{n} cambios no aplicados": { one: "{n} cambio non aplicado", other: "{n} cambios non aplicados" },
+  "Sin conexión con el servidor": "Sen conexión co servidor",
+  "{n} cambios por enviar": { one: "{n} cambio por enviar", other: "{n} cambios por enviar" },
+  "No se pudo emparejar: {error}": "Non se puido emparellar: {error}",
+  "Emparejado: los datos de este dispositivo se envían al servidor.": "Emparellado: os datos deste dispositivo envíanse ao servidor.",
+  "Emparejado: recibiendo los datos del centro.": "Emparellado: recibindo os datos do centro.",
+  "Sincronización": "Sincronización",
+  "El centro ya tiene datos en el servidor: los de este dispositivo se sustituirán por ellos. Si aquí hay algo que no está en el servidor, exporta una copia antes y combínala después.": "O centro xa ten datos no servidor: os deste dispositivo substituiranse por eles. Se aquí hai algo que non está no servidor, exporta unha copia antes e combínaa despois.",
+  "Sustituir y emparejar": "Substituír e emparellar",
+  "Opcional: comparte los datos entre los dispositivos del centro a través de su propio servidor ({comando}).": "Opcional: comparte os datos entre os dispositivos do centro a través do seu propio servidor ({comando}).",
+  "Servidor, p. ej. 192.168.1.20:8787": "Servidor, p. ex. 192.168.1.20:8787",
+  "Código de centro": "Código de centro",
+  "Nombre de este dispositivo": "Nome deste dispositivo",
+  "Emparejar": "Emparellar",
+  "Sin conexión: los cambios se guardan y se enviarán al volver la conexión.": "Sen conexión: os cambios gárdanse e enviaranse ao volver a conexión.",
+  "Conectado.": "Conectado.",
+  "Conectando…": "Conectando…",
+  "Última sincronización: {hora}.": "Última sincronización: {hora}.",
+  "Cambios de este dispositivo que no se han aplicado": "Cambios deste dispositivo que non se aplicaron",
+  "Entendido": "Entendido",
+  "Desemparejar": "Desemparellar",
+  "Sincronizar ahora": "Sincronizar agora",
+  "No se pudo cargar el catálogo: {error}": "Non se puido cargar o catálogo: {error}",
+  "Catálogo local": "Catálogo local",
+  "JSON con los libros del centro (isbn, title, autores, editorial, anio, portada). Se consulta antes que Internet al buscar un ISBN.": "JSON cos libros do centro (isbn, title, autores, editorial, anio, portada). Consúltase antes que Internet ao buscar un ISBN.",
+  "{n} libros": { one: "{n} libro", other: "{n} libros" },
+  "Sin catálogo": "Sen catálogo",
+  "Quitar": "Quitar",
+  "Cargar JSON": "Cargar JSON",
+  "Idioma": "Idioma",
+  "Se aplica solo a este dispositivo, a los CSV exportados y a los documentos impresos desde él.": "Aplícase só a este dispositivo, aos CSV exportados e aos documentos impresos desde el.",
+  "Libro \"{libro}\" añadido.": "Libro \"{libro}\" engadido.",
+  "No se encontraron datos para {isbn}.": "Non se atoparon datos para {isbn}.",
+  "No se puede borrar un curso que está en uso por una clase.": "Non se pode borrar un curso que usa unha clase.",
+  "No se puede borrar una clase con alumnos. Muévelos a otra clase o elimínalos desde Alumnos.": "Non se pode borrar unha clase con alumnos. Móveos a outra clase ou elimínaos desde Alumnos.",
+  "Nuevo Curso": "Novo curso",
+  "Renombrar": "Renomear",
+  "Eliminar": "Eliminar",
+  "Libros de {curso}": "Libros de {curso}",
+  "Añadir con escáner": "Engadir con escáner",
+  "ISBN del libro": "ISBN do libro",
+  "Importar lista de ISBN": "Importar lista de ISBN",
+  "Prefijo de etiquetas:": "Prefixo de etiquetas:",
+  "Imprimir etiquetas ({n})": "Imprimir etiquetas ({n})",
+  "Buscando libro...": "Buscando libro...",
+  "{n} ejemplares": { one: "{n} exemplar", other: "{n} exemplares" },
+  "Buscar datos del libro": "Buscar datos do libro",
+  "Editar título": "Editar título",
+  "Registrar ejemplares": "Rexistrar exemplares",
+  "Subir": "Subir",
+  "Bajar": "Baixar",
+  "Quitar del curso": "Quitar do curso",
+  "No hay libros en este curso. ¡Añade uno!": "Non hai libros neste curso. Engade un!",
+  "Clases con este curso": "Clases con este curso",
+  "Nueva Clase": "Nova clase",
+  "No hay clases asignadas a este curso.": "Non hai clases asignadas a este curso.",
+  "Crear Nuevo Curso": "Crear novo curso",
+  "Dale un nombre al nuevo curso (ej: Libros 1º ESO).": "Dálle un nome ao novo curso (ex.: Libros 1.º ESO).",
+  "Crear Nueva Clase": "Crear nova clase",
+  "Dale un nombre a la nueva clase para el curso \"{curso}\" (ej: 1º A).": "Dálle un nome á nova clase do curso \"{curso}\" (ex.: 1.º A).",
+  "Añadir Libro Manualmente": "Engadir libro manualmente",
+  "No se encontró título para {isbn}. Introduce el título.": "Non se atopou título para {isbn}. Introduce o título.",
+  "Libro {isbn}": "Libro {isbn}",
+  "Renombrar Curso": "Renomear curso",
+  "Nuevo nombre del curso.": "Novo nome do curso.",
+  "Renombrar Clase": "Renomear clase",
+  "Nuevo nombre de la clase.": "Novo nome da clase.",
+  "Editar Título": "Editar título",
+  "Título del libro {isbn}.": "Título do libro {isbn}.",
+  "Registrar Ejemplares": "Rexistrar exemplares",
+  "¿Cuántas copias de \"{libro}\" quieres registrar? Cada una recibirá su propia etiqueta.": "Cantas copias de \"{libro}\" queres rexistrar? Cada unha recibirá a súa propia etiqueta.",
+  "{n} ejemplares registrados. Imprime sus etiquetas.": { one: "{n} exemplar rexistrado. Imprime a súa etiqueta.", other: "{n} exemplares rexistrados. Imprime as súas etiquetas." },
+  "Prefijo de Etiquetas": "Prefixo de etiquetas",
+  "Identificador del centro que se antepone al número de cada ejemplar (ej: IESCERV).": "Identificador do centro que se antepón ao número de cada exemplar (ex.: IESCERV).",
+  "Eliminar Curso": "Eliminar curso",
+  "¿Estás seguro de que quieres eliminar el curso \"{curso}\"? No se puede deshacer.": "Seguro que queres eliminar o curso \"{curso}\"? Non se pode desfacer.",
+  "Eliminar Clase": "Eliminar clase",
+  "¿Estás seguro de que quieres eliminar la clase \"{clase}\"? No se puede deshacer.": "Seguro que queres eliminar a clase \"{clase}\"? Non se pode desfacer.",
+  "{n} libros añadidos a {curso}.": { one: "{n} libro engadido a {curso}.", other: "{n} libros engadidos a {curso}." },
+  "Importar libros a {curso}": "Importar libros a {curso}",
+  "Un ISBN por línea, opcionalmente seguido del título (ej: 978-84-678-7181-4; Matemáticas 1).": "Un ISBN por liña, opcionalmente seguido do título (ex.: 978-84-678-7181-4; Matemáticas 1).",
+  "Buscando títulos…": "Buscando títulos…",
+  "{n} libros añadidos": { one: "{n} libro engadido", other: "{n} libros engadidos" },
+  "{n} libros para añadir": { one: "{n} libro para engadir", other: "{n} libros para engadir" },
+  "{n} sin título, se buscarán": { one: "{n} sen título, buscarase", other: "{n} sen título, buscaranse" },
+  "{n} sin título encontrado: revísalos en la lista.": { one: "{n} sen título atopado: revísao na lista.", other: "{n} sen título atopado: revísaos na lista." },
+  "{n} ISBN no válidos:": { one: "{n} ISBN non válido:", other: "{n} ISBN non válidos:" },
+  "Línea {n}": "Liña {n}",
+  "{n} duplicados omitidos:": { one: "{n} duplicado omitido:", other: "{n} duplicados omitidos:" },
+  "Datos importados correctamente.": "Datos importados correctamente.",
+  "Error al importar: {error}": "Erro ao importar: {error}",
+  "Importar y Exportar": "Importar e exportar",
+  "Exportar JSON": "Exportar JSON",
+  "Exportar CSV": "Exportar CSV",
+  "Importar JSON": "Importar JSON",
+  "Combinar JSON": "Combinar JSON",
+  "Zona Peligrosa": "Zona perigosa",
+  "Borrar todos los datos": "Borrar todos os datos",
+  "Se borrarán cursos, clases, alumnos y préstamos de este dispositivo. Exporta antes una copia si la necesitas.": "Borraranse cursos, clases, alumnos e préstamos deste dispositivo. Exporta antes unha copia se a necesitas.",
+  "No se pudo importar": "Non se puido importar",
+  "El fichero tiene estos problemas. No se ha modificado ningún dato.": "O ficheiro ten estes problemas. Non se modificou ningún dato.",
+  "Combinar datos": "Combinar datos",
+  "Se añadirán {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos y {prestamos} entregas.": "Engadiranse {cursos} cursos, {libros} libros, {clases} clases, {alumnos} alumnos e {prestamos} entregas.",
+  "{n} datos distintos en ambos lados. Elige cuál conservar:": { one: "{n} dato distinto en ambos os lados. Escolle cal conservar:", other: "{n} datos distintos en ambos os lados. Escolle cales conservar:" },
+  "No hay conflictos.": "Non hai conflitos.",
+  "Combinar": "Combinar",
+  "La copia del {fecha} no es válida.": "A copia do {fecha} non é válida.",
+  "Copias automáticas": "Copias automáticas",
+  "{n} cursos": { one: "{n} curso", other: "{n} cursos" },
+  "Restaurar": "Restaurar",
+  "Todavía no hay copias.": "Aínda non hai copias.",
+  "Guardado en {almacen}": "Gardado en {almacen}",
+  "{usado} de {total} usados": "{usado} de {total} usados",
+  "Restaurar Copia": "Restaurar copia",
+  "Los datos actuales se sustituirán por los del {fecha}. Podrás deshacerlo.": "Os datos actuais substituiranse polos do {fecha}. Poderás desfacelo.",
+  "Registro de actividad": "Rexistro de actividade",
+  "Filtrar (ej: nombre del alumno o título)": "Filtrar (ex.: nome do alumno ou título)",
+  "Sin actividad registrada.": "Sen actividade rexistrada.",
+  "Ver más": "Ver máis",
+  "Pruebas internas": "Probas internas",
+  "Ejecutando…": "Executando…",
+  "Ejecutar pruebas": "Executar probas",
+  "{ok}/{total} pruebas OK": "{ok}/{total} probas correctas",
+  "… y {n} problemas más.": { one: "… e {n} problema máis.", other: "… e {n} problemas máis." },
+  "No se pudo cargar el lector de códigos.": "Non se puido cargar o lector de códigos.",
+  "No se pudo abrir esa cámara.": "Non se puido abrir esa cámara.",
+  "La linterna no está disponible.": "A lanterna non está dispoñible.",
+  "No se puede usar la cámara en este dispositivo. Haz fotos de los códigos de barras y elígelas con el botón de fotos.": "Non se pode usar a cámara neste dispositivo. Fai fotos dos códigos de barras e escólleas co botón de fotos.",
+  "Buscando códigos… {hechas}/{n} fotos": { one: "Buscando códigos… {hechas}/{n} foto", other: "Buscando códigos… {hechas}/{n} fotos" },
+  "{leidos} códigos leídos en {n} fotos.": { one: "{leidos} códigos lidos en {n} foto.", other: "{leidos} códigos lidos en {n} fotos." },
+  "Cámara": "Cámara",
+  "Trasera (automática)": "Traseira (automática)",
+  "Cámara {n}": "Cámara {n}",
+  "Solo códigos de libro (EAN-13): ignora etiquetas de ejemplar y carnés": "Só códigos de libro (EAN-13): ignora etiquetas de exemplar e carnés",
+  "No repetir el mismo código durante": "Non repetir o mesmo código durante",
+  "Linterna": "Lanterna",
+  "Ajustes de la cámara": "Axustes da cámara",
+  "Leer códigos desde fotos": "Ler códigos desde fotos",
+  "Lectura incorrecta: el dígito de control de {codigo} no cuadra.": "Lectura incorrecta: o díxito de control de {codigo} non cadra.",
+  "El código {codigo} no es de un libro (un ISBN empieza por 978 o 979).": "O código {codigo} non é dun libro (un ISBN comeza por 978 ou 979).",
+  "\"{texto}\" no es un ISBN.": "\"{texto}\" non é un ISBN.",
+  "No se pudo conectar con el servidor.": "Non se puido conectar co servidor.",
+  "El año escolar no es texto.": "O ano escolar non é texto.",
+  "\"archivo\" no es una lista.": "\"archivo\" non é unha lista.",
+  "Año archivado {n}: falta el año escolar.": "Ano arquivado {n}: falta o ano escolar.",
+  "Año archivado {anio}: faltan cursos, clases o alumnos.": "Ano arquivado {anio}: faltan cursos, clases ou alumnos.",
+  "{entidad} {n}: falta el id.": "{entidad} {n}: falta o id.",
+  "{entidad} {n}: id duplicado \"{id}\".": "{entidad} {n}: id duplicado \"{id}\".",
+  "Curso {n}: falta el nombre.": "Curso {n}: falta o nome.",
+  "{entidad}: \"libros\" no es una lista.": "{entidad}: \"libros\" non é unha lista.",
+  "{entidad}, libro {n}: el ISBN no es texto.": "{entidad}, libro {n}: o ISBN non é texto.",
+  "{entidad}: ISBN {isbn} repetido.": "{entidad}: ISBN {isbn} repetido.",
+  "{entidad}, libro {isbn}: el título no es texto.": "{entidad}, libro {isbn}: o título non é texto.",
+  "{entidad}, libro {isbn}: \"{campo}\" no es texto.": "{entidad}, libro {isbn}: \"{campo}\" non é texto.",
+  "{entidad}, libro {isbn}: ejemplar sin código.": "{entidad}, libro {isbn}: exemplar sen código.",
+  "Ejemplar {codigo} repetido.": "Exemplar {codigo} repetido.",
+  "Clase {n}: falta el nombre.": "Clase {n}: falta o nome.",
+  "Clase \"{nombre}\": el curso {curso} no existe.": "Clase \"{nombre}\": o curso {curso} non existe.",
+  "Alumno {n}: falta el nombre.": "Alumno {n}: falta o nome.",
+  "{entidad}: la clase {clase} no existe.": "{entidad}: a clase {clase} non existe.",
+  "{entidad}: \"{campo}\" no es texto.": "{entidad}: \"{campo}\" non é texto.",
+  "{entidad}: \"firmas\" no es una lista.": "{entidad}: \"firmas\" non é unha lista.",
+  "{entidad}, firma {n}: falta el id o la imagen.": "{entidad}, sinatura {n}: falta o id ou a imaxe.",
+  "{entidad}: \"prestamos\" no es una lista.": "{entidad}: \"prestamos\" non é unha lista.",
+  "{entidad}, préstamo {n}: el ISBN no es texto.": "{entidad}, préstamo {n}: o ISBN non é texto.",
+  "{entidad}, préstamo {n}: estado \"{estado}\" desconocido.": "{entidad}, préstamo {n}: estado \"{estado}\" descoñecido.",
+  "{entidad}, préstamo {n}: la firma {firma} no existe.": "{entidad}, préstamo {n}: a sinatura {firma} non existe.",
+  "{alumno} ya tiene \"{libro}\" (ejemplar {ejemplar}).": "{alumno} xa ten \"{libro}\" (exemplar {ejemplar}).",
+  "{alumno} ya tiene \"{libro}\".": "{alumno} xa ten \"{libro}\".",
+  "Catálogo cargado: {n} libros, {descartados} descartados por no tener ISBN o título.": { one: "Catálogo cargado: {n} libro, {descartados} descartados por non ter ISBN ou título.", other: "Catálogo cargado: {n} libros, {descartados} descartados por non ter ISBN ou título." },
+  "Catálogo cargado: {n} libros.": { one: "Catálogo cargado: {n} libro.", other: "Catálogo cargado: {n} libros." },
+  "Devuelto": "Devolto",
+  "Perdido": "Perdido",
+  "Dañado": "Danado",
+  "Pendiente": "Pendente",
+  "Título": "Título",
+  "Contacto del tutor": "Contacto do titor",
+  "Este dispositivo": "Este dispositivo",
+  "Fichero": "Ficheiro",
+  "Administración": "Administración",
+  "Madre": "Nai",
+  "Padre": "Pai",
+  "Tutor/a legal": "Titor/a legal",
+  "Otra persona autorizada": "Outra persoa autorizada",
+  "alumno_nombre": "alumno_nome",
+  "clase_nombre": "clase_nome",
+  "curso_nombre": "curso_nome",
+  "libro_isbn": "libro_isbn",
+  "libro_titulo": "libro_titulo",
+  "entregado": "entregado",
+  "estado": "estado",
+  "fecha_entrega": "data_entrega",
+  "fecha_devolucion": "data_devolucion",
+  "pendiente": "pendente",
+  "devuelto": "devolto",
+  "perdido": "perdido",
+  "dañado": "danado",
+  "fecha": "data",
+  "accion": "accion",
+  "descripcion": "descricion",
+  "Código de centro incorrecto.": "Código de centro incorrecto.",
+  "Operación incompleta.": "Operación incompleta.",
+  "Otro dispositivo ha hecho cambios mientras tanto.": "Outro dispositivo fixo cambios mentres tanto.",
+  "Falta el dispositivo.": "Falta o dispositivo.",
+  "Faltan el dispositivo o las operaciones.": "Faltan o dispositivo ou as operacións.",
+  "No encontrado.": "Non atopado.",
+  "Petición demasiado grande.": "Petición demasiado grande.",
+  "El cuerpo no es JSON.": "O corpo non é JSON.",
+  "Error interno.": "Erro interno.",
+  "Otro dispositivo lo había cambiado antes y ya no tenía efecto.": "Outro dispositivo cambiárao antes e xa non tiña efecto.",
+  "Error {estado} del servidor.": "Erro {estado} do servidor.",
+  "Nuevo": "Novo",
+  "Bueno": "Bo",
+  "Aceptable": "Aceptable",
+  "Deteriorado": "Deteriorado",
+  "tutor": "titor",
+  "contacto_tutor": "contacto_titor",
+  "conservacion_entrega": "conservacion_entrega",
+  "conservacion_devolucion": "conservacion_devolucion",
+  "importe": "importe",
+  "fecha_pago": "data_pagamento",
+  "Pagado el {fecha}": "Pagado o {fecha}",
+  "Libros por reponer": "Libros por repoñer",
+  "Estado": "Estado",
+  "Importe": "Importe",
+  "Pago": "Pagamento",
+  "No tiene libros por reponer.": "Non ten libros por repoñer.",
+  "Total pendiente: {importe}": "Total pendente: {importe}",
+  "Los libros anteriores se han perdido o se han devuelto en mal estado. Para reponerlos, la familia debe abonar el importe indicado en el centro.": "Os libros anteriores perdéronse ou devolvéronse en mal estado. Para repoñelos, a familia debe aboar o importe indicado no centro.",
+  "Reposición {alumno}": "Reposición {alumno}",
+  "Reposiciones {clase}": "Reposicións {clase}",
+  "Precio de reposición de {libro} quitado": "Prezo de reposición de {libro} eliminado",
+  "Precio de reposición de {libro}: {importe}": "Prezo de reposición de {libro}: {importe}",
+  "{libro} entregado a {alumno} en estado {condicion}": "{libro} entregado a {alumno} en estado {condicion}",
+  "Devuelto {libro} por {alumno} en estado {condicion}": "{alumno} devolveu {libro} en estado {condicion}",
+  "Reposición pagada por {alumno}": "Reposición pagada por {alumno}",
+  "Pago de reposición anulado: {alumno}": "Pagamento de reposición anulado: {alumno}",
+  "Nadie en la clase tiene reposiciones pendientes de pago.": "Ninguén na clase ten reposicións pendentes de pagamento.",
+  "Nadie en la clase tiene libros perdidos o dañados.": "Ninguén na clase ten libros perdidos ou danados.",
+  "Reposiciones (CSV)": "Reposicións (CSV)",
+  "Al entregarlo": "Ao entregalo",
+  "Al devolverlo": "Ao devolvelo",
+  "Reposición: {importe}": "Reposición: {importe}",
+  "sin precio": "sen prezo",
+  "pagada {fecha}": "pagada {fecha}",
+  "Estado al entregarlo": "Estado ao entregalo",
+  "No se pudo leer la imagen {archivo}.": "Non se puido ler a imaxe {archivo}.",
+  "Foto {numero}": "Foto {numero}",
+  "\"{libro}\" marcado como perdido.": "\"{libro}\" marcado como perdido.",
+  "\"{libro}\" devuelto con daños.": "\"{libro}\" devolto con danos.",
+  "\"{libro}\" devuelto.": "\"{libro}\" devolto.",
+  "Estado de \"{libro}\" anotado.": "Estado de \"{libro}\" anotado.",
+  "Devolución de \"{libro}\"": "Devolución de \"{libro}\"",
+  "Estado de \"{libro}\" al entregarlo": "Estado de \"{libro}\" ao entregalo",
+  "Estado del libro": "Estado do libro",
+  "La familia tendrá que pagar la reposición: {importe}.": "A familia terá que pagar a reposición: {importe}.",
+  "El libro no tiene precio de reposición; se fija en Gestión.": "O libro non ten prezo de reposición; fíxase en Xestión.",
+  "Páginas rotas, subrayado, sin forro…": "Páxinas rotas, subliñado, sen forro…",
+  "Fotos": "Fotos",
+  "Añadir foto": "Engadir foto",
+  "Quitar foto": "Quitar foto",
+  "Hasta {n} fotos de los daños o del estado del libro.": "Ata {n} fotos dos danos ou do estado do libro.",
+  "Imprimir aviso para la familia": "Imprimir aviso para a familia",
+  "Aviso": "Aviso",
+  "Pagado": "Pagado",
+  "Total pendiente": "Total pendente",
+  "reposición {importe}": "reposición {importe}",
+  "Precio de reposición": "Prezo de reposición",
+  "Precio de Reposición": "Prezo de Reposición",
+  "Lo que paga la familia si \"{libro}\" se pierde o se devuelve deteriorado, en euros. Déjalo vacío para quitarlo.": "O que paga a familia se \"{libro}\" se perde ou se devolve deteriorado, en euros. Déixao baleiro para quitalo.",
+  "\"{valor}\" no es un importe válido.": "\"{valor}\" non é un importe válido.",
+  "{entidad}, libro {isbn}: el precio no es un importe válido.": "{entidad}, libro {isbn}: o prezo non é un importe válido.",
+  "{entidad}, préstamo {n}: estado de conservación \"{condicion}\" desconocido.": "{entidad}, préstamo {n}: estado de conservación \"{condicion}\" descoñecido.",
+  "{entidad}, préstamo {n}: las fotos no son imágenes.": "{entidad}, préstamo {n}: as fotos non son imaxes.",
+  "El prefijo no puede quedar vacío.": "O prefixo non pode quedar baleiro.",
+  "Los datos guardados están dañados.": "Os datos gardados están danados.",
+  "Los datos guardados no son válidos.": "Os datos gardados non son válidos.",
+  "No se ha guardado nada todavía. Elige con qué datos seguir:": "Aínda non se gardou nada. Escolle con que datos seguir:",
+  "Copia automática del {fecha}": "Copia automática do {fecha}",
+  "Descargar los datos guardados": "Descargar os datos gardados",
+  "Empezar sin datos": "Comezar sen datos",
+  "{n} ejemplares del fichero tenían el código de otra copia de este dispositivo: se les da uno nuevo y habrá que reimprimir sus etiquetas.": { one: "{n} exemplar do ficheiro tiña o código doutra copia deste dispositivo: dáselle un novo e haberá que reimprimir a súa etiqueta.", other: "{n} exemplares do ficheiro tiñan o código doutra copia deste dispositivo: dáselles un novo e haberá que reimprimir as súas etiquetas." },
+  "{n} alumnos se quedarían sin clase porque su curso de destino no pasa al año nuevo. Marca ese curso, elige otra clase o indica que salen.": { one: "{n} alumno quedaría sen clase porque o seu curso de destino non pasa ao ano novo. Marca ese curso, escolle outra clase ou indica que sae.", other: "{n} alumnos quedarían sen clase porque o seu curso de destino non pasa ao ano novo. Marca ese curso, escolle outra clase ou indica que saen." },
+  "El archivo es del año escolar {importado} y estos datos son del {local}: no se pueden combinar.": "O ficheiro é do ano escolar {importado} e estes datos son do {local}: non se poden combinar.",
+  "Con la sincronización activada no se puede deshacer": "Coa sincronización activada non se pode desfacer",
+  "Datos puestos al día con el servidor": "Datos postos ao día co servidor",
+  "Los datos recibidos del servidor no son válidos.": "Os datos recibidos do servidor non son válidos.",
+  "Instantánea no válida.": "Instantánea non válida.",
+  "Sustituir los datos de este dispositivo por los del servidor": "Substituír os datos deste dispositivo polos do servidor",
+  "Desemparejar este dispositivo del servidor": "Desemparellar este dispositivo do servidor",
+  "perfil": "perfil",
+  "{n} reposiciones siguen sin pagar: se podrán consultar en el archivo.": { one: "{n} reposición segue sen pagar: poderase consultar no arquivo.", other: "{n} reposicións seguen sen pagar: poderanse consultar no arquivo." },
+  "{n} alumnos quedaron debiendo reposiciones: {importe} en total.": { one: "{n} alumno quedou debendo reposicións: {importe} en total.", other: "{n} alumnos quedaron debendo reposicións: {importe} en total." },
+  "Sin pagar": "Sen pagar",
+  "Foto hecha en otro dispositivo": "Foto feita noutro dispositivo",
+  "Error al exportar: {error}": "Erro ao exportar: {error}",
+  "Los datos actuales se sustituirán por los del {fecha} en todos los dispositivos sincronizados. Con la sincronización activada no se puede deshacer.": "Os datos actuais substituiranse polos do {fecha} en todos os dispositivos sincronizados. Coa sincronización activada non se pode desfacer.",
+};
@@ -0,0 +1,65 @@
+// ------------------------------------------------------------
+// Normalización de ISBN/EAN.
+// - Todo ISBN válido se guarda como ISBN-13 sin guiones: así un ISBN-10 tecleado,
+//   uno con guiones o un EAN con suplemento de precio apuntan al mismo libro.
+// - Los EAN-13 que no empiezan por 978/979 son de otros productos, no de libros.
+// ------------------------------------------------------------
+
+import { t } from "./i18n.js";
+
+/** Quita espacios y guiones y pasa a mayúsculas (la X del ISBN-10). */
+export function limpiarISBN(texto) {
+  return String(texto ?? "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+function digitoControl13(doce) {
+  const suma = [...doce].reduce((acc, c, i) => acc + Number(c) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (suma % 10)) % 10);
+}
+
+/** Comprueba el dígito de control de un ISBN-10 o ISBN-13 (ya limpio). */
+export function esISBNValido(isbn) {
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const suma = [...isbn].reduce((acc, c, i) => acc + (c === "X" ? 10 : Number(c)) * (10 - i), 0);
+    return suma % 11 === 0;
+  }
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    return digitoControl13(isbn.slice(0, 12)) === isbn[12];
+  }
+  return false;
+}
+
+/** ISBN-10 (válido) a su ISBN-13 equivalente con prefijo 978. */
+export function isbn10a13(isbn10) {
+  const doce = "978" + isbn10.slice(0, 9);
+  return doce + digitoControl13(doce);
+}
+
+/**
+ * Interpreta un código leído o tecleado como ISBN.
+ * @returns {{ isbn: string, error: null } | { isbn: null, error: string }} ISBN-13 normalizado o el motivo del rechazo.
+ */
+export function normalizarISBN(texto) {
+  let codigo = limpiarISBN(texto);
+  // EAN-13 seguido del suplemento de 2 o 5 dígitos (precio) que algunos lectores añaden.
+  if (/^\d{15}$|^\d{18}$/.test(codigo)) codigo = codigo.slice(0, 13);
+
+  if (/^\d{9}[\dX]$/.test(codigo)) {
+    if (!esISBNValido(codigo)) return { isbn: null, error: t("Lectura incorrecta: el dígito de control de {codigo} no cuadra.", { codigo }) };
+    return { isbn: isbn10a13(codigo), error: null };
+  }
+  if (/^\d{13}$/.test(codigo)) {
+    if (!/^97[89]/.test(codigo)) return { isbn: null, error: t("El código {codigo} no es de un libro (un ISBN empieza por 978 o 979).", { codigo }) };
+    if (!esISBNValido(codigo)) return { isbn: null, error: t("Lectura incorrecta: el dígito de control de {codigo} no cuadra.", { codigo }) };
+    return { isbn: codigo, error: null };
+  }
+  return { isbn: null, error: t('"{texto}" no es un ISBN.', { texto: String(texto ?? "").trim() }) };
+}
+
+/**
+ * Clave con la que se guarda un libro: el ISBN-13 si el código es un ISBN válido
+ * y, si no (códigos propios de datos antiguos), el texto limpio tal cual.
+ */
+export function codigoLibro(texto) {
+  return normalizarISBN(texto).isbn || limpiarISBN(texto);
+}
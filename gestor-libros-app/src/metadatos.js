@@ -0,0 +1,188 @@
+// ------------------------------------------------------------
+// Búsqueda de datos de libros por ISBN.
+// - Cadena de proveedores: catálogo local del centro, Google Books y Open Library.
+// - Cada proveedor tiene su propio tiempo límite; si falla o tarda se pasa al siguiente.
+// - Los resultados de Internet se guardan en el almacén para no repetir la búsqueda en cada escaneo.
+//   El catálogo local se consulta antes que esa caché y no se copia en ella: al cambiarlo, manda.
+//   Catálogo y caché usan la misma clave que los libros (codigoLibro): un ISBN-10 y su ISBN-13 coinciden.
+// ------------------------------------------------------------
+
+import { codigoLibro } from "./isbn.js";
+
+const PREFIJO_CACHE = "metadatos:";
+const CLAVE_CATALOGO = "catalogo_local";
+const TIEMPO_LIMITE = 5000;
+
+/**
+ * @typedef {{ title: string, autores?: string, editorial?: string, anio?: string, portada?: string }} Metadatos
+ * @typedef {{ id: string, nombre: string, local?: boolean, buscar(isbn: string, contexto: { signal: AbortSignal, almacen: any }): Promise<Metadatos | null> }} Proveedor
+ */
+
+const CAMPOS = ["title", "autores", "editorial", "anio", "portada"];
+
+// Deja solo los campos conocidos y con texto; sin título no hay resultado.
+function limpiarMetadatos(datos) {
+  if (!datos) return null;
+  const limpio = {};
+  for (const campo of CAMPOS) {
+    const valor = datos[campo] == null ? "" : String(datos[campo]).trim();
+    if (valor) limpio[campo] = valor;
+  }
+  return limpio.title ? limpio : null;
+}
+
+// Las miniaturas llegan a veces por http, que el navegador bloquea en una página https.
+function httpsSiempre(url) {
+  return url ? url.replace(/^http:/, "https:") : undefined;
+}
+
+async function pedirJSON(url, signal) {
+  const respuesta = await fetch(url, { signal });
+  if (!respuesta.ok) throw new Error(`Respuesta ${respuesta.status} de ${new URL(url).host}`);
+  return respuesta.json();
+}
+
+/** @type {Proveedor} */
+export const catalogoLocal = {
+  id: "catalogo",
+  nombre: "Catálogo local",
+  local: true,
+  async buscar(isbn, { almacen }) {
+    const catalogo = (await almacen?.get(CLAVE_CATALOGO)) || {};
+    return catalogo[codigoLibro(isbn)] || null;
+  },
+};
+
+/** @type {Proveedor} */
+export const googleBooks = {
+  id: "google",
+  nombre: "Google Books",
+  async buscar(isbn, { signal }) {
+    const data = await pedirJSON(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`, signal);
+    const info = data.items?.[0]?.volumeInfo;
+    if (!info) return null;
+    return {
+      title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+      autores: info.authors?.join(", "),
+      editorial: info.publisher,
+      anio: info.publishedDate?.slice(0, 4),
+      portada: httpsSiempre(info.imageLinks?.smallThumbnail || info.imageLinks?.thumbnail),
+    };
+  },
+};
+
+/** @type {Proveedor} */
+export const openLibrary = {
+  id: "openlibrary",
+  nombre: "Open Library",
+  async buscar(isbn, { signal }) {
+    const data = await pedirJSON(`https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`, signal);
+    const libro = data[`ISBN:${isbn}`];
+    if (!libro) return null;
+    return {
+      title: libro.title,
+      autores: libro.authors?.map((a) => a.name).join(", "),
+      editorial: libro.publishers?.map((p) => p.name).join(", "),
+      anio: libro.publish_date?.match(/\d{4}/)?.[0],
+      portada: libro.cover?.small || libro.cover?.medium,
+    };
+  },
+};
+
+export const PROVEEDORES = [catalogoLocal, googleBooks, openLibrary];
+
+function conTiempoLimite(proveedor, isbn, almacen, ms) {
+  const control = new AbortController();
+  let temporizador;
+  const limite = new Promise((_, reject) => {
+    temporizador = setTimeout(() => {
+      control.abort();
+      reject(new Error(`${proveedor.nombre} no respondió en ${ms} ms`));
+    }, ms);
+  });
+  return Promise.race([proveedor.buscar(isbn, { signal: control.signal, almacen }), limite])
+    .finally(() => clearTimeout(temporizador));
+}
+
+async function consultar(proveedor, isbn, almacen, tiempoLimite) {
+  try {
+    return limpiarMetadatos(await conTiempoLimite(proveedor, isbn, almacen, tiempoLimite));
+  } catch (e) {
+    console.error(`Error al buscar ${isbn} en ${proveedor.nombre}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Busca los datos de un ISBN: primero en los proveedores locales, después en la caché y por último
+ * en los de Internet, uno a uno. Solo se guardan los aciertos de Internet; un fallo (p. ej. sin
+ * conexión) se volverá a intentar.
+ * @returns {Promise<Metadatos | null>}
+ */
+export async function buscarMetadatos(texto, { almacen, proveedores = PROVEEDORES, tiempoLimite = TIEMPO_LIMITE } = {}) {
+  const isbn = codigoLibro(texto);
+  for (const proveedor of proveedores.filter((p) => p.local)) {
+    const encontrado = await consultar(proveedor, isbn, almacen, tiempoLimite);
+    if (encontrado) return encontrado;
+  }
+  const clave = PREFIJO_CACHE + isbn;
+  try {
+    const enCache = await almacen?.get(clave);
+    if (enCache) return enCache;
+  } catch (e) {
+    console.error("Error leyendo la caché de libros", e);
+  }
+  for (const proveedor of proveedores.filter((p) => !p.local)) {
+    const encontrado = await consultar(proveedor, isbn, almacen, tiempoLimite);
+    if (!encontrado) continue;
+    try {
+      await almacen?.set(clave, encontrado);
+    } catch (e) {
+      // Sin caché la búsqueda sigue siendo válida; solo se repetirá la próxima vez.
+      console.error("Error guardando la caché de libros", e);
+    }
+    return encontrado;
+  }
+  return null;
+}
+
+/**
+ * Valida y guarda el catálogo local a partir de un JSON: una lista de libros o `{ libros: [...] }`,
+ * cada uno con al menos `isbn` y `title`. Sustituye al catálogo anterior.
+ * @returns {Promise<{ guardados: number, descartados: number }>}
+ */
+export async function guardarCatalogoLocal(almacen, datos) {
+  const lista = Array.isArray(datos) ? datos : datos?.libros;
+  if (!Array.isArray(lista)) throw new Error('El catálogo debe ser una lista de libros o un objeto con "libros".');
+  const catalogo = {};
+  let descartados = 0;
+  for (const libro of lista) {
+    const metadatos = limpiarMetadatos(libro);
+    const isbn = libro?.isbn != null && codigoLibro(libro.isbn);
+    if (!isbn || !metadatos) {
+      descartados++;
+      continue;
+    }
+    catalogo[isbn] = metadatos;
+  }
+  await olvidarCacheCatalogo(almacen);
+  await almacen.set(CLAVE_CATALOGO, catalogo);
+  return { guardados: Object.keys(catalogo).length, descartados };
+}
+
+// Versiones anteriores guardaban en la caché también lo encontrado en el catálogo: al sustituirlo o
+// borrarlo se quitan esas copias para que no sigan respondiendo con los datos viejos.
+async function olvidarCacheCatalogo(almacen) {
+  const anterior = (await almacen.get(CLAVE_CATALOGO)) || {};
+  await Promise.all(Object.keys(anterior).map((isbn) => almacen.remove(PREFIJO_CACHE + isbn)));
+}
+
+/** Número de libros del catálogo local. */
+export async function contarCatalogoLocal(almacen) {
+  return Object.keys((await almacen.get(CLAVE_CATALOGO)) || {}).length;
+}
+
+export async function borrarCatalogoLocal(almacen) {
+  await olvidarCacheCatalogo(almacen);
+  await almacen.remove(CLAVE_CATALOGO);
+}
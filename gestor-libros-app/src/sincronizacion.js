@@ -0,0 +1,125 @@
+// ------------------------------------------------------------
+// Cliente del servidor de sincronización (servidor/servidor.js).
+// - Cada dispositivo envía sus acciones y recibe las de los demás en el orden del servidor.
+// - El servidor avisa por WebSocket cuando hay cambios; si no hay WebSocket se consulta cada cierto tiempo.
+// - Aquí solo está el transporte: cómo se aplican las acciones está en App.jsx.
+// ------------------------------------------------------------
+
+import { t } from "./i18n.js";
+
+const CLAVE_CONFIG = "sync_config";
+const CLAVE_COLA = "sync_cola";
+const CLAVE_BASE = "sync_base";
+const TIEMPO_LIMITE = 10000;
+
+/**
+ * @typedef {{ servidor: string, codigo: string, dispositivo: { id: string, nombre: string } }} ConfigSync
+ * @typedef {{ id: string, ts: string, trasSeq: number, exclusiva?: boolean, accion: object }} OperacionLocal
+ * @typedef {OperacionLocal & { seq: number, dispositivo: string }} OperacionRemota
+ */
+
+/** Dirección del servidor sin barra final; sin protocolo se supone http (red del centro). */
+export function normalizarServidor(texto) {
+  const limpio = String(texto || "").trim().replace(/\/+$/, "");
+  return /^https?:\/\//i.test(limpio) ? limpio : `http://${limpio}`;
+}
+
+async function pedir(config, ruta, opciones = {}) {
+  const control = new AbortController();
+  const temporizador = setTimeout(() => control.abort(), TIEMPO_LIMITE);
+  let respuesta;
+  try {
+    respuesta = await fetch(config.servidor + ruta, {
+      ...opciones,
+      signal: control.signal,
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${config.codigo}` },
+    });
+  } catch (e) {
+    // Sin red, servidor apagado o tiempo agotado: se reintentará más tarde.
+    throw Object.assign(new Error(t("No se pudo conectar con el servidor.")), { sinConexion: true, cause: e });
+  } finally {
+    clearTimeout(temporizador);
+  }
+  const cuerpo = await respuesta.json().catch(() => ({}));
+  // Los mensajes del servidor están en castellano; los catálogos los traducen como cualquier otro texto.
+  if (!respuesta.ok) throw Object.assign(new Error(t(cuerpo.error || "Error {estado} del servidor.", { estado: respuesta.status })), { estado: respuesta.status });
+  return cuerpo;
+}
+
+/** Comprueba el código de centro y registra el dispositivo. */
+export function emparejar(config) {
+  return pedir(config, "/api/emparejar", { method: "POST", body: JSON.stringify({ dispositivo: config.dispositivo }) });
+}
+
+/** @returns {Promise<{ aceptadas: string[], rechazadas: { id: string, motivo: string }[], ultimoSeq: number }>} */
+export function enviarOperaciones(config, operaciones) {
+  return pedir(config, "/api/operaciones", { method: "POST", body: JSON.stringify({ dispositivo: config.dispositivo, operaciones }) });
+}
+
+/**
+ * Si `desde` es anterior a la última instantánea del servidor, llega también la instantánea
+ * (el estado tras la acción `seq` y los ids de las acciones que incluye).
+ * @returns {Promise<{ operaciones: OperacionRemota[], ultimoSeq: number, instantaneaSeq: number, instantanea?: { seq: number, estado: object, ids: string[] } }>}
+ */
+export function recibirOperaciones(config, desde) {
+  return pedir(config, `/api/operaciones?desde=${desde}`);
+}
+
+/** Envía el estado tras la acción `seq` para que el servidor olvide las acciones anteriores. */
+export function enviarInstantanea(config, seq, estado) {
+  return pedir(config, "/api/instantanea", { method: "POST", body: JSON.stringify({ seq, estado }) });
+}
+
+/**
+ * Escucha los avisos de cambios del servidor. Devuelve la función que cierra la conexión.
+ * Si se corta, se reconecta sola al cabo de un rato.
+ */
+export function escucharAvisos(config, { onCambios, onEstado }) {
+  let socket;
+  let reintento;
+  let cerrado = false;
+  function conectar() {
+    const url = `${config.servidor.replace(/^http/i, "ws")}/api/avisos?codigo=${encodeURIComponent(config.codigo)}`;
+    socket = new WebSocket(url);
+    socket.onopen = () => onEstado(true);
+    socket.onmessage = (evento) => {
+      try {
+        const mensaje = JSON.parse(evento.data);
+        if (mensaje.tipo === "cambios" || mensaje.tipo === "hola") onCambios(mensaje.ultimoSeq);
+      } catch {}
+    };
+    socket.onclose = () => {
+      onEstado(false);
+      if (!cerrado) reintento = setTimeout(conectar, 15000);
+    };
+  }
+  conectar();
+  return () => {
+    cerrado = true;
+    clearTimeout(reintento);
+    socket.close();
+  };
+}
+
+/**
+ * Configuración y réplica guardadas en el almacén: la base es el estado tras aplicar todo lo
+ * recibido hasta `ultimoSeq`; la cola, lo hecho aquí que el servidor aún no ha confirmado.
+ */
+export async function leerSincronizacion(almacen) {
+  const [config, cola, base] = await Promise.all([almacen.get(CLAVE_CONFIG), almacen.get(CLAVE_COLA), almacen.get(CLAVE_BASE)]);
+  if (!config) return null;
+  return { config, replica: { base: base?.estado ?? null, ultimoSeq: base?.ultimoSeq ?? 0, cola: cola || [] } };
+}
+
+export function guardarConfigSync(almacen, config) {
+  return config ? almacen.set(CLAVE_CONFIG, config) : almacen.remove(CLAVE_CONFIG);
+}
+
+// La cola cambia con cada acción y la base solo al recibir: se guardan por separado.
+export function guardarCola(almacen, cola) {
+  return cola ? almacen.set(CLAVE_COLA, cola) : almacen.remove(CLAVE_COLA);
+}
+
+export function guardarBase(almacen, base, ultimoSeq) {
+  return base ? almacen.set(CLAVE_BASE, { estado: base, ultimoSeq }) : almacen.remove(CLAVE_BASE);
+}
@@ -0,0 +1,28 @@
+// ------------------------------------------------------------
+// Service worker de la app de aula.
+// - Precachea todo el build (la lista la inserta vite.config.js) para funcionar sin conexión.
+// - Las peticiones a otros orígenes (búsqueda de títulos, CDN) van siempre a la red.
+// ------------------------------------------------------------
+
+const PRECACHE = __PRECACHE__;
+const CACHE = "gestor-libros-__VERSION__";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((claves) => Promise.all(claves.filter((c) => c !== CACHE).map((c) => caches.delete(c))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  // Las navegaciones siempre sirven la página principal cacheada: es una app de una sola página.
+  const buscada = request.mode === "navigate" ? "./" : request;
+  event.respondWith(caches.match(buscada).then((cacheada) => cacheada || fetch(request)));
+});
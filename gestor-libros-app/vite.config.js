@@ -0,0 +1,26 @@
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Genera dist/sw.js a partir de src/sw.js con la lista de ficheros del build,
+// para que el service worker precachee la app completa (incluido el lector de códigos).
+function serviceWorker() {
+  return {
+    name: "gestor-libros-sw",
+    apply: "build",
+    generateBundle(_opciones, bundle) {
+      const ficheros = ["./", ...Object.keys(bundle).map((f) => `./${f}`), "./manifest.webmanifest", "./icono.svg"];
+      const version = createHash("sha256").update(ficheros.join("\n")).digest("hex").slice(0, 12);
+      const fuente = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace("__PRECACHE__", JSON.stringify(ficheros))
+        .replace("__VERSION__", version);
+      this.emitFile({ type: "asset", fileName: "sw.js", source: fuente });
+    },
+  };
+}
+
+export default defineConfig({
+  base: "./",
+  plugins: [react(), serviceWorker()],
+});